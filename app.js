@@ -10,12 +10,36 @@ import { initTour, startTour } from './modules/tour.js';
 import { initSectionSwitcher, setActiveSection as setActiveSectionTab, getActiveSection } from './modules/section-switcher.js';
 import { AttentionDemoUI } from './modules/attention-demo.js';
 import { MOEDemoUI } from './modules/moe-demo.js';
+import { EmbeddingsDemoUI } from './modules/embeddings-demo.js';
+import { PositionalDemoUI } from './modules/positional-demo.js';
+import { FFNDemoUI } from './modules/ffn-demo.js';
+import { ModelConfigUI } from './modules/model-config-demo.js';
 import { SamplingDemoUI } from './modules/sampling-demo.js';
 import { KVCacheDemoUI } from './modules/kv-cache-demo.js';
 import { GradientDemoUI } from './modules/gradient-demo.js';
 import { LossDemoUI } from './modules/loss-demo.js';
 import { GenerationDemoUI } from './modules/generation-demo.js';
-import { tokenize, simulateBPE, getTokenColor } from './modules/tokenizer.js';
+import {
+    tokenize,
+    decode,
+    decodeSteps,
+    roundTripText,
+    idToToken,
+    trainBPE,
+    compareTokenizers,
+    runPreTokenizer,
+    UNICODE_FORMS,
+    PRETOKENIZER_PATTERNS,
+    getTokenColor,
+    byteSymbolsToText,
+    loadTokenizerFromFiles,
+    loadTokenizerFromURL,
+    setActiveTokenizer,
+    getActiveTokenizer
+} from './modules/tokenizer.js';
+import { TOKENIZER_ALGORITHMS, runTokenizerAlgorithm } from './modules/subword-tokenizers.js';
+import { escapeHTML } from './modules/dom-utils.js';
+import { CHAT_TEMPLATES, tokenizeChatTemplate } from './modules/chat-template.js';
 
 const ARCHITECTURE_INFO_CONTENT = {
     tokenization: {
@@ -24,21 +48,100 @@ const ARCHITECTURE_INFO_CONTENT = {
             <p>Before the model can process text, it splits text into tokens. Tokens are usually whole words, subwords, punctuation, or bytes.</p>
             <p>Common fragments become reusable units, which helps models handle rare and unseen words.</p>
             <div class="bpe-demo-section">
-                <h4>Try BPE Tokenization</h4>
+                <h4>Try Subword Tokenization</h4>
                 <p class="bpe-note">This is a <strong>simplified simulation</strong> with a tiny rule set for teaching only.</p>
+                <div class="toggle-buttons bpe-algorithm-buttons">
+                    <button class="toggle-btn active" data-algorithm="bpe">BPE</button>
+                    <button class="toggle-btn" data-algorithm="wordpiece">WordPiece</button>
+                    <button class="toggle-btn" data-algorithm="unigram">Unigram</button>
+                </div>
+                <p class="bpe-note" id="bpe-algorithm-description"></p>
                 <div class="bpe-suggestions">
                     <span>Try:</span>
                     <button class="bpe-suggest-btn" data-word="the">"the"</button>
                     <button class="bpe-suggest-btn" data-word="cat">"cat"</button>
                     <button class="bpe-suggest-btn" data-word="standing">"standing"</button>
+                    <button class="bpe-suggest-btn" data-word="unhappiness">"unhappiness"</button>
                     <button class="bpe-suggest-btn" data-word="xyz">"xyz"</button>
+                    <button class="bpe-suggest-btn" data-word="café" data-byte-level="true">"café"</button>
+                    <button class="bpe-suggest-btn" data-word="hi 👋🙂" data-byte-level="true">"hi 👋🙂"</button>
                 </div>
                 <div class="bpe-input-row">
                     <input type="text" id="bpe-input" placeholder="Type a word..." value="the" maxlength="30">
                     <button id="bpe-run-btn" class="secondary-btn">Tokenize</button>
                 </div>
+                <label class="bpe-rules-toggle">
+                    <input type="checkbox" id="bpe-byte-level">
+                    Byte-level (UTF-8 bytes, like GPT-2) - no input is ever unknown
+                </label>
+                <label class="bpe-rules-toggle">
+                    <input type="checkbox" id="bpe-use-learned" disabled>
+                    Use merges learned below
+                </label>
                 <div id="bpe-visualization" class="bpe-visualization"></div>
             </div>
+            <div class="bpe-demo-section pretokenize-demo">
+                <h4>Before Tokenizing: Normalization &amp; Pre-tokenization</h4>
+                <p class="bpe-note">Text passes through fixed stages before any vocabulary lookup. This toy tokenizer lowercases by default; GPT-2, GPT-4 and Llama do not, so "Hello", "hello" and " hello" are three different tokens with three different IDs.</p>
+                <textarea id="pretokenize-input" class="bpe-corpus" rows="2">Hello hello HELLO  ｆｕｌｌ ﬁne cafe\u0301 café 2024!</textarea>
+                <div class="pretokenize-controls">
+                    <label>Unicode
+                        <select id="pretokenize-form" class="demo-select">
+                            ${UNICODE_FORMS.map((form) => `<option value="${form}">${form === 'none' ? 'None' : form}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>Whitespace
+                        <select id="pretokenize-whitespace" class="demo-select">
+                            <option value="trim">Trim ends</option>
+                            <option value="collapse">Trim + collapse runs</option>
+                            <option value="keep">Keep all</option>
+                        </select>
+                    </label>
+                    <label>Split
+                        <select id="pretokenize-pattern" class="demo-select">
+                            ${Object.entries(PRETOKENIZER_PATTERNS).map(([key, entry]) => `<option value="${key}">${entry.label}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label class="bpe-rules-toggle">
+                        <input type="checkbox" id="pretokenize-lowercase" checked>
+                        Lowercase
+                    </label>
+                    <label class="bpe-rules-toggle">
+                        <input type="checkbox" id="pretokenize-digits">
+                        Split digits
+                    </label>
+                </div>
+                <div id="pretokenize-visualization" class="bpe-visualization"></div>
+            </div>
+            <div class="bpe-demo-section tokenizer-loader">
+                <h4>Load a Real Tokenizer</h4>
+                <p class="bpe-note">Pick a Hugging Face <code>tokenizer.json</code>, or GPT-2 style <code>vocab.json</code> + <code>merges.txt</code> (select both). Files never leave your browser.</p>
+                <div class="bpe-input-row">
+                    <input type="file" id="tokenizer-file" accept=".json,.txt" multiple>
+                </div>
+                <div class="bpe-input-row">
+                    <button id="tokenizer-fixture-btn" class="secondary-btn">Load bundled toy GPT-2 tokenizer</button>
+                    <button id="tokenizer-reset-btn" class="secondary-btn">Use built-in vocabulary</button>
+                </div>
+                <div id="tokenizer-status" class="bpe-summary"></div>
+            </div>
+            <div class="bpe-demo-section bpe-train-section">
+                <h4>Learn Merges From Your Own Text</h4>
+                <p class="bpe-note">Paste a paragraph. BPE counts every adjacent symbol pair, merges the most frequent one, and repeats.</p>
+                <textarea id="bpe-corpus" class="bpe-corpus" rows="4">the cat sat on the mat. the dog sat on the log. then the cat and the dog sat together, thinking that the mat was theirs.</textarea>
+                <div class="bpe-input-row">
+                    <label for="bpe-merge-count" class="bpe-merge-label">Merges</label>
+                    <input type="number" id="bpe-merge-count" value="15" min="1" max="100">
+                    <button id="bpe-train-btn" class="secondary-btn">Learn Merges</button>
+                </div>
+                <div id="bpe-training" class="bpe-visualization"></div>
+            </div>
+            <div class="bpe-demo-section tokenizer-compare">
+                <h4>Compare Tokenizers</h4>
+                <p class="bpe-note">Context windows and API prices are counted in tokens, not characters, so the same text costs a different amount under each scheme. Loaded tokenizers join the table.</p>
+                <textarea id="tokenizer-compare-input" class="bpe-corpus" rows="2">The transformer reads unbelievably long words, café menus and emoji 👋</textarea>
+                <div id="tokenizer-compare" class="bpe-visualization"></div>
+            </div>
         `,
         technical: `
             <p>Modern LLM tokenizers are subword models (often BPE-like variants): frequent pairs merge into new symbols.</p>
@@ -210,9 +313,31 @@ const INFERENCE_INFO_CONTENT = {
         title: 'Input Prompt',
         simple: `
             <p>Inference starts from a structured prompt (for example system + user messages) constrained by context window size.</p>
+            <div class="bpe-demo-section chat-template-demo">
+                <h4>Chat Template Rendering</h4>
+                <p class="bpe-note">Chat models never see separate messages: a template flattens them into one string, marking roles with <strong>control tokens</strong> the model learned during fine-tuning.</p>
+                <div class="toggle-buttons chat-template-buttons">
+                    <button class="toggle-btn active" data-template="chatml">ChatML</button>
+                    <button class="toggle-btn" data-template="llama2">Llama 2</button>
+                    <button class="toggle-btn" data-template="llama3">Llama 3</button>
+                </div>
+                <p class="bpe-note" id="chat-template-description">${escapeHTML(CHAT_TEMPLATES.chatml.description)}</p>
+                <label class="chat-template-label" for="chat-system">System</label>
+                <textarea id="chat-system" class="bpe-corpus" rows="1">You are a helpful assistant.</textarea>
+                <label class="chat-template-label" for="chat-user">User</label>
+                <textarea id="chat-user" class="bpe-corpus" rows="1">What is a token?</textarea>
+                <label class="chat-template-label" for="chat-assistant">Assistant (optional, an earlier reply)</label>
+                <textarea id="chat-assistant" class="bpe-corpus" rows="1"></textarea>
+                <label class="bpe-rules-toggle">
+                    <input type="checkbox" id="chat-generation-prompt" checked>
+                    Add generation prompt (leave an open assistant turn for the model to complete)
+                </label>
+                <div id="chat-template-visualization" class="bpe-visualization"></div>
+            </div>
         `,
         technical: `
             <p>Prompt templates, role formatting, and truncation policies shape the effective context before tokenization.</p>
+            <p>Control tokens are matched as whole vocabulary entries before ordinary splitting, so typing <code>&lt;|im_end|&gt;</code> in a message is read as a real end-of-turn marker unless the serving stack escapes it.</p>
         `
     },
     tokenize: {
@@ -288,6 +413,19 @@ const INFERENCE_INFO_CONTENT = {
         title: 'Detokenize',
         simple: `
             <p>Generated token IDs are converted back into readable text output.</p>
+            <div class="bpe-demo-section detokenize-demo">
+                <h4>Round Trip: Text → Token IDs → Text</h4>
+                <p class="bpe-note">Tokens remember a leading space (shown as <code>Ġ</code>), and other whitespace is kept as byte tokens, so decoding rebuilds the normalized text exactly.</p>
+                <div class="bpe-input-row">
+                    <input type="text" id="detokenize-input" value="The cat sat on  the mat." maxlength="80">
+                    <button id="detokenize-run-btn" class="secondary-btn">Decode</button>
+                </div>
+                <label class="bpe-rules-toggle">
+                    <input type="checkbox" id="detokenize-byte-level" checked>
+                    Byte-level fallback (without it, unknown characters become &lt;unk&gt; and cannot be recovered)
+                </label>
+                <div id="detokenize-visualization" class="bpe-visualization"></div>
+            </div>
         `,
         technical: `
             <p>Detokenization merges subword units according to tokenizer-specific decoding rules.</p>
@@ -331,6 +469,9 @@ const GLOSSARY = [
     { term: 'Transformer Block', definition: 'Core repeated unit: attention + FFN (+ residual/normalization structure).' }
 ];
 
+const BUNDLED_TOKENIZER_URL = 'data/tokenizers/toy-byte-bpe.json';
+const COMPARISON_CONTEXT_TOKENS = 4096;
+
 const MOBILE_BREAKPOINT = 768;
 const PANEL_COLLISION_GAP = 12;
 
@@ -341,8 +482,16 @@ let currentInfoKey = null;
 let currentDiagramModule = null;
 let sectionRenderToken = 0;
 
+let learnedBPE = null;
+let tokenizerAlgorithm = 'bpe';
+const loadedTokenizers = new Map();
+
 let attentionDemo = null;
 let moeDemo = null;
+let embeddingsDemo = null;
+let positionalDemo = null;
+let ffnDemo = null;
+let modelConfigDemo = null;
 let samplingDemo = null;
 let kvCacheDemo = null;
 let gradientDemo = null;
@@ -354,6 +503,10 @@ function init() {
 
     attentionDemo = new AttentionDemoUI('attention-demo-content');
     moeDemo = new MOEDemoUI('moe-demo-content');
+    embeddingsDemo = new EmbeddingsDemoUI('embeddings-demo-content');
+    positionalDemo = new PositionalDemoUI('positional-demo-content');
+    ffnDemo = new FFNDemoUI('ffn-demo-content');
+    modelConfigDemo = new ModelConfigUI('model-config-demo-content');
     samplingDemo = new SamplingDemoUI('sampling-demo-content');
     kvCacheDemo = new KVCacheDemoUI('kvcache-demo-content');
     gradientDemo = new GradientDemoUI('gradient-demo-content');
@@ -524,6 +677,14 @@ function openInfoPanel(infoKey) {
         setupBPEDemo();
     }
 
+    if (infoKey === 'inputPrompt') {
+        setupChatTemplateDemo();
+    }
+
+    if (infoKey === 'detokenize') {
+        setupDetokenizeDemo();
+    }
+
     setupCrossSectionLinks(panel);
 }
 
@@ -585,6 +746,22 @@ function setupDemoButtons() {
             openModal('moe-modal');
             moeDemo.init();
         },
+        embeddings: () => {
+            openModal('embeddings-modal');
+            embeddingsDemo.init();
+        },
+        positional: () => {
+            openModal('positional-modal');
+            positionalDemo.init();
+        },
+        ffn: () => {
+            openModal('ffn-modal');
+            ffnDemo.init();
+        },
+        'model-config': () => {
+            openModal('model-config-modal');
+            modelConfigDemo.init();
+        },
         sampling: () => {
             openModal('sampling-modal');
             samplingDemo.init();
@@ -696,6 +873,11 @@ function closeModal(modalId) {
 function setupBPEDemo() {
     const runBtn = document.getElementById('bpe-run-btn');
     const input = document.getElementById('bpe-input');
+    const useLearned = document.getElementById('bpe-use-learned');
+    const byteLevel = document.getElementById('bpe-byte-level');
+
+    const description = document.getElementById('bpe-algorithm-description');
+    const algorithmButtons = document.querySelectorAll('.bpe-algorithm-buttons .toggle-btn');
 
     if (!runBtn || !input) return;
 
@@ -703,10 +885,67 @@ function setupBPEDemo() {
         const text = input.value.trim();
         if (!text) return;
 
-        const result = simulateBPE(text);
-        renderBPEVisualization(result);
+        const isBPE = tokenizerAlgorithm === 'bpe';
+        if (byteLevel) byteLevel.disabled = !isBPE;
+        if (useLearned) useLearned.disabled = !isBPE || !learnedBPE;
+        if (description) description.textContent = TOKENIZER_ALGORITHMS[tokenizerAlgorithm].description;
+
+        const options = learnedBPE && useLearned?.checked
+            ? { merges: learnedBPE.merges, vocabulary: learnedBPE.vocabulary }
+            : { byteLevel: Boolean(byteLevel?.checked) };
+        const result = runTokenizerAlgorithm(tokenizerAlgorithm, text, options);
+
+        if (result.algorithm === 'wordpiece') {
+            renderWordPieceVisualization(result);
+        } else if (result.algorithm === 'unigram') {
+            renderUnigramVisualization(result);
+        } else {
+            renderBPEVisualization(result);
+        }
     };
 
+    algorithmButtons.forEach((button) => {
+        button.classList.toggle('active', button.dataset.algorithm === tokenizerAlgorithm);
+        button.addEventListener('click', () => {
+            tokenizerAlgorithm = button.dataset.algorithm;
+            algorithmButtons.forEach((other) => {
+                other.classList.toggle('active', other === button);
+            });
+            runBPE();
+        });
+    });
+
+    if (useLearned) {
+        useLearned.disabled = !learnedBPE;
+        useLearned.checked = Boolean(learnedBPE);
+        useLearned.addEventListener('change', () => {
+            if (useLearned.checked && byteLevel) byteLevel.checked = false;
+            runBPE();
+        });
+    }
+
+    byteLevel?.addEventListener('change', () => {
+        if (byteLevel.checked && useLearned) useLearned.checked = false;
+        runBPE();
+    });
+
+    setupPreTokenizerDemo();
+
+    const runComparison = setupTokenizerComparison();
+
+    setupTokenizerLoader(() => {
+        runBPE();
+        runComparison();
+    });
+
+    setupBPETraining(() => {
+        if (useLearned) {
+            useLearned.disabled = false;
+            useLearned.checked = true;
+        }
+        runBPE();
+    });
+
     runBtn.addEventListener('click', runBPE);
     input.addEventListener('keypress', (event) => {
         if (event.key === 'Enter') runBPE();
@@ -715,6 +954,10 @@ function setupBPEDemo() {
     document.querySelectorAll('.bpe-suggest-btn').forEach((button) => {
         button.addEventListener('click', () => {
             input.value = button.dataset.word;
+            if (button.dataset.byteLevel && byteLevel) {
+                byteLevel.checked = true;
+                if (useLearned) useLearned.checked = false;
+            }
             runBPE();
         });
     });
@@ -742,7 +985,8 @@ function renderBPEVisualization(result) {
             const isNew = step.mergedIndex !== undefined && tokenIndex === step.mergedIndex;
             const depth = token.length > 1 ? Math.min(token.length, 5) : 0;
             const color = getTokenColor(depth);
-            return `<span class="bpe-token ${isNew ? 'merged' : ''}" style="border-color: ${color}">${token}</span>`;
+            const title = result.byteLevel ? ` title="${escapeHTML(byteSymbolsToText(token))}"` : '';
+            return `<span class="bpe-token ${isNew ? 'merged' : ''}" style="border-color: ${color}"${title}>${escapeHTML(token)}</span>`;
         }).join('<span class="token-separator">+</span>')}
                 </div>
                 ${step.description && step.step > 0 ? `<div class="step-description">${step.description}</div>` : ''}
@@ -756,17 +1000,503 @@ function renderBPEVisualization(result) {
 
     html += '</div>';
 
+    if (result.byteLevel) {
+        html += `
+            <div class="bpe-byte-map">
+                <div class="step-number">UTF-8 byte → printable symbol</div>
+                <div class="bpe-byte-grid">
+                    ${result.byteSymbols.map((entry) => `
+                        <span class="bpe-byte" title="from &quot;${escapeHTML(entry.char)}&quot;">
+                            <span class="bpe-byte-hex">${entry.hex}</span>
+                            <span class="bpe-byte-symbol">${escapeHTML(entry.symbol)}</span>
+                            <span class="bpe-byte-char">${escapeHTML(entry.char)}</span>
+                        </span>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    const unitCount = result.byteLevel ? result.byteSymbols.length : result.input.length;
     html += `
         <div class="bpe-summary">
             <strong>${result.finalTokens.length}</strong> final tokens from
-            <strong>${result.input.length}</strong> characters
+            <strong>${unitCount}</strong> ${result.byteLevel ? 'bytes' : 'characters'}
             (${result.totalMerges} merges)
+            ${result.tokenizerName ? `<br>using ${escapeHTML(result.tokenizerName)}` : ''}
+            <div class="bpe-token-ids">IDs: [${result.finalTokens.map((token) => token.id).join(', ')}]</div>
         </div>
     `;
 
     container.innerHTML = html;
 }
 
+function setupTokenizerLoader(onChange) {
+    const fileInput = document.getElementById('tokenizer-file');
+    const fixtureBtn = document.getElementById('tokenizer-fixture-btn');
+    const resetBtn = document.getElementById('tokenizer-reset-btn');
+
+    if (!fileInput || !fixtureBtn || !resetBtn) return;
+
+    const activate = async (load) => {
+        try {
+            const model = await load();
+            loadedTokenizers.set(model.name, model);
+            setActiveTokenizer(model);
+            renderTokenizerStatus();
+            onChange();
+        } catch (error) {
+            renderTokenizerStatus(error.message);
+        }
+    };
+
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length === 0) return;
+        activate(() => loadTokenizerFromFiles(fileInput.files));
+    });
+
+    fixtureBtn.addEventListener('click', () => {
+        activate(() => loadTokenizerFromURL(BUNDLED_TOKENIZER_URL, 'Toy byte-level BPE (GPT-2 format)'));
+    });
+
+    resetBtn.addEventListener('click', () => {
+        setActiveTokenizer(null);
+        fileInput.value = '';
+        renderTokenizerStatus();
+        onChange();
+    });
+
+    renderTokenizerStatus();
+}
+
+function renderTokenizerStatus(errorMessage = null) {
+    const status = document.getElementById('tokenizer-status');
+    if (!status) return;
+
+    if (errorMessage) {
+        status.innerHTML = `<span class="tokenizer-error">${escapeHTML(errorMessage)}</span>`;
+        return;
+    }
+
+    const model = getActiveTokenizer();
+    if (!model) {
+        status.innerHTML = 'Using the built-in toy vocabulary.';
+        return;
+    }
+
+    status.innerHTML = `
+        Active: <strong>${escapeHTML(model.name)}</strong> -
+        ${model.type}${model.byteLevel ? ' (byte-level)' : ''},
+        <strong>${model.vocab.size}</strong> tokens,
+        <strong>${model.merges.length}</strong> merges.
+        The BPE demo above and the Attention demo now use its token IDs.
+    `;
+}
+
+function setupPreTokenizerDemo() {
+    const input = document.getElementById('pretokenize-input');
+    const form = document.getElementById('pretokenize-form');
+    const whitespace = document.getElementById('pretokenize-whitespace');
+    const pattern = document.getElementById('pretokenize-pattern');
+    const lowercase = document.getElementById('pretokenize-lowercase');
+    const digits = document.getElementById('pretokenize-digits');
+
+    if (!input || !form || !whitespace || !pattern || !lowercase || !digits) return;
+
+    const run = () => renderPreTokenizerVisualization(input.value, {
+        form: form.value,
+        whitespace: whitespace.value,
+        pattern: pattern.value,
+        lowercase: lowercase.checked,
+        splitDigits: digits.checked
+    });
+
+    input.addEventListener('input', run);
+    [form, whitespace, pattern, lowercase, digits].forEach((control) => control.addEventListener('change', run));
+    run();
+}
+
+function renderPreTokenizerVisualization(text, options) {
+    const container = document.getElementById('pretokenize-visualization');
+    if (!container) return;
+
+    const { stages } = runPreTokenizer(text, options);
+    const tokens = tokenize(text, { preTokenizer: options, byteLevel: true, tokenizer: null });
+    const showSpaces = (value) => escapeHTML(value)
+        .replace(/ /g, '<span class="visible-space">␣</span>')
+        .replace(/\n/g, '<span class="visible-space">↵</span>');
+
+    container.innerHTML = `
+        <div class="step-number">Input</div>
+        <div class="pretokenize-output">${showSpaces(text)}</div>
+        ${stages.map((stage) => `
+            <div class="step-header">
+                <span class="step-number">${escapeHTML(stage.label)}</span>
+                <span class="step-freq">${stage.changed ? 'changed' : 'unchanged'}</span>
+            </div>
+            ${Array.isArray(stage.output)
+        ? `<div class="step-tokens">${stage.output.map((piece) => `<span class="bpe-token">${showSpaces(piece)}</span>`).join('')}</div>`
+        : `<div class="pretokenize-output ${stage.changed ? 'changed' : ''}">${showSpaces(stage.output)}</div>`}
+        `).join('')}
+        <div class="step-number">Toy vocabulary tokens (IDs)</div>
+        <div class="step-tokens">
+            ${tokens.map((token) => `<span class="bpe-token" title="ID ${token.id}">${escapeHTML(token.text)} <small>${token.id}</small></span>`).join('')}
+        </div>
+        <div class="bpe-summary"><strong>${tokens.length}</strong> tokens</div>
+    `;
+}
+
+function setupTokenizerComparison() {
+    const input = document.getElementById('tokenizer-compare-input');
+    if (!input) return () => {};
+
+    const run = () => renderTokenizerComparison(input.value);
+    input.addEventListener('input', run);
+    run();
+
+    return run;
+}
+
+function renderTokenizerComparison(text) {
+    const container = document.getElementById('tokenizer-compare');
+    if (!container) return;
+
+    if (!text.trim()) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const rows = compareTokenizers(text, { models: [...loadedTokenizers.values()] });
+    const maxCount = Math.max(...rows.map((row) => row.tokenCount), 1);
+    const fewest = Math.min(...rows.map((row) => row.tokenCount));
+
+    container.innerHTML = `
+        <table class="bpe-pair-table tokenizer-compare-table">
+            <thead>
+                <tr><th>Scheme</th><th>Tokens</th><th>Chars/token</th><th>Unknown</th><th>Fits in ${COMPARISON_CONTEXT_TOKENS / 1024}K context</th></tr>
+            </thead>
+            <tbody>
+                ${rows.map((row) => `
+                    <tr class="${row.tokenCount === fewest ? 'best' : ''}">
+                        <td title="${escapeHTML(row.description)}">${escapeHTML(row.label)}</td>
+                        <td>
+                            <span class="tokenizer-compare-bar" style="width: ${(row.tokenCount / maxCount) * 100}%"></span>
+                            ${row.tokenCount}
+                        </td>
+                        <td>${row.charsPerToken.toFixed(2)}</td>
+                        <td>${row.unknownCount} (${(row.unknownRate * 100).toFixed(0)}%)</td>
+                        <td>≈ ${Math.round(row.charsPerToken * COMPARISON_CONTEXT_TOKENS).toLocaleString()} chars</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${rows.map((row) => `
+            <details class="tokenizer-compare-tokens">
+                <summary>${escapeHTML(row.label)} tokens</summary>
+                <div class="step-tokens">
+                    ${row.tokens.map((token) => `<span class="bpe-token">${escapeHTML(token.text)}</span>`).join('')}
+                </div>
+            </details>
+        `).join('')}
+    `;
+}
+
+function setupBPETraining(onTrained) {
+    const trainBtn = document.getElementById('bpe-train-btn');
+    const corpusInput = document.getElementById('bpe-corpus');
+    const mergeCountInput = document.getElementById('bpe-merge-count');
+
+    if (!trainBtn || !corpusInput || !mergeCountInput) return;
+
+    trainBtn.addEventListener('click', () => {
+        const corpus = corpusInput.value.trim();
+        if (!corpus) return;
+
+        const numMerges = Math.max(1, Math.min(100, parseInt(mergeCountInput.value, 10) || 1));
+        learnedBPE = trainBPE(corpus, numMerges);
+        renderBPETraining(learnedBPE, learnedBPE.steps.length);
+        onTrained();
+    });
+
+    if (learnedBPE) {
+        renderBPETraining(learnedBPE, learnedBPE.steps.length);
+    }
+}
+
+function renderBPETraining(model, stepIndex) {
+    const container = document.getElementById('bpe-training');
+    if (!container) return;
+
+    if (model.steps.length === 0) {
+        container.innerHTML = '<p class="bpe-note">No pair appears twice in this text, so there is nothing to merge yet.</p>';
+        return;
+    }
+
+    const step = model.steps[Math.max(0, stepIndex - 1)];
+    const [left, right] = step.merge.pair;
+
+    const pairRows = step.pairCounts.map((entry, index) => `
+        <tr class="${index === 0 ? 'chosen' : ''}">
+            <td><span class="bpe-token">${escapeHTML(entry.pair[0])}</span> + <span class="bpe-token">${escapeHTML(entry.pair[1])}</span></td>
+            <td>${entry.count}</td>
+        </tr>
+    `).join('');
+
+    const mergeList = model.merges.map((merge, index) => `
+        <span class="bpe-learned-merge ${index === step.step - 1 ? 'current' : ''} ${index >= step.step ? 'pending' : ''}">
+            ${index + 1}. ${escapeHTML(merge.pair[0])} + ${escapeHTML(merge.pair[1])} → ${escapeHTML(merge.result)}
+        </span>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="bpe-train-controls">
+            <button class="secondary-btn" id="bpe-train-prev" ${step.step <= 1 ? 'disabled' : ''}>Prev</button>
+            <span class="step-number">Merge ${step.step} of ${model.steps.length}</span>
+            <button class="secondary-btn" id="bpe-train-next" ${step.step >= model.steps.length ? 'disabled' : ''}>Next</button>
+        </div>
+        <div class="step-description">Most frequent pair: "${escapeHTML(left)}" + "${escapeHTML(right)}" (${step.merge.frequency}×) → "${escapeHTML(step.merge.result)}"</div>
+        <table class="bpe-pair-table">
+            <thead><tr><th>Pair (before merge ${step.step})</th><th>Count</th></tr></thead>
+            <tbody>${pairRows}</tbody>
+        </table>
+        <div class="bpe-learned-merges">${mergeList}</div>
+        <div class="bpe-summary">
+            <strong>${model.wordCount}</strong> words,
+            <strong>${model.baseSymbols.length}</strong> base symbols,
+            vocabulary <strong>${step.vocabSize}</strong> after this merge
+        </div>
+    `;
+
+    container.querySelector('#bpe-train-prev')?.addEventListener('click', () => {
+        renderBPETraining(model, step.step - 1);
+    });
+    container.querySelector('#bpe-train-next')?.addEventListener('click', () => {
+        renderBPETraining(model, step.step + 1);
+    });
+}
+
+function setupChatTemplateDemo() {
+    const buttons = document.querySelectorAll('.chat-template-buttons .toggle-btn');
+    const description = document.getElementById('chat-template-description');
+    const fields = ['chat-system', 'chat-user', 'chat-assistant'].map((id) => document.getElementById(id));
+    const generationPrompt = document.getElementById('chat-generation-prompt');
+    let template = 'chatml';
+
+    if (!buttons.length || fields.some((field) => !field)) return;
+
+    const run = () => {
+        const [system, user, assistant] = fields.map((field) => field.value);
+        const messages = [
+            { role: 'system', content: system },
+            { role: 'user', content: user }
+        ];
+        if (assistant.trim()) {
+            // An earlier reply sits between two user turns
+            messages.push({ role: 'assistant', content: assistant }, { role: 'user', content: 'Thanks!' });
+        }
+        renderChatTemplateVisualization(messages, template, Boolean(generationPrompt?.checked));
+    };
+
+    buttons.forEach((btn) => {
+        btn.addEventListener('click', () => {
+            buttons.forEach((b) => b.classList.remove('active'));
+            btn.classList.add('active');
+            template = btn.dataset.template;
+            if (description) {
+                description.textContent = CHAT_TEMPLATES[template].description;
+            }
+            run();
+        });
+    });
+
+    fields.forEach((field) => field.addEventListener('input', run));
+    generationPrompt?.addEventListener('change', run);
+
+    run();
+}
+
+function renderChatTemplateVisualization(messages, template, addGenerationPrompt) {
+    const container = document.getElementById('chat-template-visualization');
+    if (!container) return;
+
+    const result = tokenizeChatTemplate(messages, template, { addGenerationPrompt, byteLevel: true });
+    const showWhitespace = (value) => escapeHTML(value).replace(/\n/g, '<span class="visible-space">↵</span>\n');
+    const roleClass = (role) => (role ? `role-${role}` : 'role-none');
+
+    const comparison = Object.entries(CHAT_TEMPLATES).map(([key, entry]) => {
+        const other = key === template ? result : tokenizeChatTemplate(messages, key, { addGenerationPrompt, byteLevel: true });
+        return `
+            <span class="chat-template-count ${key === template ? 'active' : ''}">
+                ${entry.label}: <strong>${other.tokens.length}</strong> tokens (${other.controlCount} control)
+            </span>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="step-number">Rendered prompt</div>
+        <div class="chat-template-rendered">${result.segments.map((segment) => `
+            <span class="chat-segment ${segment.control ? 'control' : ''} ${roleClass(segment.role)}">${showWhitespace(segment.text)}</span>`).join('')}</div>
+        <div class="step-number">Tokens</div>
+        <div class="step-tokens">
+            ${result.tokens.map((token) => `
+                <span class="bpe-token chat-token ${token.control ? 'control' : ''} ${roleClass(token.role)}"
+                      title="${token.id === null ? 'Not in the loaded vocabulary' : `ID ${token.id}`}${token.role ? ` · ${token.role}` : ''}${token.control ? ' · control token' : ''}">${escapeHTML(token.text)}</span>
+            `).join('')}
+        </div>
+        <div class="bpe-summary">
+            <strong>${result.tokens.length}</strong> tokens:
+            <strong>${result.controlCount}</strong> control,
+            <strong>${result.contentCount}</strong> content
+        </div>
+        <div class="chat-template-comparison">${comparison}</div>
+    `;
+}
+
+function setupDetokenizeDemo() {
+    const runBtn = document.getElementById('detokenize-run-btn');
+    const input = document.getElementById('detokenize-input');
+    const byteLevel = document.getElementById('detokenize-byte-level');
+
+    if (!runBtn || !input) return;
+
+    const run = () => {
+        const text = input.value;
+        if (!text.trim()) return;
+        renderDetokenizeVisualization(text, Boolean(byteLevel?.checked));
+    };
+
+    runBtn.addEventListener('click', run);
+    byteLevel?.addEventListener('change', run);
+    input.addEventListener('keypress', (event) => {
+        if (event.key === 'Enter') run();
+    });
+
+    run();
+}
+
+function renderDetokenizeVisualization(text, byteLevel) {
+    const container = document.getElementById('detokenize-visualization');
+    if (!container) return;
+
+    const tokens = tokenize(text, { byteLevel });
+    const ids = tokens.map((token) => token.id);
+    const decoded = decode(ids);
+    const model = getActiveTokenizer();
+    const expected = roundTripText(text);
+    const steps = model
+        ? ids.map((id) => ({ ids: [id], tokens: [idToToken(id)], piece: decode([id]) }))
+        : decodeSteps(ids);
+    const showSpaces = (value) => escapeHTML(value).replace(/ /g, '<span class="visible-space">␣</span>');
+
+    container.innerHTML = `
+        <div class="step-number">Token IDs</div>
+        <div class="bpe-token-ids">[${ids.join(', ')}]</div>
+        <table class="bpe-pair-table detokenize-table">
+            <thead><tr><th>ID</th><th>Token</th><th>Text</th></tr></thead>
+            <tbody>
+                ${steps.map((step) => `
+                    <tr>
+                        <td>${step.ids.join(' ')}</td>
+                        <td>${step.tokens.map((token) => `<span class="bpe-token">${escapeHTML(token)}</span>`).join(' ')}</td>
+                        <td class="detokenize-piece">${showSpaces(step.piece)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <div class="step-number">Reconstruction</div>
+        <div class="detokenize-output">
+            ${steps.map((step, index) => `<span class="detokenize-chunk chunk-${index % 2}">${showSpaces(step.piece)}</span>`).join('')}
+        </div>
+        ${expected !== text ? `
+            <div class="step-number">Normalized input</div>
+            <div class="detokenize-output">${showSpaces(expected)}</div>
+            <p class="bpe-note">The tokenizer's normalization and pre-tokenization (e.g. lowercasing, spacing) already changed the text, so this is the most decoding can give back.</p>
+        ` : ''}
+        <div class="bpe-summary">
+            ${decoded === expected
+        ? '<strong>✓ Exact match</strong> with the normalized input'
+        : '<span class="tokenizer-error">✗ Differs from the normalized input - &lt;unk&gt; tokens lost information</span>'}
+        </div>
+    `;
+}
+
+function renderTokenSummary(result, unitLabel) {
+    return `
+        <div class="bpe-summary">
+            <strong>${result.finalTokens.length}</strong> final tokens from
+            <strong>${result.input.length}</strong> ${unitLabel}
+        </div>
+    `;
+}
+
+function renderWordPieceVisualization(result) {
+    const container = document.getElementById('bpe-visualization');
+    if (!container) return;
+
+    const wordsHTML = result.words.map((word) => `
+        <div class="bpe-step ${word.unknown ? '' : 'final'}">
+            <div class="step-header">
+                <span class="step-number">"${escapeHTML(word.word)}"</span>
+                ${word.unknown ? '<span class="step-freq">no match → [UNK]</span>' : ''}
+            </div>
+            ${word.steps.map((step) => `
+                <div class="wordpiece-step">
+                    <span class="wordpiece-remaining">${escapeHTML(step.remaining)}</span>
+                    <span class="wordpiece-tried">
+                        ${step.tried.map((candidate) => `
+                            <span class="${candidate === step.match ? 'bpe-token merged' : 'wordpiece-miss'}">${escapeHTML(candidate)}</span>
+                        `).join('')}
+                    </span>
+                </div>
+            `).join('')}
+            <div class="step-tokens">
+                ${word.pieces.map((piece) => `<span class="bpe-token">${escapeHTML(piece)}</span>`).join('<span class="token-separator">+</span>')}
+            </div>
+        </div>
+    `).join('<div class="step-arrow">·</div>');
+
+    container.innerHTML = `
+        <div class="bpe-steps">${wordsHTML}</div>
+        <p class="bpe-note">Each row tries the longest remaining piece first, shrinking until a vocabulary entry matches.</p>
+        ${renderTokenSummary(result, 'characters')}
+    `;
+}
+
+function renderUnigramVisualization(result) {
+    const container = document.getElementById('bpe-visualization');
+    if (!container) return;
+
+    const wordsHTML = result.words.map((word) => `
+        <div class="bpe-step final">
+            <div class="step-header">
+                <span class="step-number">"${escapeHTML(word.word)}"</span>
+                <span class="step-freq">best log p: ${word.score.toFixed(1)}</span>
+            </div>
+            <div class="unigram-lattice" style="grid-template-columns: repeat(${word.chars.length}, minmax(28px, 1fr))">
+                ${word.chars.map((char, index) => `
+                    <span class="unigram-char" style="grid-column: ${index + 1}">${escapeHTML(char)}</span>
+                `).join('')}
+                ${word.edges.map((edge) => `
+                    <span class="unigram-edge ${edge.onBestPath ? 'best' : ''} ${edge.unknown ? 'unknown' : ''}"
+                          style="grid-column: ${edge.start + 1} / ${edge.end + 1}"
+                          title="${escapeHTML(edge.piece)}: log p = ${edge.score.toFixed(1)}">
+                        ${escapeHTML(edge.piece)} <small>${edge.score.toFixed(1)}</small>
+                    </span>
+                `).join('')}
+            </div>
+            <div class="step-tokens">
+                ${word.path.map((edge) => `<span class="bpe-token">${escapeHTML(edge.piece)}</span>`).join('<span class="token-separator">+</span>')}
+            </div>
+        </div>
+    `).join('<div class="step-arrow">·</div>');
+
+    container.innerHTML = `
+        <div class="bpe-steps">${wordsHTML}</div>
+        <p class="bpe-note">Every bar is a vocabulary piece that fits the text. Viterbi picks the path with the highest total log-probability (highlighted).</p>
+        ${renderTokenSummary(result, 'characters')}
+    `;
+}
+
 function setupGlossary() {
     const container = document.getElementById('glossary-list');
     const searchInput = document.getElementById('glossary-search');
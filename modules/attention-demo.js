@@ -3,113 +3,133 @@
  * Interactive demo showing how self-attention works
  */
 
-import { tokenize, getEmbeddings, getEmbedDim } from './tokenizer.js';
+import { tokenize, getEmbedding, getVocabSize, idToToken } from './tokenizer.js';
+import { POSITIONAL_SCHEMES, MAX_LEARNED_POSITIONS, getPositionVector, applyRope, ropeRotationPairs, alibiSlopes, alibiBias } from './positional-encoding.js';
+import { renderSourceText, linkTokenHighlights } from './token-spans.js';
+import {
+    ATTENTION_MODES,
+    getActiveAttentionMode,
+    setActiveAttentionMode,
+    getKVHeadCount,
+    kvHeadForQueryHead,
+    kvHeadGroups,
+    kvMemoryStats
+} from './attention-modes.js';
+import { ATTENTION_MASKS, buildAttentionMask, defaultMaskOptions, maskStats } from './attention-masks.js';
+import {
+    NORM_TYPES,
+    NORM_PLACEMENTS,
+    getActiveNormalization,
+    setActiveNormalization,
+    residualStreamStats
+} from './normalization.js';
+import { DEFAULT_MODEL_CONFIG, resolveModelConfig, getModelConfig } from './model-config.js';
+import { HEAD_METRICS, headPatternMetrics, dominantPattern } from './attention-patterns.js';
+import { ffnHidden } from './ffn-variants.js';
+import { logitLens, residualStreamNorms } from './logit-lens.js';
+import { residualAttention, attentionRollout, attentionFlow, toShares } from './attention-rollout.js';
+import { ModelRunner, runToCompletion, isCancelled, onLiveInput, setModelProgress } from './model-runner.js';
 import {
-    softmax,
-    matmul,
-    transpose,
     randomMatrix,
-    applyCausalMask,
-    layerNorm,
     vadd,
-    geluVec,
-    matvec
+    dot,
+    scale as scaleVector,
+    toMatrix,
+    toArrays,
+    transposeMatrix,
+    matmulT,
+    fusedAttention,
+    addMatrices,
+    normalizeRows,
+    concatColumns
 } from './math-utils.js';
 
-// Model configuration (toy size)
+// Demo limits (the model size comes from the shared config in model-config.js)
 const CONFIG = {
-    numLayers: 3,
-    numHeads: 4,
-    embedDim: 64,
-    headDim: 16, // embedDim / numHeads
-    ffnDim: 256  // 4x expansion
+    // Longest prompt: one token per row of the learned position table
+    maxTokens: MAX_LEARNED_POSITIONS
 };
 
-// Pre-computed weight matrices (seeded for consistency)
+// Weight matrices (seeded for consistency) for the last model config run, stored transposed for matmulT
 let weights = null;
 
 /**
- * Initialize weight matrices
+ * Get the weight matrices of a model config, rebuilding them when it changes
+ * @param {Object} config - Resolved model config (see resolveModelConfig)
+ * @returns {{key: string, layers: Object[]}} Per-layer attention and FFN weights
  */
-function initWeights() {
-    if (weights) return;
+function getWeights(config) {
+    const key = JSON.stringify(config);
+    if (weights && weights.key === key) return weights;
+
+    const transposed = (rows, cols, seed) => transposeMatrix(toMatrix(randomMatrix(rows, cols, seed)));
 
     weights = {
+        key,
         layers: []
     };
 
-    for (let l = 0; l < CONFIG.numLayers; l++) {
+    for (let l = 0; l < config.numLayers; l++) {
         const layer = {
             attention: {
-                Wq: [],
-                Wk: [],
-                Wv: [],
-                Wo: randomMatrix(CONFIG.embedDim, CONFIG.embedDim, l * 1000 + 400)
+                WqT: [],
+                WkT: [],
+                WvT: [],
+                WoT: transposed(config.embedDim, config.embedDim, l * 1000 + 400)
             },
             ffn: {
-                W1: randomMatrix(CONFIG.embedDim, CONFIG.ffnDim, l * 1000 + 500),
-                W2: randomMatrix(CONFIG.ffnDim, CONFIG.embedDim, l * 1000 + 600)
+                W1T: transposed(config.embedDim, config.ffnDim, l * 1000 + 500),
+                W2T: transposed(config.ffnDim, config.embedDim, l * 1000 + 600),
+                // Gate projection for the GLU variants in the FFN demo
+                WgT: transposed(config.embedDim, config.ffnDim, l * 1000 + 700)
             }
         };
 
-        // Create head-specific projections
-        for (let h = 0; h < CONFIG.numHeads; h++) {
-            layer.attention.Wq.push(randomMatrix(CONFIG.embedDim, CONFIG.headDim, l * 1000 + h * 100 + 1));
-            layer.attention.Wk.push(randomMatrix(CONFIG.embedDim, CONFIG.headDim, l * 1000 + h * 100 + 2));
-            layer.attention.Wv.push(randomMatrix(CONFIG.embedDim, CONFIG.headDim, l * 1000 + h * 100 + 3));
+        // Create head-specific projections (GQA/MQA read only the first K/V heads)
+        for (let h = 0; h < config.numHeads; h++) {
+            layer.attention.WqT.push(transposed(config.embedDim, config.headDim, l * 1000 + h * 100 + 1));
+            layer.attention.WkT.push(transposed(config.embedDim, config.headDim, l * 1000 + h * 100 + 2));
+            layer.attention.WvT.push(transposed(config.embedDim, config.headDim, l * 1000 + h * 100 + 3));
         }
 
         weights.layers.push(layer);
     }
+    return weights;
+}
+
+/**
+ * Rotate every row of a Q or K matrix by its position
+ */
+function ropeRows(M) {
+    return toMatrix(toArrays(M).map((row, pos) => applyRope(row, pos)));
 }
 
 /**
  * Compute attention for one head
+ * RoPE rotates Q and K by position; ALiBi adds a distance penalty to the scores.
+ * Entries outside the mask are never computed and score -Infinity.
  */
-function computeHeadAttention(embeddings, Wq, Wk, Wv) {
-    const seqLen = embeddings.length;
+function computeHeadAttention(embeddings, WqT, WkT, WvT, { positional = 'sinusoidal', alibiSlope = 0, mask } = {}) {
+    const allowed = mask || buildAttentionMask('causal', embeddings.rows);
 
     // Project to Q, K, V
-    const Q = embeddings.map(e => matvec(transpose(Wq), e));
-    const K = embeddings.map(e => matvec(transpose(Wk), e));
-    const V = embeddings.map(e => matvec(transpose(Wv), e));
-
-    // Compute attention scores: Q @ K^T / sqrt(d_k)
-    const scale = Math.sqrt(CONFIG.headDim);
-    const scores = [];
-
-    for (let i = 0; i < seqLen; i++) {
-        const row = [];
-        for (let j = 0; j < seqLen; j++) {
-            let score = 0;
-            for (let k = 0; k < CONFIG.headDim; k++) {
-                score += Q[i][k] * K[j][k];
-            }
-            row.push(score / scale);
-        }
-        scores.push(row);
-    }
+    const rawQ = matmulT(embeddings, WqT);
+    const rawK = matmulT(embeddings, WkT);
+    const V = matmulT(embeddings, WvT);
 
-    // Apply causal mask
-    const maskedScores = applyCausalMask(scores);
+    const Q = positional === 'rope' ? ropeRows(rawQ) : rawQ;
+    const K = positional === 'rope' ? ropeRows(rawK) : rawK;
 
-    // Softmax per row
-    const attentionWeights = maskedScores.map(row => softmax(row));
-
-    // Apply attention to values: weights @ V
-    const output = [];
-    for (let i = 0; i < seqLen; i++) {
-        const out = new Array(CONFIG.headDim).fill(0);
-        for (let j = 0; j < seqLen; j++) {
-            for (let k = 0; k < CONFIG.headDim; k++) {
-                out[k] += attentionWeights[i][j] * V[j][k];
-            }
-        }
-        output.push(out);
-    }
+    // Scores, mask, softmax and weights @ V in one pass
+    const { scores, weights: attentionWeights, output } = fusedAttention(Q, K, V, {
+        mask: allowed,
+        bias: positional === 'alibi' ? (i, j) => alibiBias(i, j, alibiSlope) : null
+    });
 
     return {
         Q, K, V,
+        // Keep the unrotated projections so the rotation can be visualized
+        preRotation: { Q: rawQ, K: rawK },
         scores,
         weights: attentionWeights,
         output
@@ -117,113 +137,272 @@ function computeHeadAttention(embeddings, Wq, Wk, Wv) {
 }
 
 /**
- * Run multi-head attention for one layer
+ * Unpack a head's matrices into the nested arrays the visualizations read
  */
-function runMultiHeadAttention(embeddings, layerIdx) {
-    initWeights();
-    const layer = weights.layers[layerIdx];
+function headResultArrays({ Q, K, V, preRotation, scores, weights: attentionWeights, output, kvHead }) {
+    return {
+        Q: toArrays(Q),
+        K: toArrays(K),
+        V: toArrays(V),
+        preRotation: { Q: toArrays(preRotation.Q), K: toArrays(preRotation.K) },
+        scores: toArrays(scores),
+        weights: toArrays(attentionWeights),
+        output: toArrays(output),
+        kvHead
+    };
+}
 
-    const headResults = [];
-    for (let h = 0; h < CONFIG.numHeads; h++) {
-        headResults.push(computeHeadAttention(
-            embeddings,
-            layer.attention.Wq[h],
-            layer.attention.Wk[h],
-            layer.attention.Wv[h]
-        ));
-    }
-
-    // Concatenate head outputs
-    const seqLen = embeddings.length;
-    const concatenated = [];
-    for (let i = 0; i < seqLen; i++) {
-        const concat = [];
-        for (let h = 0; h < CONFIG.numHeads; h++) {
-            concat.push(...headResults[h].output[i]);
-        }
-        concatenated.push(concat);
+/**
+ * Run multi-head attention for one layer
+ * In GQA/MQA, query heads in the same group share one K/V projection.
+ * @param {Matrix} embeddings - Sublayer input (seq_len x embed_dim)
+ */
+function runMultiHeadAttention(embeddings, layerIdx, { positional, attentionMode, mask, config }) {
+    const layer = getWeights(config).layers[layerIdx];
+    const slopes = alibiSlopes(config.numHeads);
+    const kvHeads = getKVHeadCount(attentionMode, config.numHeads);
+
+    const heads = [];
+    for (let h = 0; h < config.numHeads; h++) {
+        const kvHead = kvHeadForQueryHead(h, config.numHeads, kvHeads);
+        heads.push({
+            ...computeHeadAttention(
+                embeddings,
+                layer.attention.WqT[h],
+                layer.attention.WkT[kvHead],
+                layer.attention.WvT[kvHead],
+                { positional, alibiSlope: slopes[h], mask }
+            ),
+            kvHead
+        });
     }
 
-    // Project with Wo
-    const attentionOutput = concatenated.map(c => matvec(transpose(layer.attention.Wo), c));
-
-    // Residual + LayerNorm
-    const afterAttention = embeddings.map((e, i) => layerNorm(vadd(e, attentionOutput[i])));
-
+    // Concatenate head outputs and project with Wo
     return {
-        headResults,
-        attentionOutput,
-        afterAttention
+        headResults: heads.map(headResultArrays),
+        output: matmulT(concatColumns(heads.map(head => head.output)), layer.attention.WoT)
     };
 }
 
 /**
  * Run feed-forward network for one layer
+ * @param {Matrix} embeddings - Sublayer input (seq_len x embed_dim)
  */
-function runFFN(embeddings, layerIdx) {
-    initWeights();
-    const layer = weights.layers[layerIdx];
-
-    const ffnOutput = embeddings.map(e => {
-        // First linear + GELU
-        const hidden = geluVec(matvec(transpose(layer.ffn.W1), e));
-        // Second linear
-        return matvec(transpose(layer.ffn.W2), hidden);
-    });
-
-    // Residual + LayerNorm
-    const afterFFN = embeddings.map((e, i) => layerNorm(vadd(e, ffnOutput[i])));
+function runFFN(embeddings, layerIdx, config) {
+    const layer = getWeights(config).layers[layerIdx];
 
+    // First linear with GELU fused in, then second linear
+    const hidden = ffnHidden(embeddings, layer.ffn, 'gelu');
     return {
-        ffnOutput,
-        afterFFN
+        output: matmulT(hidden, layer.ffn.W2T)
     };
 }
 
 /**
- * Run full forward pass and collect attention data
+ * Wrap a sublayer in its residual connection and normalization
+ * Post-norm normalizes the sum; pre-norm normalizes the sublayer's input
+ * and leaves the residual stream unscaled.
+ * @param {Matrix} residual - Residual stream (seq_len x embed_dim)
+ * @param {function} sublayer - Maps its input Matrix to {output, ...}
+ * @param {Object} options - Normalization (keys of NORM_TYPES and NORM_PLACEMENTS)
+ * @returns {{input: Matrix, result: Object, residual: Matrix}} Sublayer input, its result and the updated stream
  */
-export function runAttentionDemo(text) {
-    initWeights();
-
-    // Tokenize
-    const tokens = tokenize(text).slice(0, 10); // Max 10 tokens
-    if (tokens.length === 0) {
-        return null;
+function residualSublayer(residual, sublayer, { norm, normPlacement }) {
+    const rms = NORM_TYPES[norm].rms;
+    if (normPlacement === 'pre') {
+        const input = normalizeRows(residual, { rms });
+        const result = sublayer(input);
+        return { input, result, residual: addMatrices(residual, result.output) };
     }
 
-    // Get embeddings with positional encoding
-    let embeddings = getEmbeddings(tokens);
+    const result = sublayer(residual);
+    return { input: residual, result, residual: normalizeRows(addMatrices(residual, result.output), { rms }) };
+}
+
+/**
+ * FFN hidden activations of one layer under any variant
+ * @param {Matrix} input - FFN input of the layer (see layerResults[l].ffn.input)
+ * @param {number} layerIdx - Layer index
+ * @param {string} variant - Key of FFN_VARIANTS
+ * @param {Object} config - Model config of the forward pass (see result.config)
+ * @returns {Matrix} Hidden activations (seq_len x ffn_dim)
+ */
+export function ffnActivations(input, layerIdx, variant, config) {
+    return ffnHidden(input, getWeights(config).layers[layerIdx].ffn, variant);
+}
 
-    // Store results for all layers
+/**
+ * Full forward pass as a generator that yields after each layer
+ * Used by the model worker, which checks for cancellation between layers.
+ * @param {string} text - Input text
+ * @param {Array<{text: string, id: number}>} tokens - Tokens of the text (non-empty)
+ * @param {Object} options - Forward pass options
+ * @param {string} options.positional - Key of POSITIONAL_SCHEMES, or 'none' for no position signal
+ * @param {string} options.attentionMode - Key of ATTENTION_MODES
+ * @param {string} options.mask - Key of ATTENTION_MASKS
+ * @param {Object} options.maskOptions - Mask parameter (window, blockSize or prefixLength)
+ * @param {string} options.norm - Key of NORM_TYPES
+ * @param {string} options.normPlacement - Key of NORM_PLACEMENTS
+ * @param {Object} options.modelConfig - Model size (see MODEL_CONFIG_OPTIONS)
+ * @param {boolean} options.logitLens - Also decode the residual stream after every layer (tied embeddings)
+ * @param {number} options.vocabSize - Token ids the lens scores (all of the active tokenizer's)
+ * @param {boolean} options.rollout - Also compute attention rollout and flow to the last position
+ * @yields {{done: number, total: number, label: string}} Progress after each layer (and after the lens and flow)
+ * @returns {Object} Same result as runAttentionDemo()
+ */
+export function* attentionForwardSteps(text, tokens, {
+    positional = 'sinusoidal',
+    attentionMode = 'mha',
+    mask = 'causal',
+    maskOptions = {},
+    norm = 'layernorm',
+    normPlacement = 'post',
+    modelConfig = DEFAULT_MODEL_CONFIG,
+    logitLens: withLens = false,
+    vocabSize = getVocabSize(),
+    rollout = false
+} = {}) {
+    const config = resolveModelConfig(modelConfig);
+
+    const maskMatrix = buildAttentionMask(mask, tokens.length, maskOptions);
+
+    // Token embeddings plus any additive positional encoding
+    let embeddings = toMatrix(tokens.map((token, pos) =>
+        vadd(getEmbedding(token.id, config.embedDim), getPositionVector(positional, pos, config.embedDim))
+    ));
+
+    // Pre-norm models apply one final norm before the output projection, so the lens does too
+    const normOptions = { norm, normPlacement };
+    const lensInput = residual => (normPlacement === 'pre' ? normalizeRows(residual, { rms: NORM_TYPES[norm].rms }) : residual);
+
+    // Store results for all layers, and the residual stream between them for the lens
     const layerResults = [];
+    const residuals = [{ label: 'Embedding', residual: lensInput(embeddings) }];
+    const totalSteps = config.numLayers + (withLens ? 1 : 0) + (rollout ? 1 : 0);
+    let step = 0;
 
-    for (let l = 0; l < CONFIG.numLayers; l++) {
+    for (let l = 0; l < config.numLayers; l++) {
         // Run attention
-        const attentionResult = runMultiHeadAttention(embeddings, l);
+        const attention = residualSublayer(
+            embeddings,
+            input => runMultiHeadAttention(input, l, { positional, attentionMode, mask: maskMatrix, config }),
+            normOptions
+        );
 
         // Run FFN
-        const ffnResult = runFFN(attentionResult.afterAttention, l);
+        const ffn = residualSublayer(attention.residual, input => runFFN(input, l, config), normOptions);
 
         layerResults.push({
             layer: l,
-            inputEmbeddings: embeddings,
-            attention: attentionResult,
-            ffn: ffnResult,
-            outputEmbeddings: ffnResult.afterFFN
+            inputEmbeddings: toArrays(embeddings),
+            attention: {
+                headResults: attention.result.headResults,
+                attentionOutput: toArrays(attention.result.output),
+                afterAttention: toArrays(attention.residual)
+            },
+            ffn: {
+                input: toArrays(ffn.input),
+                ffnOutput: toArrays(ffn.result.output),
+                afterFFN: toArrays(ffn.residual)
+            },
+            outputEmbeddings: toArrays(ffn.residual)
         });
 
         // Update embeddings for next layer
-        embeddings = ffnResult.afterFFN;
+        embeddings = ffn.residual;
+        residuals.push({ label: `Layer ${l + 1}`, residual: lensInput(embeddings) });
+
+        yield { done: ++step, total: totalSteps, label: `Layer ${l + 1} of ${config.numLayers}` };
+    }
+
+    // The last layer's lens is the model's actual output
+    let lensResult = null;
+    if (withLens) {
+        lensResult = {
+            stages: logitLens(residuals, vocabSize),
+            norms: residualStreamNorms(layerResults)
+        };
+        yield { done: ++step, total: totalSteps, label: 'Logit lens' };
+    }
+
+    // Flow is the slow part, so it is its own cancellable step
+    let rolloutResult = null;
+    if (rollout) {
+        rolloutResult = computeRollout(layerResults, tokens.length - 1);
+        yield { done: ++step, total: totalSteps, label: 'Attention flow' };
     }
 
     return {
+        text,
         tokens,
-        config: CONFIG,
-        layerResults
+        positional,
+        attentionMode,
+        kvHeads: getKVHeadCount(attentionMode, config.numHeads),
+        mask,
+        maskOptions: { ...defaultMaskOptions(mask), ...maskOptions },
+        maskMatrix,
+        maskStats: maskStats(maskMatrix),
+        norm,
+        normPlacement,
+        config,
+        layerResults,
+        logitLens: lensResult,
+        rollout: rolloutResult
     };
 }
 
+/**
+ * Attention rollout per layer and attention flow into one position
+ * @param {Object[]} layerResults - Per-layer results of the forward pass
+ * @param {number} target - Output position the flow is measured into
+ * @returns {{layers: number[][][], flow: number[], target: number}} Rollout after each layer and flow per input token
+ */
+function computeRollout(layerResults, target) {
+    const adjusted = layerResults.map(layer => residualAttention(layer.attention.headResults.map(h => h.weights)));
+    return {
+        layers: attentionRollout(adjusted),
+        flow: attentionFlow(adjusted, target),
+        target
+    };
+}
+
+/**
+ * Run full forward pass and collect attention data
+ * @param {string} text - Input text
+ * @param {Object} options - Forward pass options (see attentionForwardSteps)
+ * @param {string} options.attentionMode - Key of ATTENTION_MODES (defaults to the shared active mode)
+ * @returns {Object|null} Tokens, mask and per-layer results, or null for empty input
+ */
+export function runAttentionDemo(text, options = {}) {
+    const request = attentionRequest(text, options);
+    return request ? runToCompletion(attentionForwardSteps(request.text, request.tokens, request.options)) : null;
+}
+
+/**
+ * Build the payload of an 'attention' model task
+ * Tokenizes and resolves the shared attention mode, normalization, model
+ * config and vocabulary size on the main thread, since the worker has its
+ * own copy of that state (and no loaded tokenizer).
+ * Input is capped at CONFIG.maxTokens tokens.
+ * @param {string} text - Input text
+ * @param {Object} options - Forward pass options (see attentionForwardSteps)
+ * @returns {{text: string, tokens: Array, options: Object}|null} Payload, or null for empty input
+ */
+export function attentionRequest(text, {
+    attentionMode = getActiveAttentionMode(),
+    norm = getActiveNormalization().norm,
+    normPlacement = getActiveNormalization().placement,
+    modelConfig = getModelConfig(),
+    vocabSize = getVocabSize(),
+    ...options
+} = {}) {
+    const tokens = tokenize(text).slice(0, CONFIG.maxTokens);
+    if (tokens.length === 0) {
+        return null;
+    }
+    return { text, tokens, options: { ...options, attentionMode, norm, normPlacement, modelConfig, vocabSize } };
+}
+
 /**
  * Get attention weights for a specific layer and head
  */
@@ -240,6 +419,51 @@ export function getAllHeadWeights(result, layerIdx) {
     return result.layerResults[layerIdx].attention.headResults.map(h => h.weights);
 }
 
+/**
+ * Break one query's attention into its intermediate steps
+ * @param {Object} result - Result of runAttentionDemo()
+ * @param {number} layerIdx - Layer index
+ * @param {number} headIdx - Head index
+ * @param {number} queryIdx - Query token position
+ * @returns {Object|null} Q vector, one entry per key (dot, scaled, bias, weight, weighted V) and the output
+ */
+export function inspectAttentionQuery(result, layerIdx, headIdx, queryIdx) {
+    if (!result || !result.layerResults[layerIdx]) return null;
+
+    const head = result.layerResults[layerIdx].attention.headResults[headIdx];
+    const scale = Math.sqrt(result.config.headDim);
+    const q = head.Q[queryIdx];
+
+    const keys = head.K.map((k, j) => {
+        const masked = !result.maskMatrix[queryIdx][j];
+        const rawDot = dot(q, k);
+        const weight = head.weights[queryIdx][j];
+        return {
+            index: j,
+            token: result.tokens[j].text,
+            k,
+            v: head.V[j],
+            masked,
+            dot: masked ? null : rawDot,
+            scaled: masked ? null : rawDot / scale,
+            // Anything left in the score beyond q·k/√d is a positional bias (ALiBi)
+            bias: masked ? null : head.scores[queryIdx][j] - rawDot / scale,
+            score: head.scores[queryIdx][j],
+            weight,
+            weightedV: scaleVector(head.V[j], weight)
+        };
+    });
+
+    return {
+        query: queryIdx,
+        token: result.tokens[queryIdx].text,
+        q,
+        scale,
+        keys,
+        output: head.output[queryIdx]
+    };
+}
+
 /**
  * Attention Demo UI Controller
  */
@@ -247,15 +471,30 @@ export class AttentionDemoUI {
     constructor(containerId) {
         this.container = document.getElementById(containerId);
         this.result = null;
+        this.baselineResult = null;
+        this.queryIndex = null;
+        this.lensPosition = null;
         this.currentLayer = 0;
         this.currentHead = 0;
+        this.positional = 'sinusoidal';
+        this.mask = 'causal';
+        this.maskOptions = {};
+        this.rolloutLayer = 0;
+        this.config = null;
         this.animating = false;
+        this.runner = new ModelRunner();
     }
 
     /**
      * Initialize the demo UI
      */
     init() {
+        // Sized from the shared model config, which may have changed since the last run
+        this.config = getModelConfig();
+        this.currentLayer = Math.min(this.currentLayer, this.config.numLayers - 1);
+        this.currentHead = Math.min(this.currentHead, this.config.numHeads - 1);
+        this.rolloutLayer = this.config.numLayers - 1;
+
         this.container.innerHTML = `
             <div class="demo-content">
                 <div class="demo-header">
@@ -267,14 +506,19 @@ export class AttentionDemoUI {
                 </div>
 
                 <div class="demo-input-section">
-                    <label for="attention-input">Enter text (max 10 tokens):</label>
+                    <label for="attention-input">Enter text (max ${CONFIG.maxTokens} tokens):</label>
                     <div class="input-row">
                         <input type="text" id="attention-input"
                                value="The cat sat on the mat"
                                placeholder="Enter some text..."
-                               maxlength="100">
+                               maxlength="1000">
                         <button id="attention-run-btn" class="primary-btn">Run</button>
                     </div>
+                    <div class="model-progress hidden" id="attention-progress" role="status">
+                        <span class="model-progress-track"><span class="model-progress-fill"></span></span>
+                        <span class="model-progress-label"></span>
+                    </div>
+                    <div class="token-source" id="attention-source"></div>
                 </div>
 
                 <div class="demo-controls">
@@ -286,9 +530,54 @@ export class AttentionDemoUI {
                         <label>Head:</label>
                         <div class="head-buttons" id="head-buttons"></div>
                     </div>
+                    <div class="control-group">
+                        <label for="attention-mode">Attention:</label>
+                        <select id="attention-mode" class="demo-select">
+                            ${Object.entries(ATTENTION_MODES).map(([key, mode]) => `
+                                <option value="${key}" ${key === getActiveAttentionMode() ? 'selected' : ''}>${mode.label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="control-group">
+                        <label for="attention-positional">Position:</label>
+                        <select id="attention-positional" class="demo-select">
+                            ${Object.entries(POSITIONAL_SCHEMES).map(([key, scheme]) => `
+                                <option value="${key}" ${key === this.positional ? 'selected' : ''}>${scheme.label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="control-group">
+                        <label for="attention-mask">Mask:</label>
+                        <select id="attention-mask" class="demo-select">
+                            ${Object.entries(ATTENTION_MASKS).map(([key, mask]) => `
+                                <option value="${key}" ${key === this.mask ? 'selected' : ''}>${mask.label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="control-group">
+                        <label for="attention-norm">Norm:</label>
+                        <select id="attention-norm" class="demo-select">
+                            ${Object.entries(NORM_TYPES).map(([key, norm]) => `
+                                <option value="${key}" ${key === getActiveNormalization().norm ? 'selected' : ''}>${norm.label}</option>
+                            `).join('')}
+                        </select>
+                        <select id="attention-norm-placement" class="demo-select" aria-label="Norm placement">
+                            ${Object.entries(NORM_PLACEMENTS).map(([key, placement]) => `
+                                <option value="${key}" ${key === getActiveNormalization().placement ? 'selected' : ''}>${placement.label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="control-group mask-param hidden" id="mask-param-group">
+                        <label for="attention-mask-param" id="mask-param-label">Window:</label>
+                        <input type="number" id="attention-mask-param" class="mask-param-input" min="0" max="${CONFIG.maxTokens}" value="3">
+                    </div>
                     <button id="animate-btn" class="secondary-btn">Animate Flow</button>
                 </div>
 
+                <div class="mask-stats" id="mask-stats"></div>
+
+                <div class="kv-sharing" id="kv-sharing"></div>
+
                 <div class="visualization-area">
                     <div class="tokens-display" id="tokens-display"></div>
                     <div class="attention-viz" id="attention-viz">
@@ -298,6 +587,102 @@ export class AttentionDemoUI {
                         <h4>Attention Heatmap</h4>
                         <div id="heatmap"></div>
                     </div>
+                    <div class="heatmap-container rope-panel hidden" id="rope-panel">
+                        <h4>RoPE Rotation Pairs</h4>
+                        <div class="control-group">
+                            <label for="rope-query">Query token:</label>
+                            <select id="rope-query" class="demo-select"></select>
+                        </div>
+                        <svg id="rope-pairs"></svg>
+                        <p class="rope-caption" id="rope-caption"></p>
+                        <div class="rope-comparison">
+                            <div>
+                                <h5>With RoPE</h5>
+                                <div id="rope-heatmap-with"></div>
+                            </div>
+                            <div>
+                                <h5>Without RoPE (no position signal)</h5>
+                                <div id="rope-heatmap-without"></div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="heatmap-container head-grid-panel hidden" id="head-grid-panel">
+                    <h4>All Layers × Heads</h4>
+                    <p class="hint">Every head's heatmap side by side, one row per layer. Click a head to focus it above.</p>
+                    <div class="head-grid" id="head-grid" style="--head-columns: ${this.config.numHeads}"></div>
+                </div>
+
+                <div class="heatmap-container attention-inspector hidden" id="attention-inspector">
+                    <h4>Attention Math for One Query</h4>
+                    <div class="control-group">
+                        <label for="inspect-query">Query token:</label>
+                        <select id="inspect-query" class="demo-select"></select>
+                    </div>
+                    <div id="inspector-steps"></div>
+                </div>
+
+                <div class="heatmap-container rollout-panel hidden" id="rollout-panel">
+                    <h4>Information Flow Across Layers</h4>
+                    <p class="hint">
+                        Each layer's heads are averaged and mixed 50/50 with the residual stream (0.5·A + 0.5·I).
+                        Rollout multiplies these matrices; flow treats them as pipe capacities and measures how much
+                        can travel from each input token to the last position.
+                    </p>
+                    <div class="control-group">
+                        <label for="rollout-layer">Rollout through:</label>
+                        <select id="rollout-layer" class="demo-select">
+                            ${Array.from({ length: this.config.numLayers }, (_, l) => `
+                                <option value="${l}" ${l === this.rolloutLayer ? 'selected' : ''}>${l === 0 ? 'Layer 1' : `Layers 1–${l + 1}`}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="rollout-comparison">
+                        <div id="rollout-heatmap"></div>
+                        <div>
+                            <h5 id="rollout-target"></h5>
+                            <div class="rollout-legend">
+                                <span class="legend-item"><span class="legend-swatch rollout"></span> Rollout</span>
+                                <span class="legend-item"><span class="legend-swatch flow"></span> Flow</span>
+                            </div>
+                            <div class="rollout-bars" id="rollout-bars"></div>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="heatmap-container logit-lens-panel hidden" id="logit-lens-panel">
+                    <h4>Logit Lens</h4>
+                    <p class="hint">
+                        The output projection reuses the input embeddings (tied weights), so the residual stream can be
+                        decoded after any layer: each cell is the top next-token guess if the model stopped there.
+                        Green cells match the actual next token. The weights are random, so the guesses are too.
+                    </p>
+                    <div class="logit-lens-scroll">
+                        <table class="bpe-pair-table logit-lens-table" id="logit-lens-table"></table>
+                    </div>
+                    <div class="logit-lens-detail" id="logit-lens-detail"></div>
+                    <h5>Residual Stream Norms</h5>
+                    <p class="hint" id="residual-norms-hint"></p>
+                    <svg id="residual-norms"></svg>
+                    <div class="norm-legend">
+                        <span><span class="norm-swatch residual"></span>Residual ‖x‖ (selected position)</span>
+                        <span><span class="norm-swatch update"></span>Sublayer write ‖Δx‖</span>
+                        <span><span class="norm-swatch others"></span>Other positions</span>
+                    </div>
+                </div>
+
+                <div class="heatmap-container norm-stats-panel hidden" id="norm-stats-panel">
+                    <h4>Residual Stream Statistics</h4>
+                    <p class="hint" id="norm-stats-description"></p>
+                    <div class="norm-stats-plots">
+                        ${['mean', 'variance', 'max'].map(stat => `
+                            <div>
+                                <h5>${stat === 'max' ? 'Max |x|' : stat[0].toUpperCase() + stat.slice(1)}</h5>
+                                <svg id="norm-stat-${stat}"></svg>
+                            </div>
+                        `).join('')}
+                    </div>
                 </div>
 
                 <div class="demo-explanation" id="demo-explanation">
@@ -308,6 +693,7 @@ export class AttentionDemoUI {
 
         this.setupEventListeners();
         this.createLayerHeadButtons();
+        this.updateHeadSharing();
     }
 
     /**
@@ -318,7 +704,7 @@ export class AttentionDemoUI {
         const headContainer = this.container.querySelector('#head-buttons');
 
         // Layer buttons
-        for (let l = 0; l < CONFIG.numLayers; l++) {
+        for (let l = 0; l < this.config.numLayers; l++) {
             const btn = document.createElement('button');
             btn.className = `selector-btn ${l === 0 ? 'active' : ''}`;
             btn.textContent = `${l + 1}`;
@@ -328,7 +714,7 @@ export class AttentionDemoUI {
         }
 
         // Head buttons
-        for (let h = 0; h < CONFIG.numHeads; h++) {
+        for (let h = 0; h < this.config.numHeads; h++) {
             const btn = document.createElement('button');
             btn.className = `selector-btn ${h === 0 ? 'active' : ''}`;
             btn.textContent = `${h + 1}`;
@@ -338,6 +724,88 @@ export class AttentionDemoUI {
         }
     }
 
+    /**
+     * Mark which query heads share K/V and show the savings
+     */
+    updateHeadSharing() {
+        const mode = getActiveAttentionMode();
+        const kvHeads = getKVHeadCount(mode, this.config.numHeads);
+        const groups = kvHeadGroups(this.config.numHeads, kvHeads);
+        const groupName = g => String.fromCharCode(65 + g);
+
+        this.container.querySelectorAll('#head-buttons .selector-btn').forEach((btn, h) => {
+            const g = kvHeadForQueryHead(h, this.config.numHeads, kvHeads);
+            for (let k = 0; k < this.config.numHeads; k++) {
+                btn.classList.toggle(`kv-group-${k}`, k === g);
+            }
+            btn.dataset.kvHead = groupName(g);
+            const others = groups[g].filter(o => o !== h).map(o => o + 1);
+            btn.title = others.length > 0
+                ? `Head ${h + 1} shares K/V head ${groupName(g)} with head${others.length > 1 ? 's' : ''} ${others.join(', ')}`
+                : `Head ${h + 1} has its own K/V head ${groupName(g)}`;
+        });
+
+        const seqLen = this.result ? this.result.tokens.length : CONFIG.maxTokens;
+        const stats = kvMemoryStats(mode, { ...this.config, seqLen, bytesPerValue: 4 });
+        const sharing = groups
+            .map((heads, g) => `<span class="kv-group-chip kv-group-${g}">K/V ${groupName(g)} ← head${heads.length > 1 ? 's' : ''} ${heads.map(h => h + 1).join(', ')}</span>`)
+            .join('');
+
+        this.container.querySelector('#kv-sharing').innerHTML = `
+            <p><strong>${ATTENTION_MODES[mode].name}:</strong> ${ATTENTION_MODES[mode].description}</p>
+            <div class="kv-group-list">${sharing}</div>
+            <div class="metric-grid">
+                <div class="metric-card"><span>K/V heads</span><strong>${stats.kvHeads} of ${this.config.numHeads}</strong></div>
+                <div class="metric-card"><span>Wk + Wv params / layer (MHA ${stats.mha.kvParamsPerLayer.toLocaleString()})</span><strong>${stats.kvParamsPerLayer.toLocaleString()}</strong></div>
+                <div class="metric-card"><span>KV cache, ${seqLen} tokens, fp32 (MHA ${(stats.mha.cacheBytes / 1024).toFixed(1)} KB)</span><strong>${(stats.cacheBytes / 1024).toFixed(1)} KB</strong></div>
+                <div class="metric-card"><span>K/V memory saved vs MHA</span><strong>${(stats.savings * 100).toFixed(0)}%</strong></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the parameter input for masks that have one
+     */
+    updateMaskParam() {
+        const param = ATTENTION_MASKS[this.mask].param;
+        this.container.querySelector('#mask-param-group').classList.toggle('hidden', !param);
+        if (!param) return;
+
+        this.container.querySelector('#mask-param-label').textContent = `${param.label}:`;
+        const input = this.container.querySelector('#attention-mask-param');
+        input.min = param.min;
+        input.value = this.maskOptions[param.key] ?? param.default;
+    }
+
+    /**
+     * Report how many score entries the current mask computes, next to the others
+     */
+    renderMaskStats() {
+        const container = this.container.querySelector('#mask-stats');
+        const n = this.result.tokens.length;
+        const current = this.result.maskStats;
+
+        const rows = Object.entries(ATTENTION_MASKS).map(([key, mask]) => {
+            const options = key === this.mask ? this.maskOptions : {};
+            const stats = key === this.mask ? current : maskStats(buildAttentionMask(key, n, options));
+            return `
+                <tr class="${key === this.mask ? 'chosen' : ''}">
+                    <td>${mask.label}</td>
+                    <td>${stats.computed} / ${stats.total}</td>
+                    <td>${(stats.density * 100).toFixed(0)}%</td>
+                </tr>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <p><strong>${ATTENTION_MASKS[this.mask].label}:</strong> ${ATTENTION_MASKS[this.mask].description}</p>
+            <table class="bpe-pair-table mask-stats-table">
+                <thead><tr><th>Mask</th><th>Scores computed (${n} tokens)</th><th>Of n²</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
     /**
      * Setup event listeners
      */
@@ -345,28 +813,119 @@ export class AttentionDemoUI {
         const runBtn = this.container.querySelector('#attention-run-btn');
         const input = this.container.querySelector('#attention-input');
         const animateBtn = this.container.querySelector('#animate-btn');
+        const positionalSelect = this.container.querySelector('#attention-positional');
+        const ropeQuery = this.container.querySelector('#rope-query');
+        const modeSelect = this.container.querySelector('#attention-mode');
+        const maskSelect = this.container.querySelector('#attention-mask');
+        const maskParam = this.container.querySelector('#attention-mask-param');
 
         runBtn.addEventListener('click', () => this.run());
+        positionalSelect.addEventListener('change', () => {
+            this.positional = positionalSelect.value;
+            if (this.result) this.run();
+        });
+        maskSelect.addEventListener('change', () => {
+            this.mask = maskSelect.value;
+            this.maskOptions = {};
+            this.updateMaskParam();
+            if (this.result) this.run();
+        });
+        maskParam.addEventListener('change', () => {
+            const param = ATTENTION_MASKS[this.mask].param;
+            if (!param) return;
+            const value = Math.max(param.min, Math.round(Number(maskParam.value)) || param.min);
+            maskParam.value = value;
+            this.maskOptions = { [param.key]: value };
+            if (this.result) this.run();
+        });
+        const normSelect = this.container.querySelector('#attention-norm');
+        const placementSelect = this.container.querySelector('#attention-norm-placement');
+        [normSelect, placementSelect].forEach(select => {
+            select.addEventListener('change', () => {
+                setActiveNormalization({ norm: normSelect.value, placement: placementSelect.value });
+                if (this.result) this.run();
+            });
+        });
+        modeSelect.addEventListener('change', () => {
+            setActiveAttentionMode(modeSelect.value);
+            this.updateHeadSharing();
+            if (this.result) this.run();
+        });
+        const rolloutLayer = this.container.querySelector('#rollout-layer');
+        rolloutLayer.addEventListener('change', () => {
+            this.rolloutLayer = Number(rolloutLayer.value);
+            if (this.result) this.renderRollout();
+        });
+        const inspectQuery = this.container.querySelector('#inspect-query');
+        [ropeQuery, inspectQuery].forEach(select => {
+            select.addEventListener('change', () => this.selectQuery(Number(select.value)));
+        });
         input.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.run();
         });
+        onLiveInput(input, () => this.run());
         animateBtn.addEventListener('click', () => this.animateFlow());
     }
 
     /**
-     * Run the attention demo
+     * Run the attention demo in the model worker
+     * A newer run (e.g. the next keystroke) cancels this one.
      */
-    run() {
+    async run() {
         const input = this.container.querySelector('#attention-input');
-        const text = input.value.trim();
+        const request = attentionRequest(input.value.trim(), {
+            positional: this.positional,
+            mask: this.mask,
+            maskOptions: this.maskOptions,
+            logitLens: true,
+            rollout: true
+        });
+
+        if (!request) return;
+
+        const progress = this.container.querySelector('#attention-progress');
+
+        let result;
+        let baselineResult = null;
+        try {
+            result = await this.runner.run('attention', request, {
+                onProgress: step => setModelProgress(progress, step)
+            });
 
-        if (!text) return;
+            // Same input without any position signal, for the RoPE comparison
+            if (this.positional === 'rope') {
+                const baseline = { ...request, options: { ...request.options, positional: 'none', logitLens: false, rollout: false } };
+                baselineResult = await this.runner.run('attention', baseline, {
+                    onProgress: step => setModelProgress(progress, { ...step, label: `${step.label} (without RoPE)` })
+                });
+            }
+        } catch (error) {
+            // A newer run has taken over the progress bar
+            if (isCancelled(error)) return;
+
+            // e.g. the worker failed to start or a forward pass threw
+            setModelProgress(progress, null);
+            this.result = null;
+            const explanation = this.container.querySelector('#demo-explanation');
+            explanation.innerHTML = '<p class="hint"></p>';
+            explanation.querySelector('.hint').textContent = `The forward pass failed: ${error.message}`;
+            return;
+        }
 
-        this.result = runAttentionDemo(text);
-        if (!this.result) return;
+        setModelProgress(progress, null);
+        this.result = result;
+        this.baselineResult = baselineResult;
+        this.queryIndex = result.tokens.length - 1;
+        this.lensPosition = result.tokens.length - 1;
 
+        this.updateHeadSharing();
+        this.renderMaskStats();
         this.renderTokens();
         this.renderVisualization();
+        this.renderHeadGrid();
+        this.renderRollout();
+        this.renderLogitLens();
+        this.renderNormStats();
         this.updateExplanation();
     }
 
@@ -375,18 +934,25 @@ export class AttentionDemoUI {
      */
     renderTokens() {
         const container = this.container.querySelector('#tokens-display');
+        const source = this.container.querySelector('#attention-source');
         container.innerHTML = '';
 
-        this.result.tokens.forEach((token, i) => {
+        const tokenEls = this.result.tokens.map((token, i) => {
             const tokenEl = document.createElement('div');
             tokenEl.className = 'token-box';
             tokenEl.dataset.index = i;
             tokenEl.innerHTML = `
-                <span class="token-text">${token.text}</span>
+                <span class="token-text"></span>
                 <span class="token-pos">${i}</span>
             `;
+            tokenEl.querySelector('.token-text').textContent = token.text;
             container.appendChild(tokenEl);
+            return tokenEl;
         });
+
+        // Hover a token to see its characters; select text to find its tokens
+        renderSourceText(source, this.result.text, this.result.tokens);
+        linkTokenHighlights(source, tokenEls, this.result.tokens);
     }
 
     /**
@@ -398,6 +964,220 @@ export class AttentionDemoUI {
 
         this.renderAttentionArcs(weights);
         this.renderHeatmap(weights);
+        this.renderRopePanel();
+        this.renderInspector();
+        this.updateHeadGridFocus();
+    }
+
+    /**
+     * Draw every layer/head heatmap as a thumbnail annotated with its pattern metrics
+     */
+    renderHeadGrid() {
+        const panel = this.container.querySelector('#head-grid-panel');
+        const grid = this.container.querySelector('#head-grid');
+        panel.classList.remove('hidden');
+        grid.innerHTML = '';
+
+        for (let l = 0; l < this.config.numLayers; l++) {
+            getAllHeadWeights(this.result, l).forEach((weights, h) => {
+                const metrics = headPatternMetrics(weights);
+                const pattern = dominantPattern(metrics);
+
+                const thumb = document.createElement('button');
+                thumb.className = 'head-thumb';
+                thumb.dataset.layer = l;
+                thumb.dataset.head = h;
+                thumb.title = `Focus layer ${l + 1}, head ${h + 1}`;
+                thumb.innerHTML = `
+                    <span class="head-thumb-title">L${l + 1} H${h + 1}
+                        ${pattern ? `<span class="head-thumb-tag">${HEAD_METRICS[pattern].label.toLowerCase()}</span>` : ''}
+                    </span>
+                    <canvas class="head-thumb-map"></canvas>
+                    <span class="head-thumb-metrics">
+                        ${Object.entries(HEAD_METRICS).map(([key, metric]) => `
+                            <span class="${key === pattern ? 'dominant' : ''}" title="${metric.description}">
+                                ${metric.label} <strong>${metric.format(metrics[key])}</strong>
+                            </span>
+                        `).join('')}
+                    </span>
+                `;
+                this.drawHeadThumbnail(thumb.querySelector('canvas'), weights);
+                thumb.addEventListener('click', () => this.focusHead(l, h));
+                grid.appendChild(thumb);
+            });
+        }
+
+        this.updateHeadGridFocus();
+    }
+
+    /**
+     * Paint one pixel per attention weight (masked entries stay dim)
+     */
+    drawHeadThumbnail(canvas, weights) {
+        const n = weights.length;
+        canvas.width = n;
+        canvas.height = n;
+        const context = canvas.getContext('2d');
+        if (!context) return;
+
+        const mask = this.result.maskMatrix;
+        const image = context.createImageData(n, n);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                const offset = (i * n + j) * 4;
+                if (mask[i][j]) {
+                    image.data.set([0, 212, 255, Math.round(weights[i][j] * 255)], offset);
+                } else {
+                    image.data.set([255, 255, 255, 10], offset);
+                }
+            }
+        }
+        context.putImageData(image, 0, 0);
+    }
+
+    /**
+     * Highlight the focused head's thumbnail
+     */
+    updateHeadGridFocus() {
+        this.container.querySelectorAll('#head-grid .head-thumb').forEach(thumb => {
+            thumb.classList.toggle('active',
+                Number(thumb.dataset.layer) === this.currentLayer && Number(thumb.dataset.head) === this.currentHead);
+        });
+    }
+
+    /**
+     * Focus a layer and head picked from the grid
+     */
+    focusHead(layer, head) {
+        this.currentLayer = layer;
+        this.currentHead = head;
+        this.container.querySelectorAll('#layer-buttons .selector-btn').forEach((btn, i) => {
+            btn.classList.toggle('active', i === layer);
+        });
+        this.container.querySelectorAll('#head-buttons .selector-btn').forEach((btn, i) => {
+            btn.classList.toggle('active', i === head);
+        });
+
+        this.renderVisualization();
+        this.updateExplanation();
+    }
+
+    /**
+     * Choose the query token shown in the RoPE panel and the math inspector
+     */
+    selectQuery(index) {
+        this.queryIndex = index;
+        this.renderVisualization();
+    }
+
+    /**
+     * Fill a query-token select with the current tokens
+     */
+    fillQuerySelect(select) {
+        select.innerHTML = '';
+        this.result.tokens.forEach((token, i) => {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = `${i}: ${token.text}`;
+            option.selected = i === this.queryIndex;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Render a vector as a strip of cells with a tooltip per value
+     */
+    renderVectorCells(values, label) {
+        const max = Math.max(...values.map(Math.abs)) || 1;
+        const strip = document.createElement('span');
+        strip.className = 'vector-strip';
+        strip.title = `${label} = [${values.map(v => v.toFixed(3)).join(', ')}]`;
+
+        values.forEach((value, d) => {
+            const cell = document.createElement('span');
+            cell.className = 'vector-cell';
+            const alpha = Math.abs(value) / max;
+            cell.style.backgroundColor = value >= 0 ? `rgba(0, 212, 255, ${alpha})` : `rgba(249, 115, 22, ${alpha})`;
+            cell.title = `${label}[${d}] = ${value.toFixed(4)}`;
+            strip.appendChild(cell);
+        });
+
+        return strip;
+    }
+
+    /**
+     * Show Q, the scaled dot products, the softmax row and the weighted sum of V for one query
+     */
+    renderInspector() {
+        const panel = this.container.querySelector('#attention-inspector');
+        panel.classList.remove('hidden');
+        this.fillQuerySelect(this.container.querySelector('#inspect-query'));
+
+        const steps = this.container.querySelector('#inspector-steps');
+        const inspection = inspectAttentionQuery(this.result, this.currentLayer, this.currentHead, this.queryIndex);
+        const hasBias = this.result.positional === 'alibi';
+        const qLabel = this.result.positional === 'rope' ? 'Q (after RoPE)' : 'Q';
+        const kLabel = this.result.positional === 'rope' ? 'K (after RoPE)' : 'K';
+        const fmt = value => (value === null ? '—' : value.toFixed(3));
+
+        steps.innerHTML = `
+            <div class="inspector-step">
+                <span class="inspector-label">1. ${qLabel} for "<span class="inspector-token"></span>"</span>
+                <span class="inspector-vector" data-vector="q"></span>
+            </div>
+            <div class="inspector-step">
+                <span class="inspector-label">2. Score each key: q·k × 1/√${this.result.config.headDim}${hasBias ? ' + ALiBi bias' : ''} &nbsp; 3. Softmax over the keys the mask allows</span>
+                <table class="bpe-pair-table inspector-table">
+                    <thead>
+                        <tr>
+                            <th>Key</th><th>${kLabel}</th><th>q·k</th><th>÷ √d</th>${hasBias ? '<th>+ bias</th>' : ''}<th>softmax</th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+            <div class="inspector-step">
+                <span class="inspector-label">4. Output = Σ weight × V row</span>
+                <div class="inspector-weighted"></div>
+            </div>
+        `;
+
+        steps.querySelector('.inspector-token').textContent = inspection.token;
+        steps.querySelector('[data-vector="q"]').appendChild(this.renderVectorCells(inspection.q, qLabel));
+
+        const tbody = steps.querySelector('tbody');
+        inspection.keys.forEach(key => {
+            const row = document.createElement('tr');
+            row.classList.toggle('masked', key.masked);
+            row.innerHTML = `
+                <td class="inspector-key"></td>
+                <td class="inspector-k"></td>
+                <td title="q·k = ${fmt(key.dot)}">${fmt(key.dot)}</td>
+                <td title="q·k / ${inspection.scale.toFixed(0)} = ${fmt(key.scaled)}">${fmt(key.scaled)}</td>
+                ${hasBias ? `<td title="ALiBi bias = ${fmt(key.bias)}">${fmt(key.bias)}</td>` : ''}
+                <td title="softmax weight = ${key.weight.toFixed(4)}">
+                    <span class="inspector-weight" style="width: ${key.weight * 100}%"></span>${key.masked ? 'masked' : key.weight.toFixed(3)}
+                </td>
+            `;
+            row.querySelector('.inspector-key').textContent = `${key.index}: ${key.token}`;
+            row.querySelector('.inspector-k').appendChild(this.renderVectorCells(key.k, `${kLabel}[${key.index}]`));
+            tbody.appendChild(row);
+        });
+
+        const weighted = steps.querySelector('.inspector-weighted');
+        inspection.keys.filter(key => !key.masked).forEach(key => {
+            const line = document.createElement('div');
+            line.className = 'inspector-vrow';
+            line.innerHTML = `<span class="inspector-coef">${key.weight.toFixed(3)} × V[${key.index}]</span>`;
+            line.appendChild(this.renderVectorCells(key.weightedV, `${key.weight.toFixed(3)} × V[${key.index}]`));
+            weighted.appendChild(line);
+        });
+
+        const total = document.createElement('div');
+        total.className = 'inspector-vrow inspector-output';
+        total.innerHTML = '<span class="inspector-coef">= output</span>';
+        total.appendChild(this.renderVectorCells(inspection.output, 'output'));
+        weighted.appendChild(total);
     }
 
     /**
@@ -419,16 +1199,16 @@ export class AttentionDemoUI {
             .attr('height', height)
             .attr('viewBox', `0 0 ${width} ${height}`);
 
-        // Draw arcs for attention weights
+        // Draw arcs for attention weights (masked entries have zero weight)
         for (let i = 0; i < n; i++) {
-            for (let j = 0; j <= i; j++) {
+            for (let j = 0; j < n; j++) {
                 const weight = weights[i][j];
                 if (weight < 0.05) continue; // Skip very small weights
 
                 const x1 = startX + j * tokenWidth;
                 const x2 = startX + i * tokenWidth;
                 const midX = (x1 + x2) / 2;
-                const arcHeight = Math.abs(i - j) * 20 + 30;
+                const arcHeight = Math.min(height - 25, Math.abs(i - j) * 20 + 30);
 
                 const path = `M ${x1} ${height - 20} Q ${midX} ${height - arcHeight} ${x2} ${height - 20}`;
 
@@ -437,21 +1217,22 @@ export class AttentionDemoUI {
                     .attr('fill', 'none')
                     .attr('stroke', `rgba(0, 212, 255, ${weight})`)
                     .attr('stroke-width', weight * 4 + 1)
-                    .attr('class', 'attention-arc')
+                    .attr('class', `attention-arc ${j > i ? 'future' : ''}`)
                     .attr('data-from', j)
                     .attr('data-to', i);
             }
         }
 
-        // Token position indicators
+        // Token position indicators (labels only while they fit)
         for (let i = 0; i < n; i++) {
             svg.append('circle')
                 .attr('cx', startX + i * tokenWidth)
                 .attr('cy', height - 20)
-                .attr('r', 6)
+                .attr('r', Math.min(6, tokenWidth / 3))
                 .attr('fill', '#00d4ff')
                 .attr('class', 'token-indicator');
 
+            if (tokenWidth < 24) continue;
             svg.append('text')
                 .attr('x', startX + i * tokenWidth)
                 .attr('y', height - 5)
@@ -464,9 +1245,12 @@ export class AttentionDemoUI {
 
     /**
      * Render attention heatmap
+     * Options: mask (defaults to the run's mask) and selectable (row labels pick the inspected query).
      */
-    renderHeatmap(weights) {
-        const container = this.container.querySelector('#heatmap');
+    renderHeatmap(weights, container = this.container.querySelector('#heatmap'), {
+        mask = this.result.maskMatrix,
+        selectable = true
+    } = {}) {
         container.innerHTML = '';
 
         const n = weights.length;
@@ -474,7 +1258,9 @@ export class AttentionDemoUI {
 
         // Create heatmap grid
         const grid = document.createElement('div');
-        grid.className = 'heatmap-grid';
+        grid.className = 'heatmap-grid mask-overlay';
+        // Long prompts: drop the in-cell numbers, tooltips still show them
+        grid.classList.toggle('dense', n > 16);
         grid.style.gridTemplateColumns = `auto repeat(${n}, 1fr)`;
 
         // Header row (token labels)
@@ -492,6 +1278,12 @@ export class AttentionDemoUI {
             const rowLabel = document.createElement('div');
             rowLabel.className = 'heatmap-label';
             rowLabel.textContent = tokens[i].text.slice(0, 4);
+            if (selectable) {
+                rowLabel.classList.add('selectable');
+                rowLabel.classList.toggle('active', i === this.queryIndex);
+                rowLabel.title = `Inspect the attention math for "${tokens[i].text}"`;
+                rowLabel.addEventListener('click', () => this.selectQuery(i));
+            }
             grid.appendChild(rowLabel);
 
             // Cells
@@ -499,11 +1291,14 @@ export class AttentionDemoUI {
                 const cell = document.createElement('div');
                 cell.className = 'heatmap-cell';
 
-                if (j > i) {
-                    // Masked (future tokens)
+                if (!mask[i][j]) {
+                    // Masked: future tokens, or past tokens a sparse mask skips
                     cell.classList.add('masked');
+                    cell.classList.toggle('sparse', j <= i);
                     cell.textContent = '-';
                 } else {
+                    // Bidirectional masks let a token see later ones
+                    cell.classList.toggle('future', j > i);
                     const weight = weights[i][j];
                     cell.style.backgroundColor = `rgba(0, 212, 255, ${weight})`;
                     cell.title = `${tokens[i].text} → ${tokens[j].text}: ${weight.toFixed(3)}`;
@@ -519,6 +1314,357 @@ export class AttentionDemoUI {
         container.appendChild(grid);
     }
 
+    /**
+     * Show the layer-aggregated rollout and each input token's share of the last position
+     */
+    renderRollout() {
+        const panel = this.container.querySelector('#rollout-panel');
+        const rollout = this.result.rollout;
+        panel.classList.toggle('hidden', !rollout);
+        if (!rollout) return;
+
+        // Rollout spreads past a sparse mask; only unreachable pairs stay masked
+        const weights = rollout.layers[this.rolloutLayer];
+        this.renderHeatmap(weights, this.container.querySelector('#rollout-heatmap'), {
+            mask: weights.map(row => row.map(weight => weight > 0)),
+            selectable: false
+        });
+
+        const tokens = this.result.tokens;
+        const target = tokens[rollout.target].text;
+        const rolloutShares = rollout.layers[this.config.numLayers - 1][rollout.target];
+        const flowShares = toShares(rollout.flow);
+        const max = Math.max(...rolloutShares, ...flowShares) || 1;
+
+        this.container.querySelector('#rollout-target').textContent =
+            `Contribution to "${target}" after ${this.config.numLayers} layers`;
+
+        const bars = this.container.querySelector('#rollout-bars');
+        bars.innerHTML = '';
+        tokens.forEach((token, j) => {
+            const bar = document.createElement('div');
+            bar.className = 'load-bar rollout-bar';
+            bar.innerHTML = `
+                <span class="bar-label"></span>
+                <div class="rollout-tracks">
+                    <div class="bar-track" title="Rollout: ${(rolloutShares[j] * 100).toFixed(1)}%">
+                        <div class="bar-fill rollout" style="width: ${(rolloutShares[j] / max) * 100}%"></div>
+                    </div>
+                    <div class="bar-track" title="Flow: ${(flowShares[j] * 100).toFixed(1)}% (max flow ${rollout.flow[j].toFixed(3)})">
+                        <div class="bar-fill flow" style="width: ${(flowShares[j] / max) * 100}%"></div>
+                    </div>
+                </div>
+                <span class="bar-count">${(rolloutShares[j] * 100).toFixed(0)}% / ${(flowShares[j] * 100).toFixed(0)}%</span>
+            `;
+            bar.querySelector('.bar-label').textContent = `${j}: ${token.text}`;
+            bars.appendChild(bar);
+        });
+    }
+
+    /**
+     * Show the top next-token guess at every layer and position, plus residual norms
+     */
+    renderLogitLens() {
+        const panel = this.container.querySelector('#logit-lens-panel');
+        const lens = this.result.logitLens;
+        panel.classList.toggle('hidden', !lens);
+        if (!lens) return;
+
+        this.container.querySelector('#residual-norms-hint').textContent = this.result.normPlacement === 'pre'
+            ? 'Pre-norm adds every sublayer write to the residual stream unscaled, so its norm grows with depth; ' +
+                'only copies of it are normalized on the way into each sublayer and the output.'
+            : `Each sublayer adds its output to the residual stream and ${NORM_TYPES[this.result.norm].label} rescales the sum, ` +
+                `so every residual comes out at norm √${this.result.config.embedDim}; the writes show how much each block adds.`;
+
+        const tokens = this.result.tokens;
+        const table = this.container.querySelector('#logit-lens-table');
+        table.innerHTML = `
+            <thead><tr><th>Stage</th>${tokens.map((_, i) => `<th data-position="${i}"></th>`).join('')}</tr></thead>
+            <tbody></tbody>
+        `;
+        tokens.forEach((token, i) => {
+            const header = table.querySelector(`th[data-position="${i}"]`);
+            header.textContent = token.text;
+            header.title = `Position ${i}`;
+        });
+
+        const tbody = table.querySelector('tbody');
+        lens.stages.forEach((stage, s) => {
+            const row = document.createElement('tr');
+            const label = document.createElement('th');
+            label.textContent = s === lens.stages.length - 1 ? `${stage.label} (output)` : stage.label;
+            row.appendChild(label);
+
+            stage.predictions.forEach((predictions, i) => {
+                const [top] = predictions;
+                const cell = document.createElement('td');
+                cell.className = 'lens-cell';
+                cell.classList.toggle('match', tokens[i + 1]?.id === top.id);
+                cell.style.backgroundColor = `rgba(0, 212, 255, ${top.prob * 0.8})`;
+                cell.title = predictions.map(p => `${idToToken(p.id)} ${(p.prob * 100).toFixed(1)}%`).join('\n');
+                cell.innerHTML = '<span class="lens-token"></span><span class="lens-prob"></span>';
+                cell.querySelector('.lens-token').textContent = idToToken(top.id);
+                cell.querySelector('.lens-prob').textContent = `${(top.prob * 100).toFixed(0)}%`;
+                cell.addEventListener('click', () => this.selectLensPosition(i));
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+
+        this.renderLensDetail();
+    }
+
+    /**
+     * Choose the position shown in the lens detail and the norm plot
+     */
+    selectLensPosition(index) {
+        this.lensPosition = index;
+        this.renderLensDetail();
+    }
+
+    /**
+     * Top predictions at every stage for the selected position
+     */
+    renderLensDetail() {
+        const lens = this.result.logitLens;
+        const tokens = this.result.tokens;
+        const position = this.lensPosition;
+
+        this.container.querySelectorAll('#logit-lens-table tr').forEach(row => {
+            row.querySelectorAll('th, td').forEach((cell, column) => {
+                cell.classList.toggle('active', column - 1 === position);
+            });
+        });
+
+        const detail = this.container.querySelector('#logit-lens-detail');
+        const next = tokens[position + 1];
+        detail.innerHTML = '<p class="lens-detail-title"></p>';
+        detail.querySelector('.lens-detail-title').textContent =
+            `After "${tokens[position].text}" (position ${position})` + (next ? ` the text continues with "${next.text}"` : ', the end of the text');
+
+        lens.stages.forEach(stage => {
+            const line = document.createElement('div');
+            line.className = 'lens-detail-row';
+            line.innerHTML = '<span class="lens-detail-stage"></span>';
+            line.querySelector('.lens-detail-stage').textContent = stage.label;
+
+            stage.predictions[position].forEach(prediction => {
+                const chip = document.createElement('span');
+                chip.className = 'lens-chip';
+                chip.classList.toggle('match', next?.id === prediction.id);
+                chip.innerHTML = `<span class="lens-chip-bar" style="width: ${prediction.prob * 100}%"></span><span class="lens-chip-text"></span>`;
+                chip.querySelector('.lens-chip-text').textContent = `${idToToken(prediction.id)} ${(prediction.prob * 100).toFixed(1)}%`;
+                line.appendChild(chip);
+            });
+            detail.appendChild(line);
+        });
+
+        this.renderResidualNorms();
+    }
+
+    /**
+     * Plot residual-stream and sublayer-output norms through the model
+     */
+    renderResidualNorms() {
+        const { norms } = this.result.logitLens;
+        const position = this.lensPosition;
+
+        const svg = d3.select(this.container.querySelector('#residual-norms'));
+        svg.selectAll('*').remove();
+
+        const width = 640;
+        const height = 220;
+        const padding = { top: 12, right: 16, bottom: 28, left: 40 };
+        svg.attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('preserveAspectRatio', 'xMidYMid meet');
+
+        const x = d3.scalePoint()
+            .domain(norms.map(stage => stage.label))
+            .range([padding.left, width - padding.right]);
+        const y = d3.scaleLinear()
+            .domain([0, d3.max(norms.flatMap(stage => [...stage.residual, ...(stage.update || [])]))])
+            .nice()
+            .range([height - padding.bottom, padding.top]);
+
+        svg.append('g')
+            .attr('class', 'norm-axis')
+            .attr('transform', `translate(0, ${height - padding.bottom})`)
+            .call(d3.axisBottom(x));
+        svg.append('g')
+            .attr('class', 'norm-axis')
+            .attr('transform', `translate(${padding.left}, 0)`)
+            .call(d3.axisLeft(y).ticks(5));
+
+        const line = d3.line()
+            .defined(point => point.value !== null)
+            .x(point => x(point.label))
+            .y(point => y(point.value));
+        const series = (key, i) => norms.map(stage => ({ label: stage.label, value: stage[key]?.[i] ?? null }));
+
+        this.result.tokens.forEach((_, i) => {
+            if (i === position) return;
+            svg.append('path')
+                .attr('d', line(series('residual', i)))
+                .attr('class', 'norm-line others');
+        });
+        svg.append('path')
+            .attr('d', line(series('update', position)))
+            .attr('class', 'norm-line update');
+        svg.append('path')
+            .attr('d', line(series('residual', position)))
+            .attr('class', 'norm-line residual');
+    }
+
+    /**
+     * Plot mean, variance and max |x| of the residual stream after every sublayer
+     */
+    renderNormStats() {
+        const panel = this.container.querySelector('#norm-stats-panel');
+        panel.classList.remove('hidden');
+
+        const { norm, normPlacement } = this.result;
+        this.container.querySelector('#norm-stats-description').textContent =
+            `${NORM_PLACEMENTS[normPlacement].label} ${NORM_TYPES[norm].label}: ${NORM_PLACEMENTS[normPlacement].description} ` +
+            `${NORM_TYPES[norm].description} ` +
+            'Pre-norm keeps an unscaled path from the embeddings to the output, so gradients reach early layers intact ' +
+            'and deep stacks train stably; RMSNorm skips the centering step, which works as well there and costs less.';
+
+        const stages = residualStreamStats(this.result.layerResults);
+        const shortLabel = label => label.replace('Embedding', 'Emb').replace('attention', 'attn').replace('L', '');
+
+        ['mean', 'variance', 'max'].forEach(stat => {
+            const svg = d3.select(this.container.querySelector(`#norm-stat-${stat}`));
+            svg.selectAll('*').remove();
+
+            const width = 300;
+            const height = 160;
+            const padding = { top: 10, right: 12, bottom: 24, left: 40 };
+            svg.attr('viewBox', `0 0 ${width} ${height}`)
+                .attr('preserveAspectRatio', 'xMidYMid meet');
+
+            const x = d3.scalePoint()
+                .domain(stages.map(stage => stage.label))
+                .range([padding.left, width - padding.right]);
+            const values = stages.map(stage => stage[stat]);
+            const y = d3.scaleLinear()
+                .domain([Math.min(0, ...values), Math.max(...values) || 1])
+                .nice()
+                .range([height - padding.bottom, padding.top]);
+
+            svg.append('g')
+                .attr('class', 'norm-axis')
+                .attr('transform', `translate(0, ${height - padding.bottom})`)
+                .call(d3.axisBottom(x).tickFormat(shortLabel));
+            svg.append('g')
+                .attr('class', 'norm-axis')
+                .attr('transform', `translate(${padding.left}, 0)`)
+                .call(d3.axisLeft(y).ticks(4));
+
+            const line = d3.line()
+                .x(stage => x(stage.label))
+                .y(stage => y(stage[stat]));
+            svg.append('path')
+                .attr('d', line(stages))
+                .attr('class', 'norm-line residual');
+            svg.selectAll('.norm-point')
+                .data(stages)
+                .enter()
+                .append('circle')
+                .attr('class', 'norm-point')
+                .attr('cx', stage => x(stage.label))
+                .attr('cy', stage => y(stage[stat]))
+                .attr('r', 3)
+                .append('title')
+                .text(stage => `${stage.label}: ${stage[stat].toFixed(3)}`);
+        });
+    }
+
+    /**
+     * Show how RoPE rotates one query and compare against no position signal
+     */
+    renderRopePanel() {
+        const panel = this.container.querySelector('#rope-panel');
+        const isRope = this.result.positional === 'rope';
+        panel.classList.toggle('hidden', !isRope);
+        if (!isRope) return;
+
+        const tokens = this.result.tokens;
+        this.fillQuerySelect(this.container.querySelector('#rope-query'));
+
+        const head = this.result.layerResults[this.currentLayer].attention.headResults[this.currentHead];
+        const pairs = ropeRotationPairs(head.preRotation.Q[this.queryIndex], this.queryIndex);
+        this.renderRotationPairs(pairs);
+
+        this.container.querySelector('#rope-caption').textContent =
+            `Query "${tokens[this.queryIndex].text}" at position ${this.queryIndex}: each pair of Q dimensions turns by position × θ. ` +
+            'Keys turn the same way, so q·k only sees the angle between positions.';
+
+        this.renderHeatmap(head.weights, this.container.querySelector('#rope-heatmap-with'));
+        this.renderHeatmap(
+            getAttentionWeights(this.baselineResult, this.currentLayer, this.currentHead),
+            this.container.querySelector('#rope-heatmap-without')
+        );
+    }
+
+    /**
+     * Draw each 2D pair before (grey) and after (cyan) rotation
+     */
+    renderRotationPairs(pairs) {
+        const svg = d3.select(this.container.querySelector('#rope-pairs'));
+        svg.selectAll('*').remove();
+
+        const size = 64;
+        const radius = 24;
+        const width = pairs.length * size;
+        const height = size + 28;
+        const maxLength = d3.max(pairs, p => Math.hypot(...p.before)) || 1;
+
+        svg.attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('preserveAspectRatio', 'xMidYMid meet');
+
+        pairs.forEach((pair, i) => {
+            const cx = i * size + size / 2;
+            const cy = size / 2;
+            const g = svg.append('g').attr('class', 'rope-pair');
+            const end = ([x, y]) => [cx + (x / maxLength) * radius, cy - (y / maxLength) * radius];
+
+            g.append('circle')
+                .attr('cx', cx)
+                .attr('cy', cy)
+                .attr('r', radius)
+                .attr('fill', 'none')
+                .attr('stroke', '#2a2a2a');
+
+            [['before', '#606060'], ['after', '#00d4ff']].forEach(([key, color]) => {
+                const [x2, y2] = end(pair[key]);
+                g.append('line')
+                    .attr('x1', cx)
+                    .attr('y1', cy)
+                    .attr('x2', x2)
+                    .attr('y2', y2)
+                    .attr('stroke', color)
+                    .attr('stroke-width', 2);
+            });
+
+            g.append('text')
+                .attr('x', cx)
+                .attr('y', size + 6)
+                .attr('text-anchor', 'middle')
+                .attr('fill', '#a0a0a0')
+                .attr('font-size', '9px')
+                .text(`d${2 * pair.pair},${2 * pair.pair + 1}`);
+            g.append('text')
+                .attr('x', cx)
+                .attr('y', size + 18)
+                .attr('text-anchor', 'middle')
+                .attr('fill', '#606060')
+                .attr('font-size', '9px')
+                .text(`${((pair.angle * 180) / Math.PI).toFixed(0)}°`);
+            g.append('title')
+                .text(`Pair ${pair.pair}: θ = ${pair.theta.toPrecision(3)}, rotated by ${pair.angle.toFixed(3)} rad`);
+        });
+    }
+
     /**
      * Select a layer
      */
@@ -568,12 +1714,12 @@ export class AttentionDemoUI {
         animateBtn.disabled = true;
 
         // Cycle through layers
-        for (let l = 0; l < CONFIG.numLayers; l++) {
+        for (let l = 0; l < this.config.numLayers; l++) {
             this.selectLayer(l);
             await this.sleep(800);
 
             // Cycle through heads
-            for (let h = 0; h < CONFIG.numHeads; h++) {
+            for (let h = 0; h < this.config.numHeads; h++) {
                 this.selectHead(h);
                 await this.sleep(400);
             }
@@ -595,18 +1741,22 @@ export class AttentionDemoUI {
      */
     updateExplanation() {
         const container = this.container.querySelector('#demo-explanation');
-        const n = this.result.tokens.length;
-        const perHeadLayerPairs = (n * (n + 1)) / 2;
-        const totalScoreComputations = perHeadLayerPairs * CONFIG.numHeads * CONFIG.numLayers;
+        const perHeadLayerPairs = this.result.maskStats.computed;
+        const totalScoreComputations = perHeadLayerPairs * this.config.numHeads * this.config.numLayers;
 
         container.innerHTML = `
-            <p><strong>Layer ${this.currentLayer + 1}, Head ${this.currentHead + 1}</strong></p>
+            <p><strong>Layer ${this.currentLayer + 1}, Head ${this.currentHead + 1}</strong>
+                (K/V head ${String.fromCharCode(65 + this.result.layerResults[this.currentLayer].attention.headResults[this.currentHead].kvHead)})</p>
+            <p>
+                Each row shows how much a token (right) attends to the tokens it can see (left).
+                Masked entries are shown as "-" (hatched when a sparse mask skips an earlier token).
+            </p>
             <p>
-                Each row shows how much a token (right) attends to previous tokens (left).
-                The causal mask prevents attending to future tokens (shown as "-").
+                <strong>${POSITIONAL_SCHEMES[this.result.positional].label}:</strong>
+                ${POSITIONAL_SCHEMES[this.result.positional].description}
             </p>
             <p>
-                ${perHeadLayerPairs} token pairs/head/layer × ${CONFIG.numHeads} heads × ${CONFIG.numLayers} layers =
+                ${perHeadLayerPairs} token pairs/head/layer × ${this.config.numHeads} heads × ${this.config.numLayers} layers =
                 ${totalScoreComputations} attention score computations
             </p>
         `;
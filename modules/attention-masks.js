@@ -0,0 +1,89 @@
+/**
+ * Attention mask library
+ * Each mask decides which key positions a query may attend to. Masked
+ * entries are never scored (their score is -Infinity), so sparser masks
+ * compute fewer Q·K products.
+ */
+
+// Registry of masks; allows(i, j, options) says whether query i sees key j
+export const ATTENTION_MASKS = {
+    causal: {
+        label: 'Causal',
+        description: 'Each token sees itself and every earlier token (decoder-only LLMs).',
+        allows: (i, j) => j <= i
+    },
+    sliding: {
+        label: 'Sliding window',
+        description: 'Each token sees only the last few tokens, itself included (Mistral, Longformer local attention).',
+        param: { key: 'window', label: 'Window', min: 1, default: 3 },
+        allows: (i, j, { window }) => j <= i && i - j < window
+    },
+    dilated: {
+        label: 'Dilated',
+        description: 'A sliding window with gaps: every second earlier token, so the same cost reaches twice as far back.',
+        param: { key: 'window', label: 'Window', min: 1, default: 3 },
+        allows: (i, j, { window, dilation = 2 }) => j <= i && (i - j) % dilation === 0 && (i - j) / dilation < window
+    },
+    block: {
+        label: 'Block-sparse',
+        description: 'Tokens see their own block plus the last token of each earlier block, which acts as a summary (Sparse Transformer).',
+        param: { key: 'blockSize', label: 'Block size', min: 1, default: 3 },
+        allows: (i, j, { blockSize }) => j <= i && (Math.floor(i / blockSize) === Math.floor(j / blockSize) || j % blockSize === blockSize - 1)
+    },
+    prefix: {
+        label: 'Prefix-LM',
+        description: 'The prompt prefix attends bidirectionally; the continuation stays causal (T5 prefix-LM, PaLI).',
+        param: { key: 'prefixLength', label: 'Prefix length', min: 0, default: 3 },
+        allows: (i, j, { prefixLength }) => j <= i || (i < prefixLength && j < prefixLength)
+    },
+    bidirectional: {
+        label: 'Bidirectional',
+        description: 'Every token sees every other token, including later ones (encoder models such as BERT).',
+        allows: () => true
+    }
+};
+
+/**
+ * Default options for a mask (its tunable parameter, if any)
+ * @param {string} type - Key of ATTENTION_MASKS
+ * @returns {Object} Options object
+ */
+export function defaultMaskOptions(type) {
+    const param = ATTENTION_MASKS[type]?.param;
+    return param ? { [param.key]: param.default } : {};
+}
+
+/**
+ * Build a boolean mask matrix
+ * @param {string} type - Key of ATTENTION_MASKS
+ * @param {number} seqLen - Sequence length
+ * @param {Object} options - Mask parameter (window, blockSize or prefixLength)
+ * @returns {boolean[][]} mask[i][j] is true when query i may attend to key j
+ */
+export function buildAttentionMask(type, seqLen, options = {}) {
+    const entry = ATTENTION_MASKS[type];
+    if (!entry) {
+        throw new Error(`Unknown attention mask: ${type}`);
+    }
+
+    const resolved = { ...defaultMaskOptions(type), ...options };
+    return Array.from({ length: seqLen }, (_, i) =>
+        Array.from({ length: seqLen }, (_, j) => entry.allows(i, j, resolved))
+    );
+}
+
+/**
+ * Count the score entries a mask computes
+ * @param {boolean[][]} mask - Result of buildAttentionMask
+ * @returns {{computed: number, total: number, causal: number, density: number}} Counts, with causal for reference
+ */
+export function maskStats(mask) {
+    const n = mask.length;
+    const computed = mask.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    return {
+        computed,
+        total: n * n,
+        causal: (n * (n + 1)) / 2,
+        density: n === 0 ? 0 : computed / (n * n)
+    };
+}
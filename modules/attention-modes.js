@@ -0,0 +1,118 @@
+/**
+ * Attention head-sharing modes
+ * Multi-head (MHA), grouped-query (GQA) and multi-query (MQA) attention differ
+ * only in how many K/V heads the query heads share. Fewer K/V heads means
+ * fewer K/V parameters and a smaller KV cache.
+ */
+
+// Registry of modes; kvHeads maps the number of query heads to K/V heads
+export const ATTENTION_MODES = {
+    mha: {
+        label: 'MHA',
+        name: 'Multi-head attention',
+        description: 'Every query head has its own key and value projection.',
+        kvHeads: numHeads => numHeads
+    },
+    gqa: {
+        label: 'GQA',
+        name: 'Grouped-query attention',
+        description: 'Query heads are split into groups and each group shares one key/value head (Llama 2 70B, Llama 3, Mistral).',
+        kvHeads: numHeads => Math.max(1, Math.floor(numHeads / 2))
+    },
+    mqa: {
+        label: 'MQA',
+        name: 'Multi-query attention',
+        description: 'All query heads share a single key/value head (PaLM, Falcon).',
+        kvHeads: () => 1
+    }
+};
+
+// Shared between the attention and KV cache demos
+let activeAttentionMode = 'mha';
+
+/**
+ * Set the mode used by the attention and KV cache demos
+ * @param {string} mode - Key of ATTENTION_MODES
+ */
+export function setActiveAttentionMode(mode) {
+    if (!ATTENTION_MODES[mode]) {
+        throw new Error(`Unknown attention mode: ${mode}`);
+    }
+    activeAttentionMode = mode;
+}
+
+/**
+ * Get the mode shared by the attention and KV cache demos
+ * @returns {string} Key of ATTENTION_MODES
+ */
+export function getActiveAttentionMode() {
+    return activeAttentionMode;
+}
+
+/**
+ * Number of K/V heads for a mode
+ * @param {string} mode - Key of ATTENTION_MODES
+ * @param {number} numHeads - Number of query heads
+ * @returns {number} K/V heads
+ */
+export function getKVHeadCount(mode, numHeads) {
+    return (ATTENTION_MODES[mode] || ATTENTION_MODES.mha).kvHeads(numHeads);
+}
+
+/**
+ * K/V head used by a query head (consecutive query heads share)
+ * @param {number} head - Query head index
+ * @param {number} numHeads - Number of query heads
+ * @param {number} kvHeads - Number of K/V heads
+ * @returns {number} K/V head index
+ */
+export function kvHeadForQueryHead(head, numHeads, kvHeads) {
+    return Math.floor(head / (numHeads / kvHeads));
+}
+
+/**
+ * Query heads grouped by the K/V head they read
+ * @param {number} numHeads - Number of query heads
+ * @param {number} kvHeads - Number of K/V heads
+ * @returns {number[][]} Query head indices per K/V head
+ */
+export function kvHeadGroups(numHeads, kvHeads) {
+    const groups = Array.from({ length: kvHeads }, () => []);
+    for (let h = 0; h < numHeads; h++) {
+        groups[kvHeadForQueryHead(h, numHeads, kvHeads)].push(h);
+    }
+    return groups;
+}
+
+/**
+ * K/V parameter and cache sizes for a mode, compared with MHA
+ * @param {string} mode - Key of ATTENTION_MODES
+ * @param {Object} model - Model sizes
+ * @param {number} model.numLayers - Number of layers
+ * @param {number} model.numHeads - Number of query heads
+ * @param {number} model.embedDim - Model dimension
+ * @param {number} model.headDim - Dimension per head
+ * @param {number} model.seqLen - Cached tokens
+ * @param {number} model.bytesPerValue - Bytes per cached number (2 for fp16)
+ * @returns {Object} Sizes for the mode and for MHA, plus the fraction saved
+ */
+export function kvMemoryStats(mode, { numLayers, numHeads, embedDim, headDim, seqLen = 1, bytesPerValue = 2 }) {
+    const sizes = kvHeads => {
+        const cacheValuesPerToken = 2 * numLayers * kvHeads * headDim;
+        return {
+            kvHeads,
+            kvParamsPerLayer: 2 * embedDim * kvHeads * headDim,
+            cacheValuesPerToken,
+            cacheBytes: cacheValuesPerToken * seqLen * bytesPerValue
+        };
+    };
+
+    const current = sizes(getKVHeadCount(mode, numHeads));
+    const mha = sizes(numHeads);
+
+    return {
+        ...current,
+        mha,
+        savings: 1 - current.kvHeads / numHeads
+    };
+}
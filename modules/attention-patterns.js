@@ -0,0 +1,75 @@
+/**
+ * Attention pattern metrics
+ * Summaries of one head's attention matrix that tell common head types
+ * apart: diffuse heads (high entropy), previous-token heads, heads that park
+ * their weight on the first token (attention sinks) and self-attending heads.
+ */
+
+// Registry of metrics; value(weights) averages over query rows
+export const HEAD_METRICS = {
+    entropy: {
+        label: 'Entropy',
+        description: 'Average spread of each row in bits; 0 means every query looks at a single key.',
+        format: value => `${value.toFixed(2)} bits`,
+        value: weights => mean(weights.map(rowEntropy))
+    },
+    previous: {
+        label: 'Previous token',
+        description: 'Average weight a token gives the token right before it.',
+        format: formatShare,
+        value: weights => mean(weights.slice(1).map((row, i) => row[i]))
+    },
+    first: {
+        label: 'First token',
+        description: 'Average weight a token gives the first token (skipping the first token itself).',
+        format: formatShare,
+        value: weights => mean(weights.slice(1).map(row => row[0]))
+    },
+    diagonal: {
+        label: 'Diagonal',
+        description: 'Average weight a token gives itself (skipping the first token, which can only see itself under a causal mask).',
+        format: formatShare,
+        value: weights => mean(weights.slice(1).map((row, i) => row[i + 1]))
+    }
+};
+
+// Share of weight above which a head is labelled by that pattern
+const DOMINANT_SHARE = 0.5;
+
+function mean(values) {
+    return values.length === 0 ? 0 : values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function formatShare(value) {
+    return `${(value * 100).toFixed(0)}%`;
+}
+
+/**
+ * Shannon entropy of one attention row
+ * @param {number[]} row - Attention weights (sum to 1)
+ * @returns {number} Entropy in bits
+ */
+function rowEntropy(row) {
+    return row.reduce((sum, weight) => (weight > 0 ? sum - weight * Math.log2(weight) : sum), 0);
+}
+
+/**
+ * Compute every pattern metric for one head
+ * @param {number[][]} weights - Attention weights (seq_len x seq_len)
+ * @returns {{entropy: number, previous: number, first: number, diagonal: number}} Metric values
+ */
+export function headPatternMetrics(weights) {
+    return Object.fromEntries(Object.entries(HEAD_METRICS).map(([key, metric]) => [key, metric.value(weights)]));
+}
+
+/**
+ * The positional pattern that takes most of a head's weight, if any
+ * @param {Object} metrics - Result of headPatternMetrics
+ * @returns {string|null} 'previous', 'first' or 'diagonal', or null for mixed heads
+ */
+export function dominantPattern(metrics) {
+    const [key, value] = ['previous', 'first', 'diagonal']
+        .map(name => [name, metrics[name]])
+        .reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+    return value >= DOMINANT_SHARE ? key : null;
+}
@@ -0,0 +1,176 @@
+/**
+ * Attention rollout and attention flow (Abnar & Zuidema, 2020)
+ * Both treat each layer's head-averaged attention, mixed with the residual
+ * connection, as a graph from the positions below to the positions above.
+ * Rollout multiplies the layer matrices; flow takes the maximum flow from an
+ * input token to an output position through that graph.
+ */
+
+// Flow below this is treated as zero when searching for augmenting paths
+const FLOW_EPSILON = 1e-9;
+
+/**
+ * Head-averaged attention mixed with the residual connection
+ * Â = 0.5·mean(heads) + 0.5·I, so each row still sums to 1.
+ * @param {number[][][]} headWeights - One seq_len x seq_len matrix per head
+ * @returns {number[][]} Residual-adjusted attention (seq_len x seq_len)
+ */
+export function residualAttention(headWeights) {
+    const n = headWeights[0].length;
+    return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => {
+        const mean = headWeights.reduce((sum, weights) => sum + weights[i][j], 0) / headWeights.length;
+        return 0.5 * mean + (i === j ? 0.5 : 0);
+    }));
+}
+
+/**
+ * Attention rollout through the layers
+ * rollout_l = Â_l · rollout_(l-1), starting from the identity.
+ * @param {number[][][]} layers - Residual-adjusted attention per layer (see residualAttention)
+ * @returns {number[][][]} Rollout after each layer; [l][i][j] is how much of position i after layer l+1 comes from input token j
+ */
+export function attentionRollout(layers) {
+    const n = layers[0].length;
+    let rollout = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+    return layers.map(attention => {
+        const previous = rollout;
+        rollout = attention.map(row => {
+            const out = new Array(n).fill(0);
+            row.forEach((weight, k) => {
+                if (weight === 0) return;
+                const below = previous[k];
+                for (let j = 0; j < n; j++) out[j] += weight * below[j];
+            });
+            return out;
+        });
+        return rollout;
+    });
+}
+
+/**
+ * Flow network in compressed adjacency form
+ * Edge e and its reverse edge e ^ 1 are stored side by side.
+ * @param {number} nodeCount - Number of nodes
+ * @param {Array<[number, number, number]>} edges - [from, to, capacity] triples
+ * @returns {{nodeCount: number, to: Int32Array, capacity: Float64Array, start: Int32Array, order: Int32Array}} Network
+ */
+function buildFlowNetwork(nodeCount, edges) {
+    const to = new Int32Array(edges.length * 2);
+    const capacity = new Float64Array(edges.length * 2);
+    const degree = new Int32Array(nodeCount + 1);
+
+    edges.forEach(([from, target, cap], i) => {
+        to[2 * i] = target;
+        capacity[2 * i] = cap;
+        to[2 * i + 1] = from;
+        degree[from + 1]++;
+        degree[target + 1]++;
+    });
+
+    // start[v]..start[v + 1] indexes order, the edges leaving v
+    const start = new Int32Array(nodeCount + 1);
+    for (let v = 0; v < nodeCount; v++) start[v + 1] = start[v] + degree[v + 1];
+    const order = new Int32Array(edges.length * 2);
+    const fill = start.slice(0, nodeCount);
+    edges.forEach(([from, target], i) => {
+        order[fill[from]++] = 2 * i;
+        order[fill[target]++] = 2 * i + 1;
+    });
+
+    return { nodeCount, to, capacity, start, order };
+}
+
+/**
+ * Maximum flow with Dinic's algorithm
+ * @param {Object} network - Result of buildFlowNetwork (left unchanged)
+ * @param {number} source - Source node
+ * @param {number} sink - Sink node
+ * @returns {number} Maximum flow value
+ */
+function maxFlow({ nodeCount, to, capacity: initialCapacity, start, order }, source, sink) {
+    const capacity = initialCapacity.slice();
+    const level = new Int32Array(nodeCount);
+    const next = new Int32Array(nodeCount);
+    const queue = new Int32Array(nodeCount);
+
+    const buildLevels = () => {
+        level.fill(-1);
+        level[source] = 0;
+        queue[0] = source;
+        for (let head = 0, tail = 1; head < tail; head++) {
+            const node = queue[head];
+            for (let k = start[node]; k < start[node + 1]; k++) {
+                const e = order[k];
+                if (capacity[e] > FLOW_EPSILON && level[to[e]] < 0) {
+                    level[to[e]] = level[node] + 1;
+                    queue[tail++] = to[e];
+                }
+            }
+        }
+        return level[sink] >= 0;
+    };
+
+    const push = (node, limit) => {
+        if (node === sink) return limit;
+        for (; next[node] < start[node + 1]; next[node]++) {
+            const e = order[next[node]];
+            if (capacity[e] <= FLOW_EPSILON || level[to[e]] !== level[node] + 1) continue;
+            const pushed = push(to[e], Math.min(limit, capacity[e]));
+            if (pushed > 0) {
+                capacity[e] -= pushed;
+                capacity[e ^ 1] += pushed;
+                return pushed;
+            }
+        }
+        return 0;
+    };
+
+    let total = 0;
+    while (buildLevels()) {
+        next.set(start.subarray(0, nodeCount));
+        let pushed;
+        while ((pushed = push(source, Infinity)) > 0) {
+            total += pushed;
+        }
+    }
+    return total;
+}
+
+/**
+ * Attention flow from every input token to one output position
+ * Nodes are (layer, position) for layer 0..L; layer l's attention Â_l gives
+ * the capacity of the edge from position j below to position i above.
+ * @param {number[][][]} layers - Residual-adjusted attention per layer (see residualAttention)
+ * @param {number} target - Output position after the last layer
+ * @returns {number[]} Maximum flow from each input token to the target
+ */
+export function attentionFlow(layers, target) {
+    const n = layers[0].length;
+    const node = (layer, position) => layer * n + position;
+    const edges = [];
+
+    layers.forEach((attention, l) => {
+        const last = l === layers.length - 1;
+        attention.forEach((row, i) => {
+            // In the last layer only edges into the target can carry flow to it
+            if (last && i !== target) return;
+            row.forEach((weight, j) => {
+                if (weight > 0) edges.push([node(l, j), node(l + 1, i), weight]);
+            });
+        });
+    });
+
+    const network = buildFlowNetwork((layers.length + 1) * n, edges);
+    return Array.from({ length: n }, (_, j) => maxFlow(network, node(0, j), node(layers.length, target)));
+}
+
+/**
+ * Scale values to sum to 1 (all zeros stay zeros)
+ * @param {number[]} values - Non-negative values
+ * @returns {number[]} Shares
+ */
+export function toShares(values) {
+    const sum = values.reduce((a, b) => a + b, 0);
+    return values.map(value => (sum > 0 ? value / sum : 0));
+}
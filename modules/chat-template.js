@@ -0,0 +1,244 @@
+/**
+ * Chat templates for the Input Prompt stage
+ * Renders system/user/assistant messages into the single string a chat model
+ * actually sees, with role markers written as special (control) tokens.
+ */
+
+import { tokenize, getActiveTokenizer } from './tokenizer.js';
+
+/**
+ * ChatML (used by many open chat models):
+ * <|im_start|>role\ncontent<|im_end|>\n for every message
+ */
+function renderChatML(messages, addGenerationPrompt) {
+    const segments = [{ text: '<bos>', control: true, role: null }];
+
+    messages.forEach(({ role, content }) => {
+        segments.push(
+            { text: '<|im_start|>', control: true, role },
+            { text: `${role}\n${content}`, control: false, role },
+            { text: '<|im_end|>', control: true, role },
+            { text: '\n', control: false, role }
+        );
+    });
+
+    if (addGenerationPrompt) {
+        segments.push(
+            { text: '<|im_start|>', control: true, role: 'assistant' },
+            { text: 'assistant\n', control: false, role: 'assistant' }
+        );
+    } else {
+        segments.push({ text: '<eos>', control: true, role: null });
+    }
+
+    return segments;
+}
+
+/**
+ * Llama 2 style: the system prompt is folded into the first user turn
+ * <bos>[INST] <<SYS>>\nsystem\n<</SYS>>\n\nuser [/INST] assistant <eos>
+ */
+function renderLlama2(messages, addGenerationPrompt) {
+    const segments = [];
+    let system = null;
+    let turnOpen = false;
+
+    messages.forEach(({ role, content }) => {
+        if (role === 'system') {
+            system = content;
+            return;
+        }
+
+        if (role === 'user') {
+            segments.push(
+                { text: '<bos>', control: true, role: null },
+                { text: '[INST]', control: true, role },
+                { text: ' ', control: false, role }
+            );
+            if (system !== null) {
+                segments.push(
+                    { text: '<<SYS>>', control: true, role: 'system' },
+                    { text: `\n${system}\n`, control: false, role: 'system' },
+                    { text: '<</SYS>>', control: true, role: 'system' },
+                    { text: '\n\n', control: false, role: 'system' }
+                );
+                system = null;
+            }
+            segments.push(
+                { text: `${content} `, control: false, role },
+                { text: '[/INST]', control: true, role }
+            );
+            turnOpen = true;
+            return;
+        }
+
+        // assistant
+        segments.push(
+            { text: ` ${content} `, control: false, role },
+            { text: '<eos>', control: true, role: null }
+        );
+        turnOpen = false;
+    });
+
+    if (!addGenerationPrompt && turnOpen) {
+        segments.push({ text: '<eos>', control: true, role: null });
+    }
+
+    return segments;
+}
+
+/**
+ * Llama 3 style: header tokens around the role name, <|eot_id|> ends a turn
+ * and <|end_of_text|> ends the whole sequence
+ */
+function renderLlama3(messages, addGenerationPrompt) {
+    const segments = [{ text: '<|begin_of_text|>', control: true, role: null }];
+
+    const header = role => [
+        { text: '<|start_header_id|>', control: true, role },
+        { text: role, control: false, role },
+        { text: '<|end_header_id|>', control: true, role },
+        { text: '\n\n', control: false, role }
+    ];
+
+    messages.forEach(({ role, content }) => {
+        segments.push(
+            ...header(role),
+            { text: content, control: false, role },
+            { text: '<|eot_id|>', control: true, role }
+        );
+    });
+
+    if (addGenerationPrompt) {
+        segments.push(...header('assistant'));
+    } else {
+        segments.push({ text: '<|end_of_text|>', control: true, role: null });
+    }
+
+    return segments;
+}
+
+// Registry of template styles; each render() returns ordered text segments
+export const CHAT_TEMPLATES = {
+    chatml: {
+        label: 'ChatML',
+        description: 'Each message is wrapped in <|im_start|>role … <|im_end|>.',
+        render: renderChatML
+    },
+    llama2: {
+        label: 'Llama 2',
+        description: 'User turns sit inside [INST] … [/INST]; the system prompt hides in <<SYS>> inside the first turn.',
+        render: renderLlama2
+    },
+    llama3: {
+        label: 'Llama 3',
+        description: 'Role names sit between header tokens; <|eot_id|> closes every turn.',
+        render: renderLlama3
+    }
+};
+
+/**
+ * Render messages with a chat template
+ * @param {Array<{role: string, content: string}>} messages - Conversation (system/user/assistant)
+ * @param {string} template - Key of CHAT_TEMPLATES
+ * @param {Object} options - Render options
+ * @param {boolean} options.addGenerationPrompt - End with an open assistant turn for the model to complete
+ * @returns {{text: string, segments: Array<{text: string, control: boolean, role: string|null, start: number, end: number}>}} Prompt string and its segments
+ */
+export function renderChatTemplate(messages, template = 'chatml', { addGenerationPrompt = true } = {}) {
+    const entry = CHAT_TEMPLATES[template] || CHAT_TEMPLATES.chatml;
+    const cleaned = messages
+        .filter(m => m.content && m.content.trim())
+        .map(m => ({ role: m.role, content: m.content.trim() }));
+
+    let offset = 0;
+    const segments = entry.render(cleaned, addGenerationPrompt).map(segment => {
+        const start = offset;
+        offset += segment.text.length;
+        return { ...segment, start, end: offset };
+    });
+
+    return {
+        text: segments.map(s => s.text).join(''),
+        segments
+    };
+}
+
+/**
+ * Tokenize a rendered prompt with a loaded tokenizer
+ * Control strings are matched as single tokens before BPE, as a model's
+ * added_tokens would be; the text between them is encoded normally. A control
+ * string the loaded vocabulary lacks still counts as one token, with id null.
+ * @param {{segments: Array<{text: string, control: boolean, start: number, end: number}>}} rendered - Output of renderChatTemplate
+ * @param {Object} model - Loaded tokenizer model
+ * @returns {Array<{text: string, id: number|null, start: number, end: number, special?: boolean}>} Tokens with offsets into the rendered text
+ */
+function tokenizeWithModel(rendered, model) {
+    const tokens = [];
+    let run = null;
+
+    const flush = () => {
+        if (!run) return;
+        tokenize(run.text, { tokenizer: model }).forEach(token => {
+            tokens.push({ ...token, start: token.start + run.start, end: token.end + run.start });
+        });
+        run = null;
+    };
+
+    rendered.segments.forEach(segment => {
+        if (!segment.control) {
+            if (!run) run = { text: '', start: segment.start };
+            run.text += segment.text;
+            return;
+        }
+        flush();
+        tokens.push({
+            text: segment.text,
+            id: model.vocab.get(segment.text) ?? null,
+            special: true,
+            start: segment.start,
+            end: segment.end
+        });
+    });
+    flush();
+
+    return tokens;
+}
+
+/**
+ * Render messages with a chat template and tokenize the result
+ * Tokens are tagged with the role of the message they came from and whether
+ * they are control tokens (role markers, <bos>/<eos>) rather than content.
+ * @param {Array<{role: string, content: string}>} messages - Conversation
+ * @param {string} template - Key of CHAT_TEMPLATES
+ * @param {Object} options - Render and tokenizer options
+ * @returns {Object} Rendered prompt, tagged tokens and counts
+ */
+export function tokenizeChatTemplate(messages, template = 'chatml', { addGenerationPrompt = true, ...tokenizerOptions } = {}) {
+    const rendered = renderChatTemplate(messages, template, { addGenerationPrompt });
+    const model = 'tokenizer' in tokenizerOptions ? tokenizerOptions.tokenizer : getActiveTokenizer();
+    const tokens = model ? tokenizeWithModel(rendered, model) : tokenize(rendered.text, { ...tokenizerOptions, tokenizer: null });
+
+    // Token offsets index the rendered string, so each token falls in one segment
+    const segmentAt = position => rendered.segments.find(s => position >= s.start && position < s.end) || null;
+
+    const tagged = tokens.map(token => {
+        const segment = segmentAt(token.start);
+        return {
+            ...token,
+            control: Boolean(token.special),
+            role: segment ? segment.role : null
+        };
+    });
+
+    const controlCount = tagged.filter(t => t.control).length;
+
+    return {
+        template,
+        text: rendered.text,
+        segments: rendered.segments,
+        tokens: tagged,
+        controlCount,
+        contentCount: tagged.length - controlCount
+    };
+}
@@ -4,6 +4,7 @@
  */
 
 import { clamp, getCenteredBox, getHorizontalBounds } from './diagram-layout-utils.js';
+import { getActiveNormalization, onNormalizationChange, normalizationLabels } from './normalization.js';
 
 // Component definitions with positions and metadata
 const COMPONENTS = {
@@ -130,6 +131,7 @@ let currentHighlight = null;
 let moeMode = false;
 let onComponentClick = null;
 let resizeHandler = null;
+let unsubscribeNormalization = null;
 
 /**
  * Initialize the diagram
@@ -155,6 +157,9 @@ export function initDiagram(containerId, clickHandler) {
         .attr('viewBox', `0 0 ${width} ${DIAGRAM_HEIGHT}`)
         .attr('class', 'diagram-svg');
 
+    applyNormalizationLabels(getActiveNormalization());
+    unsubscribeNormalization = onNormalizationChange(applyNormalizationLabels);
+
     addDefs();
     renderDiagram(layout);
     applyMOEVisualState();
@@ -250,6 +255,11 @@ export function destroyDiagram() {
         resizeHandler = null;
     }
 
+    if (unsubscribeNormalization) {
+        unsubscribeNormalization();
+        unsubscribeNormalization = null;
+    }
+
     if (svg) {
         svg.remove();
         svg = null;
@@ -260,6 +270,23 @@ export function destroyDiagram() {
     moeMode = false;
 }
 
+/**
+ * Relabel the residual boxes and output projection for a normalization choice
+ * @param {{norm: string, placement: string}} normalization - Keys of NORM_TYPES and NORM_PLACEMENTS
+ */
+function applyNormalizationLabels(normalization) {
+    const labels = normalizationLabels(normalization);
+    COMPONENTS.residual1.label = labels.residual;
+    COMPONENTS.residual2.label = labels.residual;
+    COMPONENTS.outputProjection.sublabel = labels.output;
+
+    if (!svg) return;
+    ['residual1', 'residual2'].forEach(key => {
+        svg.select(`#${COMPONENTS[key].id} .box-label`).text(labels.residual);
+    });
+    svg.select(`#${COMPONENTS.outputProjection.id} .box-sublabel`).text(labels.output);
+}
+
 /**
  * Render all components
  */
@@ -0,0 +1,16 @@
+/**
+ * DOM helpers shared by the page and the demo modules
+ */
+
+/**
+ * Escape text such as <pad> or a user-supplied token before putting it in markup
+ * @param {*} value - Value to escape (converted with String)
+ * @returns {string} Text safe for element content and quoted attributes
+ */
+export function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
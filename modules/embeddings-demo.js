@@ -0,0 +1,340 @@
+/**
+ * Embedding-space explorer
+ * Projects the toy vocabulary's embedding vectors to 2D with PCA, finds
+ * nearest neighbours by cosine similarity and evaluates vector arithmetic
+ * such as "man - woman + child".
+ */
+
+import { getEmbedding, getVocabularyEntries, getEmbedDim } from './tokenizer.js';
+import { pca, cosineSimilarity, vadd, scale } from './math-utils.js';
+import { escapeHTML } from './dom-utils.js';
+
+const CONFIG = {
+    neighbours: 8,
+    plotWidth: 560,
+    plotHeight: 380,
+    padding: 24
+};
+
+// Which vocabulary entries to plot
+const ENTRY_FILTERS = {
+    words: entry => /^[a-z]{2,}$/.test(entry.text),
+    all: () => true
+};
+
+let cachedSpace = null;
+
+/**
+ * Build the embedding space: vectors plus their 2D PCA projection
+ * @returns {{entries: Array<{id: number, text: string, vector: number[], x: number, y: number}>, explainedVariance: number[], dim: number}} Embedding space
+ */
+export function buildEmbeddingSpace() {
+    if (cachedSpace) return cachedSpace;
+
+    const entries = getVocabularyEntries().map(entry => ({ ...entry, vector: getEmbedding(entry.id) }));
+    const { projected, explainedVariance } = pca(entries.map(entry => entry.vector), 2);
+
+    cachedSpace = {
+        entries: entries.map((entry, i) => ({ ...entry, x: projected[i][0], y: projected[i][1] })),
+        explainedVariance,
+        dim: getEmbedDim()
+    };
+    return cachedSpace;
+}
+
+/**
+ * Rank vocabulary entries by cosine similarity to a vector
+ * @param {Object} space - Result of buildEmbeddingSpace()
+ * @param {number[]} vector - Query vector
+ * @param {Object} options - Ranking options
+ * @param {number} options.k - Number of results
+ * @param {string[]} options.exclude - Words to leave out (e.g. the query terms)
+ * @returns {Array<{id: number, text: string, similarity: number}>} Most similar entries first
+ */
+export function nearestNeighbours(space, vector, { k = CONFIG.neighbours, exclude = [] } = {}) {
+    return space.entries
+        .filter(entry => !exclude.includes(entry.text))
+        .map(entry => ({ id: entry.id, text: entry.text, similarity: cosineSimilarity(vector, entry.vector) }))
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, k);
+}
+
+/**
+ * Parse a vector-arithmetic expression like "man - woman + child"
+ * @param {string} expression - Words joined by + and -
+ * @returns {Array<{sign: number, word: string}>} Terms with +1/-1 signs
+ */
+export function parseVectorExpression(expression) {
+    const parts = expression.toLowerCase().match(/[+-]|[^\s+-]+/g) || [];
+    const terms = [];
+    let sign = 1;
+    let expectWord = true;
+
+    parts.forEach(part => {
+        if (part === '+' || part === '-') {
+            if (expectWord && terms.length > 0) {
+                throw new Error(`Expected a word before "${part}"`);
+            }
+            sign = part === '-' ? -1 : 1;
+            expectWord = true;
+            return;
+        }
+        if (!expectWord) {
+            throw new Error(`Missing + or - before "${part}"`);
+        }
+        terms.push({ sign, word: part });
+        sign = 1;
+        expectWord = false;
+    });
+
+    if (terms.length === 0 || expectWord) {
+        throw new Error('Enter words joined by + and -, e.g. "man - woman + child"');
+    }
+    return terms;
+}
+
+/**
+ * Evaluate a vector-arithmetic expression over the toy embeddings
+ * @param {Object} space - Result of buildEmbeddingSpace()
+ * @param {string} expression - Words joined by + and -
+ * @param {Object} options - Ranking options (see nearestNeighbours)
+ * @returns {{terms: Array, vector: number[], results: Array<{id: number, text: string, similarity: number}>}} Result vector and ranking
+ */
+export function evaluateVectorExpression(space, expression, { k = CONFIG.neighbours } = {}) {
+    const terms = parseVectorExpression(expression);
+    const byText = new Map(space.entries.map(entry => [entry.text, entry]));
+
+    const missing = terms.filter(term => !byText.has(term.word)).map(term => term.word);
+    if (missing.length > 0) {
+        throw new Error(`Not in the toy vocabulary: ${missing.join(', ')}`);
+    }
+
+    const vector = terms.reduce(
+        (sum, term) => vadd(sum, scale(byText.get(term.word).vector, term.sign)),
+        new Array(space.dim).fill(0)
+    );
+
+    return {
+        terms,
+        vector,
+        // Query words are excluded, as in the classic word2vec evaluation
+        results: nearestNeighbours(space, vector, { k, exclude: terms.map(term => term.word) })
+    };
+}
+
+/**
+ * Embeddings Demo UI Controller
+ */
+export class EmbeddingsDemoUI {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.space = null;
+        this.filter = 'words';
+        this.selected = null;
+        this.highlighted = new Map();
+    }
+
+    /**
+     * Initialize the demo UI
+     */
+    init() {
+        this.space = buildEmbeddingSpace();
+        this.selected = null;
+        this.highlighted = new Map();
+
+        this.container.innerHTML = `
+            <div class="demo-content embeddings-demo">
+                <div class="demo-header">
+                    <h2>Embedding Space</h2>
+                    <p class="demo-description">
+                        Every token ID maps to a ${this.space.dim}-dimensional vector. PCA squeezes them onto the 2 directions
+                        with the most variance. Click a token to see its nearest neighbours by cosine similarity.
+                    </p>
+                </div>
+
+                <div class="demo-input-section">
+                    <label for="embeddings-query">Vector arithmetic:</label>
+                    <div class="input-row">
+                        <input type="text" id="embeddings-query" value="man - woman + child" maxlength="80"
+                               placeholder="e.g. cat - dog + bird">
+                        <button id="embeddings-run-btn" class="primary-btn">Compute</button>
+                    </div>
+                </div>
+
+                <div class="demo-controls">
+                    <div class="control-group">
+                        <label for="embeddings-filter">Show:</label>
+                        <select id="embeddings-filter" class="demo-select">
+                            <option value="words">Words only</option>
+                            <option value="all">Whole vocabulary</option>
+                        </select>
+                    </div>
+                    <span class="embeddings-variance">
+                        PC1 + PC2 explain ${(this.space.explainedVariance.reduce((a, b) => a + b, 0) * 100).toFixed(1)}% of the variance
+                    </span>
+                </div>
+
+                <div class="embeddings-layout">
+                    <div class="embeddings-plot">
+                        <svg id="embeddings-svg"></svg>
+                    </div>
+                    <div class="stat-panel" id="embeddings-results">
+                        <h4>Nearest Neighbours</h4>
+                        <p class="hint">Click a token or compute an expression</p>
+                    </div>
+                </div>
+
+                <div class="demo-explanation">
+                    <p>These toy embeddings are <strong>seeded random vectors</strong>, never trained, so neighbours and analogies are arbitrary and the 2D view keeps only a small share of the variance.
+                    In a trained model, words used in similar contexts end up close together and directions such as "male → female" become roughly consistent, which is what makes "king - man + woman ≈ queen" work.</p>
+                </div>
+            </div>
+        `;
+
+        this.setupEventListeners();
+        this.renderPlot();
+        this.runQuery();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const runBtn = this.container.querySelector('#embeddings-run-btn');
+        const input = this.container.querySelector('#embeddings-query');
+        const filter = this.container.querySelector('#embeddings-filter');
+
+        runBtn.addEventListener('click', () => this.runQuery());
+        input.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.runQuery();
+        });
+        filter.addEventListener('change', () => {
+            this.filter = filter.value;
+            this.renderPlot();
+        });
+    }
+
+    /**
+     * Evaluate the arithmetic query and show its ranking
+     */
+    runQuery() {
+        const input = this.container.querySelector('#embeddings-query');
+        const panel = this.container.querySelector('#embeddings-results');
+
+        try {
+            const { terms, results } = evaluateVectorExpression(this.space, input.value);
+            this.highlighted = new Map([
+                ...terms.map(term => [term.word, 'query']),
+                [results[0].text, 'result']
+            ]);
+            this.selected = null;
+
+            const expression = terms
+                .map((term, i) => `${i === 0 ? (term.sign < 0 ? '-' : '') : (term.sign < 0 ? ' - ' : ' + ')}${term.word}`)
+                .join('');
+            panel.innerHTML = `
+                <h4>${escapeHTML(expression)} ≈</h4>
+                ${this.renderRanking(results)}
+            `;
+        } catch (error) {
+            this.highlighted = new Map();
+            panel.innerHTML = `
+                <h4>Vector Arithmetic</h4>
+                <p class="hint embeddings-error">${escapeHTML(error.message)}</p>
+            `;
+        }
+
+        this.renderPlot();
+    }
+
+    /**
+     * Show the neighbours of a clicked token
+     */
+    selectEntry(entry) {
+        const panel = this.container.querySelector('#embeddings-results');
+        const results = nearestNeighbours(this.space, entry.vector, { exclude: [entry.text] });
+
+        this.selected = entry.text;
+        this.highlighted = new Map([
+            [entry.text, 'query'],
+            ...results.map(result => [result.text, 'neighbour'])
+        ]);
+
+        panel.innerHTML = `
+            <h4>Closest to "${escapeHTML(entry.text)}" (ID ${entry.id})</h4>
+            ${this.renderRanking(results)}
+        `;
+        this.renderPlot();
+    }
+
+    /**
+     * Render a ranked similarity list
+     */
+    renderRanking(results) {
+        return `
+            <ol class="embeddings-ranking">
+                ${results.map(result => `
+                    <li>
+                        <span class="embeddings-word">${escapeHTML(result.text)}</span>
+                        <span class="embeddings-bar" style="width: ${Math.max(0, result.similarity) * 100}%"></span>
+                        <span class="embeddings-sim">${result.similarity.toFixed(3)}</span>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+
+    /**
+     * Render the 2D scatter plot
+     */
+    renderPlot() {
+        const svg = d3.select(this.container.querySelector('#embeddings-svg'));
+        svg.selectAll('*').remove();
+
+        const { plotWidth: width, plotHeight: height, padding } = CONFIG;
+        const entries = this.space.entries.filter(entry => ENTRY_FILTERS[this.filter](entry) || this.highlighted.has(entry.text));
+
+        svg.attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('preserveAspectRatio', 'xMidYMid meet');
+
+        const x = d3.scaleLinear()
+            .domain(d3.extent(this.space.entries, d => d.x))
+            .range([padding, width - padding]);
+        const y = d3.scaleLinear()
+            .domain(d3.extent(this.space.entries, d => d.y))
+            .range([height - padding, padding]);
+
+        svg.append('text')
+            .attr('class', 'embeddings-axis')
+            .attr('x', width - padding)
+            .attr('y', height - 6)
+            .attr('text-anchor', 'end')
+            .text(`PC1 (${(this.space.explainedVariance[0] * 100).toFixed(1)}%)`);
+        svg.append('text')
+            .attr('class', 'embeddings-axis')
+            .attr('x', 6)
+            .attr('y', padding - 8)
+            .text(`PC2 (${(this.space.explainedVariance[1] * 100).toFixed(1)}%)`);
+
+        const points = svg.selectAll('.embedding-point')
+            .data(entries, d => d.id)
+            .enter()
+            .append('g')
+            .attr('class', d => `embedding-point ${this.highlighted.get(d.text) || ''}`)
+            .attr('transform', d => `translate(${x(d.x)}, ${y(d.y)})`)
+            .on('click', (event, d) => this.selectEntry(d));
+
+        points.append('circle')
+            .attr('r', d => (this.highlighted.has(d.text) ? 5 : 3));
+
+        points.append('title')
+            .text(d => `${d.text} (ID ${d.id})`);
+
+        // Label only highlighted points to keep the plot readable
+        points.filter(d => this.highlighted.has(d.text))
+            .append('text')
+            .attr('x', 7)
+            .attr('y', 4)
+            .text(d => d.text);
+    }
+}
@@ -0,0 +1,441 @@
+/**
+ * FFN activation and neuron inspector
+ * Runs the toy model, then recomputes one layer's FFN hidden layer under
+ * each variant so activations and sparsity can be compared token by token.
+ */
+
+import { FFN_VARIANTS, ACTIVE_THRESHOLD, activationStats, topActivatingTokens } from './ffn-variants.js';
+import { attentionForwardSteps, attentionRequest, ffnActivations } from './attention-demo.js';
+import { getModelConfig } from './model-config.js';
+import { toMatrix, toArrays } from './math-utils.js';
+import { ModelRunner, runToCompletion, isCancelled, onLiveInput, setModelProgress } from './model-runner.js';
+
+const CONFIG = {
+    rowHeight: 12,
+    maxHeatmapHeight: 360,
+    topTokens: 8
+};
+
+/**
+ * Forward pass plus every FFN variant for one layer, as a generator
+ * @param {string} text - Input text
+ * @param {Array<{text: string, id: number}>} tokens - Tokens of the text (non-empty)
+ * @param {Object} options - Forward pass options (see attentionForwardSteps) plus the layer
+ * @param {number} options.layer - Layer whose FFN is inspected
+ * @yields {{done: number, total: number, label: string}} Progress after each layer and after the variants
+ * @returns {{text: string, tokens: Array, layer: number, config: Object, variants: Object}} Hidden activations and stats per variant
+ */
+export function* ffnInspectSteps(text, tokens, { layer = 0, ...options } = {}) {
+    const steps = attentionForwardSteps(text, tokens, options);
+    let step = steps.next();
+    while (!step.done) {
+        yield { ...step.value, total: step.value.total + 1 };
+        step = steps.next();
+    }
+
+    const { config, layerResults } = step.value;
+    if (!layerResults[layer]) {
+        throw new Error(`Unknown layer: ${layer}`);
+    }
+
+    // Every variant reads the same FFN input (the residual stream after attention, normalized first in pre-norm)
+    const input = toMatrix(layerResults[layer].ffn.input);
+    const variants = Object.fromEntries(Object.keys(FFN_VARIANTS).map(key => {
+        const hidden = toArrays(ffnActivations(input, layer, key, config));
+        return [key, { hidden, stats: activationStats(hidden) }];
+    }));
+
+    const total = config.numLayers + 1;
+    yield { done: total, total, label: 'FFN variants' };
+
+    return { text, tokens, layer, config, variants };
+}
+
+/**
+ * Inspect one layer's FFN synchronously
+ * @param {string} text - Input text
+ * @param {Object} options - Forward pass options plus the layer (see ffnInspectSteps)
+ * @returns {Object|null} Result of ffnInspectSteps, or null for empty input
+ */
+export function runFFNDemo(text, options = {}) {
+    const request = attentionRequest(text, options);
+    return request ? runToCompletion(ffnInspectSteps(request.text, request.tokens, request.options)) : null;
+}
+
+/**
+ * FFN Demo UI Controller
+ */
+export class FFNDemoUI {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.result = null;
+        this.layer = 0;
+        this.variant = 'gelu';
+        this.neuron = null;
+        this.runner = new ModelRunner();
+    }
+
+    /**
+     * Initialize the demo UI
+     */
+    init() {
+        this.container.innerHTML = `
+            <div class="demo-content ffn-demo">
+                <div class="demo-header">
+                    <h2>FFN Neuron Inspector</h2>
+                    <p class="demo-description">
+                        After attention, every token passes through the same feed-forward network on its own.
+                        Its wide hidden layer is where individual neurons fire for some tokens and stay quiet for others.
+                    </p>
+                </div>
+
+                <div class="demo-input-section">
+                    <label for="ffn-input">Enter text:</label>
+                    <div class="input-row">
+                        <input type="text" id="ffn-input"
+                               value="The quick brown fox jumps over the lazy dog"
+                               placeholder="Enter some text..."
+                               maxlength="1000">
+                        <button id="ffn-run-btn" class="primary-btn">Run</button>
+                    </div>
+                    <div class="model-progress hidden" id="ffn-progress" role="status">
+                        <span class="model-progress-track"><span class="model-progress-fill"></span></span>
+                        <span class="model-progress-label"></span>
+                    </div>
+                </div>
+
+                <div class="demo-controls">
+                    <div class="control-group">
+                        <label>Layer:</label>
+                        <div class="layer-buttons" id="ffn-layer-buttons"></div>
+                    </div>
+                    <div class="control-group">
+                        <label>Activation:</label>
+                        <div class="toggle-buttons" id="ffn-variant-buttons">
+                            ${Object.entries(FFN_VARIANTS).map(([key, variant]) => `
+                                <button class="toggle-btn ${key === this.variant ? 'active' : ''}" data-variant="${key}">${variant.label}</button>
+                            `).join('')}
+                        </div>
+                    </div>
+                </div>
+
+                <p class="hint" id="ffn-variant-description"></p>
+
+                <table class="bpe-pair-table ffn-stats" id="ffn-stats">
+                    <thead>
+                        <tr>
+                            <th>Variant</th>
+                            <th>Active neurons / token</th>
+                            <th>Active share</th>
+                            <th>Never active</th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+
+                <div class="heatmap-container">
+                    <h4 id="ffn-heatmap-title">Hidden Activations</h4>
+                    <p class="hint">Rows are tokens, columns are neurons (cyan positive, orange negative). Click a column to inspect that neuron.</p>
+                    <div class="ffn-heatmap-wrap">
+                        <canvas id="ffn-heatmap"></canvas>
+                        <div class="ffn-neuron-marker hidden" id="ffn-neuron-marker"></div>
+                    </div>
+                </div>
+
+                <div class="heatmap-container ffn-neuron-panel hidden" id="ffn-neuron-panel">
+                    <div class="control-group">
+                        <label for="ffn-neuron">Neuron:</label>
+                        <input type="number" id="ffn-neuron" class="mask-param-input" min="0" value="0">
+                    </div>
+                    <h5 id="ffn-neuron-title"></h5>
+                    <div id="ffn-neuron-tokens"></div>
+                </div>
+
+                <div class="demo-explanation" id="ffn-explanation">
+                    <p>Click "Run" to inspect the FFN.</p>
+                </div>
+            </div>
+        `;
+
+        // The model config may have fewer layers than the last run
+        this.layer = Math.min(this.layer, getModelConfig().numLayers - 1);
+
+        this.setupEventListeners();
+        this.run();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const input = this.container.querySelector('#ffn-input');
+        this.container.querySelector('#ffn-run-btn').addEventListener('click', () => this.run());
+        input.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.run();
+        });
+        onLiveInput(input, () => this.run());
+
+        this.container.querySelectorAll('#ffn-variant-buttons .toggle-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.selectVariant(btn.dataset.variant));
+        });
+
+        const neuronInput = this.container.querySelector('#ffn-neuron');
+        neuronInput.addEventListener('change', () => {
+            if (!this.result) return;
+            const max = this.result.config.ffnDim - 1;
+            this.selectNeuron(Math.min(max, Math.max(0, Math.round(Number(neuronInput.value)) || 0)));
+        });
+
+        const canvas = this.container.querySelector('#ffn-heatmap');
+        canvas.addEventListener('click', (e) => {
+            const cell = this.cellAt(canvas, e);
+            if (cell) this.selectNeuron(cell.neuron);
+        });
+        canvas.addEventListener('mousemove', (e) => {
+            const cell = this.cellAt(canvas, e);
+            if (!cell) return;
+            const value = this.result.variants[this.variant].hidden[cell.position][cell.neuron];
+            canvas.title = `"${this.result.tokens[cell.position].text}" → neuron ${cell.neuron}: ${value.toFixed(3)}`;
+        });
+    }
+
+    /**
+     * Run the model and all FFN variants for the current layer in the model worker
+     */
+    async run() {
+        const request = attentionRequest(this.container.querySelector('#ffn-input').value.trim(), { layer: this.layer });
+        const progress = this.container.querySelector('#ffn-progress');
+
+        if (!request) {
+            this.runner.cancel();
+            setModelProgress(progress, null);
+            return;
+        }
+
+        let result;
+        try {
+            result = await this.runner.run('ffn', request, {
+                onProgress: step => setModelProgress(progress, step)
+            });
+        } catch (error) {
+            // A newer run has taken over the progress bar
+            if (isCancelled(error)) return;
+            setModelProgress(progress, null);
+            const explanation = this.container.querySelector('#ffn-explanation');
+            explanation.innerHTML = '<p class="hint"></p>';
+            explanation.querySelector('.hint').textContent = error.message;
+            return;
+        }
+
+        setModelProgress(progress, null);
+        this.result = result;
+        this.neuron = this.strongestNeuron();
+
+        this.renderLayerButtons();
+        this.render();
+    }
+
+    /**
+     * Neuron with the largest activation under the current variant
+     */
+    strongestNeuron() {
+        let best = { neuron: 0, value: -Infinity };
+        this.result.variants[this.variant].hidden.forEach(row => {
+            row.forEach((value, neuron) => {
+                if (value > best.value) best = { neuron, value };
+            });
+        });
+        return best.neuron;
+    }
+
+    /**
+     * One button per layer of the model that produced the result
+     */
+    renderLayerButtons() {
+        const container = this.container.querySelector('#ffn-layer-buttons');
+        container.innerHTML = '';
+        for (let l = 0; l < this.result.config.numLayers; l++) {
+            const btn = document.createElement('button');
+            btn.className = `selector-btn ${l === this.layer ? 'active' : ''}`;
+            btn.textContent = `${l + 1}`;
+            btn.addEventListener('click', () => this.selectLayer(l));
+            container.appendChild(btn);
+        }
+    }
+
+    /**
+     * Inspect another layer (recomputes the variants)
+     */
+    selectLayer(layer) {
+        this.layer = layer;
+        this.container.querySelectorAll('#ffn-layer-buttons .selector-btn').forEach((btn, i) => {
+            btn.classList.toggle('active', i === layer);
+        });
+        this.run();
+    }
+
+    /**
+     * Switch activation variant
+     */
+    selectVariant(variant) {
+        this.variant = variant;
+        this.container.querySelectorAll('#ffn-variant-buttons .toggle-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.variant === variant);
+        });
+        if (this.result) this.render();
+    }
+
+    /**
+     * Choose the neuron shown in the neuron panel
+     */
+    selectNeuron(neuron) {
+        this.neuron = neuron;
+        this.renderNeuron();
+    }
+
+    /**
+     * Token and neuron under the pointer
+     */
+    cellAt(canvas, event) {
+        if (!this.result) return null;
+        const rect = canvas.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return null;
+        return {
+            neuron: Math.min(canvas.width - 1, Math.floor(((event.clientX - rect.left) / rect.width) * canvas.width)),
+            position: Math.min(canvas.height - 1, Math.floor(((event.clientY - rect.top) / rect.height) * canvas.height))
+        };
+    }
+
+    /**
+     * Render everything that depends on the variant
+     */
+    render() {
+        this.container.querySelector('#ffn-variant-description').textContent = FFN_VARIANTS[this.variant].description;
+        this.renderStats();
+        this.renderHeatmap();
+        this.renderNeuron();
+        this.updateExplanation();
+    }
+
+    /**
+     * Compare sparsity across all variants
+     */
+    renderStats() {
+        const tbody = this.container.querySelector('#ffn-stats tbody');
+        const { ffnDim } = this.result.config;
+        tbody.innerHTML = '';
+
+        Object.entries(FFN_VARIANTS).forEach(([key, variant]) => {
+            const { stats } = this.result.variants[key];
+            const row = document.createElement('tr');
+            row.classList.toggle('chosen', key === this.variant);
+            row.innerHTML = `
+                <td>${variant.label}</td>
+                <td>${stats.activePerToken.toFixed(1)} / ${ffnDim}</td>
+                <td>${(stats.activeFraction * 100).toFixed(1)}%</td>
+                <td>${stats.deadNeurons}</td>
+            `;
+            row.addEventListener('click', () => this.selectVariant(key));
+            tbody.appendChild(row);
+        });
+    }
+
+    /**
+     * Paint one pixel per (token, neuron) activation
+     */
+    renderHeatmap() {
+        const { hidden, stats } = this.result.variants[this.variant];
+        const tokens = this.result.tokens;
+        const n = hidden.length;
+        const width = hidden[0].length;
+
+        this.container.querySelector('#ffn-heatmap-title').textContent =
+            `Hidden Activations (${n} tokens × ${width} neurons, layer ${this.result.layer + 1})`;
+
+        const canvas = this.container.querySelector('#ffn-heatmap');
+        canvas.width = width;
+        canvas.height = n;
+        canvas.style.height = `${Math.min(CONFIG.maxHeatmapHeight, n * CONFIG.rowHeight)}px`;
+
+        canvas.setAttribute('aria-label', `FFN activations for ${tokens.length} tokens`);
+
+        const context = canvas.getContext('2d');
+        if (!context) return;
+
+        const scale = stats.maxAbs || 1;
+        const image = context.createImageData(width, n);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < width; j++) {
+                const value = hidden[i][j];
+                const alpha = Math.round((Math.abs(value) / scale) * 255);
+                image.data.set(value >= 0 ? [0, 212, 255, alpha] : [249, 115, 22, alpha], (i * width + j) * 4);
+            }
+        }
+        context.putImageData(image, 0, 0);
+    }
+
+    /**
+     * Show which tokens activate the selected neuron most
+     */
+    renderNeuron() {
+        const panel = this.container.querySelector('#ffn-neuron-panel');
+        const marker = this.container.querySelector('#ffn-neuron-marker');
+        const { hidden } = this.result.variants[this.variant];
+        const width = hidden[0].length;
+        const tokens = this.result.tokens;
+
+        panel.classList.remove('hidden');
+        marker.classList.remove('hidden');
+        marker.style.left = `${(this.neuron / width) * 100}%`;
+        marker.style.width = `${100 / width}%`;
+
+        const neuronInput = this.container.querySelector('#ffn-neuron');
+        neuronInput.max = width - 1;
+        neuronInput.value = this.neuron;
+
+        const top = topActivatingTokens(hidden, this.neuron, CONFIG.topTokens);
+        const max = Math.max(...top.map(entry => Math.abs(entry.value))) || 1;
+        this.container.querySelector('#ffn-neuron-title').textContent =
+            `Tokens that activate neuron ${this.neuron} most (${FFN_VARIANTS[this.variant].label})`;
+
+        const list = this.container.querySelector('#ffn-neuron-tokens');
+        list.innerHTML = '';
+        top.forEach(({ position, value }) => {
+            const bar = document.createElement('div');
+            bar.className = 'load-bar ffn-token-bar';
+            bar.innerHTML = `
+                <span class="bar-label"></span>
+                <div class="bar-track">
+                    <div class="bar-fill ${value >= 0 ? 'positive' : 'negative'}" style="width: ${(Math.abs(value) / max) * 100}%"></div>
+                </div>
+                <span class="bar-count">${value.toFixed(2)}</span>
+            `;
+            bar.querySelector('.bar-label').textContent = `${position}: ${tokens[position].text}`;
+            bar.classList.toggle('inactive', Math.abs(value) <= ACTIVE_THRESHOLD);
+            list.appendChild(bar);
+        });
+    }
+
+    /**
+     * Update explanation text
+     */
+    updateExplanation() {
+        const { stats } = this.result.variants[this.variant];
+        const { ffnDim, embedDim } = this.result.config;
+        const gated = FFN_VARIANTS[this.variant].gated;
+
+        this.container.querySelector('#ffn-explanation').innerHTML = `
+            <p>
+                <strong>${FFN_VARIANTS[this.variant].label}:</strong>
+                on average ${stats.activePerToken.toFixed(1)} of ${ffnDim} neurons per token have |activation| &gt; ${ACTIVE_THRESHOLD}.
+            </p>
+            <p>
+                ${gated
+                    ? `Gated variants use three ${embedDim}×${ffnDim} matrices (gate, up, down) instead of two, so real models shrink the hidden layer to about ⅔ to keep the parameter count.`
+                    : `The FFN uses two ${embedDim}×${ffnDim} matrices: up to the hidden layer and back down.`}
+            </p>
+        `;
+    }
+}
+
+export default FFNDemoUI;
@@ -0,0 +1,128 @@
+/**
+ * Feed-forward network variants
+ * The FFN expands each token to a wide hidden layer, applies a nonlinearity
+ * and projects back. Gated variants (GLU family) multiply an activated gate
+ * projection by a second, linear "up" projection, at the cost of a third
+ * weight matrix.
+ */
+
+import { gelu, matmulT } from './math-utils.js';
+
+/**
+ * ReLU activation
+ * @param {number} x - Input
+ * @returns {number} max(0, x)
+ */
+export function relu(x) {
+    return x > 0 ? x : 0;
+}
+
+/**
+ * SiLU (Swish) activation
+ * @param {number} x - Input
+ * @returns {number} x · sigmoid(x)
+ */
+export function silu(x) {
+    return x / (1 + Math.exp(-x));
+}
+
+// Registry of variants; gated variants compute activation(x·Wg) ⊙ (x·W1)
+export const FFN_VARIANTS = {
+    gelu: {
+        label: 'GELU',
+        description: 'GELU(x·W1): a smooth ReLU that lets small negative values through (GPT-2, BERT).',
+        gated: false,
+        activation: gelu
+    },
+    relu: {
+        label: 'ReLU',
+        description: 'ReLU(x·W1): negative pre-activations become exactly zero (original Transformer).',
+        gated: false,
+        activation: relu
+    },
+    swiglu: {
+        label: 'SwiGLU',
+        description: 'SiLU(x·Wg) ⊙ (x·W1): a Swish gate scales a linear projection (Llama, Mistral, PaLM).',
+        gated: true,
+        activation: silu
+    },
+    geglu: {
+        label: 'GeGLU',
+        description: 'GELU(x·Wg) ⊙ (x·W1): the same gating with a GELU gate (T5 v1.1, Gemma).',
+        gated: true,
+        activation: gelu
+    }
+};
+
+// A neuron counts as active for a token when |activation| exceeds this
+export const ACTIVE_THRESHOLD = 0.1;
+
+/**
+ * Hidden activations of the FFN for every token
+ * @param {Matrix} input - FFN input (seq_len x embed_dim)
+ * @param {Object} ffn - Layer weights, pre-transposed for matmulT
+ * @param {Matrix} ffn.W1T - Up projection (ffn_dim x embed_dim)
+ * @param {Matrix} ffn.WgT - Gate projection, used by gated variants (ffn_dim x embed_dim)
+ * @param {string} variant - Key of FFN_VARIANTS
+ * @returns {Matrix} Hidden activations (seq_len x ffn_dim)
+ */
+export function ffnHidden(input, { W1T, WgT }, variant = 'gelu') {
+    const entry = FFN_VARIANTS[variant];
+    if (!entry) {
+        throw new Error(`Unknown FFN variant: ${variant}`);
+    }
+    if (!entry.gated) {
+        return matmulT(input, W1T, entry.activation);
+    }
+
+    const hidden = matmulT(input, WgT, entry.activation);
+    const up = matmulT(input, W1T);
+    for (let i = 0; i < hidden.data.length; i++) {
+        hidden.data[i] *= up.data[i];
+    }
+    return hidden;
+}
+
+/**
+ * How many neurons fire, per token and overall
+ * @param {number[][]} hidden - Hidden activations (seq_len x ffn_dim)
+ * @returns {{activePerToken: number, activeFraction: number, deadNeurons: number, maxAbs: number}} Sparsity stats
+ */
+export function activationStats(hidden) {
+    const width = hidden[0].length;
+    const everActive = new Array(width).fill(false);
+    let active = 0;
+    let maxAbs = 0;
+
+    hidden.forEach(row => {
+        row.forEach((value, n) => {
+            const magnitude = Math.abs(value);
+            maxAbs = Math.max(maxAbs, magnitude);
+            if (magnitude > ACTIVE_THRESHOLD) {
+                active++;
+                everActive[n] = true;
+            }
+        });
+    });
+
+    return {
+        activePerToken: active / hidden.length,
+        activeFraction: active / (hidden.length * width),
+        deadNeurons: everActive.filter(fired => !fired).length,
+        maxAbs
+    };
+}
+
+/**
+ * Tokens that activate one neuron most strongly
+ * @param {number[][]} hidden - Hidden activations (seq_len x ffn_dim)
+ * @param {number} neuron - Neuron index
+ * @param {number} k - Number of tokens
+ * @returns {Array<{position: number, value: number}>} Positions by activation, highest first
+ */
+export function topActivatingTokens(hidden, neuron, k = 8) {
+    return hidden
+        .map((row, position) => ({ position, value: row[neuron] }))
+        .sort((a, b) => b.value - a.value)
+        .slice(0, k);
+}
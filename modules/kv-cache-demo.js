@@ -3,11 +3,18 @@
  * Interactive demo showing how key-value caching speeds up autoregressive generation
  */
 
+import {
+    ATTENTION_MODES,
+    getActiveAttentionMode,
+    setActiveAttentionMode,
+    getKVHeadCount
+} from './attention-modes.js';
+import { getModelConfig } from './model-config.js';
+
 // Configuration for the demo
 const CONFIG = {
     maxTokens: 8,
-    kvDim: 6,      // Simplified K/V dimension for visualization
-    numHeads: 2,
+    kvDim: 3,      // Simplified K/V dimension per K/V head for visualization
     animationSpeed: 800
 };
 
@@ -20,9 +27,16 @@ const SAMPLE_TOKENS = ['The', 'cat', 'sat', 'on', 'the', 'warm', 'soft', 'mat'];
 export class KVCacheDemoUI {
     constructor(containerId) {
         this.container = document.getElementById(containerId);
-        this.currentStep = 0;
         this.isPlaying = false;
         this.useCache = true;
+        this.resetState();
+    }
+
+    /**
+     * Clear generated tokens, cache and counters
+     */
+    resetState() {
+        this.currentStep = 0;
         this.generatedTokens = [];
         this.cache = { keys: [], values: [] };
         this.stats = {
@@ -64,6 +78,14 @@ export class KVCacheDemoUI {
                             <button id="continuous-btn" class="toggle-btn">Continuous</button>
                         </div>
                     </div>
+                    <div class="control-group">
+                        <label>Attention Type:</label>
+                        <div class="toggle-buttons" id="kv-mode-buttons">
+                            ${Object.entries(ATTENTION_MODES).map(([key, mode]) => `
+                                <button class="toggle-btn ${key === getActiveAttentionMode() ? 'active' : ''}" data-mode="${key}" title="${mode.name}">${mode.label}</button>
+                            `).join('')}
+                        </div>
+                    </div>
                     <div class="control-group">
                         <button id="play-btn" class="primary-btn">
                             <svg viewBox="0 0 24 24" fill="currentColor" width="18" height="18">
@@ -101,6 +123,11 @@ export class KVCacheDemoUI {
                                 <span class="counter-label">Q·K Score Ops</span>
                                 <span class="counter-value" id="cached-attn-ops">0</span>
                             </div>
+                            <div class="counter-item">
+                                <span class="counter-label">Cached Values</span>
+                                <span class="counter-value" id="cached-kv-size">0</span>
+                                <span class="counter-label" id="cached-kv-size-mha"></span>
+                            </div>
                         </div>
                     </div>
 
@@ -156,6 +183,8 @@ export class KVCacheDemoUI {
                         <li><strong>Without Cache:</strong> Recompute K,V for ALL tokens at every step (O(n) vs O(1) per token)</li>
                         <li><strong>What this counter tracks:</strong> K/V projection savings only. Q·K attention score work is shown separately.</li>
                         <li><strong>Memory Trade-off:</strong> Cache uses GPU memory proportional to sequence length</li>
+                        <li><strong>GQA / MQA:</strong> Query heads that share a K/V head also share its cache rows, so the cache shrinks by query heads / K/V heads: with ${this.queryHeads()} query heads,
+                            ${this.queryHeads() / getKVHeadCount('gqa', this.queryHeads())}× for GQA and ${this.queryHeads()}× for MQA</li>
                     </ul>
                     <p class="hint">
                         At position n, caching saves (n-1) K/V computations per layer per head.
@@ -165,6 +194,8 @@ export class KVCacheDemoUI {
             </div>
         `;
 
+        // The attention mode may have changed since the last visit
+        this.resetState();
         this.setupEventListeners();
         this.renderInitialState();
     }
@@ -181,6 +212,17 @@ export class KVCacheDemoUI {
         playBtn.addEventListener('click', () => this.handlePlay());
         resetBtn.addEventListener('click', () => this.reset());
 
+        this.container.querySelectorAll('#kv-mode-buttons .toggle-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                setActiveAttentionMode(btn.dataset.mode);
+                this.container.querySelectorAll('#kv-mode-buttons .toggle-btn').forEach(b => {
+                    b.classList.toggle('active', b === btn);
+                });
+                // Cached rows have a different width per mode, so start over
+                this.reset();
+            });
+        });
+
         stepBtn.addEventListener('click', () => {
             this.setMode('step');
             stepBtn.classList.add('active');
@@ -243,6 +285,20 @@ export class KVCacheDemoUI {
         this.updateSavings();
     }
 
+    /**
+     * Number of query heads in the shared model config, as in the attention demo
+     */
+    queryHeads() {
+        return getModelConfig().numHeads;
+    }
+
+    /**
+     * Number of K/V heads for the shared attention mode
+     */
+    kvHeads() {
+        return getKVHeadCount(getActiveAttentionMode(), this.queryHeads());
+    }
+
     /**
      * Generate next token with animation
      */
@@ -251,19 +307,20 @@ export class KVCacheDemoUI {
 
         const newToken = SAMPLE_TOKENS[this.currentStep];
         this.generatedTokens.push(newToken);
+        const kvWidth = CONFIG.kvDim * this.kvHeads();
 
         // Update stats for WITH cache
-        // Only compute K,V for the new token
-        this.stats.withCache.kComputations += CONFIG.kvDim;
-        this.stats.withCache.vComputations += CONFIG.kvDim;
+        // Only compute K,V for the new token (one row per K/V head)
+        this.stats.withCache.kComputations += kvWidth;
+        this.stats.withCache.vComputations += kvWidth;
         // Attention with all previous tokens (cached K,V)
         this.stats.withCache.attentionOps += this.currentStep + 1;
 
         // Update stats for WITHOUT cache
         // Must recompute K,V for ALL tokens
         const seqLen = this.currentStep + 1;
-        this.stats.withoutCache.kComputations += seqLen * CONFIG.kvDim;
-        this.stats.withoutCache.vComputations += seqLen * CONFIG.kvDim;
+        this.stats.withoutCache.kComputations += seqLen * kvWidth;
+        this.stats.withoutCache.vComputations += seqLen * kvWidth;
         this.stats.withoutCache.attentionOps += seqLen;
 
         // Add to cache
@@ -282,7 +339,7 @@ export class KVCacheDemoUI {
      * Generate random K/V values for visualization
      */
     generateRandomKV() {
-        return Array(CONFIG.kvDim).fill(0).map(() => Math.random());
+        return Array(CONFIG.kvDim * this.kvHeads()).fill(0).map(() => Math.random());
     }
 
     /**
@@ -352,7 +409,9 @@ export class KVCacheDemoUI {
         container.innerHTML = `
             <div class="cache-header">
                 <span class="row-label"></span>
-                ${Array(CONFIG.kvDim).fill(0).map((_, i) => `<span class="col-label">d${i}</span>`).join('')}
+                ${Array(cacheData[0].length).fill(0).map((_, i) => `
+                    <span class="col-label">${String.fromCharCode(65 + Math.floor(i / CONFIG.kvDim))}${i % CONFIG.kvDim}</span>
+                `).join('')}
             </div>
             ${gridHTML}
         `;
@@ -369,6 +428,13 @@ export class KVCacheDemoUI {
         this.container.querySelector('#cached-attn-ops').textContent = this.stats.withCache.attentionOps;
         this.container.querySelector('#uncached-kv-ops').textContent = uncachedKV;
         this.container.querySelector('#uncached-attn-ops').textContent = this.stats.withoutCache.attentionOps;
+
+        // Keys + values held in the cache, vs one K/V head per query head
+        const cachedValues = this.currentStep * 2 * CONFIG.kvDim * this.kvHeads();
+        const mhaValues = this.currentStep * 2 * CONFIG.kvDim * this.queryHeads();
+        this.container.querySelector('#cached-kv-size').textContent = cachedValues;
+        this.container.querySelector('#cached-kv-size-mha').textContent =
+            getActiveAttentionMode() === 'mha' ? '' : `MHA would hold ${mhaValues}`;
     }
 
     /**
@@ -396,6 +462,7 @@ export class KVCacheDemoUI {
                 <strong>${saved}</strong> K/V computations saved
                 (${cachedTotal} with cache vs ${uncachedTotal} without).
                 Q·K score ops are unchanged.
+                ${ATTENTION_MODES[getActiveAttentionMode()].label}: ${this.kvHeads()} K/V head${this.kvHeads() > 1 ? 's' : ''} for ${this.queryHeads()} query heads.
             `;
         } else {
             savingsDetail.textContent = 'Generate tokens to see savings accumulate';
@@ -407,13 +474,7 @@ export class KVCacheDemoUI {
      */
     reset() {
         this.stopPlayback();
-        this.currentStep = 0;
-        this.generatedTokens = [];
-        this.cache = { keys: [], values: [] };
-        this.stats = {
-            withCache: { kComputations: 0, vComputations: 0, attentionOps: 0 },
-            withoutCache: { kComputations: 0, vComputations: 0, attentionOps: 0 }
-        };
+        this.resetState();
 
         this.container.querySelector('#play-text').textContent =
             this.mode === 'step' ? 'Generate Next' : 'Play All';
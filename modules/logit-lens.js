@@ -0,0 +1,120 @@
+/**
+ * Logit lens and residual-stream norms
+ * The toy model ties its output projection to the input embeddings: logits
+ * are the dot products of a residual vector with every token embedding.
+ * Applying that projection to the residual stream after each layer (the
+ * "logit lens") shows what the model would predict if decoding stopped there.
+ * Predictions carry token ids only: the model worker has no loaded tokenizer,
+ * so the page decodes them (see idToToken).
+ */
+
+import { getEmbedding, getEmbedDim, getVocabSize } from './tokenizer.js';
+import { toMatrix, matmulT } from './math-utils.js';
+
+// Predictions kept per position and stage
+export const LENS_TOP_K = 5;
+
+// Projection for the last embedding width and vocabulary size the model ran at
+let unembedding = null;
+
+/**
+ * Tied output projection over every token id
+ * Row i is the embedding of token i, so it is already the transposed
+ * (vocab x embed_dim) matrix that matmulT expects, and logit i scores token i.
+ * @param {number} dim - Embedding dimension of the model
+ * @param {number} vocabSize - Token ids to score (see getVocabSize)
+ * @returns {Matrix} Projection (vocab_size x embed_dim)
+ */
+export function getUnembedding(dim = getEmbedDim(), vocabSize = getVocabSize()) {
+    if (!unembedding || unembedding.dim !== dim || unembedding.vocabSize !== vocabSize) {
+        unembedding = {
+            dim,
+            vocabSize,
+            weightsT: toMatrix(Array.from({ length: vocabSize }, (_, id) => getEmbedding(id, dim)))
+        };
+    }
+    return unembedding.weightsT;
+}
+
+/**
+ * Most likely next tokens for one row of logits
+ * A loaded tokenizer can have ~50k ids, so this keeps the k best in one pass
+ * and only needs the softmax normalizer, not the full distribution.
+ * Equal logits keep the lower id first.
+ * @param {ArrayLike<number>} logits - One logit per token id
+ * @param {number} k - Number of predictions
+ * @returns {Array<{id: number, prob: number}>} Predictions, most likely first
+ */
+export function topPredictions(logits, k = LENS_TOP_K) {
+    const top = [];
+    let max = -Infinity;
+
+    for (let id = 0; id < logits.length; id++) {
+        const logit = logits[id];
+        if (logit > max) max = logit;
+        if (top.length === k && logit <= top[k - 1].logit) continue;
+
+        let i = Math.min(top.length, k - 1);
+        while (i > 0 && top[i - 1].logit < logit) i--;
+        top.splice(i, 0, { id, logit });
+        if (top.length > k) top.pop();
+    }
+
+    let sum = 0;
+    for (let id = 0; id < logits.length; id++) {
+        sum += Math.exp(logits[id] - max);
+    }
+
+    return top.map(({ id, logit }) => ({ id, prob: Math.exp(logit - max) / sum }));
+}
+
+/**
+ * Decode residual-stream states through the tied output projection
+ * @param {Array<{label: string, residual: Matrix}>} stages - Residual stream (seq_len x embed_dim) at each stage
+ * @param {number} vocabSize - Token ids to score (resolved on the main thread for the worker)
+ * @returns {Array<{label: string, predictions: Array[]}>} Top predictions per stage and position
+ */
+export function logitLens(stages, vocabSize = getVocabSize()) {
+    const weightsT = getUnembedding(stages[0].residual.cols, vocabSize);
+    return stages.map(({ label, residual }) => {
+        const logits = matmulT(residual, weightsT);
+        return {
+            label,
+            predictions: Array.from({ length: logits.rows }, (_, i) =>
+                topPredictions(logits.data.subarray(i * logits.cols, (i + 1) * logits.cols))
+            )
+        };
+    });
+}
+
+/**
+ * L2 norm of every row
+ * @param {number[][]} rows - Vectors
+ * @returns {number[]} One norm per row
+ */
+export function rowNorms(rows) {
+    return rows.map(row => Math.sqrt(row.reduce((sum, value) => sum + value * value, 0)));
+}
+
+/**
+ * Residual-stream norms through the model, one stage per sublayer
+ * Each stage also records the norm of what its sublayer wrote.
+ * @param {Object[]} layerResults - Per-layer results of the forward pass
+ * @returns {Array<{label: string, residual: number[], update: number[]|null}>} Norms per position at each stage
+ */
+export function residualStreamNorms(layerResults) {
+    const stages = [{ label: 'Embedding', residual: rowNorms(layerResults[0].inputEmbeddings), update: null }];
+    layerResults.forEach(({ layer, attention, ffn }) => {
+        stages.push({
+            label: `L${layer + 1} attention`,
+            residual: rowNorms(attention.afterAttention),
+            update: rowNorms(attention.attentionOutput)
+        });
+        stages.push({
+            label: `L${layer + 1} FFN`,
+            residual: rowNorms(ffn.afterFFN),
+            update: rowNorms(ffn.ffnOutput)
+        });
+    });
+    return stages;
+}
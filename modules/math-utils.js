@@ -108,6 +108,63 @@ export function normalize(v) {
     return norm > 0 ? v.map(x => x / norm) : v;
 }
 
+/**
+ * Cosine similarity between two vectors
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} Similarity in [-1, 1] (0 if either vector is zero)
+ */
+export function cosineSimilarity(a, b) {
+    const norms = Math.sqrt(dot(a, a)) * Math.sqrt(dot(b, b));
+    return norms > 0 ? dot(a, b) / norms : 0;
+}
+
+/**
+ * Principal component analysis by power iteration with deflation
+ * Deterministic: every component starts from the same seeded vector.
+ * @param {number[][]} rows - Data matrix (n samples x d features)
+ * @param {number} k - Number of components
+ * @param {number} iterations - Power iterations per component
+ * @returns {{mean: number[], components: number[][], projected: number[][], explainedVariance: number[]}} Components, projections and fraction of variance each explains
+ */
+export function pca(rows, k = 2, iterations = 100) {
+    const n = rows.length;
+    const d = rows[0].length;
+    const mean = new Array(d).fill(0);
+    rows.forEach(row => row.forEach((x, j) => { mean[j] += x / n; }));
+    const centered = rows.map(row => row.map((x, j) => x - mean[j]));
+
+    // Covariance matrix (d x d)
+    const cov = matmul(transpose(centered), centered).map(row => row.map(x => x / Math.max(1, n - 1)));
+    const totalVariance = cov.reduce((sum, row, i) => sum + row[i], 0);
+
+    const components = [];
+    const eigenvalues = [];
+    for (let c = 0; c < k; c++) {
+        let v = normalize(randomVector(d, 4242 + c));
+        for (let it = 0; it < iterations; it++) {
+            v = normalize(matvec(cov, v));
+        }
+        const lambda = dot(v, matvec(cov, v));
+        components.push(v);
+        eigenvalues.push(lambda);
+
+        // Deflate: remove this component before finding the next
+        for (let i = 0; i < d; i++) {
+            for (let j = 0; j < d; j++) {
+                cov[i][j] -= lambda * v[i] * v[j];
+            }
+        }
+    }
+
+    return {
+        mean,
+        components,
+        projected: centered.map(row => components.map(v => dot(row, v))),
+        explainedVariance: eigenvalues.map(lambda => (totalVariance > 0 ? lambda / totalVariance : 0))
+    };
+}
+
 /**
  * Generate a seeded random number (simple LCG)
  * @param {number} seed - Seed value
@@ -204,6 +261,18 @@ export function layerNorm(x, eps = 1e-5) {
     return x.map(val => (val - mean) / std);
 }
 
+/**
+ * RMS normalization (no mean subtraction, as in Llama and T5)
+ * @param {number[]} x - Input vector
+ * @param {number} eps - Epsilon for numerical stability
+ * @returns {number[]} Vector divided by its root mean square
+ */
+export function rmsNorm(x, eps = 1e-5) {
+    const meanSquare = x.reduce((sum, val) => sum + val * val, 0) / x.length;
+    const rms = Math.sqrt(meanSquare + eps);
+    return x.map(val => val / rms);
+}
+
 /**
  * GELU activation function
  * @param {number} x - Input value
@@ -221,3 +290,258 @@ export function gelu(x) {
 export function geluVec(v) {
     return v.map(gelu);
 }
+
+/**
+ * Float32Array-backed matrix, stored row-major
+ * Row i occupies data[i * cols] to data[(i + 1) * cols - 1].
+ * @typedef {{rows: number, cols: number, data: Float32Array}} Matrix
+ */
+
+/**
+ * Create a matrix
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @param {Float32Array} data - Row-major values (zeros if omitted)
+ * @returns {Matrix} Matrix
+ */
+export function createMatrix(rows, cols, data = new Float32Array(rows * cols)) {
+    return { rows, cols, data };
+}
+
+/**
+ * Pack nested arrays into a matrix
+ * @param {number[][]} arrays - Rows
+ * @returns {Matrix} Matrix
+ */
+export function toMatrix(arrays) {
+    const rows = arrays.length;
+    const cols = rows > 0 ? arrays[0].length : 0;
+    const M = createMatrix(rows, cols);
+    arrays.forEach((row, i) => M.data.set(row, i * cols));
+    return M;
+}
+
+/**
+ * Unpack a matrix into nested arrays
+ * @param {Matrix} M - Matrix
+ * @returns {number[][]} Rows as plain arrays
+ */
+export function toArrays(M) {
+    return Array.from({ length: M.rows }, (_, i) => Array.from(matrixRow(M, i)));
+}
+
+/**
+ * View one row of a matrix without copying
+ * @param {Matrix} M - Matrix
+ * @param {number} i - Row index
+ * @returns {Float32Array} Row view
+ */
+export function matrixRow(M, i) {
+    return M.data.subarray(i * M.cols, (i + 1) * M.cols);
+}
+
+/**
+ * Transpose a matrix
+ * Weights are transposed once up front so matmulT reads both operands row by row.
+ * @param {Matrix} M - Matrix (m x n)
+ * @returns {Matrix} Transposed matrix (n x m)
+ */
+export function transposeMatrix(M) {
+    const T = createMatrix(M.cols, M.rows);
+    for (let i = 0; i < M.rows; i++) {
+        for (let j = 0; j < M.cols; j++) {
+            T.data[j * M.rows + i] = M.data[i * M.cols + j];
+        }
+    }
+    return T;
+}
+
+/**
+ * Multiply by a pre-transposed matrix: A · B, given Bᵀ
+ * An optional activation is applied to each output as it is produced.
+ * @param {Matrix} A - Left matrix (m x n)
+ * @param {Matrix} BT - Right matrix, transposed (p x n)
+ * @param {function} activation - Optional element-wise function (e.g. gelu)
+ * @returns {Matrix} Result (m x p)
+ */
+export function matmulT(A, BT, activation = null) {
+    const { rows: m, cols: n } = A;
+    const p = BT.rows;
+    const a = A.data;
+    const b = BT.data;
+    const out = createMatrix(m, p);
+
+    for (let i = 0; i < m; i++) {
+        const aOffset = i * n;
+        for (let j = 0; j < p; j++) {
+            const bOffset = j * n;
+            let sum = 0;
+            for (let k = 0; k < n; k++) {
+                sum += a[aOffset + k] * b[bOffset + k];
+            }
+            out.data[i * p + j] = activation ? activation(sum) : sum;
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Fused scaled dot-product attention
+ * Scores, mask, softmax and the weighted sum of V are computed one query row
+ * at a time; masked entries are skipped and score -Infinity.
+ * @param {Matrix} Q - Queries (seq_len x d_k)
+ * @param {Matrix} K - Keys (seq_len x d_k)
+ * @param {Matrix} V - Values (seq_len x d_v)
+ * @param {Object} options - Attention options
+ * @param {boolean[][]} options.mask - mask[i][j] is true when query i may attend to key j (all allowed if omitted)
+ * @param {function} options.bias - Optional bias(i, j) added to each scaled score (e.g. ALiBi)
+ * @returns {{scores: Matrix, weights: Matrix, output: Matrix}} Scaled scores, attention weights and output
+ */
+export function fusedAttention(Q, K, V, { mask = null, bias = null } = {}) {
+    const n = Q.rows;
+    const m = K.rows;
+    const dk = Q.cols;
+    const dv = V.cols;
+    const invScale = 1 / Math.sqrt(dk);
+    const scores = createMatrix(n, m);
+    const weights = createMatrix(n, m);
+    const output = createMatrix(n, dv);
+    const q = Q.data;
+    const k = K.data;
+    const v = V.data;
+    const s = scores.data;
+    const w = weights.data;
+    const out = output.data;
+
+    for (let i = 0; i < n; i++) {
+        const rowOffset = i * m;
+        const qOffset = i * dk;
+        const outOffset = i * dv;
+        const allowed = mask ? mask[i] : null;
+        let max = -Infinity;
+
+        // Q · Kᵀ / √d_k for allowed keys
+        for (let j = 0; j < m; j++) {
+            if (allowed && !allowed[j]) {
+                s[rowOffset + j] = -Infinity;
+                continue;
+            }
+            const kOffset = j * dk;
+            let score = 0;
+            for (let d = 0; d < dk; d++) {
+                score += q[qOffset + d] * k[kOffset + d];
+            }
+            score *= invScale;
+            if (bias) score += bias(i, j);
+            s[rowOffset + j] = score;
+            if (score > max) max = score;
+        }
+
+        // Softmax over the row (masked entries stay at zero weight)
+        let sum = 0;
+        for (let j = 0; j < m; j++) {
+            const score = s[rowOffset + j];
+            if (score === -Infinity) continue;
+            const e = Math.exp(score - max);
+            w[rowOffset + j] = e;
+            sum += e;
+        }
+
+        // Normalize and accumulate the weighted sum of V
+        for (let j = 0; j < m; j++) {
+            if (w[rowOffset + j] === 0) continue;
+            const weight = w[rowOffset + j] / sum;
+            w[rowOffset + j] = weight;
+            const vOffset = j * dv;
+            for (let d = 0; d < dv; d++) {
+                out[outOffset + d] += weight * v[vOffset + d];
+            }
+        }
+    }
+
+    return { scores, weights, output };
+}
+
+/**
+ * Element-wise sum (a residual connection)
+ * @param {Matrix} X - Residual stream (seq_len x d)
+ * @param {Matrix} Y - Sublayer output (seq_len x d)
+ * @returns {Matrix} X + Y
+ */
+export function addMatrices(X, Y) {
+    const out = createMatrix(X.rows, X.cols, X.data.slice());
+    for (let i = 0; i < out.data.length; i++) {
+        out.data[i] += Y.data[i];
+    }
+    return out;
+}
+
+/**
+ * Normalize every row with LayerNorm or RMSNorm
+ * @param {Matrix} X - Input (seq_len x d)
+ * @param {Object} options - Normalization options
+ * @param {boolean} options.rms - RMSNorm (no mean subtraction) instead of LayerNorm
+ * @param {number} options.eps - Epsilon for numerical stability
+ * @returns {Matrix} Normalized rows
+ */
+export function normalizeRows(X, { rms = false, eps = 1e-5 } = {}) {
+    const { rows, cols } = X;
+    const out = createMatrix(rows, cols);
+    const x = X.data;
+
+    for (let i = 0; i < rows; i++) {
+        const offset = i * cols;
+        let mean = 0;
+        if (!rms) {
+            for (let k = 0; k < cols; k++) {
+                mean += x[offset + k];
+            }
+            mean /= cols;
+        }
+
+        let variance = 0;
+        for (let k = 0; k < cols; k++) {
+            variance += (x[offset + k] - mean) ** 2;
+        }
+        const std = Math.sqrt(variance / cols + eps);
+
+        for (let k = 0; k < cols; k++) {
+            out.data[offset + k] = (x[offset + k] - mean) / std;
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Residual connection followed by layer normalization, row by row
+ * @param {Matrix} X - Residual stream (seq_len x d)
+ * @param {Matrix} Y - Sublayer output (seq_len x d)
+ * @param {number} eps - Epsilon for numerical stability
+ * @returns {Matrix} layerNorm(X + Y) for each row
+ */
+export function residualLayerNorm(X, Y, eps = 1e-5) {
+    return normalizeRows(addMatrices(X, Y), { eps });
+}
+
+/**
+ * Place matrices side by side (e.g. concatenating attention heads)
+ * @param {Matrix[]} matrices - Matrices with the same number of rows
+ * @returns {Matrix} Concatenated matrix
+ */
+export function concatColumns(matrices) {
+    const rows = matrices[0].rows;
+    const cols = matrices.reduce((sum, M) => sum + M.cols, 0);
+    const out = createMatrix(rows, cols);
+
+    for (let i = 0; i < rows; i++) {
+        let offset = i * cols;
+        matrices.forEach(M => {
+            out.data.set(matrixRow(M, i), offset);
+            offset += M.cols;
+        });
+    }
+
+    return out;
+}
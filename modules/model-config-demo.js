@@ -0,0 +1,248 @@
+/**
+ * Model configuration panel
+ * Resizes the toy model the attention, FFN and MoE demos run, and breaks
+ * down its parameter count and forward-pass FLOPs per token.
+ */
+
+import {
+    MODEL_CONFIG_OPTIONS,
+    MOE_TOP_K,
+    DEFAULT_MODEL_CONFIG,
+    getModelConfig,
+    setModelConfig,
+    parameterBreakdown,
+    flopsPerToken
+} from './model-config.js';
+import { ATTENTION_MODES, getActiveAttentionMode, getKVHeadCount } from './attention-modes.js';
+import { NORM_PLACEMENTS, getActiveNormalization } from './normalization.js';
+import { getVocabSize } from './tokenizer.js';
+
+const CONFIG = {
+    defaultSeqLen: 128,
+    maxSeqLen: 8192,
+    components: {
+        embeddings: { short: 'Emb', color: 'var(--accent-purple)' },
+        attention: { short: 'Attn', color: 'var(--accent-cyan)' },
+        ffn: { short: 'FFN', color: 'var(--accent-green)' },
+        norms: { short: 'Norm', color: 'var(--accent-orange)' }
+    }
+};
+
+/**
+ * Format a count with a K/M/G suffix
+ * @param {number} value - Count
+ * @returns {string} e.g. "1.57M"
+ */
+function formatCount(value) {
+    if (value >= 1e9) return `${(value / 1e9).toFixed(2)}G`;
+    if (value >= 1e6) return `${(value / 1e6).toFixed(2)}M`;
+    if (value >= 1e3) return `${(value / 1e3).toFixed(1)}K`;
+    return `${value}`;
+}
+
+/**
+ * Model Config UI Controller
+ */
+export class ModelConfigUI {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.seqLen = CONFIG.defaultSeqLen;
+    }
+
+    /**
+     * Initialize the demo UI
+     */
+    init() {
+        const config = getModelConfig();
+
+        this.container.innerHTML = `
+            <div class="demo-content model-config-demo">
+                <div class="demo-header">
+                    <h2>Model Configuration</h2>
+                    <p class="demo-description">
+                        Resize the toy model. The attention, FFN and MoE demos rebuild their seeded weights
+                        at the new size the next time they run.
+                    </p>
+                </div>
+
+                <div class="demo-controls">
+                    ${Object.entries(MODEL_CONFIG_OPTIONS).map(([key, option]) => `
+                        <div class="control-group" title="${option.description}">
+                            <label for="model-config-${key}">${option.label}:</label>
+                            <select id="model-config-${key}" class="demo-select" data-key="${key}">
+                                ${option.values.map(value => `
+                                    <option value="${value}" ${value === config[key] ? 'selected' : ''}>${value}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    `).join('')}
+                    <div class="control-group">
+                        <label for="model-config-seq-len">Context:</label>
+                        <input type="number" id="model-config-seq-len" class="mask-param-input"
+                               min="1" max="${CONFIG.maxSeqLen}" value="${this.seqLen}">
+                    </div>
+                    <button id="model-config-reset" class="secondary-btn">Reset</button>
+                </div>
+
+                <p class="hint" id="model-config-shape"></p>
+
+                <div class="model-config-layout">
+                    <div class="heatmap-container">
+                        <h4>Parameters</h4>
+                        <table class="bpe-pair-table model-config-table" id="model-config-params"></table>
+                        <div id="model-config-param-bars"></div>
+                    </div>
+                    <div class="heatmap-container">
+                        <h4>FLOPs per Token</h4>
+                        <table class="bpe-pair-table model-config-table" id="model-config-flops"></table>
+                        <p class="hint">
+                            Each weight a token passes through costs a multiply and an add, so a forward pass
+                            takes about 2 FLOPs per active parameter, plus attention over the context.
+                        </p>
+                    </div>
+                </div>
+
+                <div class="demo-explanation" id="model-config-explanation"></div>
+            </div>
+        `;
+
+        this.setupEventListeners();
+        this.render();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.container.querySelectorAll('select[data-key]').forEach(select => {
+            select.addEventListener('change', () => {
+                setModelConfig({ [select.dataset.key]: Number(select.value) });
+                this.render();
+            });
+        });
+
+        const seqLen = this.container.querySelector('#model-config-seq-len');
+        seqLen.addEventListener('change', () => {
+            this.seqLen = Math.min(CONFIG.maxSeqLen, Math.max(1, Math.round(Number(seqLen.value)) || 1));
+            seqLen.value = this.seqLen;
+            this.render();
+        });
+
+        this.container.querySelector('#model-config-reset').addEventListener('click', () => {
+            setModelConfig(DEFAULT_MODEL_CONFIG);
+            this.init();
+        });
+    }
+
+    /**
+     * Recompute the breakdowns for the shared config
+     */
+    render() {
+        const config = getModelConfig();
+        const mode = getActiveAttentionMode();
+        const { norm, placement } = getActiveNormalization();
+        const options = {
+            vocabSize: getVocabSize(),
+            kvHeads: getKVHeadCount(mode, config.numHeads),
+            norm,
+            placement,
+            seqLen: this.seqLen
+        };
+
+        const dense = parameterBreakdown(config, options);
+        const moe = parameterBreakdown(config, { ...options, moe: true });
+        const denseFlops = flopsPerToken(config, options);
+        const moeFlops = flopsPerToken(config, { ...options, moe: true });
+
+        this.container.querySelector('#model-config-shape').textContent =
+            `${config.numHeads} heads × ${config.headDim} dims = ${config.embedDim}-wide residual stream; ` +
+            `${ATTENTION_MODES[mode].label} with ${options.kvHeads} K/V head${options.kvHeads > 1 ? 's' : ''}, ` +
+            `${NORM_PLACEMENTS[placement].label.toLowerCase()}, ${options.vocabSize.toLocaleString()}-token vocabulary.`;
+
+        this.renderParameters(dense, moe);
+        this.renderFlops(denseFlops, moeFlops);
+        this.updateExplanation(config, dense, moe, denseFlops, moeFlops);
+    }
+
+    /**
+     * Parameter table (dense FFN vs MoE) and each component's share of the dense model
+     */
+    renderParameters(dense, moe) {
+        // The MoE model has every dense component plus a router
+        const rows = moe.components.map(component => {
+            const denseComponent = dense.components.find(c => c.key === component.key);
+            return `
+                <tr>
+                    <td>${component.key === 'ffn' ? `${denseComponent.label} / ${component.label}` : component.label}</td>
+                    <td>${denseComponent ? formatCount(denseComponent.params) : '—'}</td>
+                    <td>${formatCount(component.params)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        this.container.querySelector('#model-config-params').innerHTML = `
+            <thead><tr><th>Component</th><th>Dense</th><th>MoE</th></tr></thead>
+            <tbody>
+                ${rows}
+                <tr class="chosen"><td>Total</td><td>${formatCount(dense.total)}</td><td>${formatCount(moe.total)}</td></tr>
+                <tr><td>Active per token</td><td>${formatCount(dense.active)}</td><td>${formatCount(moe.active)}</td></tr>
+            </tbody>
+        `;
+
+        this.container.querySelector('#model-config-param-bars').innerHTML = dense.components.map(component => {
+            const share = component.params / dense.total;
+            return `
+                <div class="load-bar">
+                    <span class="bar-label" title="${component.label}">${CONFIG.components[component.key].short}</span>
+                    <div class="bar-track">
+                        <div class="bar-fill" style="width: ${share * 100}%; background: ${CONFIG.components[component.key].color}"></div>
+                    </div>
+                    <span class="bar-count">${(share * 100).toFixed(1)}%</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * FLOPs table (dense FFN vs MoE)
+     */
+    renderFlops(dense, moe) {
+        const rows = dense.components.map((component, i) => `
+            <tr>
+                <td>${component.key === 'ffn' ? `${component.label} / ${moe.components[i].label}` : component.label}</td>
+                <td>${formatCount(component.flops)}</td>
+                <td>${formatCount(moe.components[i].flops)}</td>
+            </tr>
+        `).join('');
+
+        this.container.querySelector('#model-config-flops').innerHTML = `
+            <thead><tr><th>Component</th><th>Dense</th><th>MoE</th></tr></thead>
+            <tbody>
+                ${rows}
+                <tr class="chosen"><td>Total</td><td>${formatCount(dense.total)}</td><td>${formatCount(moe.total)}</td></tr>
+            </tbody>
+        `;
+    }
+
+    /**
+     * Update explanation text
+     */
+    updateExplanation(config, dense, moe, denseFlops, moeFlops) {
+        const attentionShare = denseFlops.components.find(c => c.key === 'attention').flops / denseFlops.total;
+
+        this.container.querySelector('#model-config-explanation').innerHTML = `
+            <p>
+                <strong>MoE:</strong> ${config.numExperts} experts store ${(moe.total / dense.total).toFixed(1)}× the parameters
+                of the dense model, but each token only runs ${MOE_TOP_K} of them, so it costs
+                ${(moeFlops.total / denseFlops.total).toFixed(1)}× the FLOPs.
+            </p>
+            <p>
+                <strong>Context:</strong> at ${this.seqLen} tokens, attention scores and their weighted sum are
+                ${(attentionShare * 100).toFixed(1)}% of the dense forward pass. This share grows with context length,
+                while everything else stays fixed per token.
+            </p>
+        `;
+    }
+}
+
+export default ModelConfigUI;
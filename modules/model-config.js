@@ -0,0 +1,158 @@
+/**
+ * Toy model hyperparameters
+ * Shared size of the model the attention, FFN and MoE demos run, plus a
+ * calculator for its parameter count and forward-pass FLOPs per token.
+ */
+
+import { NORM_TYPES } from './normalization.js';
+
+// Experts each token is routed to in the MoE layer
+export const MOE_TOP_K = 2;
+
+// Registry of adjustable hyperparameters and the values offered for each
+export const MODEL_CONFIG_OPTIONS = {
+    numLayers: {
+        label: 'Layers',
+        description: 'Transformer blocks stacked on top of each other.',
+        values: [1, 2, 3, 4, 6, 8]
+    },
+    numHeads: {
+        label: 'Heads',
+        description: 'Attention heads per layer; each gets embedDim / heads dimensions.',
+        values: [1, 2, 4, 8]
+    },
+    embedDim: {
+        label: 'Embedding width',
+        description: 'Width of the residual stream (d_model).',
+        values: [32, 64, 128, 256]
+    },
+    ffnDim: {
+        label: 'FFN width',
+        description: 'Hidden neurons in each feed-forward network (4 × d_model in GPT-2).',
+        values: [64, 128, 256, 512, 1024]
+    },
+    numExperts: {
+        label: 'Experts',
+        description: `FFN copies in a Mixture of Experts layer; each token uses ${MOE_TOP_K}.`,
+        values: [2, 4, 8, 16]
+    }
+};
+
+export const DEFAULT_MODEL_CONFIG = {
+    numLayers: 3,
+    numHeads: 4,
+    embedDim: 64,
+    ffnDim: 256,
+    numExperts: 8
+};
+
+// Shared between the config panel and the demos that run the model
+let activeModelConfig = { ...DEFAULT_MODEL_CONFIG };
+const listeners = new Set();
+
+/**
+ * Check a config and add the derived head width
+ * @param {Object} config - Values for every key of MODEL_CONFIG_OPTIONS
+ * @returns {Object} The config plus headDim (embedDim / numHeads)
+ */
+export function resolveModelConfig(config) {
+    Object.entries(MODEL_CONFIG_OPTIONS).forEach(([key, option]) => {
+        if (!option.values.includes(config[key])) {
+            throw new Error(`Unsupported ${option.label.toLowerCase()}: ${config[key]}`);
+        }
+    });
+    const { numLayers, numHeads, embedDim, ffnDim, numExperts } = config;
+    return { numLayers, numHeads, embedDim, headDim: embedDim / numHeads, ffnDim, numExperts };
+}
+
+/**
+ * Change some hyperparameters of the shared config
+ * Demos rebuild their seeded weights on their next run.
+ * @param {Object} changes - Subset of the keys of MODEL_CONFIG_OPTIONS
+ */
+export function setModelConfig(changes) {
+    const next = { ...activeModelConfig, ...changes };
+    resolveModelConfig(next);
+    activeModelConfig = next;
+    listeners.forEach(listener => listener(getModelConfig()));
+}
+
+/**
+ * Get the shared config
+ * @returns {Object} Hyperparameters including the derived headDim
+ */
+export function getModelConfig() {
+    return resolveModelConfig(activeModelConfig);
+}
+
+/**
+ * Be notified when the shared config changes
+ * @param {function} listener - Called with the resolved config
+ * @returns {function} Unsubscribe
+ */
+export function onModelConfigChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Parameters per component
+ * Weights only: the toy model has no biases. Token embeddings are tied to
+ * the output projection, so they are counted once.
+ * @param {Object} config - Resolved config (see resolveModelConfig)
+ * @param {Object} options - Architecture choices
+ * @param {number} options.vocabSize - Rows of the embedding table
+ * @param {number} options.kvHeads - K/V heads per layer (fewer than numHeads in GQA/MQA)
+ * @param {string} options.norm - Key of NORM_TYPES
+ * @param {string} options.placement - 'post', or 'pre' which adds a final norm
+ * @param {boolean} options.moe - Replace each FFN with numExperts experts and a router
+ * @returns {{components: Array<{key: string, label: string, params: number, active: number}>, total: number, active: number}}
+ *     Stored and per-token active parameters
+ */
+export function parameterBreakdown(config, { vocabSize, kvHeads = config.numHeads, norm = 'layernorm', placement = 'post', moe = false }) {
+    const { numLayers, embedDim, headDim, ffnDim, numExperts } = config;
+    const ffnParams = 2 * embedDim * ffnDim;
+    const normCount = 2 * numLayers + (placement === 'pre' ? 1 : 0);
+
+    const components = [
+        { key: 'embeddings', label: 'Token embeddings (tied output)', params: vocabSize * embedDim },
+        { key: 'attention', label: 'Attention (Q, K, V, O)', params: numLayers * (2 * embedDim * embedDim + 2 * embedDim * kvHeads * headDim) },
+        moe
+            ? { key: 'ffn', label: `Experts (${numExperts} FFNs)`, params: numLayers * numExperts * ffnParams, active: numLayers * MOE_TOP_K * ffnParams }
+            : { key: 'ffn', label: 'Feed-forward', params: numLayers * ffnParams },
+        ...(moe ? [{ key: 'router', label: 'Router', params: numLayers * embedDim * numExperts }] : []),
+        { key: 'norms', label: `${NORM_TYPES[norm].label} (${normCount})`, params: normCount * embedDim * (NORM_TYPES[norm].rms ? 1 : 2) }
+    ].map(component => ({ active: component.params, ...component }));
+
+    return {
+        components,
+        total: components.reduce((sum, c) => sum + c.params, 0),
+        active: components.reduce((sum, c) => sum + c.active, 0)
+    };
+}
+
+/**
+ * Forward-pass FLOPs for one new token
+ * Two FLOPs (multiply and add) per weight used, plus the attention scores
+ * and weighted sum over the context, which grow with its length.
+ * @param {Object} config - Resolved config (see resolveModelConfig)
+ * @param {Object} options - Architecture choices
+ * @param {number} options.vocabSize - Rows of the output projection
+ * @param {number} options.seqLen - Tokens the new token attends to
+ * @param {number} options.kvHeads - K/V heads per layer
+ * @param {boolean} options.moe - Route each token to MOE_TOP_K experts
+ * @returns {{components: Array<{key: string, label: string, flops: number}>, total: number}} FLOPs per component
+ */
+export function flopsPerToken(config, { vocabSize, seqLen, kvHeads = config.numHeads, moe = false }) {
+    const { numLayers, embedDim, headDim, ffnDim, numExperts } = config;
+    const ffnWeights = 2 * embedDim * ffnDim * (moe ? MOE_TOP_K : 1);
+
+    const components = [
+        { key: 'projections', label: 'Q, K, V, O projections', flops: 2 * numLayers * (2 * embedDim * embedDim + 2 * embedDim * kvHeads * headDim) },
+        { key: 'attention', label: `Scores and weighted sum (${seqLen} tokens)`, flops: 2 * numLayers * 2 * seqLen * embedDim },
+        { key: 'ffn', label: moe ? `Experts (${MOE_TOP_K} of ${numExperts}) and router` : 'Feed-forward', flops: 2 * numLayers * (ffnWeights + (moe ? embedDim * numExperts : 0)) },
+        { key: 'output', label: 'Output projection', flops: 2 * embedDim * vocabSize }
+    ];
+
+    return { components, total: components.reduce((sum, c) => sum + c.flops, 0) };
+}
@@ -0,0 +1,225 @@
+/**
+ * Model runner
+ * Runs the toy model's forward passes off the main thread. Each pass is a
+ * generator that yields a progress step between layers; the worker drives it
+ * and checks for cancellation at every step. Without Worker support (or when
+ * the worker fails to load) the same steps run on the main thread, yielding
+ * to the event loop between them.
+ *
+ * Messages to the worker:   { type: 'run', id, task, payload } | { type: 'cancel', id }
+ * Messages from the worker: { type: 'progress', id, progress } | { type: 'result', id, result }
+ *                           | { type: 'error', id, message } | { type: 'cancelled', id }
+ */
+
+// Delay between the last keystroke and a live re-run
+const LIVE_RUN_DELAY_MS = 150;
+
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 1;
+const handlers = new Map();
+
+/**
+ * Drain a forward-pass generator synchronously
+ * @param {Generator} steps - Forward pass yielding progress steps
+ * @returns {*} The pass's return value
+ */
+export function runToCompletion(steps) {
+    let step = steps.next();
+    while (!step.done) {
+        step = steps.next();
+    }
+    return step.value;
+}
+
+/**
+ * Drive a forward-pass generator, yielding to the event loop between steps
+ * @param {Generator} steps - Forward pass yielding {done, total, label} progress steps
+ * @param {Object} callbacks - Callbacks
+ * @param {function} callbacks.onProgress - Called with each progress step
+ * @param {function} callbacks.isCancelled - Checked between steps
+ * @returns {Promise<{cancelled: boolean, result: *}>} Outcome of the pass
+ */
+export async function driveSteps(steps, { onProgress = () => {}, isCancelled = () => false } = {}) {
+    let step = steps.next();
+    while (!step.done) {
+        onProgress(step.value);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (isCancelled()) {
+            return { cancelled: true, result: null };
+        }
+        step = steps.next();
+    }
+    return { cancelled: false, result: step.value };
+}
+
+/**
+ * Error used to reject a request that a newer one replaced
+ * @returns {Error} Error named AbortError
+ */
+function cancelledError() {
+    const error = new Error('Model run cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Whether an error came from a cancelled request
+ * @param {Error} error - Rejection reason
+ * @returns {boolean} True for cancellations
+ */
+export function isCancelled(error) {
+    return error?.name === 'AbortError';
+}
+
+/**
+ * Start the shared worker on first use
+ * @returns {Worker|null} Worker, or null when workers are unavailable
+ */
+function getWorker() {
+    if (worker || workerFailed) return worker;
+    if (typeof Worker === 'undefined') {
+        workerFailed = true;
+        return null;
+    }
+
+    try {
+        worker = new Worker(new URL('./model-worker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+        workerFailed = true;
+        return null;
+    }
+
+    worker.addEventListener('message', ({ data }) => {
+        handlers.get(data.id)?.(data);
+    });
+
+    // e.g. a browser without module workers: rerun pending requests on the main thread
+    worker.addEventListener('error', () => {
+        worker.terminate();
+        worker = null;
+        workerFailed = true;
+        handlers.forEach(handler => handler({ type: 'fallback' }));
+    });
+
+    return worker;
+}
+
+/**
+ * Run a task on the main thread (fallback when there is no worker)
+ */
+async function runOnMainThread(task, payload, onProgress, isCancelledRequest) {
+    const { startModelTask } = await import('./model-tasks.js');
+    return driveSteps(startModelTask(task, payload), { onProgress, isCancelled: isCancelledRequest });
+}
+
+/**
+ * Model Runner
+ * One runner per demo: a new run() cancels the runner's previous request,
+ * so only the latest input is ever rendered.
+ */
+export class ModelRunner {
+    constructor() {
+        this.current = null;
+    }
+
+    /**
+     * Run a model task
+     * @param {string} task - Key of MODEL_TASKS ('attention', 'moe' or 'ffn')
+     * @param {Object} payload - Task input (text plus main-thread tokens and options)
+     * @param {Object} options - Run options
+     * @param {function} options.onProgress - Called with {done, total, label} steps, starting at once
+     * @returns {Promise<*>} Task result; rejects with an AbortError if a newer run replaces it
+     */
+    run(task, payload, { onProgress = () => {} } = {}) {
+        this.cancel();
+
+        const id = nextRequestId++;
+        const request = { id, cancelled: false };
+        this.current = request;
+        onProgress({ done: 0, total: 1, label: 'Starting…' });
+
+        return new Promise((resolve, reject) => {
+            const finish = () => {
+                handlers.delete(id);
+                if (this.current === request) this.current = null;
+            };
+            request.reject = error => {
+                finish();
+                reject(error);
+            };
+
+            const fallback = () => {
+                runOnMainThread(task, payload, onProgress, () => request.cancelled)
+                    .then(({ cancelled, result }) => {
+                        if (cancelled) return;
+                        finish();
+                        resolve(result);
+                    })
+                    .catch(error => request.reject(error));
+            };
+
+            const activeWorker = getWorker();
+            if (!activeWorker) {
+                fallback();
+                return;
+            }
+
+            handlers.set(id, data => {
+                if (request.cancelled) return;
+                if (data.type === 'progress') {
+                    onProgress(data.progress);
+                } else if (data.type === 'result') {
+                    finish();
+                    resolve(data.result);
+                } else if (data.type === 'error') {
+                    request.reject(new Error(data.message));
+                } else if (data.type === 'fallback') {
+                    handlers.delete(id);
+                    fallback();
+                }
+            });
+            activeWorker.postMessage({ type: 'run', id, task, payload });
+        });
+    }
+
+    /**
+     * Cancel the pending request, if any
+     */
+    cancel() {
+        const request = this.current;
+        if (!request) return;
+
+        request.cancelled = true;
+        if (worker) {
+            worker.postMessage({ type: 'cancel', id: request.id });
+        }
+        request.reject(cancelledError());
+    }
+}
+
+/**
+ * Re-run a model as the user types, once typing pauses
+ * @param {HTMLInputElement} input - Text input
+ * @param {function} run - Called with no arguments after each pause
+ */
+export function onLiveInput(input, run) {
+    let timer = null;
+    input.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(run, LIVE_RUN_DELAY_MS);
+    });
+}
+
+/**
+ * Show a run's progress in a .model-progress element (null hides it)
+ * @param {HTMLElement} element - Progress element
+ * @param {{done: number, total: number, label: string}|null} progress - Current step
+ */
+export function setModelProgress(element, progress) {
+    element.classList.toggle('hidden', !progress);
+    if (!progress) return;
+
+    element.querySelector('.model-progress-fill').style.width = `${(progress.done / progress.total) * 100}%`;
+    element.querySelector('.model-progress-label').textContent = progress.label;
+}
@@ -0,0 +1,28 @@
+/**
+ * Model tasks the runner can execute
+ * Each task maps a message payload to a forward-pass generator. Inputs are
+ * tokenized on the main thread so a loaded tokenizer applies in the worker too.
+ */
+
+import { attentionForwardSteps } from './attention-demo.js';
+import { moeRoutingSteps } from './moe-demo.js';
+import { ffnInspectSteps } from './ffn-demo.js';
+
+export const MODEL_TASKS = {
+    attention: ({ text, tokens, options }) => attentionForwardSteps(text, tokens, options),
+    moe: ({ text, tokens, options }) => moeRoutingSteps(text, tokens, options),
+    ffn: ({ text, tokens, options }) => ffnInspectSteps(text, tokens, options)
+};
+
+/**
+ * Start a task's forward pass
+ * @param {string} task - Key of MODEL_TASKS
+ * @param {Object} payload - Task input
+ * @returns {Generator} Forward pass yielding progress steps
+ */
+export function startModelTask(task, payload) {
+    if (!MODEL_TASKS[task]) {
+        throw new Error(`Unknown model task: ${task}`);
+    }
+    return MODEL_TASKS[task](payload);
+}
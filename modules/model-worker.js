@@ -0,0 +1,35 @@
+/**
+ * Model worker entry point
+ * Runs model tasks for ModelRunner (see model-runner.js for the message
+ * protocol). Several requests can be in flight; each checks for its cancel
+ * message between forward-pass steps.
+ */
+
+import { startModelTask } from './model-tasks.js';
+import { driveSteps } from './model-runner.js';
+
+const running = new Set();
+const cancelled = new Set();
+
+self.addEventListener('message', async ({ data }) => {
+    if (data.type === 'cancel') {
+        if (running.has(data.id)) cancelled.add(data.id);
+        return;
+    }
+    if (data.type !== 'run') return;
+
+    const { id, task, payload } = data;
+    running.add(id);
+    try {
+        const outcome = await driveSteps(startModelTask(task, payload), {
+            onProgress: progress => self.postMessage({ type: 'progress', id, progress }),
+            isCancelled: () => cancelled.has(id)
+        });
+        self.postMessage(outcome.cancelled ? { type: 'cancelled', id } : { type: 'result', id, result: outcome.result });
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message });
+    } finally {
+        running.delete(id);
+        cancelled.delete(id);
+    }
+});
@@ -0,0 +1,117 @@
+/**
+ * MoE expert capacity
+ * Experts run fixed-size batches, so each one processes at most
+ * capacity = ⌈factor · tokens · k / experts⌉ assignments per batch. Assignments
+ * past that overflow: the expert skips them and the token carries on along
+ * the residual stream (Switch Transformer, GShard).
+ */
+
+// Capacity factors offered by the demo. A factor of null (the "No limit"
+// option) is also accepted everywhere and gives every expert unlimited slots.
+export const CAPACITY_FACTORS = [0.5, 1, 1.25, 1.5, 2];
+
+// Batch sizes (in tokens) compared in the batch-size sweep
+export const BATCH_SIZES = [4, 8, 16, 32, 64];
+
+/**
+ * Slots each expert has in one batch
+ * @param {number} numTokens - Tokens in the batch
+ * @param {number} numExperts - Number of experts
+ * @param {number} topK - Experts per token
+ * @param {number|null} factor - Capacity factor, or null for no limit
+ * @returns {number} Assignments each expert processes at most (Infinity without a limit)
+ */
+export function expertCapacity(numTokens, numExperts, topK, factor) {
+    if (factor === null) return Infinity;
+    return Math.ceil((factor * numTokens * topK) / numExperts);
+}
+
+/**
+ * Fill expert slots and find the assignments that overflow
+ * Every token's first choice is placed before any second choice, in token
+ * order within each rank, so overflow hits lower-ranked choices and later
+ * tokens first.
+ * @param {number[][]} assignments - Expert indices per token, best first
+ * @param {number} numExperts - Number of experts
+ * @param {number} capacity - Slots per expert
+ * @returns {{kept: boolean[][], processed: number[], overflow: number[], droppedSlots: number, skippedTokens: number[]}}
+ *     Whether each assignment fits, per-expert processed and overflowed counts, and tokens no expert processes
+ */
+export function applyCapacity(assignments, numExperts, capacity) {
+    const processed = new Array(numExperts).fill(0);
+    const overflow = new Array(numExperts).fill(0);
+    const kept = assignments.map(experts => experts.map(() => false));
+    const topK = Math.max(0, ...assignments.map(experts => experts.length));
+
+    for (let rank = 0; rank < topK; rank++) {
+        assignments.forEach((experts, t) => {
+            const expert = experts[rank];
+            if (expert === undefined) return;
+            if (processed[expert] < capacity) {
+                processed[expert]++;
+                kept[t][rank] = true;
+            } else {
+                overflow[expert]++;
+            }
+        });
+    }
+
+    return {
+        kept,
+        processed,
+        overflow,
+        droppedSlots: overflow.reduce((a, b) => a + b, 0),
+        skippedTokens: kept.flatMap((row, t) => (row.some(Boolean) ? [] : [t]))
+    };
+}
+
+/**
+ * Capacity effects when the same tokens are split into batches of different sizes
+ * Each batch gets its own capacity. Small batches see noisier loads, so at a
+ * fixed factor they drop more, and avoiding drops needs a larger factor,
+ * which leaves more slots idle in the typical batch.
+ * @param {number[][]} assignments - Expert indices per token, best first
+ * @param {number} numExperts - Number of experts
+ * @param {number|null} factor - Capacity factor, or null for no limit
+ * @param {number[]} batchSizes - Tokens per batch
+ * @returns {Array<{batchSize: number, batches: number, capacity: number, dropRate: number, skipRate: number, idleRate: number|null, neededFactor: number}>}
+ *     Per batch size: batch count, capacity of a full batch, share of assignments dropped,
+ *     share of tokens no expert processes, share of expert slots left empty, and the mean
+ *     factor each batch would need to drop nothing
+ */
+export function capacityBatchSweep(assignments, numExperts, factor, batchSizes) {
+    const topK = Math.max(0, ...assignments.map(experts => experts.length));
+
+    return batchSizes.map(batchSize => {
+        let dropped = 0;
+        let skipped = 0;
+        let slots = 0;
+        let used = 0;
+        let neededFactor = 0;
+        let batches = 0;
+
+        for (let start = 0; start < assignments.length; start += batchSize) {
+            const batch = assignments.slice(start, start + batchSize);
+            const capacity = expertCapacity(batch.length, numExperts, topK, factor);
+            const result = applyCapacity(batch, numExperts, capacity);
+            const demand = result.processed.map((count, i) => count + result.overflow[i]);
+
+            dropped += result.droppedSlots;
+            skipped += result.skippedTokens.length;
+            slots += capacity * numExperts;
+            used += result.processed.reduce((a, b) => a + b, 0);
+            neededFactor += Math.max(...demand) / ((batch.length * topK) / numExperts);
+            batches++;
+        }
+
+        return {
+            batchSize,
+            batches,
+            capacity: expertCapacity(Math.min(batchSize, assignments.length), numExperts, topK, factor),
+            dropRate: dropped / (assignments.length * topK),
+            skipRate: skipped / assignments.length,
+            idleRate: factor === null ? null : 1 - used / slots,
+            neededFactor: neededFactor / batches
+        };
+    });
+}
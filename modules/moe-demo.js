@@ -3,14 +3,23 @@
  * Interactive demo showing how MOE routing works
  */
 
-import { tokenize, getEmbeddings, getEmbedDim } from './tokenizer.js';
-import { softmax, matvec, randomMatrix, transpose } from './math-utils.js';
-
-// MOE configuration
+import { tokenize, getEmbeddings, getActiveTokenizer } from './tokenizer.js';
+import { renderSourceText, linkTokenHighlights } from './token-spans.js';
+import { MOE_TOP_K, DEFAULT_MODEL_CONFIG, resolveModelConfig, getModelConfig } from './model-config.js';
+import { ROUTER_MODES, TRAINING_CORPUS, TRAINING_STEPS, LEARNING_RATE, loadBalanceStats, trainRouter } from './moe-training.js';
+import { CAPACITY_FACTORS, BATCH_SIZES, expertCapacity, applyCapacity, capacityBatchSweep } from './moe-capacity.js';
+import { softmax, randomMatrix, toMatrix, transposeMatrix, matmulT, matrixRow } from './math-utils.js';
+import { ModelRunner, runToCompletion, isCancelled, onLiveInput, setModelProgress } from './model-runner.js';
+import { escapeHTML } from './dom-utils.js';
+
+// MOE configuration (the expert count and width come from the shared config in model-config.js)
 const CONFIG = {
-    numExperts: 8,
-    topK: 2,
-    embedDim: 64,
+    topK: MOE_TOP_K,
+    maxTokens: 128,
+    defaultCapacityFactor: 1.25,
+    trainingFrameMs: 80,
+    curveWidth: 360,
+    curveHeight: 160,
     expertColors: [
         '#ef4444', // red
         '#f97316', // orange
@@ -20,16 +29,6 @@ const CONFIG = {
         '#3b82f6', // blue
         '#8b5cf6', // violet
         '#ec4899'  // pink
-    ],
-    expertNames: [
-        'Expert 1',
-        'Expert 2',
-        'Expert 3',
-        'Expert 4',
-        'Expert 5',
-        'Expert 6',
-        'Expert 7',
-        'Expert 8'
     ]
 };
 
@@ -45,7 +44,7 @@ const TOKEN_CATEGORIES = {
     general: new Set(['"', "'", '.', ',', '!', '?', '-'])
 };
 
-// Category order maps to expert indices (0-7)
+// Category order maps to expert indices (0-7, wrapping around with fewer experts)
 const CATEGORY_ORDER = ['grammar', 'facts', 'math', 'code', 'creative', 'logic', 'language', 'general'];
 
 // Secondary affinities: some tokens should boost multiple experts
@@ -58,8 +57,51 @@ const SECONDARY_AFFINITIES = {
 // Semantic bias strength (added to logits for primary expert)
 const SEMANTIC_BIAS_STRENGTH = 2.5;
 
-// Router weights (fixed for consistency)
-const routerWeights = randomMatrix(CONFIG.embedDim, CONFIG.numExperts, 42424242);
+// Router weights (fixed for consistency) for the last model config run, stored transposed for matmulT
+let router = null;
+
+// Training is deterministic, so the trained router of the last config and corpus is kept
+let trainedRouter = null;
+
+// Tokenized training corpus for the last tokenizer used
+let corpus = null;
+
+/**
+ * Get the training corpus, tokenized with the active tokenizer
+ * @returns {Array<{text: string, id: number}>} Corpus tokens
+ */
+function getCorpusTokens() {
+    const tokenizer = getActiveTokenizer();
+    if (!corpus || corpus.tokenizer !== tokenizer) {
+        corpus = { tokenizer, tokens: tokenize(TRAINING_CORPUS.join(' ')) };
+    }
+    return corpus.tokens;
+}
+
+/**
+ * Get the router weights for an embedding width and expert count
+ * @param {{embedDim: number, numExperts: number}} config - Resolved model config
+ * @returns {Matrix} Router weights (num_experts x embed_dim)
+ */
+function getRouterWeights({ embedDim, numExperts }) {
+    if (!router || router.embedDim !== embedDim || router.numExperts !== numExperts) {
+        router = {
+            embedDim,
+            numExperts,
+            weightsT: transposeMatrix(toMatrix(randomMatrix(embedDim, numExperts, 42424242)))
+        };
+    }
+    return router.weightsT;
+}
+
+/**
+ * Display color of an expert; experts past the palette get evenly spread hues
+ * @param {number} index - Expert index
+ * @returns {string} CSS color
+ */
+function expertColor(index) {
+    return CONFIG.expertColors[index] || `hsl(${(index * 137.5) % 360}, 70%, 60%)`;
+}
 
 /**
  * Get the expert category for a token based on its text
@@ -87,29 +129,35 @@ function getTokenExpertCategory(tokenText) {
 }
 
 /**
- * Route a single token embedding to experts
- * @param {Float32Array} embedding - Token embedding vector
- * @param {string} tokenText - Optional token text for semantic biasing
+ * Hand-written logit boosts for each token category
+ * @param {number} numExperts - Number of experts
+ * @returns {number[][]} One row of per-expert boosts per category
  */
-function routeToken(embedding, tokenText = null) {
-    // Compute router logits
-    const logits = matvec(transpose(routerWeights), embedding);
-
-    // Apply semantic biasing if token text is provided
-    if (tokenText) {
-        const primaryExpert = getTokenExpertCategory(tokenText);
+function categoryBiasTable(numExperts) {
+    return CATEGORY_ORDER.map((_, category) => {
+        const row = new Array(numExperts).fill(0);
 
         // Boost primary expert
-        logits[primaryExpert] += SEMANTIC_BIAS_STRENGTH;
+        row[category % numExperts] += SEMANTIC_BIAS_STRENGTH;
 
         // Apply secondary affinities
-        const affinities = SECONDARY_AFFINITIES[primaryExpert];
+        const affinities = SECONDARY_AFFINITIES[category];
         if (affinities) {
             affinities.forEach(([expertIdx, boost]) => {
-                logits[expertIdx] += boost;
+                row[expertIdx % numExperts] += boost;
             });
         }
-    }
+        return row;
+    });
+}
+
+/**
+ * Route a single token to experts
+ * @param {Float32Array} routerLogits - Router logits for the token (one row of embeddings · W_router)
+ * @param {number[]} bias - Optional boost for the token's category (a row of categoryBiasTable)
+ */
+function routeToken(routerLogits, bias = null) {
+    const logits = Array.from(routerLogits, (z, i) => (bias ? z + bias[i] : z));
 
     // Softmax to get probabilities
     const probs = softmax(logits);
@@ -136,26 +184,137 @@ function routeToken(embedding, tokenText = null) {
 }
 
 /**
- * Run MOE routing for all tokens
+ * Build the payload of a 'moe' model task
+ * Tokenizes (including the corpus used for training and the batch-size
+ * sweep) and resolves the shared model config on the main thread so a
+ * loaded tokenizer and the chosen expert count apply in the worker too.
+ * Input is capped at CONFIG.maxTokens tokens.
+ * @param {string} text - Input text
+ * @param {Object} options - Routing options (see moeRoutingSteps)
+ * @param {string} options.router - Key of ROUTER_MODES
+ * @param {number|null} options.capacityFactor - One of CAPACITY_FACTORS, or null for no limit
+ * @returns {{text: string, tokens: Array, options: Object}|null} Payload, or null for empty input
  */
-export function runMOEDemo(text) {
-    // Tokenize
-    const tokens = tokenize(text).slice(0, 10);
-    if (tokens.length === 0) return null;
-
-    // Get embeddings
-    const embeddings = getEmbeddings(tokens);
-
-    // Route each token
-    const routingResults = embeddings.map((emb, i) => ({
-        token: tokens[i],
-        tokenIndex: i,
-        routing: routeToken(emb, tokens[i].text)
-    }));
+export function moeRequest(text, { modelConfig = getModelConfig(), router = 'biased', capacityFactor = null } = {}) {
+    if (!ROUTER_MODES[router]) {
+        throw new Error(`Unknown router mode: ${router}`);
+    }
+    if (capacityFactor !== null && !CAPACITY_FACTORS.includes(capacityFactor)) {
+        throw new Error(`Unsupported capacity factor: ${capacityFactor}`);
+    }
+    const tokens = tokenize(text).slice(0, CONFIG.maxTokens);
+    if (tokens.length === 0) {
+        return null;
+    }
+    const corpusTokens = getCorpusTokens();
+    return { text, tokens, options: { modelConfig, router, capacityFactor, corpusTokens } };
+}
+
+/**
+ * Route tokens with a router
+ * @param {Array<{text: string, id: number}>} tokens - Tokens to route
+ * @param {number} embedDim - Embedding width
+ * @param {Matrix} weightsT - Router weights (num_experts x embed_dim)
+ * @param {number[][]} categoryBias - Logit boost per token category and expert
+ * @returns {Object[]} Routing of each token (see routeToken)
+ */
+function routeTokens(tokens, embedDim, weightsT, categoryBias) {
+    // Router logits for every token in one matmul
+    const logits = matmulT(toMatrix(getEmbeddings(tokens, embedDim)), weightsT);
+    return tokens.map((token, i) => routeToken(matrixRow(logits, i), categoryBias[getTokenExpertCategory(token.text)]));
+}
+
+/**
+ * MOE routing as a generator that yields between stages
+ * Used by the model worker, which checks for cancellation between stages.
+ * @param {string} text - Input text
+ * @param {Array<{text: string, id: number}>} tokens - Tokens of the text (non-empty)
+ * @param {Object} options - Routing options
+ * @param {Object} options.modelConfig - Model size; sets the expert count and embedding width
+ * @param {string} options.router - Key of ROUTER_MODES
+ * @param {number|null} options.capacityFactor - Capacity factor, or null for no limit
+ * @param {Array<{text: string, id: number}>} options.corpusTokens - Corpus tokens for training and the
+ *     batch-size sweep (neither runs without them)
+ * @yields {{done: number, total: number, label: string}} Progress after each training step and stage
+ * @returns {Object} Same result as runMOEDemo()
+ */
+export function* moeRoutingSteps(text, tokens, { modelConfig = DEFAULT_MODEL_CONFIG, router = 'biased', capacityFactor = null, corpusTokens = null } = {}) {
+    const { numExperts, embedDim } = resolveModelConfig(modelConfig);
+    let weightsT = getRouterWeights({ embedDim, numExperts });
+    let categoryBias = categoryBiasTable(numExperts);
+
+    // Train from the rule-biased router, one cancellable step at a time, unless this config is already trained
+    let training = null;
+    const trainedKey = router === 'trained' && corpusTokens
+        ? JSON.stringify([embedDim, numExperts, corpusTokens.map(token => token.id)])
+        : null;
+    const cached = trainedKey !== null && trainedRouter?.key === trainedKey;
+    const trainingSteps = trainedKey !== null && !cached ? TRAINING_STEPS : 0;
+    const total = 3 + trainingSteps;
+    if (cached) {
+        ({ weightsT, categoryBias, training } = trainedRouter);
+    } else if (trainingSteps > 0) {
+        const steps = trainRouter(
+            { weightsT, categoryBias },
+            toMatrix(getEmbeddings(corpusTokens, embedDim)),
+            corpusTokens.map(token => getTokenExpertCategory(token.text)),
+            { topK: CONFIG.topK }
+        );
+        const history = [];
+        let step = steps.next();
+        while (!step.done) {
+            history.push(step.value);
+            if (step.value.step > 0) {
+                yield { done: step.value.step, total, label: `Training step ${step.value.step} of ${TRAINING_STEPS}` };
+            }
+            step = steps.next();
+        }
+        ({ weightsT, categoryBias } = step.value);
+        training = {
+            history,
+            corpusSize: corpusTokens.length,
+            learningRate: LEARNING_RATE,
+            idealCount: loadBalanceStats(history[0].counts, corpusTokens.length, CONFIG.topK).idealCount
+        };
+        trainedRouter = { key: trainedKey, weightsT, categoryBias, training };
+    }
 
-    // Compute load balancing statistics
-    const expertCounts = new Array(CONFIG.numExperts).fill(0);
-    const expertWeights = new Array(CONFIG.numExperts).fill(0);
+    const routings = routeTokens(tokens, embedDim, weightsT, categoryBias);
+    yield { done: total - 2, total, label: 'Top-k routing' };
+
+    // Expert capacity: assignments past it skip the expert and ride the residual
+    const capacity = expertCapacity(tokens.length, numExperts, CONFIG.topK, capacityFactor);
+    const fill = applyCapacity(routings.map(r => r.topExperts.map(e => e.index)), numExperts, capacity);
+    const routingResults = tokens.map((token, i) => {
+        const topExperts = routings[i].topExperts.map((e, rank) => ({ ...e, dropped: !fill.kept[i][rank] }));
+        return {
+            token,
+            tokenIndex: i,
+            routing: { ...routings[i], topExperts, expert1: topExperts[0], expert2: topExperts[1] },
+            skipped: fill.skippedTokens.includes(i)
+        };
+    });
+    yield { done: total - 1, total, label: 'Expert capacity' };
+
+    // The same capacity factor over the corpus, split into batches of each size
+    let batchSweep = null;
+    if (corpusTokens) {
+        const corpusRoutings = routeTokens(corpusTokens, embedDim, weightsT, categoryBias);
+        batchSweep = {
+            corpusSize: corpusTokens.length,
+            rows: capacityBatchSweep(
+                corpusRoutings.map(r => r.topExperts.map(e => e.index)),
+                numExperts,
+                capacityFactor,
+                [...BATCH_SIZES.filter(size => size < corpusTokens.length), corpusTokens.length]
+            )
+        };
+    }
+    yield { done: total, total, label: 'Batch-size sweep' };
+
+    // Compute load balancing statistics over what the router asked for, before capacity
+    const expertCounts = new Array(numExperts).fill(0);
+    const expertWeights = new Array(numExperts).fill(0);
 
     routingResults.forEach(r => {
         r.routing.topExperts.forEach(e => {
@@ -164,25 +323,38 @@ export function runMOEDemo(text) {
         });
     });
 
-    // Ideal balance would be: numTokens * topK / numExperts per expert
-    const idealCount = (tokens.length * CONFIG.topK) / CONFIG.numExperts;
-    const loadImbalance = expertCounts.map(c => Math.abs(c - idealCount));
-    const avgImbalance = loadImbalance.reduce((a, b) => a + b, 0) / CONFIG.numExperts;
-
     return {
+        text,
         tokens,
-        config: CONFIG,
+        config: { numExperts, topK: CONFIG.topK, embedDim, maxTokens: CONFIG.maxTokens },
+        router,
         routingResults,
         expertCounts,
         expertWeights,
-        loadBalance: {
-            idealCount,
-            avgImbalance,
-            maxImbalance: Math.max(...loadImbalance)
-        }
+        // Ideal balance would be: numTokens * topK / numExperts per expert
+        loadBalance: loadBalanceStats(expertCounts, tokens.length, CONFIG.topK),
+        capacity: {
+            factor: capacityFactor,
+            capacity,
+            processed: fill.processed,
+            overflow: fill.overflow,
+            droppedSlots: fill.droppedSlots,
+            skippedTokens: fill.skippedTokens
+        },
+        batchSweep,
+        training
     };
 }
 
+/**
+ * Run MOE routing for all tokens
+ * Input is capped at CONFIG.maxTokens tokens.
+ */
+export function runMOEDemo(text, options = {}) {
+    const request = moeRequest(text, options);
+    return request ? runToCompletion(moeRoutingSteps(request.text, request.tokens, request.options)) : null;
+}
+
 /**
  * MOE Demo UI Controller
  */
@@ -191,6 +363,10 @@ export class MOEDemoUI {
         this.container = document.getElementById(containerId);
         this.result = null;
         this.selectedToken = null;
+        this.router = 'biased';
+        this.capacityFactor = CONFIG.defaultCapacityFactor;
+        this.trainingAnimation = null;
+        this.runner = new ModelRunner();
     }
 
     /**
@@ -203,21 +379,47 @@ export class MOEDemoUI {
                     <h2>Mixture of Experts</h2>
                     <p class="demo-description">
                         Watch how a router assigns tokens to experts.
-                        Each token activates only ${CONFIG.topK} of ${CONFIG.numExperts} experts.
+                        Each token activates only ${CONFIG.topK} of ${getModelConfig().numExperts} experts.
                         This demo adds lightweight rule-based biasing so routing patterns are easier to inspect.
                     </p>
                 </div>
 
                 <div class="demo-input-section">
-                    <label for="moe-input">Enter text (max 10 tokens):</label>
+                    <label for="moe-input">Enter text (max ${CONFIG.maxTokens} tokens):</label>
                     <div class="input-row">
                         <input type="text" id="moe-input"
                                value="print(&quot;The quick brown fox&quot;)"
                                placeholder="Enter some text..."
-                               maxlength="100">
+                               maxlength="1000">
                         <button id="moe-run-btn" class="primary-btn">Route</button>
                     </div>
+                    <div class="model-progress hidden" id="moe-progress" role="status">
+                        <span class="model-progress-track"><span class="model-progress-fill"></span></span>
+                        <span class="model-progress-label"></span>
+                    </div>
+                    <div class="token-source" id="moe-source"></div>
+                </div>
+
+                <div class="demo-controls">
+                    <div class="control-group">
+                        <label>Router:</label>
+                        <div class="toggle-buttons" id="moe-router-buttons">
+                            ${Object.entries(ROUTER_MODES).map(([key, mode]) => `
+                                <button class="toggle-btn ${key === this.router ? 'active' : ''}" data-router="${key}">${mode.label}</button>
+                            `).join('')}
+                        </div>
+                    </div>
+                    <div class="control-group">
+                        <label for="moe-capacity">Capacity factor:</label>
+                        <select id="moe-capacity" class="demo-select">
+                            <option value="" ${this.capacityFactor === null ? 'selected' : ''}>No limit</option>
+                            ${CAPACITY_FACTORS.map(factor => `
+                                <option value="${factor}" ${factor === this.capacityFactor ? 'selected' : ''}>${factor}</option>
+                            `).join('')}
+                        </select>
+                    </div>
                 </div>
+                <p class="hint" id="moe-router-description">${ROUTER_MODES[this.router].description}</p>
 
                 <div class="moe-visualization">
                     <div class="moe-tokens" id="moe-tokens">
@@ -247,6 +449,37 @@ export class MOEDemoUI {
                     </div>
                 </div>
 
+                <div class="heatmap-container moe-capacity" id="moe-capacity-panel">
+                    <h4>Capacity and Batch Size</h4>
+                    <p class="hint">
+                        Each expert processes at most ⌈factor × tokens × ${CONFIG.topK} / experts⌉ assignments per batch.
+                        The corpus below is split into batches of each size, and each batch gets its own capacity.
+                        Assignments past it are dropped: the expert skips them and the token keeps only its residual.
+                    </p>
+                    <table class="bpe-pair-table moe-capacity-table" id="moe-capacity-table"></table>
+                </div>
+
+                <div class="heatmap-container moe-training hidden" id="moe-training">
+                    <h4>Router Training</h4>
+                    <p class="hint">
+                        Each step routes the corpus, then lowers the auxiliary loss N · Σ fᵢ · Pᵢ, where fᵢ is the
+                        share of tokens expert i receives and Pᵢ its average router probability. fᵢ has no gradient,
+                        so the step pushes probability away from overloaded experts. The loss equals 1 when
+                        every expert gets the same share.
+                    </p>
+                    <div class="moe-training-layout">
+                        <div>
+                            <h5 id="moe-training-step"></h5>
+                            <div id="moe-training-histogram"></div>
+                        </div>
+                        <div>
+                            <h5>Average imbalance (tokens per expert)</h5>
+                            <svg id="moe-training-curve"></svg>
+                        </div>
+                    </div>
+                    <button id="moe-training-replay" class="secondary-btn">Play training</button>
+                </div>
+
                 <div class="demo-explanation" id="moe-explanation">
                     <p>Click "Route" to see how tokens are assigned to experts.</p>
                 </div>
@@ -267,25 +500,65 @@ export class MOEDemoUI {
         input.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.run();
         });
+        onLiveInput(input, () => this.run());
+
+        this.container.querySelectorAll('#moe-router-buttons .toggle-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.router = btn.dataset.router;
+                this.container.querySelectorAll('#moe-router-buttons .toggle-btn').forEach(b => {
+                    b.classList.toggle('active', b === btn);
+                });
+                this.container.querySelector('#moe-router-description').textContent = ROUTER_MODES[this.router].description;
+                if (this.result) this.run({ animateTraining: true });
+            });
+        });
+        this.container.querySelector('#moe-capacity').addEventListener('change', (e) => {
+            this.capacityFactor = e.target.value === '' ? null : Number(e.target.value);
+            if (this.result) this.run();
+        });
+        this.container.querySelector('#moe-training-replay').addEventListener('click', () => this.animateTraining());
     }
 
     /**
-     * Run the MOE demo
+     * Run the MOE demo in the model worker
+     * A newer run (e.g. the next keystroke) cancels this one.
+     * @param {Object} options - Run options
+     * @param {boolean} options.animateTraining - Play the router training back (otherwise show its last step)
      */
-    run() {
+    async run({ animateTraining = false } = {}) {
         const input = this.container.querySelector('#moe-input');
-        const text = input.value.trim();
+        const request = moeRequest(input.value.trim(), { router: this.router, capacityFactor: this.capacityFactor });
 
-        if (!text) return;
+        if (!request) return;
 
-        this.result = runMOEDemo(text);
-        if (!this.result) return;
+        const progress = this.container.querySelector('#moe-progress');
+
+        try {
+            this.result = await this.runner.run('moe', request, {
+                onProgress: step => setModelProgress(progress, step)
+            });
+        } catch (error) {
+            // A newer run has taken over the progress bar
+            if (isCancelled(error)) return;
+
+            // e.g. the worker failed to start or routing threw
+            setModelProgress(progress, null);
+            this.result = null;
+            this.trainingAnimation = null;
+            const explanation = this.container.querySelector('#moe-explanation');
+            explanation.innerHTML = '<p class="hint"></p>';
+            explanation.querySelector('.hint').textContent = `The routing run failed: ${error.message}`;
+            return;
+        }
+        setModelProgress(progress, null);
 
         this.selectedToken = null;
         this.renderTokens();
         this.renderExperts();
         this.renderFlowDiagram();
         this.renderLoadBalance();
+        this.renderCapacitySweep();
+        this.renderTraining(animateTraining);
         this.updateExplanation();
     }
 
@@ -294,28 +567,36 @@ export class MOEDemoUI {
      */
     renderTokens() {
         const container = this.container.querySelector('#moe-token-list');
+        const source = this.container.querySelector('#moe-source');
         container.innerHTML = '';
 
-        this.result.routingResults.forEach((r, i) => {
+        const tokenEls = this.result.routingResults.map((r, i) => {
             const tokenEl = document.createElement('div');
             tokenEl.className = 'moe-token';
             tokenEl.dataset.index = i;
+            tokenEl.classList.toggle('overflow', r.routing.topExperts.some(e => e.dropped));
+            tokenEl.classList.toggle('skipped', r.skipped);
 
-            // Create gradient background from top expert colors
-            const color1 = CONFIG.expertColors[r.routing.expert1.index];
-            const color2 = CONFIG.expertColors[r.routing.expert2.index];
-
+            // Hollow dots mark experts that were full
             tokenEl.innerHTML = `
-                <span class="token-text">${r.token.text}</span>
+                <span class="token-text"></span>
                 <div class="token-experts">
-                    <span class="expert-dot" style="background: ${color1}"></span>
-                    <span class="expert-dot" style="background: ${color2}"></span>
+                    ${r.routing.topExperts.map(e => `
+                        <span class="expert-dot ${e.dropped ? 'dropped' : ''}" style="${e.dropped ? 'border-color' : 'background'}: ${expertColor(e.index)}"
+                              title="E${e.index + 1}${e.dropped ? ' (over capacity)' : ''}"></span>
+                    `).join('')}
                 </div>
             `;
 
+            tokenEl.querySelector('.token-text').textContent = r.token.text;
             tokenEl.addEventListener('click', () => this.selectToken(i));
             container.appendChild(tokenEl);
+            return tokenEl;
         });
+
+        // Hover a token to see its characters; select text to find its tokens
+        renderSourceText(source, this.result.text, this.result.tokens);
+        linkTokenHighlights(source, tokenEls, this.result.tokens);
     }
 
     /**
@@ -325,22 +606,23 @@ export class MOEDemoUI {
         const container = this.container.querySelector('#expert-list');
         container.innerHTML = '';
 
-        for (let i = 0; i < CONFIG.numExperts; i++) {
+        for (let i = 0; i < this.result.config.numExperts; i++) {
             const expertEl = document.createElement('div');
             expertEl.className = 'expert-box';
             expertEl.dataset.index = i;
-            expertEl.style.borderColor = CONFIG.expertColors[i];
+            expertEl.style.borderColor = expertColor(i);
 
             const count = this.result.expertCounts[i];
             const weight = this.result.expertWeights[i];
+            const overflow = this.result.capacity.overflow[i];
 
             expertEl.innerHTML = `
-                <div class="expert-icon" style="background: ${CONFIG.expertColors[i]}">
+                <div class="expert-icon" style="background: ${expertColor(i)}">
                     E${i + 1}
                 </div>
                 <div class="expert-info">
-                    <span class="expert-name">${CONFIG.expertNames[i]}</span>
-                    <span class="expert-load">${count} tokens (${(weight * 100 / this.result.tokens.length).toFixed(0)}%)</span>
+                    <span class="expert-name">Expert ${i + 1}</span>
+                    <span class="expert-load">${count} tokens (${(weight * 100 / this.result.tokens.length).toFixed(0)}%)${overflow ? `, ${overflow} over capacity` : ''}</span>
                 </div>
             `;
 
@@ -367,16 +649,49 @@ export class MOEDemoUI {
         const tokenSpacing = Math.min(50, (height - 40) / n);
         const tokenStartY = (height - (n - 1) * tokenSpacing) / 2;
 
-        const expertSpacing = Math.min(40, (height - 40) / CONFIG.numExperts);
-        const expertStartY = (height - (CONFIG.numExperts - 1) * expertSpacing) / 2;
+        const expertSpacing = Math.min(40, (height - 40) / this.result.config.numExperts);
+        const expertStartY = (height - (this.result.config.numExperts - 1) * expertSpacing) / 2;
+
+        // Assignments over capacity bypass the experts along a residual lane at the bottom
+        const laneY = height - 8;
+        if (this.result.capacity.droppedSlots > 0) {
+            svg.append('line')
+                .attr('x1', 30)
+                .attr('x2', width - 30)
+                .attr('y1', laneY)
+                .attr('y2', laneY)
+                .attr('class', 'residual-lane');
+            svg.append('text')
+                .attr('x', width - 30)
+                .attr('y', laneY - 4)
+                .attr('text-anchor', 'end')
+                .attr('class', 'residual-lane-label')
+                .text('residual only (over capacity)');
+        }
 
         // Draw routing paths
         this.result.routingResults.forEach((r, tokenIdx) => {
             const tokenY = tokenStartY + tokenIdx * tokenSpacing;
 
             r.routing.topExperts.forEach((expert, rank) => {
+                if (expert.dropped) {
+                    svg.append('path')
+                        .attr('d', `M 30 ${tokenY} Q ${width / 2} ${(tokenY + laneY) / 2} ${width - 30} ${laneY}`)
+                        .attr('fill', 'none')
+                        .attr('stroke-width', 1.5)
+                        .attr('class', 'routing-path dropped')
+                        .attr('data-token', tokenIdx)
+                        .attr('data-expert', expert.index)
+                        .attr('opacity', 0)
+                        .transition()
+                        .delay(tokenIdx * 100 + 500)
+                        .duration(300)
+                        .attr('opacity', 0.6);
+                    return;
+                }
+
                 const expertY = expertStartY + expert.index * expertSpacing;
-                const color = CONFIG.expertColors[expert.index];
+                const color = expertColor(expert.index);
 
                 // Create curved path
                 const path = svg.append('path')
@@ -414,13 +729,13 @@ export class MOEDemoUI {
         });
 
         // Expert position dots
-        for (let i = 0; i < CONFIG.numExperts; i++) {
+        for (let i = 0; i < this.result.config.numExperts; i++) {
             const y = expertStartY + i * expertSpacing;
             svg.append('circle')
                 .attr('cx', width - 20)
                 .attr('cy', y)
                 .attr('r', 6)
-                .attr('fill', CONFIG.expertColors[i])
+                .attr('fill', expertColor(i))
                 .attr('class', 'expert-dot');
         }
     }
@@ -432,11 +747,13 @@ export class MOEDemoUI {
         const container = this.container.querySelector('#load-chart');
         container.innerHTML = '';
 
-        const maxCount = Math.max(...this.result.expertCounts, this.result.loadBalance.idealCount);
+        const { capacity, processed, overflow } = this.result.capacity;
+        const limited = Number.isFinite(capacity);
+        const maxCount = Math.max(...this.result.expertCounts, this.result.loadBalance.idealCount, limited ? capacity : 0);
 
-        for (let i = 0; i < CONFIG.numExperts; i++) {
+        for (let i = 0; i < this.result.config.numExperts; i++) {
             const count = this.result.expertCounts[i];
-            const pct = (count / maxCount) * 100;
+            const pct = (processed[i] / maxCount) * 100;
             const idealPct = (this.result.loadBalance.idealCount / maxCount) * 100;
 
             const bar = document.createElement('div');
@@ -444,8 +761,10 @@ export class MOEDemoUI {
             bar.innerHTML = `
                 <span class="bar-label">E${i + 1}</span>
                 <div class="bar-track">
-                    <div class="bar-fill" style="width: ${pct}%; background: ${CONFIG.expertColors[i]}"></div>
+                    <div class="bar-fill" style="width: ${pct}%; background: ${expertColor(i)}"></div>
+                    ${overflow[i] ? `<div class="bar-overflow" style="left: ${pct}%; width: ${(overflow[i] / maxCount) * 100}%"></div>` : ''}
                     <div class="bar-ideal" style="left: ${idealPct}%"></div>
+                    ${limited ? `<div class="bar-capacity" style="left: ${(capacity / maxCount) * 100}%"></div>` : ''}
                 </div>
                 <span class="bar-count">${count}</span>
             `;
@@ -459,10 +778,177 @@ export class MOEDemoUI {
             <span class="legend-item">
                 <span class="legend-line ideal"></span> Ideal balance
             </span>
+            ${limited ? `
+                <span class="legend-item">
+                    <span class="legend-line capacity"></span> Capacity (${capacity})
+                </span>
+                <span class="legend-item">
+                    <span class="legend-swatch overflow"></span> Dropped, over capacity
+                </span>
+            ` : ''}
         `;
         container.appendChild(legend);
     }
 
+    /**
+     * Table of capacity effects when the corpus is split into batches of each size
+     */
+    renderCapacitySweep() {
+        const { batchSweep, capacity } = this.result;
+        const table = this.container.querySelector('#moe-capacity-table');
+        const percent = value => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Batch (tokens)</th>
+                    <th>Capacity per expert</th>
+                    <th>Assignments dropped</th>
+                    <th>Tokens on residual only</th>
+                    <th>Idle expert slots</th>
+                    <th>Factor for zero drops</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${batchSweep.rows.map(row => `
+                    <tr>
+                        <td>${row.batchSize === batchSweep.corpusSize ? `${row.batchSize} (whole corpus)` : row.batchSize}</td>
+                        <td>${Number.isFinite(row.capacity) ? row.capacity : 'No limit'}</td>
+                        <td>${percent(row.dropRate)}</td>
+                        <td>${percent(row.skipRate)}</td>
+                        <td>${percent(row.idleRate)}</td>
+                        <td>${row.neededFactor.toFixed(2)}</td>
+                    </tr>
+                `).join('')}
+                <tr class="chosen">
+                    <td>This input (${this.result.tokens.length})</td>
+                    <td>${Number.isFinite(capacity.capacity) ? capacity.capacity : 'No limit'}</td>
+                    <td>${percent(capacity.droppedSlots / (this.result.tokens.length * CONFIG.topK))}</td>
+                    <td>${percent(capacity.skippedTokens.length / this.result.tokens.length)}</td>
+                    <td>${Number.isFinite(capacity.capacity)
+                        ? percent(1 - capacity.processed.reduce((a, b) => a + b, 0) / (capacity.capacity * this.result.config.numExperts))
+                        : '—'}</td>
+                    <td>${(Math.max(...this.result.expertCounts) / this.result.loadBalance.idealCount).toFixed(2)}</td>
+                </tr>
+            </tbody>
+        `;
+    }
+
+    /**
+     * Show the training histogram and imbalance curve
+     * @param {boolean} animate - Play training back step by step instead of showing the last step
+     */
+    renderTraining(animate) {
+        const panel = this.container.querySelector('#moe-training');
+        const training = this.result.training;
+        this.trainingAnimation = null;
+        panel.classList.toggle('hidden', !training);
+        if (!training) return;
+
+        // One scale for every step, so bars shrink and grow against a fixed axis
+        const maxCount = Math.max(training.idealCount, ...training.history.flatMap(h => h.counts));
+        const idealPct = (training.idealCount / maxCount) * 100;
+        this.container.querySelector('#moe-training-histogram').innerHTML = training.history[0].counts.map((_, i) => `
+            <div class="load-bar">
+                <span class="bar-label">E${i + 1}</span>
+                <div class="bar-track">
+                    <div class="bar-fill" style="background: ${expertColor(i)}"></div>
+                    <div class="bar-ideal" style="left: ${idealPct}%"></div>
+                </div>
+                <span class="bar-count"></span>
+            </div>
+        `).join('');
+        this.trainingMaxCount = maxCount;
+
+        this.renderTrainingCurve();
+        if (animate) {
+            this.animateTraining();
+        } else {
+            this.showTrainingStep(training.history[training.history.length - 1], training.history.length - 1);
+        }
+    }
+
+    /**
+     * Line chart of the average imbalance over training steps
+     */
+    renderTrainingCurve() {
+        const { history } = this.result.training;
+        const svg = d3.select(this.container.querySelector('#moe-training-curve'));
+        svg.selectAll('*').remove();
+
+        const width = CONFIG.curveWidth;
+        const height = CONFIG.curveHeight;
+        const padding = { top: 10, right: 12, bottom: 24, left: 36 };
+        svg.attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('preserveAspectRatio', 'xMidYMid meet');
+
+        const x = d3.scaleLinear()
+            .domain([0, history.length - 1])
+            .range([padding.left, width - padding.right]);
+        const y = d3.scaleLinear()
+            .domain([0, d3.max(history, h => h.avgImbalance) || 1])
+            .nice()
+            .range([height - padding.bottom, padding.top]);
+
+        svg.append('g')
+            .attr('class', 'norm-axis')
+            .attr('transform', `translate(0, ${height - padding.bottom})`)
+            .call(d3.axisBottom(x).ticks(5));
+        svg.append('g')
+            .attr('class', 'norm-axis')
+            .attr('transform', `translate(${padding.left}, 0)`)
+            .call(d3.axisLeft(y).ticks(4));
+
+        svg.append('path')
+            .attr('d', d3.line().x(h => x(h.step)).y(h => y(h.avgImbalance))(history))
+            .attr('class', 'norm-line residual');
+        svg.append('circle')
+            .attr('class', 'moe-training-marker')
+            .attr('r', 4);
+
+        this.trainingCurve = { x, y };
+    }
+
+    /**
+     * Play the training history back, one frame per step
+     * Re-rendering or replaying stops an animation in progress.
+     */
+    async animateTraining() {
+        if (!this.result?.training) return;
+
+        const animation = {};
+        this.trainingAnimation = animation;
+        const { history } = this.result.training;
+
+        for (const entry of history) {
+            if (this.trainingAnimation !== animation) return;
+            this.showTrainingStep(entry, history.length - 1);
+            await this.sleep(CONFIG.trainingFrameMs);
+        }
+    }
+
+    /**
+     * Show one training step in the histogram and on the curve
+     */
+    showTrainingStep(entry, steps) {
+        this.container.querySelectorAll('#moe-training-histogram .load-bar').forEach((bar, i) => {
+            bar.querySelector('.bar-fill').style.width = `${(entry.counts[i] / this.trainingMaxCount) * 100}%`;
+            bar.querySelector('.bar-count').textContent = entry.counts[i];
+        });
+        this.container.querySelector('#moe-training-step').textContent =
+            `Step ${entry.step} of ${steps}: aux loss ${entry.loss.toFixed(3)}, ` +
+            `average imbalance ${entry.avgImbalance.toFixed(2)}`;
+
+        const { x, y } = this.trainingCurve;
+        d3.select(this.container.querySelector('.moe-training-marker'))
+            .attr('cx', x(entry.step))
+            .attr('cy', y(entry.avgImbalance));
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
     /**
      * Select a token to show routing details
      */
@@ -501,32 +987,41 @@ export class MOEDemoUI {
     showRoutingDetails(tokenIndex) {
         const container = this.container.querySelector('#routing-detail');
         const r = this.result.routingResults[tokenIndex];
+        const dropped = r.routing.topExperts.filter(e => e.dropped);
 
         let probsHTML = r.routing.allProbs.map((p, i) => `
             <div class="prob-row">
-                <span class="prob-expert" style="color: ${CONFIG.expertColors[i]}">
-                    E${i + 1} ${CONFIG.expertNames[i]}
+                <span class="prob-expert" style="color: ${expertColor(i)}">
+                    E${i + 1} Expert ${i + 1}
                 </span>
                 <div class="prob-bar-track">
-                    <div class="prob-bar-fill" style="width: ${p * 100}%; background: ${CONFIG.expertColors[i]}"></div>
+                    <div class="prob-bar-fill" style="width: ${p * 100}%; background: ${expertColor(i)}"></div>
                 </div>
                 <span class="prob-value">${(p * 100).toFixed(1)}%</span>
             </div>
         `).join('');
 
         container.innerHTML = `
-            <h4>Routing: "${r.token.text}"</h4>
+            <h4>Routing: "${escapeHTML(r.token.text)}"</h4>
             <div class="selected-experts">
                 <p>
                     <strong>Selected:</strong>
-                    <span style="color: ${CONFIG.expertColors[r.routing.expert1.index]}">
+                    <span class="${r.routing.expert1.dropped ? 'dropped-expert' : ''}" style="color: ${expertColor(r.routing.expert1.index)}">
                         E${r.routing.expert1.index + 1} (${(r.routing.expert1.weight * 100).toFixed(0)}%)
                     </span>
                     +
-                    <span style="color: ${CONFIG.expertColors[r.routing.expert2.index]}">
+                    <span class="${r.routing.expert2.dropped ? 'dropped-expert' : ''}" style="color: ${expertColor(r.routing.expert2.index)}">
                         E${r.routing.expert2.index + 1} (${(r.routing.expert2.weight * 100).toFixed(0)}%)
                     </span>
                 </p>
+                ${dropped.length ? `
+                    <p class="hint">
+                        ${dropped.map(e => `E${e.index + 1}`).join(' and ')} ${dropped.length > 1 ? 'were' : 'was'} already full
+                        (capacity ${this.result.capacity.capacity}), so ${r.skipped
+                            ? 'no expert processes this token: it passes through on the residual stream unchanged.'
+                            : 'that share of the output is lost and only the remaining expert adds to the residual.'}
+                    </p>
+                ` : ''}
             </div>
             <div class="all-probs">
                 <p><strong>All Expert Probabilities:</strong></p>
@@ -541,14 +1036,54 @@ export class MOEDemoUI {
     updateExplanation() {
         const container = this.container.querySelector('#moe-explanation');
         const lb = this.result.loadBalance;
+        const training = this.result.training;
+        const first = training?.history[0];
+        const last = training?.history[training.history.length - 1];
+        const cap = this.result.capacity;
+        const sweep = this.result.batchSweep.rows;
+        const capacityNote = cap.factor === null ? `
+            <p>
+                <strong>Capacity:</strong> no limit, so every expert processes every token sent to it, however uneven
+                the load. Real kernels need a fixed size per expert; pick a capacity factor to see what gets dropped.
+            </p>
+        ` : `
+            <p>
+                <strong>Capacity:</strong> ⌈${cap.factor} × ${this.result.tokens.length} × ${CONFIG.topK} / ${this.result.config.numExperts}⌉
+                = ${cap.capacity} assignments per expert. ${cap.droppedSlots} of ${this.result.tokens.length * CONFIG.topK} assignments
+                overflowed${cap.skippedTokens.length ? `, and ${cap.skippedTokens.length} token${cap.skippedTokens.length > 1 ? 's' : ''}
+                skipped every expert and kept only the residual` : ''}.
+            </p>
+            <p>
+                <strong>Batch size:</strong> on the corpus, batches of ${sweep[0].batchSize} tokens drop
+                ${(sweep[0].dropRate * 100).toFixed(1)}% of assignments at this factor, while one batch of
+                ${sweep[sweep.length - 1].batchSize} drops ${(sweep[sweep.length - 1].dropRate * 100).toFixed(1)}%.
+                Small batches have noisier loads, so dropping nothing needs a factor of
+                ${sweep[0].neededFactor.toFixed(2)} instead of ${sweep[sweep.length - 1].neededFactor.toFixed(2)},
+                and every extra slot is compute spent on padding. Training uses large batches and factors around 1.25;
+                small-batch inference usually raises the factor or drops the limit.
+            </p>
+        `;
 
         container.innerHTML = `
             <p><strong>Results:</strong></p>
             <p>
-                ${this.result.tokens.length} tokens routed to top-${CONFIG.topK} of ${CONFIG.numExperts} experts.
+                ${this.result.tokens.length} tokens routed to top-${CONFIG.topK} of ${this.result.config.numExperts} experts.
                 Ideal distribution: ${lb.idealCount.toFixed(1)} tokens per expert.
                 Load imbalance: ${lb.avgImbalance.toFixed(2)} average, ${lb.maxImbalance.toFixed(1)} max.
             </p>
+            ${capacityNote}
+            ${training ? `
+            <p>
+                <strong>Trained router:</strong> over ${training.corpusSize} corpus tokens, the average imbalance fell from
+                ${first.avgImbalance.toFixed(2)} to ${last.avgImbalance.toFixed(2)} tokens per expert
+                (aux loss ${first.loss.toFixed(3)} → ${last.loss.toFixed(3)}).
+                The input above is routed with the trained weights.
+            </p>
+            <p class="hint">
+                Balancing is all this loss asks for: the router is not also learning the task, so experts
+                end up equally busy but no more specialized. Real models add this loss, scaled down, to the language-modeling loss.
+            </p>
+            ` : `
             <p class="hint">
                 This demo intentionally uses token-category biasing so routing is legible.
                 Real MOE routers are learned continuous functions of hidden states.
@@ -556,7 +1091,9 @@ export class MOEDemoUI {
             <p class="hint">
                 In real MOE models, auxiliary losses encourage load balancing to prevent
                 some experts from being overloaded while others are underutilized.
+                Switch to the trained router to watch one do this.
             </p>
+            `}
         `;
     }
 }
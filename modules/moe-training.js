@@ -0,0 +1,157 @@
+/**
+ * MoE router training
+ * Trains the router with the Switch Transformer auxiliary loss
+ * N · Σᵢ fᵢ · Pᵢ, where fᵢ is the share of routing slots expert i receives
+ * and Pᵢ its mean router probability. fᵢ comes from a hard top-k choice and
+ * has no gradient, so the loss lowers Pᵢ in proportion to how overloaded
+ * expert i is. It equals 1 when every expert gets the same share.
+ */
+
+import { softmax, toMatrix, transposeMatrix, matmulT, matrixRow, createMatrix } from './math-utils.js';
+
+// Gradient descent settings for the trained router
+export const TRAINING_STEPS = 40;
+export const LEARNING_RATE = 0.1;
+
+// Registry of router modes
+export const ROUTER_MODES = {
+    biased: {
+        label: 'Rule-biased',
+        description: 'Fixed random router weights plus a hand-written boost for each token category.'
+    },
+    trained: {
+        label: 'Trained',
+        description: `The same router after ${TRAINING_STEPS} gradient steps on the Switch Transformer load-balancing loss over a small corpus. The category boosts become trainable biases.`
+    }
+};
+
+// Small corpus covering every token category of the rule-based router
+export const TRAINING_CORPUS = [
+    'The quick brown fox jumps over the lazy dog.',
+    'print("hello world")',
+    'if x > 3 then return x + 1 else return 0',
+    'She said that they were happy and we were not.',
+    'The cat sat on the mat and the dog sat on the log.',
+    'function add(a, b) { return a + b; }',
+    '2 + 2 = 4 and 3 * 3 = 9',
+    'Why did the old man love the small house?'
+];
+
+/**
+ * Indices of the k most likely experts
+ * @param {number[]} probs - Router probabilities for one token
+ * @param {number} k - Experts per token
+ * @returns {number[]} Expert indices, most likely first
+ */
+export function topExpertIndices(probs, k) {
+    return probs
+        .map((prob, index) => ({ prob, index }))
+        .sort((a, b) => b.prob - a.prob)
+        .slice(0, k)
+        .map(expert => expert.index);
+}
+
+/**
+ * How far expert loads are from an even split
+ * @param {number[]} counts - Tokens routed to each expert
+ * @param {number} numTokens - Tokens routed
+ * @param {number} topK - Experts per token
+ * @returns {{idealCount: number, avgImbalance: number, maxImbalance: number}} Even share and mean/max distance from it
+ */
+export function loadBalanceStats(counts, numTokens, topK) {
+    const idealCount = (numTokens * topK) / counts.length;
+    const loadImbalance = counts.map(c => Math.abs(c - idealCount));
+    return {
+        idealCount,
+        avgImbalance: loadImbalance.reduce((a, b) => a + b, 0) / counts.length,
+        maxImbalance: Math.max(...loadImbalance)
+    };
+}
+
+/**
+ * Switch Transformer auxiliary load-balancing loss
+ * @param {number[][]} probs - Router probabilities (num_tokens x num_experts)
+ * @param {number} topK - Experts per token
+ * @returns {{loss: number, counts: number[], fractions: number[], meanProbs: number[]}} Loss and its terms
+ */
+export function switchAuxLoss(probs, topK) {
+    const numExperts = probs[0].length;
+    const counts = new Array(numExperts).fill(0);
+    const meanProbs = new Array(numExperts).fill(0);
+
+    probs.forEach(row => {
+        topExpertIndices(row, topK).forEach(index => counts[index]++);
+        row.forEach((p, i) => {
+            meanProbs[i] += p / probs.length;
+        });
+    });
+
+    const fractions = counts.map(c => c / (probs.length * topK));
+    return {
+        loss: numExperts * fractions.reduce((sum, f, i) => sum + f * meanProbs[i], 0),
+        counts,
+        fractions,
+        meanProbs
+    };
+}
+
+/**
+ * Gradient of the auxiliary loss with respect to the router logits
+ * Through the softmax: ∂L/∂zₜⱼ = (N / T) · pₜⱼ · (fⱼ − Σᵢ fᵢ pₜᵢ)
+ * @param {number[][]} probs - Router probabilities (num_tokens x num_experts)
+ * @param {number[]} fractions - Routing share of each expert (held constant)
+ * @returns {number[][]} Gradient per token and expert
+ */
+export function auxLossGradient(probs, fractions) {
+    const scale = fractions.length / probs.length;
+    return probs.map(row => {
+        const expected = row.reduce((sum, p, i) => sum + fractions[i] * p, 0);
+        return row.map((p, j) => scale * p * (fractions[j] - expected));
+    });
+}
+
+/**
+ * Train router weights and per-category biases by gradient descent on the auxiliary loss
+ * Yields the state before every step and after the last one.
+ * @param {Object} router - Starting router (left unchanged)
+ * @param {Matrix} router.weightsT - Router weights (num_experts x embed_dim)
+ * @param {number[][]} router.categoryBias - Logit boost per token category and expert
+ * @param {Matrix} inputs - Corpus embeddings (num_tokens x embed_dim)
+ * @param {number[]} categories - Category of each corpus token
+ * @param {Object} options - Training options
+ * @param {number} options.topK - Experts per token
+ * @param {number} options.steps - Gradient steps
+ * @param {number} options.learningRate - Step size
+ * @yields {{step: number, loss: number, counts: number[], avgImbalance: number}} Corpus routing at each step
+ * @returns {{weightsT: Matrix, categoryBias: number[][]}} Trained router
+ */
+export function* trainRouter(router, inputs, categories, { topK, steps = TRAINING_STEPS, learningRate = LEARNING_RATE }) {
+    const weightsT = createMatrix(router.weightsT.rows, router.weightsT.cols, Float32Array.from(router.weightsT.data));
+    const categoryBias = router.categoryBias.map(row => [...row]);
+    const inputsT = transposeMatrix(inputs);
+
+    for (let step = 0; step <= steps; step++) {
+        const logits = matmulT(inputs, weightsT);
+        const probs = categories.map((category, t) =>
+            softmax(Array.from(matrixRow(logits, t), (z, j) => z + categoryBias[category][j]))
+        );
+        const { loss, counts, fractions } = switchAuxLoss(probs, topK);
+
+        yield { step, loss, counts, avgImbalance: loadBalanceStats(counts, categories.length, topK).avgImbalance };
+        if (step === steps) break;
+
+        // Weights: dWᵀ = Gᵀ · X; biases: sum of each category's token gradients
+        const grad = auxLossGradient(probs, fractions);
+        const weightGrad = matmulT(transposeMatrix(toMatrix(grad)), inputsT);
+        for (let i = 0; i < weightsT.data.length; i++) {
+            weightsT.data[i] -= learningRate * weightGrad.data[i];
+        }
+        grad.forEach((row, t) => {
+            row.forEach((g, j) => {
+                categoryBias[categories[t]][j] -= learningRate * g;
+            });
+        });
+    }
+
+    return { weightsT, categoryBias };
+}
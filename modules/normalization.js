@@ -0,0 +1,118 @@
+/**
+ * Normalization choices for the transformer block
+ * Which normalization (LayerNorm or RMSNorm) and where it sits relative to
+ * the residual connection (after the sum, or before each sublayer).
+ */
+
+// Registry of normalizations; rms skips the mean subtraction
+export const NORM_TYPES = {
+    layernorm: {
+        label: 'LayerNorm',
+        description: 'Subtracts each vector\'s mean and divides by its standard deviation (GPT-2, BERT).',
+        rms: false
+    },
+    rmsnorm: {
+        label: 'RMSNorm',
+        description: 'Only divides by the root mean square: no centering, one less reduction (Llama, Mistral, T5).',
+        rms: true
+    }
+};
+
+// Registry of placements
+export const NORM_PLACEMENTS = {
+    post: {
+        label: 'Post-norm',
+        description: 'x = Norm(x + Sublayer(x)): every residual sum is normalized (original Transformer, BERT).'
+    },
+    pre: {
+        label: 'Pre-norm',
+        description: 'x = x + Sublayer(Norm(x)): the residual stream is never rescaled, and one final norm precedes the output (GPT-2 onward, Llama).'
+    }
+};
+
+// Shared between the attention demo and the architecture diagram
+let activeNormalization = { norm: 'layernorm', placement: 'post' };
+const listeners = new Set();
+
+/**
+ * Set the normalization used by the forward pass and shown in the diagram
+ * @param {Object} normalization - Normalization choice
+ * @param {string} normalization.norm - Key of NORM_TYPES
+ * @param {string} normalization.placement - Key of NORM_PLACEMENTS
+ */
+export function setActiveNormalization({ norm = activeNormalization.norm, placement = activeNormalization.placement }) {
+    if (!NORM_TYPES[norm]) {
+        throw new Error(`Unknown normalization: ${norm}`);
+    }
+    if (!NORM_PLACEMENTS[placement]) {
+        throw new Error(`Unknown norm placement: ${placement}`);
+    }
+    activeNormalization = { norm, placement };
+    listeners.forEach(listener => listener(activeNormalization));
+}
+
+/**
+ * Get the shared normalization choice
+ * @returns {{norm: string, placement: string}} Keys of NORM_TYPES and NORM_PLACEMENTS
+ */
+export function getActiveNormalization() {
+    return activeNormalization;
+}
+
+/**
+ * Be notified when the shared normalization changes
+ * @param {function} listener - Called with {norm, placement}
+ * @returns {function} Unsubscribe
+ */
+export function onNormalizationChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Diagram labels for a normalization choice
+ * @param {{norm: string, placement: string}} normalization - Keys of NORM_TYPES and NORM_PLACEMENTS
+ * @returns {{residual: string, output: string}} Residual box label and output projection sublabel
+ */
+export function normalizationLabels({ norm, placement }) {
+    const name = NORM_TYPES[norm].label;
+    return placement === 'pre'
+        ? { residual: `+ Residual (${name} before sublayer)`, output: `final ${name}, to vocabulary` }
+        : { residual: `+ Residual + ${name}`, output: 'to vocabulary' };
+}
+
+/**
+ * Mean, variance and largest magnitude of a set of vectors
+ * @param {number[][]} rows - Vectors (e.g. one residual per token)
+ * @returns {{mean: number, variance: number, max: number}} Mean of the entries, mean per-vector variance, max |entry|
+ */
+export function activationSummary(rows) {
+    let mean = 0;
+    let variance = 0;
+    let max = 0;
+
+    rows.forEach(row => {
+        const rowMean = row.reduce((a, b) => a + b, 0) / row.length;
+        mean += rowMean;
+        variance += row.reduce((sum, value) => sum + (value - rowMean) ** 2, 0) / row.length;
+        row.forEach(value => {
+            max = Math.max(max, Math.abs(value));
+        });
+    });
+
+    return { mean: mean / rows.length, variance: variance / rows.length, max };
+}
+
+/**
+ * Residual-stream statistics after the embedding and after every sublayer
+ * @param {Object[]} layerResults - Per-layer results of the forward pass
+ * @returns {Array<{label: string, mean: number, variance: number, max: number}>} One entry per stage
+ */
+export function residualStreamStats(layerResults) {
+    const stages = [{ label: 'Embedding', ...activationSummary(layerResults[0].inputEmbeddings) }];
+    layerResults.forEach(({ layer, attention, ffn }) => {
+        stages.push({ label: `L${layer + 1} attention`, ...activationSummary(attention.afterAttention) });
+        stages.push({ label: `L${layer + 1} FFN`, ...activationSummary(ffn.afterFFN) });
+    });
+    return stages;
+}
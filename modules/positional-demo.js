@@ -0,0 +1,364 @@
+/**
+ * Positional encoding visualization
+ * Heatmap and frequency curves for each scheme, plus the attention pattern
+ * the toy model produces when it uses that scheme.
+ */
+
+import { POSITIONAL_SCHEMES, MAX_LEARNED_POSITIONS, encodingMatrix, frequencyCurves } from './positional-encoding.js';
+import { attentionRequest, getAllHeadWeights } from './attention-demo.js';
+import { ModelRunner, isCancelled, onLiveInput, setModelProgress } from './model-runner.js';
+
+const CONFIG = {
+    numPositions: 32,
+    embedDim: 64,
+    headDim: 16,
+    numHeads: 4,
+    plotWidth: 560,
+    heatmapHeight: 220,
+    curvesHeight: 200,
+    padding: { top: 12, right: 12, bottom: 30, left: 40 }
+};
+
+const CURVE_COLORS = ['#00d4ff', '#a855f7', '#22c55e', '#f97316'];
+
+/**
+ * Positional Encoding Demo UI Controller
+ */
+export class PositionalDemoUI {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.scheme = 'sinusoidal';
+        this.alibiHead = 0;
+        this.runner = new ModelRunner();
+    }
+
+    /**
+     * Initialize the demo UI
+     */
+    init() {
+        this.container.innerHTML = `
+            <div class="demo-content positional-demo">
+                <div class="demo-header">
+                    <h2>Positional Encoding</h2>
+                    <p class="demo-description">
+                        Attention by itself ignores word order. Each scheme below injects position in a different place.
+                    </p>
+                </div>
+
+                <div class="demo-controls">
+                    <div class="control-group">
+                        <label>Scheme:</label>
+                        <div class="toggle-buttons positional-scheme-buttons">
+                            ${Object.entries(POSITIONAL_SCHEMES).map(([key, scheme]) => `
+                                <button class="toggle-btn ${key === this.scheme ? 'active' : ''}" data-scheme="${key}">${scheme.label}</button>
+                            `).join('')}
+                        </div>
+                    </div>
+                    <div class="control-group hidden" id="positional-head-group">
+                        <label>Head:</label>
+                        <div class="head-buttons" id="positional-head-buttons">
+                            ${Array.from({ length: CONFIG.numHeads }, (_, h) => `
+                                <button class="selector-btn ${h === this.alibiHead ? 'active' : ''}" data-head="${h}">${h + 1}</button>
+                            `).join('')}
+                        </div>
+                    </div>
+                </div>
+
+                <p class="positional-description" id="positional-description"></p>
+
+                <div class="positional-plots">
+                    <div class="heatmap-container">
+                        <h4 id="positional-heatmap-title">Encoding Matrix</h4>
+                        <svg id="positional-heatmap"></svg>
+                    </div>
+                    <div class="heatmap-container">
+                        <h4 id="positional-curves-title">Frequency Curves</h4>
+                        <svg id="positional-curves"></svg>
+                        <div class="positional-legend" id="positional-legend"></div>
+                    </div>
+                </div>
+
+                <div class="demo-input-section">
+                    <label for="positional-input">Attention in layer 1 with this scheme:</label>
+                    <div class="input-row">
+                        <input type="text" id="positional-input"
+                               value="The cat sat on the mat"
+                               placeholder="Enter some text..."
+                               maxlength="100">
+                        <button id="positional-run-btn" class="primary-btn">Run</button>
+                    </div>
+                    <div class="model-progress hidden" id="positional-progress" role="status">
+                        <span class="model-progress-track"><span class="model-progress-fill"></span></span>
+                        <span class="model-progress-label"></span>
+                    </div>
+                </div>
+                <div class="positional-attention" id="positional-attention"></div>
+
+                <div class="demo-explanation" id="positional-explanation"></div>
+            </div>
+        `;
+
+        this.setupEventListeners();
+        this.render();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.container.querySelectorAll('.positional-scheme-buttons button').forEach(btn => {
+            btn.addEventListener('click', () => this.selectScheme(btn.dataset.scheme));
+        });
+
+        this.container.querySelectorAll('#positional-head-buttons .selector-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.alibiHead = Number(btn.dataset.head);
+                this.container.querySelectorAll('#positional-head-buttons .selector-btn').forEach(b => {
+                    b.classList.toggle('active', b === btn);
+                });
+                this.renderHeatmap();
+            });
+        });
+
+        const input = this.container.querySelector('#positional-input');
+        this.container.querySelector('#positional-run-btn').addEventListener('click', () => this.renderAttention());
+        input.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.renderAttention();
+        });
+        onLiveInput(input, () => this.renderAttention());
+    }
+
+    /**
+     * Switch positional encoding scheme
+     */
+    selectScheme(scheme) {
+        this.scheme = scheme;
+        this.container.querySelectorAll('.positional-scheme-buttons button').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.scheme === scheme);
+        });
+        this.render();
+    }
+
+    /**
+     * Render every panel for the current scheme
+     */
+    render() {
+        const scheme = POSITIONAL_SCHEMES[this.scheme];
+        this.container.querySelector('#positional-description').textContent = scheme.description;
+        this.container.querySelector('#positional-head-group').classList.toggle('hidden', this.scheme !== 'alibi');
+
+        this.renderHeatmap();
+        this.renderCurves();
+        this.renderAttention();
+        this.updateExplanation();
+    }
+
+    /**
+     * Render the encoding matrix as a heatmap
+     */
+    renderHeatmap() {
+        const { values, rowLabel, colLabel } = encodingMatrix(this.scheme, CONFIG.numPositions, {
+            dim: CONFIG.embedDim,
+            headDim: CONFIG.headDim,
+            numHeads: CONFIG.numHeads,
+            head: this.alibiHead
+        });
+
+        const titles = {
+            sinusoidal: 'Position Vectors Added to Embeddings',
+            learned: 'Learned Position Table',
+            rope: 'Rotation Applied to Q and K',
+            alibi: `Score Bias for Head ${this.alibiHead + 1}`
+        };
+        this.container.querySelector('#positional-heatmap-title').textContent = titles[this.scheme];
+
+        const svg = d3.select(this.container.querySelector('#positional-heatmap'));
+        svg.selectAll('*').remove();
+
+        const { plotWidth: width, heatmapHeight: height, padding } = CONFIG;
+        svg.attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('preserveAspectRatio', 'xMidYMid meet');
+
+        const rows = values.length;
+        const cols = values[0].length;
+        const cellW = (width - padding.left - padding.right) / cols;
+        const cellH = (height - padding.top - padding.bottom) / rows;
+
+        const extent = d3.max(values.flat(), v => Math.abs(v)) || 1;
+        const color = d3.scaleDiverging(d3.interpolateRdBu).domain([extent, 0, -extent]);
+
+        values.forEach((row, i) => {
+            row.forEach((value, j) => {
+                svg.append('rect')
+                    .attr('x', padding.left + j * cellW)
+                    .attr('y', padding.top + i * cellH)
+                    .attr('width', cellW)
+                    .attr('height', cellH)
+                    .attr('fill', color(value))
+                    .append('title')
+                    .text(`${rowLabel} ${i}, ${colLabel.split(' (')[0].toLowerCase()} ${j}: ${value.toFixed(3)}`);
+            });
+        });
+
+        this.drawAxisLabels(svg, rowLabel, colLabel, height);
+    }
+
+    /**
+     * Render value-vs-position curves
+     */
+    renderCurves() {
+        const curves = frequencyCurves(this.scheme, CONFIG.numPositions, {
+            dim: CONFIG.embedDim,
+            headDim: CONFIG.headDim,
+            numHeads: CONFIG.numHeads
+        });
+
+        const titles = {
+            sinusoidal: 'Low dims oscillate fast, high dims slowly',
+            learned: 'No shared structure between positions',
+            rope: 'Rotation angle per pair: cos(position × θ)',
+            alibi: 'Bias vs distance, one line per head'
+        };
+        this.container.querySelector('#positional-curves-title').textContent = titles[this.scheme];
+
+        const svg = d3.select(this.container.querySelector('#positional-curves'));
+        svg.selectAll('*').remove();
+
+        const { plotWidth: width, curvesHeight: height, padding } = CONFIG;
+        svg.attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('preserveAspectRatio', 'xMidYMid meet');
+
+        const allPoints = curves.flatMap(c => c.points);
+        const x = d3.scaleLinear()
+            .domain([0, CONFIG.numPositions - 1])
+            .range([padding.left, width - padding.right]);
+        const y = d3.scaleLinear()
+            .domain(d3.extent(allPoints, p => p.y))
+            .nice()
+            .range([height - padding.bottom, padding.top]);
+
+        svg.append('g')
+            .attr('class', 'positional-axis')
+            .attr('transform', `translate(0, ${height - padding.bottom})`)
+            .call(d3.axisBottom(x).ticks(8));
+        svg.append('g')
+            .attr('class', 'positional-axis')
+            .attr('transform', `translate(${padding.left}, 0)`)
+            .call(d3.axisLeft(y).ticks(5));
+
+        const line = d3.line()
+            .x(p => x(p.x))
+            .y(p => y(p.y));
+
+        curves.forEach((curve, i) => {
+            svg.append('path')
+                .attr('d', line(curve.points))
+                .attr('fill', 'none')
+                .attr('stroke', CURVE_COLORS[i % CURVE_COLORS.length])
+                .attr('stroke-width', 2);
+        });
+
+        const legend = this.container.querySelector('#positional-legend');
+        legend.innerHTML = curves.map((curve, i) => `
+            <span><span class="positional-swatch" style="background: ${CURVE_COLORS[i % CURVE_COLORS.length]}"></span>${curve.label}</span>
+        `).join('');
+    }
+
+    /**
+     * Draw row/column captions around the heatmap
+     */
+    drawAxisLabels(svg, rowLabel, colLabel, height) {
+        svg.append('text')
+            .attr('class', 'positional-axis-label')
+            .attr('x', CONFIG.padding.left)
+            .attr('y', height - 10)
+            .text(`${colLabel} →`);
+        svg.append('text')
+            .attr('class', 'positional-axis-label')
+            .attr('transform', `translate(14, ${CONFIG.padding.top}) rotate(90)`)
+            .text(`${rowLabel} →`);
+    }
+
+    /**
+     * Run the toy model with the current scheme and show layer-1 heads
+     */
+    async renderAttention() {
+        const container = this.container.querySelector('#positional-attention');
+        const progress = this.container.querySelector('#positional-progress');
+        const request = attentionRequest(this.container.querySelector('#positional-input').value.trim(), { positional: this.scheme });
+
+        if (!request) {
+            this.runner.cancel();
+            setModelProgress(progress, null);
+            container.innerHTML = '';
+            return;
+        }
+
+        let result;
+        try {
+            result = await this.runner.run('attention', request, {
+                onProgress: step => setModelProgress(progress, step)
+            });
+        } catch (error) {
+            // A newer run has taken over the progress bar
+            if (isCancelled(error)) return;
+            setModelProgress(progress, null);
+            container.innerHTML = '<p class="hint"></p>';
+            container.querySelector('.hint').textContent = error.message;
+            return;
+        }
+        setModelProgress(progress, null);
+        container.innerHTML = '';
+
+        const tokens = result.tokens;
+        getAllHeadWeights(result, 0).forEach((weights, h) => {
+            const panel = document.createElement('div');
+            panel.className = 'positional-head';
+            panel.innerHTML = `<h5>Head ${h + 1}</h5>`;
+
+            const grid = document.createElement('div');
+            grid.className = 'heatmap-grid';
+            grid.style.gridTemplateColumns = `repeat(${tokens.length}, 1fr)`;
+
+            weights.forEach((row, i) => {
+                row.forEach((weight, j) => {
+                    const cell = document.createElement('div');
+                    cell.className = 'heatmap-cell';
+                    if (!result.maskMatrix[i][j]) {
+                        cell.classList.add('masked');
+                    } else {
+                        cell.style.backgroundColor = `rgba(0, 212, 255, ${weight})`;
+                        cell.title = `${tokens[i].text} → ${tokens[j].text}: ${weight.toFixed(3)}`;
+                    }
+                    grid.appendChild(cell);
+                });
+            });
+
+            panel.appendChild(grid);
+            container.appendChild(panel);
+        });
+    }
+
+    /**
+     * Update explanation text
+     */
+    updateExplanation() {
+        const explanations = {
+            sinusoidal: `Each pair of dimensions is a sine/cosine at its own frequency, like the hands of a clock.
+                Because sin(a + b) expands into sin a and cos a terms, a fixed offset between positions is a linear map the model can learn.`,
+            learned: `Every position gets its own free vector, so nothing ties position 5 to position 6.
+                It works well up to the trained length and has no answer past it (here, position ${MAX_LEARNED_POSITIONS - 1}).`,
+            rope: `Nothing is added to the embeddings. Inside attention, Q and K are rotated by angle position × θ in each pair of dimensions,
+                so q·k depends only on how far apart the two tokens are. Fast pairs track nearby order; slow pairs track long-range order.`,
+            alibi: `Nothing is added to the embeddings. Each head subtracts slope × distance from the raw scores before softmax.
+                Steep heads look locally, gentle heads look far back, and the same rule applies at any length.`
+        };
+
+        this.container.querySelector('#positional-explanation').innerHTML = `
+            <p>${explanations[this.scheme]}</p>
+            <p>The heads above come from the same toy model used in the Attention Demo, where you can also pick this scheme with the Position selector.</p>
+        `;
+    }
+}
+
+export default PositionalDemoUI;
@@ -0,0 +1,210 @@
+/**
+ * Positional encoding schemes
+ * Sinusoidal and learned encodings are added to the token embeddings; RoPE
+ * rotates queries and keys inside attention; ALiBi adds a distance penalty
+ * to the attention scores.
+ */
+
+import { getPositionalEncoding } from './tokenizer.js';
+import { randomVector } from './math-utils.js';
+
+// Learned tables only have rows for positions seen in training; the attention
+// demo caps its input at this length so every prompt it accepts has a row
+export const MAX_LEARNED_POSITIONS = 128;
+
+const ROPE_BASE = 10000;
+
+// Registry of schemes; type says where the position enters the model
+export const POSITIONAL_SCHEMES = {
+    sinusoidal: {
+        label: 'Sinusoidal',
+        type: 'additive',
+        description: 'Fixed sin/cos waves at geometrically spaced frequencies are added to each embedding (original Transformer).'
+    },
+    learned: {
+        label: 'Learned',
+        type: 'additive',
+        description: `A trained table with one vector per position is added to each embedding (GPT-2, BERT). Here the table is seeded random with ${MAX_LEARNED_POSITIONS} rows, one for each token the demo accepts.`
+    },
+    rope: {
+        label: 'RoPE',
+        type: 'rotary',
+        description: 'Queries and keys are rotated by a position-dependent angle in each 2D pair of dimensions, so their dot product depends on relative distance (Llama, Mistral).'
+    },
+    alibi: {
+        label: 'ALiBi',
+        type: 'bias',
+        description: 'Nothing is added to embeddings; each head subtracts slope × distance from its attention scores, with a different slope per head (BLOOM, MPT).'
+    }
+};
+
+/**
+ * Learned positional embedding (seeded random stand-in for a trained table)
+ * @param {number} pos - Position in sequence
+ * @param {number} dim - Embedding dimension
+ * @returns {number[]} Position vector
+ */
+export function getLearnedPositionalEncoding(pos, dim) {
+    if (pos >= MAX_LEARNED_POSITIONS) {
+        throw new Error(`Learned positions stop at ${MAX_LEARNED_POSITIONS - 1}`);
+    }
+    return randomVector(dim, 9000 + pos).map(v => v * 0.5);
+}
+
+/**
+ * Vector added to the embedding at a position
+ * Rotary and bias schemes (and 'none') add nothing here.
+ * @param {string} scheme - Key of POSITIONAL_SCHEMES
+ * @param {number} pos - Position in sequence
+ * @param {number} dim - Embedding dimension
+ * @returns {number[]} Position vector
+ */
+export function getPositionVector(scheme, pos, dim) {
+    if (scheme === 'sinusoidal') return getPositionalEncoding(pos, dim);
+    if (scheme === 'learned') return getLearnedPositionalEncoding(pos, dim);
+    return new Array(dim).fill(0);
+}
+
+/**
+ * RoPE rotation frequency for each pair of dimensions
+ * @param {number} dim - Head dimension (even)
+ * @returns {number[]} θ_i = base^(-2i/dim) for i in [0, dim/2)
+ */
+export function ropeFrequencies(dim) {
+    return Array.from({ length: dim / 2 }, (_, i) => Math.pow(ROPE_BASE, (-2 * i) / dim));
+}
+
+/**
+ * Rotate a query or key vector by its position
+ * Dimensions (2i, 2i+1) form a 2D plane rotated by pos × θ_i.
+ * @param {number[]} vec - Query or key vector
+ * @param {number} pos - Position in sequence
+ * @returns {number[]} Rotated vector
+ */
+export function applyRope(vec, pos) {
+    const out = [...vec];
+    ropeFrequencies(vec.length).forEach((theta, i) => {
+        const angle = pos * theta;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const x = vec[2 * i];
+        const y = vec[2 * i + 1];
+        out[2 * i] = x * cos - y * sin;
+        out[2 * i + 1] = x * sin + y * cos;
+    });
+    return out;
+}
+
+/**
+ * Break a query or key into the 2D pairs RoPE rotates
+ * @param {number[]} vec - Unrotated vector
+ * @param {number} pos - Position in sequence
+ * @returns {Array<{pair: number, theta: number, angle: number, before: number[], after: number[]}>} One entry per pair
+ */
+export function ropeRotationPairs(vec, pos) {
+    const rotated = applyRope(vec, pos);
+    return ropeFrequencies(vec.length).map((theta, i) => ({
+        pair: i,
+        theta,
+        angle: pos * theta,
+        before: [vec[2 * i], vec[2 * i + 1]],
+        after: [rotated[2 * i], rotated[2 * i + 1]]
+    }));
+}
+
+/**
+ * ALiBi slope per head: a geometric sequence starting at 2^(-8/numHeads)
+ * @param {number} numHeads - Number of attention heads
+ * @returns {number[]} Slopes, steepest first
+ */
+export function alibiSlopes(numHeads) {
+    return Array.from({ length: numHeads }, (_, h) => Math.pow(2, (-8 * (h + 1)) / numHeads));
+}
+
+/**
+ * ALiBi bias added to the score of query i attending to key j
+ * @param {number} i - Query position
+ * @param {number} j - Key position
+ * @param {number} slope - Head slope
+ * @returns {number} Non-positive bias
+ */
+export function alibiBias(i, j, slope) {
+    return -slope * Math.abs(i - j);
+}
+
+/**
+ * Matrix to draw as a heatmap for a scheme
+ * Additive schemes: position × dimension values. RoPE: cos/sin of the
+ * rotation angle per head dimension. ALiBi: query × key bias for one head.
+ * @param {string} scheme - Key of POSITIONAL_SCHEMES
+ * @param {number} numPositions - Number of positions (rows)
+ * @param {Object} options - Sizes
+ * @param {number} options.dim - Embedding dimension
+ * @param {number} options.headDim - Head dimension (RoPE)
+ * @param {number} options.numHeads - Number of heads (ALiBi)
+ * @param {number} options.head - Head to show (ALiBi)
+ * @returns {{values: number[][], rowLabel: string, colLabel: string}} Heatmap data
+ */
+export function encodingMatrix(scheme, numPositions, { dim = 64, headDim = 16, numHeads = 4, head = 0 } = {}) {
+    const positions = Array.from({ length: numPositions }, (_, pos) => pos);
+
+    if (scheme === 'rope') {
+        const frequencies = ropeFrequencies(headDim);
+        return {
+            values: positions.map(pos => Array.from({ length: headDim }, (_, d) => {
+                const angle = pos * frequencies[Math.floor(d / 2)];
+                return d % 2 === 0 ? Math.cos(angle) : Math.sin(angle);
+            })),
+            rowLabel: 'Position',
+            colLabel: 'Head dimension (cos, sin per pair)'
+        };
+    }
+
+    if (scheme === 'alibi') {
+        const slope = alibiSlopes(numHeads)[head];
+        return {
+            values: positions.map(i => positions.map(j => (j > i ? 0 : alibiBias(i, j, slope)))),
+            rowLabel: 'Query position',
+            colLabel: 'Key position'
+        };
+    }
+
+    return {
+        values: positions.map(pos => getPositionVector(scheme, pos, dim)),
+        rowLabel: 'Position',
+        colLabel: 'Embedding dimension'
+    };
+}
+
+/**
+ * Curves showing how the encoding changes with position
+ * One curve per sampled dimension (or per head for ALiBi).
+ * @param {string} scheme - Key of POSITIONAL_SCHEMES
+ * @param {number} numPositions - Number of positions (x axis)
+ * @param {Object} options - Sizes (see encodingMatrix)
+ * @returns {Array<{label: string, points: Array<{x: number, y: number}>}>} Curves
+ */
+export function frequencyCurves(scheme, numPositions, { dim = 64, headDim = 16, numHeads = 4 } = {}) {
+    const positions = Array.from({ length: numPositions }, (_, pos) => pos);
+
+    if (scheme === 'alibi') {
+        return alibiSlopes(numHeads).map((slope, h) => ({
+            label: `Head ${h + 1} (slope ${slope.toFixed(3)})`,
+            points: positions.map(distance => ({ x: distance, y: alibiBias(distance, 0, slope) }))
+        }));
+    }
+
+    if (scheme === 'rope') {
+        const frequencies = ropeFrequencies(headDim);
+        return [0, 1, 2, 4].filter(pair => pair < frequencies.length).map(pair => ({
+            label: `Pair ${pair} (θ = ${frequencies[pair].toPrecision(2)})`,
+            points: positions.map(pos => ({ x: pos, y: Math.cos(pos * frequencies[pair]) }))
+        }));
+    }
+
+    const dims = [0, 8, 16, 32].filter(d => d < dim);
+    return dims.map(d => ({
+        label: `Dim ${d}`,
+        points: positions.map(pos => ({ x: pos, y: getPositionVector(scheme, pos, dim)[d] }))
+    }));
+}
@@ -0,0 +1,184 @@
+/**
+ * Subword tokenization algorithms behind a common interface
+ * BPE (merge rules), WordPiece (greedy longest-match) and Unigram LM (Viterbi)
+ * so the same word can be compared across schemes
+ */
+
+import { simulateBPE, wordPieceSplit, preTokenizeWords } from './tokenizer.js';
+
+// WordPiece vocabulary (BERT-style): word-initial pieces plus "##" continuations
+const WORDPIECE_VOCAB = [
+    '[PAD]', '[UNK]', '[CLS]', '[SEP]',
+    'the', 'a', 'an', 'and', 'is', 'on', 'in', 'to', 'of', 'it',
+    'cat', 'sat', 'mat', 'dog', 'hat', 'play', 'run', 'walk', 'talk', 'read',
+    'un', 'under', 'over', 're', 'pre', 'trans', 'token', 'model', 'learn',
+    'happy', 'new', 'old', 'low', 'high', 'stand', 'form', 'hello', 'world',
+    '##s', '##es', '##ed', '##ing', '##er', '##ers', '##est', '##ly', '##ness',
+    '##able', '##ize', '##ization', '##ation', '##ful', '##less', '##ment',
+    '##tion', '##stand', '##form', '##former', '##iz', '##happi', '##play',
+    '##ized', '##izer', '##en',
+    ...'abcdefghijklmnopqrstuvwxyz'.split(''),
+    ...'abcdefghijklmnopqrstuvwxyz'.split('').map(c => '##' + c),
+    '.', ',', '!', '?', "'", '-'
+];
+
+const WORDPIECE_IDS = new Map(WORDPIECE_VOCAB.map((piece, i) => [piece, i]));
+
+// Unigram LM vocabulary (SentencePiece-style): "▁" marks the start of a word.
+// Scores are log-probabilities; frequent pieces score higher.
+const UNIGRAM_PIECES = [
+    ['▁the', -2.1], ['▁a', -2.6], ['▁and', -2.9], ['▁is', -3.1], ['▁on', -3.4],
+    ['▁in', -3.2], ['▁to', -3.0], ['▁of', -3.1], ['▁it', -3.5],
+    ['▁cat', -6.2], ['▁sat', -6.8], ['▁mat', -7.4], ['▁dog', -6.4], ['▁hat', -7.6],
+    ['▁un', -5.1], ['▁under', -6.3], ['▁stand', -7.1], ['▁re', -5.0], ['▁pre', -6.0],
+    ['▁play', -6.9], ['▁token', -7.8], ['▁model', -7.5], ['▁learn', -7.2],
+    ['▁happy', -7.9], ['▁new', -6.1], ['▁low', -7.0], ['▁hello', -8.1], ['▁world', -7.3],
+    ['▁', -3.8],
+    ['stand', -7.4], ['under', -7.9], ['form', -6.9], ['play', -7.7], ['happi', -9.0],
+    ['ing', -4.2], ['ed', -4.4], ['er', -4.5], ['ers', -6.1], ['est', -5.9], ['ly', -4.9],
+    ['ness', -6.3], ['able', -6.5], ['ize', -6.8], ['ation', -5.8], ['tion', -5.2],
+    ['ful', -6.6], ['less', -6.7], ['ment', -6.0], ['s', -3.9], ['es', -5.3], ['en', -5.5],
+    ['un', -6.2], ['at', -5.6], ['an', -5.4], ['in', -5.2], ['on', -5.7], ['re', -5.9],
+    ...'abcdefghijklmnopqrstuvwxyz'.split('').map(c => [c, -9.5]),
+    ...'.,!?\'-'.split('').map(c => [c, -7.0])
+];
+
+const UNIGRAM_UNK = '<unk>';
+const UNIGRAM_UNK_SCORE = -20;
+const UNIGRAM_VOCAB = [UNIGRAM_UNK, ...UNIGRAM_PIECES.map(([piece]) => piece)];
+const UNIGRAM_SCORES = new Map(UNIGRAM_PIECES);
+const UNIGRAM_IDS = new Map(UNIGRAM_VOCAB.map((piece, i) => [piece, i]));
+const UNIGRAM_MAX_PIECE_LENGTH = Math.max(...UNIGRAM_PIECES.map(([piece]) => [...piece].length));
+
+/**
+ * Run WordPiece tokenization on text
+ * @param {string} text - Input text
+ * @returns {Object} Per-word greedy steps and final tokens
+ */
+export function runWordPiece(text) {
+    const words = preTokenizeWords(text).map(word => ({ word, ...wordPieceSplit(word, WORDPIECE_IDS) }));
+
+    return {
+        algorithm: 'wordpiece',
+        input: text,
+        words,
+        finalTokens: words.flatMap(w => w.pieces.map(piece => ({
+            text: piece,
+            id: WORDPIECE_IDS.get(piece)
+        })))
+    };
+}
+
+/**
+ * Build the Unigram segmentation lattice for one word and find the best path
+ * Every vocabulary piece that matches a substring is a lattice edge; Viterbi
+ * keeps, for each end position, the highest total log-probability path.
+ * @param {string} word - Single word
+ * @returns {Object} Lattice edges, best path and its score
+ */
+function unigramWord(word) {
+    const chars = [...('▁' + word)];
+    const n = chars.length;
+    const edges = [];
+
+    for (let start = 0; start < n; start++) {
+        for (let end = start + 1; end <= Math.min(n, start + UNIGRAM_MAX_PIECE_LENGTH); end++) {
+            const piece = chars.slice(start, end).join('');
+            if (UNIGRAM_SCORES.has(piece)) {
+                edges.push({ start, end, piece, score: UNIGRAM_SCORES.get(piece), onBestPath: false });
+            }
+        }
+    }
+
+    // Unknown single characters keep the lattice connected
+    for (let start = 0; start < n; start++) {
+        const covered = edges.some(e => e.start === start && e.end === start + 1);
+        if (!covered) {
+            edges.push({ start, end: start + 1, piece: chars[start], score: UNIGRAM_UNK_SCORE, onBestPath: false, unknown: true });
+        }
+    }
+
+    // Viterbi forward pass
+    const best = new Array(n + 1).fill(-Infinity);
+    const backpointer = new Array(n + 1).fill(null);
+    best[0] = 0;
+
+    for (let end = 1; end <= n; end++) {
+        edges.filter(e => e.end === end).forEach(edge => {
+            const total = best[edge.start] + edge.score;
+            if (total > best[end]) {
+                best[end] = total;
+                backpointer[end] = edge;
+            }
+        });
+    }
+
+    // Backtrack
+    const path = [];
+    let pos = n;
+    while (pos > 0) {
+        const edge = backpointer[pos];
+        edge.onBestPath = true;
+        path.unshift(edge);
+        pos = edge.start;
+    }
+
+    return {
+        word,
+        chars,
+        edges: edges.sort((a, b) => a.start - b.start || a.end - b.end),
+        path,
+        score: best[n]
+    };
+}
+
+/**
+ * Run Unigram LM (SentencePiece-style) tokenization on text
+ * @param {string} text - Input text
+ * @returns {Object} Per-word lattices and final tokens
+ */
+export function runUnigram(text) {
+    const words = preTokenizeWords(text).map(unigramWord);
+
+    return {
+        algorithm: 'unigram',
+        input: text,
+        words,
+        finalTokens: words.flatMap(w => w.path.map(edge => ({
+            text: edge.unknown ? UNIGRAM_UNK : edge.piece,
+            id: UNIGRAM_IDS.get(edge.unknown ? UNIGRAM_UNK : edge.piece)
+        }))),
+        totalScore: words.reduce((sum, w) => sum + w.score, 0)
+    };
+}
+
+// Registry of selectable algorithms; each run() returns { algorithm, input, finalTokens, ... }
+export const TOKENIZER_ALGORITHMS = {
+    bpe: {
+        label: 'BPE',
+        description: 'Start from characters and apply learned merges, most frequent first.',
+        run: (text, options = {}) => ({ algorithm: 'bpe', ...simulateBPE(text, options) })
+    },
+    wordpiece: {
+        label: 'WordPiece',
+        description: 'Greedily take the longest vocabulary piece; continuations carry a "##" prefix.',
+        run: (text) => runWordPiece(text)
+    },
+    unigram: {
+        label: 'Unigram',
+        description: 'Score every possible segmentation with piece log-probabilities and keep the best (Viterbi).',
+        run: (text) => runUnigram(text)
+    }
+};
+
+/**
+ * Tokenize text with a named algorithm
+ * @param {string} algorithm - Key of TOKENIZER_ALGORITHMS
+ * @param {string} text - Input text
+ * @param {Object} options - Algorithm-specific options (BPE only)
+ * @returns {Object} Algorithm result with finalTokens
+ */
+export function runTokenizerAlgorithm(algorithm, text, options = {}) {
+    const entry = TOKENIZER_ALGORITHMS[algorithm] || TOKENIZER_ALGORITHMS.bpe;
+    return entry.run(text, options);
+}
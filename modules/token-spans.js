@@ -0,0 +1,155 @@
+/**
+ * Token ↔ source-text linking
+ * Uses the start/end offsets from tokenize() to show where each token came
+ * from: hovering a token chip highlights its characters, and selecting text
+ * highlights the tokens it produced.
+ */
+
+/**
+ * Find the tokens that overlap a character range
+ * An empty range (a caret) matches the token containing that position.
+ * @param {Array<{start: number, end: number}>} tokens - Tokens with offsets
+ * @param {number} start - Range start (inclusive)
+ * @param {number} end - Range end (exclusive)
+ * @returns {number[]} Indices of overlapping tokens
+ */
+export function tokensInRange(tokens, start, end) {
+    const indices = [];
+    tokens.forEach((token, i) => {
+        const overlaps = start === end
+            ? token.start <= start && start < token.end
+            : token.start < end && start < token.end;
+        if (overlaps) indices.push(i);
+    });
+    return indices;
+}
+
+/**
+ * Split text into segments at every token boundary
+ * Several tokens can share one segment (e.g. the bytes of an emoji); text
+ * outside every token (such as input past a demo's token limit) gets no tokens.
+ * @param {string} text - Original input
+ * @param {Array<{start: number, end: number}>} tokens - Tokens with offsets into text
+ * @returns {Array<{text: string, start: number, end: number, tokenIndices: number[]}>} Segments covering text
+ */
+export function buildSourceSegments(text, tokens) {
+    const boundaries = new Set([0, text.length]);
+    tokens.forEach(token => {
+        boundaries.add(token.start);
+        boundaries.add(token.end);
+    });
+
+    const points = [...boundaries].filter(p => p >= 0 && p <= text.length).sort((a, b) => a - b);
+    const segments = [];
+
+    for (let i = 0; i < points.length - 1; i++) {
+        const start = points[i];
+        const end = points[i + 1];
+        segments.push({
+            text: text.slice(start, end),
+            start,
+            end,
+            tokenIndices: tokensInRange(tokens, start, end)
+        });
+    }
+
+    return segments;
+}
+
+/**
+ * Render the input text as spans that can be highlighted per token
+ * @param {HTMLElement} container - Element to fill
+ * @param {string} text - Original input
+ * @param {Array<{start: number, end: number}>} tokens - Tokens with offsets into text
+ */
+export function renderSourceText(container, text, tokens) {
+    container.innerHTML = '';
+
+    buildSourceSegments(text, tokens).forEach(segment => {
+        const span = document.createElement('span');
+        // Whitespace folded into a neighbouring token has no span of its own
+        const uncovered = segment.tokenIndices.length === 0 && segment.text.trim() !== '';
+        span.className = `source-span ${uncovered ? 'uncovered' : ''}`;
+        span.dataset.start = segment.start;
+        span.dataset.end = segment.end;
+        span.dataset.tokens = segment.tokenIndices.join(' ');
+        span.textContent = segment.text;
+        container.appendChild(span);
+    });
+}
+
+/**
+ * Character offset of a DOM selection boundary inside a rendered source
+ * @param {HTMLElement} source - Container filled by renderSourceText
+ * @param {Node} node - Boundary node
+ * @param {number} offset - Boundary offset within node
+ * @returns {number} Offset into the original text
+ */
+function selectionOffset(source, node, offset) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return Number(node.parentElement.dataset.start) + offset;
+    }
+
+    // Element boundaries count child nodes rather than characters
+    const span = node === source ? source.children[offset] : node;
+    if (!span) {
+        return Number(source.lastElementChild?.dataset.end ?? 0);
+    }
+    return node === source || offset === 0 ? Number(span.dataset.start) : Number(span.dataset.end);
+}
+
+/**
+ * Wire hover and selection highlighting between source spans and token elements
+ * @param {HTMLElement} source - Container filled by renderSourceText
+ * @param {HTMLElement[]} tokenElements - One element per token, in token order
+ * @param {Array<{start: number, end: number}>} tokens - Tokens with offsets
+ */
+export function linkTokenHighlights(source, tokenElements, tokens) {
+    const spans = [...source.querySelectorAll('.source-span')];
+
+    const highlightSource = (index) => {
+        spans.forEach(span => {
+            span.classList.toggle('highlighted', index !== null && span.dataset.tokens.split(' ').includes(String(index)));
+        });
+    };
+
+    const highlightTokens = (indices) => {
+        tokenElements.forEach((el, i) => el.classList.toggle('linked', indices.includes(i)));
+    };
+
+    tokenElements.forEach((el, i) => {
+        el.addEventListener('mouseenter', () => highlightSource(i));
+        el.addEventListener('mouseleave', () => highlightSource(null));
+    });
+
+    // A text selection inside the source takes priority over hovering
+    const activeRange = () => {
+        const selection = window.getSelection();
+        if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return null;
+        const range = selection.getRangeAt(0);
+        return source.contains(range.commonAncestorContainer) ? range : null;
+    };
+
+    spans.forEach(span => {
+        span.addEventListener('mouseenter', () => {
+            if (activeRange()) return;
+            highlightTokens(span.dataset.tokens ? span.dataset.tokens.split(' ').map(Number) : []);
+        });
+    });
+
+    source.addEventListener('mouseleave', () => {
+        if (!activeRange()) highlightTokens([]);
+    });
+
+    const onSelect = () => {
+        const range = activeRange();
+        if (!range) return;
+
+        const start = selectionOffset(source, range.startContainer, range.startOffset);
+        const end = selectionOffset(source, range.endContainer, range.endOffset);
+        highlightTokens(tokensInRange(tokens, start, end));
+    };
+
+    source.addEventListener('mouseup', onSelect);
+    source.addEventListener('keyup', onSelect);
+}
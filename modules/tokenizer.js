@@ -35,11 +35,29 @@ const BPE_MERGE_RULES = [
     { pair: ['w', 'h'], result: 'wh', frequency: 432 }
 ];
 
+/**
+ * Build a pair-key lookup for merge rules
+ * Rules are ranked by frequency (highest first); ties keep their list order,
+ * so a learned merge table is applied in the order it was learned.
+ * @param {Array<{pair: string[], result: string, frequency: number}>} rules - Merge rules
+ * @returns {Map<string, Object>} Map of "left|right" to rule (with rank)
+ */
+function buildMergeMap(rules) {
+    const map = new Map();
+    rules
+        .map((rule, index) => ({ rule, index }))
+        .sort((a, b) => b.rule.frequency - a.rule.frequency || a.index - b.index)
+        .forEach(({ rule }, rank) => {
+            const key = rule.pair.join('|');
+            if (!map.has(key)) {
+                map.set(key, { ...rule, rank });
+            }
+        });
+    return map;
+}
+
 // Create a map for quick lookup
-const MERGE_MAP = new Map();
-BPE_MERGE_RULES.forEach(rule => {
-    MERGE_MAP.set(rule.pair.join('|'), rule);
-});
+const MERGE_MAP = buildMergeMap(BPE_MERGE_RULES);
 
 // Simple vocabulary of common words (simulating a tiny vocabulary)
 const VOCABULARY = [
@@ -78,40 +96,473 @@ const VOCABULARY = [
 const WORD_TO_ID = new Map(VOCABULARY.map((word, i) => [word, i]));
 const ID_TO_WORD = VOCABULARY;
 
+/**
+ * Build the GPT-2 byte -> printable character table
+ * Printable Latin-1 bytes map to themselves; the rest (control bytes, space,
+ * etc.) are shifted to unused code points starting at U+0100 so every byte
+ * has a visible, unambiguous symbol.
+ * @returns {string[]} Printable character for each byte value (0-255)
+ */
+function buildByteToUnicode() {
+    const printable = [];
+    for (let b = 0x21; b <= 0x7e; b++) printable.push(b);
+    for (let b = 0xa1; b <= 0xac; b++) printable.push(b);
+    for (let b = 0xae; b <= 0xff; b++) printable.push(b);
+
+    const table = new Array(256);
+    const printableSet = new Set(printable);
+    printable.forEach(b => {
+        table[b] = String.fromCharCode(b);
+    });
+
+    let shifted = 0;
+    for (let b = 0; b < 256; b++) {
+        if (!printableSet.has(b)) {
+            table[b] = String.fromCharCode(256 + shifted);
+            shifted++;
+        }
+    }
+    return table;
+}
+
+const BYTE_TO_UNICODE = buildByteToUnicode();
+const UNICODE_TO_BYTE = new Map(BYTE_TO_UNICODE.map((char, b) => [char, b]));
+
+// Byte fallback tokens live after the word vocabulary: id = BYTE_TOKEN_OFFSET + byte
+const BYTE_TOKEN_OFFSET = VOCABULARY.length;
+
+// Common multi-byte characters whose UTF-8 bytes a byte-level BPE would have
+// learned to merge back together (rarer characters stay as raw bytes)
+const BYTE_LEVEL_MERGED_CHARS = ['é', 'è', 'à', 'ü', 'ö', 'ñ', 'ç', 'ß', '’', '“', '”', '—', '…', '€', '你', '好', '日', '本', '😀', '🙂', '👍'];
+
+/**
+ * Build merge rules that reassemble each common character from its UTF-8 bytes
+ * @returns {Array<{pair: string[], result: string, frequency: number}>} Byte merge rules
+ */
+function buildByteMergeRules() {
+    const rules = [];
+    let frequency = 9000;
+    BYTE_LEVEL_MERGED_CHARS.forEach(char => {
+        const symbols = textToByteSymbols(char).map(s => s.symbol);
+        let current = symbols[0];
+        for (let i = 1; i < symbols.length; i++) {
+            rules.push({ pair: [current, symbols[i]], result: current + symbols[i], frequency });
+            current += symbols[i];
+            frequency -= 10;
+        }
+    });
+    return rules;
+}
+
+// Byte-level BPE: reassemble multi-byte characters first, then apply the word-piece merges
+const BYTE_LEVEL_MERGE_RULES = [...buildByteMergeRules(), ...BPE_MERGE_RULES];
+const BYTE_LEVEL_VOCABULARY = [...new Set([
+    ...BYTE_TO_UNICODE,
+    ...BYTE_LEVEL_MERGE_RULES.map(rule => rule.result)
+])];
+
 // Embedding dimension
 const EMBED_DIM = 64;
 
-// Pre-computed embeddings (seeded by token ID)
-const EMBEDDINGS = VOCABULARY.map((_, id) => randomVector(EMBED_DIM, id * 12345 + 67890));
+// Leading-space marker (GPT-2 style): " cat" is its own token, shown as "Ġcat".
+// Space-prefixed variants live after the byte tokens: id = SPACED_TOKEN_OFFSET + word id
+const SPACE_MARKER = 'Ġ';
+const SPACED_TOKEN_OFFSET = BYTE_TOKEN_OFFSET + BYTE_TO_UNICODE.length;
+
+// Chat-template control tokens (ChatML, Llama 2, Llama 3), after the spaced tokens
+const CONTROL_TOKENS = [
+    '<|im_start|>', '<|im_end|>',
+    '[INST]', '[/INST]', '<<SYS>>', '<</SYS>>',
+    '<|begin_of_text|>', '<|start_header_id|>', '<|end_header_id|>', '<|eot_id|>', '<|end_of_text|>'
+];
+const CONTROL_TOKEN_OFFSET = SPACED_TOKEN_OFFSET + VOCABULARY.length;
+
+// Byte-level BPE pieces that are not words (e.g. "é" as merged bytes), after the control tokens
+const BYTE_PIECE_TOKENS = BYTE_LEVEL_VOCABULARY.filter(piece => !UNICODE_TO_BYTE.has(piece) && !WORD_TO_ID.has(piece));
+const BYTE_PIECE_TOKEN_OFFSET = CONTROL_TOKEN_OFFSET + CONTROL_TOKENS.length;
+
+// Byte-level BPE symbols in the id space tokenize() uses: single bytes as byte
+// tokens, merged pieces as the word they spell or as a byte piece token
+const BYTE_LEVEL_IDS = new Map([
+    ...BYTE_TO_UNICODE.map((symbol, byte) => [symbol, BYTE_TOKEN_OFFSET + byte]),
+    ...BYTE_LEVEL_VOCABULARY.filter(piece => !UNICODE_TO_BYTE.has(piece) && WORD_TO_ID.has(piece))
+        .map(piece => [piece, WORD_TO_ID.get(piece)]),
+    ...BYTE_PIECE_TOKENS.map((piece, i) => [piece, BYTE_PIECE_TOKEN_OFFSET + i])
+]);
+
+// Special tokens are matched as whole units before any other splitting
+const SPECIAL_TOKEN_IDS = new Map([
+    ...['<pad>', '<unk>', '<bos>', '<eos>'].map(token => [token, WORD_TO_ID.get(token)]),
+    ...CONTROL_TOKENS.map((token, i) => [token, CONTROL_TOKEN_OFFSET + i])
+]);
+const SPECIAL_TOKEN_SOURCE = [...SPECIAL_TOKEN_IDS.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(token => token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|');
+
+// Pre-computed embeddings (seeded by token ID), including byte, space-prefixed, control and byte piece tokens
+const EMBEDDINGS = [...VOCABULARY, ...BYTE_TO_UNICODE, ...VOCABULARY, ...CONTROL_TOKENS, ...BYTE_PIECE_TOKENS]
+    .map((_, id) => randomVector(EMBED_DIM, id * 12345 + 67890));
+
+/**
+ * Split text into UTF-8 bytes with their printable byte-level symbols
+ * @param {string} text - Input text
+ * @returns {Array<{byte: number, hex: string, symbol: string, char: string}>} One entry per byte
+ */
+export function textToByteSymbols(text) {
+    const encoder = new TextEncoder();
+    const result = [];
+    for (const char of text) {
+        encoder.encode(char).forEach(byte => {
+            result.push({
+                byte,
+                hex: byte.toString(16).toUpperCase().padStart(2, '0'),
+                symbol: BYTE_TO_UNICODE[byte],
+                char
+            });
+        });
+    }
+    return result;
+}
+
+/**
+ * Convert byte-level symbols (e.g. "Ã©") back into readable text (e.g. "é")
+ * Incomplete UTF-8 sequences decode to the replacement character.
+ * @param {string} symbols - String of byte-level symbols
+ * @returns {string} Decoded text
+ */
+export function byteSymbolsToText(symbols) {
+    const bytes = [];
+    for (const char of symbols) {
+        if (!UNICODE_TO_BYTE.has(char)) return symbols;
+        bytes.push(UNICODE_TO_BYTE.get(char));
+    }
+    return new TextDecoder().decode(new Uint8Array(bytes));
+}
+
+/**
+ * Get the byte -> printable character table used by byte-level mode
+ * @returns {Array<{byte: number, hex: string, symbol: string}>} 256 entries
+ */
+export function getByteToUnicodeMap() {
+    return BYTE_TO_UNICODE.map((symbol, byte) => ({
+        byte,
+        hex: byte.toString(16).toUpperCase().padStart(2, '0'),
+        symbol
+    }));
+}
+
+// Pre-tokenization pipeline defaults: reproduce the classic toy behaviour
+export const DEFAULT_PRETOKENIZER = {
+    form: 'none',
+    lowercase: true,
+    whitespace: 'trim',
+    splitDigits: false,
+    pattern: 'basic'
+};
+
+// Unicode normalization forms (String.prototype.normalize)
+export const UNICODE_FORMS = ['none', 'NFC', 'NFD', 'NFKC', 'NFKD'];
+
+// Pre-tokenizer split patterns, from the toy word splitter to GPT-4's
+export const PRETOKENIZER_PATTERNS = {
+    basic: {
+        label: 'Words + punctuation',
+        regex: /\s+|[\w]+|[^\s\w]/u
+    },
+    gpt2: {
+        label: 'GPT-2 regex',
+        regex: /'s|'t|'re|'ve|'m|'ll|'d| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/u
+    },
+    gpt4: {
+        label: 'GPT-4 (cl100k) regex',
+        regex: /'(?:[sS]|[tT]|[rR][eE]|[vV][eE]|[mM]|[lL][lL]|[dD])|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/u
+    }
+};
+
+/**
+ * Normalize text and remember where each normalized character came from
+ * Runs the Unicode normalization, case folding and whitespace stages.
+ * starts[i]/ends[i] are the span in the original text that produced normalized
+ * character i (NFKC and lowercasing can change length, e.g. "ﬁ" or "İ").
+ * Special tokens are left untouched.
+ * @param {string} text - Input text
+ * @param {Object} options - Pre-tokenizer options (see DEFAULT_PRETOKENIZER)
+ * @returns {{normalized: string, starts: number[], ends: number[]}} Normalized text and offset maps
+ */
+function normalizeWithOffsets(text, options = DEFAULT_PRETOKENIZER) {
+    const { form, lowercase, whitespace } = { ...DEFAULT_PRETOKENIZER, ...options };
+    const parts = text.split(new RegExp(`(${SPECIAL_TOKEN_SOURCE})`));
+    let chars = [];
+    let position = 0;
+
+    parts.forEach((part, i) => {
+        // A base character plus its combining marks normalizes as one unit
+        for (const cluster of part.match(/\P{M}\p{M}*|\p{M}+/gu) || []) {
+            let out = cluster;
+            if (i % 2 === 0) {
+                if (form !== 'none') out = out.normalize(form);
+                if (lowercase) out = out.toLowerCase();
+            }
+            for (let k = 0; k < out.length; k++) {
+                chars.push({ char: out[k], start: position, end: position + cluster.length, special: i % 2 === 1 });
+            }
+            position += cluster.length;
+        }
+    });
+
+    if (whitespace !== 'keep') {
+        const isSpace = c => !c.special && /\s/.test(c.char);
+        let first = 0;
+        let last = chars.length;
+        while (first < last && isSpace(chars[first])) first++;
+        while (last > first && isSpace(chars[last - 1])) last--;
+        chars = chars.slice(first, last);
+    }
+
+    if (whitespace === 'collapse') {
+        // Each whitespace run becomes one space spanning the whole run
+        const collapsed = [];
+        chars.forEach(c => {
+            const prev = collapsed[collapsed.length - 1];
+            if (!c.special && /\s/.test(c.char)) {
+                if (prev && prev.collapsed) {
+                    prev.end = c.end;
+                } else {
+                    collapsed.push({ char: ' ', start: c.start, end: c.end, collapsed: true });
+                }
+                return;
+            }
+            collapsed.push(c);
+        });
+        chars = collapsed;
+    }
+
+    return {
+        normalized: chars.map(c => c.char).join(''),
+        starts: chars.map(c => c.start),
+        ends: chars.map(c => c.end)
+    };
+}
+
+/**
+ * Split normalized text into pre-tokens: special tokens first, then the
+ * chosen pattern, then (optionally) one token per digit
+ * @param {string} normalized - Output of the normalization stages
+ * @param {Object} options - Pre-tokenizer options (see DEFAULT_PRETOKENIZER)
+ * @returns {Array<{text: string, start: number, end: number, special: boolean}>} Pre-tokens with offsets into normalized
+ */
+function splitPreTokens(normalized, options = DEFAULT_PRETOKENIZER) {
+    const { pattern, splitDigits } = { ...DEFAULT_PRETOKENIZER, ...options };
+    const entry = PRETOKENIZER_PATTERNS[pattern] || PRETOKENIZER_PATTERNS.basic;
+    const regex = new RegExp(`(${SPECIAL_TOKEN_SOURCE})|${entry.regex.source}`, 'gu');
+    const pieces = [];
+
+    for (const match of normalized.matchAll(regex)) {
+        const piece = { text: match[0], start: match.index, end: match.index + match[0].length, special: Boolean(match[1]) };
+
+        if (!splitDigits || piece.special || !/\d/.test(piece.text)) {
+            pieces.push(piece);
+            continue;
+        }
+
+        let offset = piece.start;
+        piece.text.split(/(\d)/).filter(Boolean).forEach(part => {
+            pieces.push({ text: part, start: offset, end: offset + part.length, special: false });
+            offset += part.length;
+        });
+    }
+
+    return pieces;
+}
+
+/**
+ * Run the pre-tokenization stages and report each stage's output
+ * Text stages report a string; split stages report the list of pre-tokens.
+ * @param {string} text - Input text
+ * @param {Object} options - Pre-tokenizer options (see DEFAULT_PRETOKENIZER)
+ * @returns {{stages: Array<{key: string, label: string, output: string|string[], changed: boolean}>, pieces: Array<{text: string, start: number, end: number, special: boolean}>}} Stage outputs and final pre-tokens (offsets into the original text)
+ */
+export function runPreTokenizer(text, options = {}) {
+    const config = { ...DEFAULT_PRETOKENIZER, ...options };
+    const patternLabel = (PRETOKENIZER_PATTERNS[config.pattern] || PRETOKENIZER_PATTERNS.basic).label;
+
+    const unicode = normalizeWithOffsets(text, { ...config, lowercase: false, whitespace: 'keep' }).normalized;
+    const cased = normalizeWithOffsets(text, { ...config, whitespace: 'keep' }).normalized;
+    const { normalized, starts, ends } = normalizeWithOffsets(text, config);
+    const split = splitPreTokens(normalized, { ...config, splitDigits: false });
+    const pieces = splitPreTokens(normalized, config);
+
+    return {
+        stages: [
+            { key: 'unicode', label: `Unicode normalization (${config.form === 'none' ? 'off' : config.form})`, output: unicode, changed: unicode !== text },
+            { key: 'case', label: `Case folding (${config.lowercase ? 'lowercase' : 'off'})`, output: cased, changed: cased !== unicode },
+            { key: 'whitespace', label: `Whitespace (${config.whitespace})`, output: normalized, changed: normalized !== cased },
+            { key: 'split', label: `Pre-tokenizer: ${patternLabel}`, output: split.map(p => p.text), changed: true },
+            { key: 'digits', label: `Digit splitting (${config.splitDigits ? 'on' : 'off'})`, output: pieces.map(p => p.text), changed: pieces.length !== split.length }
+        ],
+        pieces: pieces.map(piece => ({ ...piece, start: starts[piece.start], end: ends[piece.end - 1] }))
+    };
+}
+
+/**
+ * Pre-tokenize text into the words a subword algorithm works on
+ * Same normalization and split as tokenize(); whitespace-only pieces and
+ * special tokens are left out, since merges and pieces never cross them.
+ * @param {string} text - Input text
+ * @param {Object} options - Pre-tokenizer options (see DEFAULT_PRETOKENIZER)
+ * @returns {string[]} Pre-token texts in order
+ */
+export function preTokenizeWords(text, options = DEFAULT_PRETOKENIZER) {
+    const { normalized } = normalizeWithOffsets(text, options);
+    return splitPreTokens(normalized, options)
+        .filter(piece => !piece.special && /\S/.test(piece.text))
+        .map(piece => piece.text);
+}
+
+/**
+ * Normalize text the way the toy tokenizer does (lowercase, trim outer whitespace by default)
+ * Special tokens such as "[INST]" keep their case. decode(tokenize(text))
+ * reproduces exactly this string (with the same pre-tokenizer options).
+ * @param {string} text - Input text
+ * @param {Object} options - Pre-tokenizer options (see DEFAULT_PRETOKENIZER)
+ * @returns {string} Normalized text
+ */
+export function normalizeText(text, options = DEFAULT_PRETOKENIZER) {
+    return normalizeWithOffsets(text, options).normalized;
+}
+
+/**
+ * Check whether a token string is a special/control token of the toy vocabulary
+ * @param {string} token - Token text
+ * @returns {boolean} True for <bos>, <eos>, chat-template markers, etc.
+ */
+export function isSpecialToken(token) {
+    return SPECIAL_TOKEN_IDS.has(token);
+}
 
 /**
  * Tokenize a text string into token objects
+ * A single space before a vocabulary token is folded into that token
+ * (leadingSpace: true); any other whitespace becomes byte tokens, so no
+ * characters are dropped. start/end are character offsets into the original
+ * text, so text.slice(start, end) is the span a token came from.
  * @param {string} text - Input text
- * @returns {Array<{text: string, id: number}>} Array of token objects
+ * @param {Object} options - Tokenizer options
+ * @param {boolean} options.byteLevel - Fall back to UTF-8 byte tokens instead of <unk>
+ * @param {Object|null} options.tokenizer - Loaded tokenizer model (defaults to the active one)
+ * @param {Object} options.preTokenizer - Toy pre-tokenizer stages (see DEFAULT_PRETOKENIZER)
+ * @returns {Array<{text: string, id: number, start: number, end: number, leadingSpace: boolean}>} Array of token objects
  */
-export function tokenize(text) {
+export function tokenize(text, { byteLevel = false, tokenizer = activeTokenizer, preTokenizer = DEFAULT_PRETOKENIZER } = {}) {
+    if (tokenizer) {
+        return encodeWithModel(tokenizer, text);
+    }
+
     const tokens = [];
-    const normalized = text.toLowerCase().trim();
+    const { normalized, starts, ends } = normalizeWithOffsets(text, preTokenizer);
+    let pendingSpace = false;
+
+    const pushBytes = (chars, start) => {
+        let offset = start;
+        for (const char of chars) {
+            textToByteSymbols(char).forEach(({ byte, symbol }) => {
+                tokens.push({ text: symbol, id: BYTE_TOKEN_OFFSET + byte, byte, start: offset, end: offset + char.length, leadingSpace: false });
+            });
+            offset += char.length;
+        }
+    };
 
-    // Split into words and punctuation
-    const parts = normalized.match(/[\w]+|[^\s\w]/g) || [];
+    const pushToken = (tokenText, id, start, end) => {
+        if (pendingSpace) {
+            pendingSpace = false;
+            const isUnknown = id === WORD_TO_ID.get('<unk>');
+            if (id < BYTE_TOKEN_OFFSET && !isUnknown && !SPECIAL_TOKEN_IDS.has(tokenText)) {
+                tokens.push({ text: tokenText, id: SPACED_TOKEN_OFFSET + id, start, end, leadingSpace: true });
+                return;
+            }
+            pushBytes(' ', start - 1);
+        }
+        tokens.push({ text: tokenText, id, start, end, leadingSpace: false });
+    };
 
-    for (const part of parts) {
+    const pushWhitespace = (part, start) => {
+        if (pendingSpace) {
+            pendingSpace = false;
+            pushBytes(' ', start - 1);
+        }
+        // The last plain space attaches to the next token; the rest stays as bytes
+        const attachesToNext = part.endsWith(' ');
+        pushBytes(attachesToNext ? part.slice(0, -1) : part, start);
+        pendingSpace = attachesToNext;
+    };
+
+    const pushWord = (part, start) => {
         if (WORD_TO_ID.has(part)) {
             // Whole word match
-            tokens.push({ text: part, id: WORD_TO_ID.get(part) });
-        } else {
-            // Character fallback for unknown words
-            for (const char of part) {
-                if (WORD_TO_ID.has(char)) {
-                    tokens.push({ text: char, id: WORD_TO_ID.get(char) });
-                } else {
-                    tokens.push({ text: char, id: WORD_TO_ID.get('<unk>') });
+            pushToken(part, WORD_TO_ID.get(part), start, start + part.length);
+            return;
+        }
+
+        // Character fallback for unknown words
+        let offset = start;
+        for (const char of part) {
+            if (WORD_TO_ID.has(char)) {
+                pushToken(char, WORD_TO_ID.get(char), offset, offset + char.length);
+            } else if (byteLevel) {
+                if (pendingSpace) {
+                    pendingSpace = false;
+                    pushBytes(' ', offset - 1);
                 }
+                pushBytes(char, offset);
+            } else {
+                pushToken(char, WORD_TO_ID.get('<unk>'), offset, offset + char.length);
             }
+            offset += char.length;
+        }
+    };
+
+    splitPreTokens(normalized, preTokenizer).forEach(piece => {
+        if (piece.special) {
+            pushToken(piece.text, SPECIAL_TOKEN_IDS.get(piece.text), piece.start, piece.end);
+            tokens[tokens.length - 1].special = true;
+            return;
         }
+
+        // GPT-style pre-tokens can carry a leading space (" cat") or mix
+        // punctuation and letters ("(cat"); try the whole piece, then its words
+        const lead = piece.text.match(/^\s*/)[0];
+        const rest = piece.text.slice(lead.length);
+        const restStart = piece.start + lead.length;
+
+        if (lead) pushWhitespace(lead, piece.start);
+        if (!rest) return;
+
+        if (WORD_TO_ID.has(rest)) {
+            pushWord(rest, restStart);
+            return;
+        }
+
+        for (const match of rest.matchAll(/\s+|[\w]+|[^\s\w]/gu)) {
+            if (/^\s+$/.test(match[0])) {
+                pushWhitespace(match[0], restStart + match.index);
+            } else {
+                pushWord(match[0], restStart + match.index);
+            }
+        }
+    });
+
+    // Trailing whitespace survives when the whitespace stage keeps it
+    if (pendingSpace) {
+        pushBytes(' ', normalized.length - 1);
     }
 
+    // Report offsets in the caller's original string
+    tokens.forEach(token => {
+        token.start = starts[token.start];
+        token.end = ends[token.end - 1];
+    });
+
     return tokens;
 }
 
@@ -121,19 +572,48 @@ export function tokenize(text) {
  * @returns {string} Token text
  */
 export function idToToken(id) {
+    if (activeTokenizer) {
+        return activeTokenizer.idToToken.get(id) ?? '<unk>';
+    }
+    if (id >= BYTE_TOKEN_OFFSET && id < SPACED_TOKEN_OFFSET) {
+        return BYTE_TO_UNICODE[id - BYTE_TOKEN_OFFSET];
+    }
+    if (id >= SPACED_TOKEN_OFFSET && id < CONTROL_TOKEN_OFFSET) {
+        return SPACE_MARKER + ID_TO_WORD[id - SPACED_TOKEN_OFFSET];
+    }
+    if (id >= CONTROL_TOKEN_OFFSET && id < BYTE_PIECE_TOKEN_OFFSET) {
+        return CONTROL_TOKENS[id - CONTROL_TOKEN_OFFSET];
+    }
+    if (id >= BYTE_PIECE_TOKEN_OFFSET && id < BYTE_PIECE_TOKEN_OFFSET + BYTE_PIECE_TOKENS.length) {
+        return BYTE_PIECE_TOKENS[id - BYTE_PIECE_TOKEN_OFFSET];
+    }
     return ID_TO_WORD[id] || '<unk>';
 }
 
+/**
+ * List the toy vocabulary (one entry per distinct word)
+ * @returns {Array<{id: number, text: string}>} Vocabulary entries in ID order
+ */
+export function getVocabularyEntries() {
+    return [...WORD_TO_ID.entries()]
+        .map(([text, id]) => ({ id, text }))
+        .sort((a, b) => a.id - b.id);
+}
+
 /**
  * Get embedding vector for a token ID
+ * Other widths draw from the same seeded sequence, so a wider embedding
+ * starts with the 64 values of the default one.
  * @param {number} tokenId - Token ID
- * @returns {number[]} Embedding vector (64-dimensional)
+ * @param {number} dim - Embedding dimension
+ * @returns {number[]} Embedding vector (64-dimensional by default)
  */
-export function getEmbedding(tokenId) {
-    if (tokenId >= 0 && tokenId < EMBEDDINGS.length) {
+export function getEmbedding(tokenId, dim = EMBED_DIM) {
+    const known = tokenId >= 0 && tokenId < EMBEDDINGS.length;
+    if (known && dim === EMBED_DIM) {
         return [...EMBEDDINGS[tokenId]];
     }
-    return randomVector(EMBED_DIM, tokenId);
+    return randomVector(dim, known ? tokenId * 12345 + 67890 : tokenId);
 }
 
 /**
@@ -155,12 +635,13 @@ export function getPositionalEncoding(pos, dim = EMBED_DIM) {
 /**
  * Get embeddings with positional encoding for a sequence of tokens
  * @param {Array<{text: string, id: number}>} tokens - Token objects
+ * @param {number} dim - Embedding dimension
  * @returns {number[][]} Matrix of embeddings (seq_len x embed_dim)
  */
-export function getEmbeddings(tokens) {
+export function getEmbeddings(tokens, dim = EMBED_DIM) {
     return tokens.map((token, pos) => {
-        const embedding = getEmbedding(token.id);
-        const positional = getPositionalEncoding(pos);
+        const embedding = getEmbedding(token.id, dim);
+        const positional = getPositionalEncoding(pos, dim);
         return embedding.map((e, i) => e + positional[i]);
     });
 }
@@ -170,7 +651,10 @@ export function getEmbeddings(tokens) {
  * @returns {number} Size of vocabulary
  */
 export function getVocabSize() {
-    return VOCABULARY.length;
+    if (activeTokenizer) {
+        return activeTokenizer.vocab.size;
+    }
+    return EMBEDDINGS.length;
 }
 
 /**
@@ -183,11 +667,77 @@ export function getEmbedDim() {
 
 /**
  * Decode token IDs back to text
+ * Inverse of tokenize(): decode(tokenize(text).map(t => t.id)) === normalizeText(text)
+ * whenever no token is <unk> (always true in byte-level mode).
  * @param {number[]} ids - Token IDs
+ * @param {Object} options - Decode options
+ * @param {Object|null} options.tokenizer - Loaded tokenizer model (defaults to the active one)
  * @returns {string} Decoded text
  */
-export function decode(ids) {
-    return ids.map(id => idToToken(id)).join(' ');
+export function decode(ids, { tokenizer = activeTokenizer } = {}) {
+    if (tokenizer) {
+        return decodeWithModel(tokenizer, ids);
+    }
+    return decodeSteps(ids).map(step => step.piece).join('');
+}
+
+/**
+ * Text decode(tokenize(text)) gives back when no token is unknown
+ * For the toy vocabulary this is normalizeText(text). A loaded tokenizer
+ * applies its own normalization and pre-tokenization, e.g. WordPiece lowercases
+ * and rejoins words with single spaces, so "Playing!" comes back as "playing !".
+ * @param {string} text - Input text
+ * @param {Object} options - Options
+ * @param {Object|null} options.tokenizer - Loaded tokenizer model (defaults to the active one)
+ * @returns {string} Expected round-trip text
+ */
+export function roundTripText(text, { tokenizer = activeTokenizer } = {}) {
+    if (!tokenizer) return normalizeText(text);
+
+    const pieces = preTokenizeWithModel(tokenizer, text).map(piece => piece.text);
+    if (tokenizer.type === 'WordPiece') return pieces.join(' ');
+    if (!tokenizer.metaspace) return pieces.join('');
+
+    const spaced = pieces.join('').replace(/▁/g, ' ');
+    return spaced.startsWith(' ') ? spaced.slice(1) : spaced;
+}
+
+/**
+ * Explain decode() one token at a time
+ * Consecutive byte tokens are grouped, since a multi-byte character only
+ * becomes readable once all of its bytes are present.
+ * @param {number[]} ids - Token IDs (toy vocabulary)
+ * @returns {Array<{ids: number[], tokens: string[], piece: string}>} Text contributed by each token (or byte run)
+ */
+export function decodeSteps(ids) {
+    const steps = [];
+    let byteRun = null;
+
+    ids.forEach(id => {
+        const isByte = id >= BYTE_TOKEN_OFFSET && id < SPACED_TOKEN_OFFSET;
+        if (isByte) {
+            if (!byteRun) {
+                byteRun = { ids: [], tokens: [], bytes: [] };
+                steps.push(byteRun);
+            }
+            byteRun.ids.push(id);
+            byteRun.tokens.push(idToToken(id));
+            byteRun.bytes.push(id - BYTE_TOKEN_OFFSET);
+            return;
+        }
+
+        byteRun = null;
+        const isSpaced = id >= SPACED_TOKEN_OFFSET && id < CONTROL_TOKEN_OFFSET;
+        const isBytePiece = id >= BYTE_PIECE_TOKEN_OFFSET && id < BYTE_PIECE_TOKEN_OFFSET + BYTE_PIECE_TOKENS.length;
+        let piece = idToToken(id);
+        if (isSpaced) piece = ' ' + ID_TO_WORD[id - SPACED_TOKEN_OFFSET];
+        if (isBytePiece) piece = byteSymbolsToText(piece);
+        steps.push({ ids: [id], tokens: [idToToken(id)], piece });
+    });
+
+    return steps.map(step => (step.bytes
+        ? { ids: step.ids, tokens: step.tokens, piece: new TextDecoder().decode(new Uint8Array(step.bytes)) }
+        : step));
 }
 
 /**
@@ -220,21 +770,72 @@ export function topKTokens(logits, k = 5) {
 
 /**
  * Simulate BPE tokenization with step-by-step merge history
+ * With a loaded BPE tokenizer active (see setActiveTokenizer), its merges,
+ * pre-tokenizer and vocabulary IDs are used unless explicit merges/byteLevel are given.
  * @param {string} text - Input text to tokenize
+ * @param {Object} options - Optional merge table (e.g. from trainBPE)
+ * @param {Array} options.merges - Merge rules to apply instead of the built-in ones
+ * @param {string[]} options.vocabulary - Vocabulary used to assign token IDs
+ * @param {boolean} options.byteLevel - Start from UTF-8 bytes (GPT-2 style) instead of characters
+ * @param {Object|null} options.tokenizer - Loaded tokenizer model (null forces the toy rules)
  * @returns {Object} Object containing merge steps and final tokens
  */
-export function simulateBPE(text) {
-    const normalized = text.toLowerCase().trim();
+export function simulateBPE(text, {
+    merges = null,
+    vocabulary = null,
+    byteLevel = false,
+    tokenizer = merges || byteLevel ? null : activeTokenizer
+} = {}) {
+    const model = tokenizer && tokenizer.type === 'BPE' ? tokenizer : null;
+    const useBytes = model ? model.byteLevel : byteLevel;
+    const normalized = model ? text.trim() : text.toLowerCase().trim();
+
+    let mergeMap = MERGE_MAP;
+    let vocabIds = WORD_TO_ID;
+    let unkId = WORD_TO_ID.get('<unk>');
+    let byteSymbols = null;
+    let currentTokens;
+    let segments;
+
+    if (model) {
+        // Pre-tokenize first: merges never cross pre-token boundaries
+        mergeMap = model.mergeMap;
+        vocabIds = model.vocab;
+        unkId = model.unkId;
+        byteSymbols = useBytes ? textToByteSymbols(normalized) : null;
+        currentTokens = [];
+        segments = [];
+        preTokenizeWithModel(model, normalized).forEach((piece, index) => {
+            piece.symbols.forEach(symbol => {
+                currentTokens.push(symbol);
+                segments.push(index);
+            });
+        });
+    } else {
+        const defaultMerges = byteLevel ? BYTE_LEVEL_MERGE_RULES : null;
+        const activeMerges = merges || defaultMerges;
+        if (activeMerges) mergeMap = buildMergeMap(activeMerges);
+        if (vocabulary) {
+            vocabIds = new Map(vocabulary.map((token, i) => [token, i]));
+            if (vocabIds.has('<unk>')) unkId = vocabIds.get('<unk>');
+        } else if (byteLevel) {
+            // Same ids as tokenize({ byteLevel: true })
+            vocabIds = BYTE_LEVEL_IDS;
+        }
+
+        // Start with characters (or UTF-8 bytes in byte-level mode)
+        byteSymbols = byteLevel ? textToByteSymbols(normalized) : null;
+        currentTokens = byteLevel ? byteSymbols.map(b => b.symbol) : normalized.split('');
+        segments = currentTokens.map(() => 0);
+    }
 
-    // Start with characters
-    let currentTokens = normalized.split('');
     const mergeSteps = [];
 
     // Record initial state
     mergeSteps.push({
         step: 0,
         tokens: [...currentTokens],
-        description: 'Initial characters',
+        description: useBytes ? 'Initial UTF-8 bytes' : 'Initial characters',
         mergedPair: null,
         mergedResult: null,
         frequency: null
@@ -243,19 +844,22 @@ export function simulateBPE(text) {
     // Apply merges iteratively until no more can be applied
     let stepNum = 1;
     let changed = true;
+    const maxSteps = Math.max(20, currentTokens.length);
 
-    while (changed && stepNum < 20) { // Safety limit
+    while (changed && stepNum < maxSteps) { // Safety limit
         changed = false;
 
-        // Find the highest-frequency applicable merge
+        // Find the highest-priority applicable merge
         let bestMerge = null;
         let bestMergeIdx = -1;
 
         for (let i = 0; i < currentTokens.length - 1; i++) {
+            if (segments[i] !== segments[i + 1]) continue;
+
             const pair = currentTokens[i] + '|' + currentTokens[i + 1];
-            const rule = MERGE_MAP.get(pair);
+            const rule = mergeMap.get(pair);
 
-            if (rule && (!bestMerge || rule.frequency > bestMerge.frequency)) {
+            if (rule && (!bestMerge || rule.rank < bestMerge.rank)) {
                 bestMerge = rule;
                 bestMergeIdx = i;
             }
@@ -268,11 +872,16 @@ export function simulateBPE(text) {
                 bestMerge.result,
                 ...currentTokens.slice(bestMergeIdx + 2)
             ];
+            segments = [...segments.slice(0, bestMergeIdx + 1), ...segments.slice(bestMergeIdx + 2)];
+
+            let description = `Merge "${bestMerge.pair[0]}" + "${bestMerge.pair[1]}" → "${bestMerge.result}"`;
+            if (useBytes) description += ` (${byteSymbolsToText(bestMerge.result)})`;
+            if (model) description += ` - merge rank ${bestMerge.rank}`;
 
             mergeSteps.push({
                 step: stepNum,
                 tokens: [...newTokens],
-                description: `Merge "${bestMerge.pair[0]}" + "${bestMerge.pair[1]}" → "${bestMerge.result}"`,
+                description,
                 mergedPair: bestMerge.pair,
                 mergedResult: bestMerge.result,
                 mergedIndex: bestMergeIdx,
@@ -287,21 +896,139 @@ export function simulateBPE(text) {
 
     // Map final tokens to vocabulary IDs
     const finalTokens = currentTokens.map(t => {
-        const id = WORD_TO_ID.get(t);
+        const id = vocabIds.get(t);
         return {
             text: t,
-            id: id !== undefined ? id : WORD_TO_ID.get('<unk>')
+            id: id !== undefined ? id : unkId
         };
     });
 
+    if (useBytes) {
+        finalTokens.forEach(token => {
+            token.decoded = byteSymbolsToText(token.text);
+        });
+    }
+
     return {
         input: text,
+        byteLevel: useBytes,
+        byteSymbols,
+        tokenizerName: model ? model.name : null,
         mergeSteps,
         finalTokens,
         totalMerges: mergeSteps.length - 1
     };
 }
 
+/**
+ * Count adjacent symbol pairs across a word table
+ * @param {Array<{symbols: string[], count: number}>} words - Words split into symbols
+ * @returns {Map<string, {pair: string[], count: number}>} Pair counts keyed by "left|right"
+ */
+function countPairs(words) {
+    const counts = new Map();
+    words.forEach(({ symbols, count }) => {
+        for (let i = 0; i < symbols.length - 1; i++) {
+            const key = symbols[i] + '|' + symbols[i + 1];
+            const entry = counts.get(key);
+            if (entry) {
+                entry.count += count;
+            } else {
+                counts.set(key, { pair: [symbols[i], symbols[i + 1]], count });
+            }
+        }
+    });
+    return counts;
+}
+
+/**
+ * Replace every occurrence of a pair inside a symbol list
+ * @param {string[]} symbols - Word symbols
+ * @param {string[]} pair - Pair to merge
+ * @returns {string[]} Symbols after merging
+ */
+function mergeSymbols(symbols, pair) {
+    const merged = [];
+    let i = 0;
+    while (i < symbols.length) {
+        if (i < symbols.length - 1 && symbols[i] === pair[0] && symbols[i + 1] === pair[1]) {
+            merged.push(pair[0] + pair[1]);
+            i += 2;
+        } else {
+            merged.push(symbols[i]);
+            i++;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Learn BPE merge rules from a text corpus
+ * Words come from the same pre-tokenizer pipeline as tokenize(), then the most
+ * frequent adjacent pair is merged repeatedly. Ties are broken alphabetically so
+ * training is deterministic.
+ * @param {string} corpus - Training text
+ * @param {number} numMerges - Maximum number of merges to learn
+ * @param {Object} options - Training options
+ * @param {number} options.topPairs - Number of pair counts to record per step
+ * @param {Object} options.preTokenizer - Pre-tokenizer stages (see DEFAULT_PRETOKENIZER)
+ * @returns {Object} Learned merges, vocabulary, and per-step pair-frequency tables
+ */
+export function trainBPE(corpus, numMerges = 20, { topPairs = 8, preTokenizer = DEFAULT_PRETOKENIZER } = {}) {
+    const wordCounts = new Map();
+    const parts = preTokenizeWords(corpus, preTokenizer);
+    parts.forEach(part => {
+        wordCounts.set(part, (wordCounts.get(part) || 0) + 1);
+    });
+
+    let words = [...wordCounts.entries()].map(([word, count]) => ({
+        word,
+        symbols: [...word],
+        count
+    }));
+
+    const baseSymbols = [...new Set(words.flatMap(w => w.symbols))].sort();
+    const merges = [];
+    const steps = [];
+
+    // Different pairs can spell the same piece ("a" + "bc", "ab" + "c"), so count distinct entries
+    const learned = new Set(baseSymbols);
+
+    while (merges.length < numMerges) {
+        const pairCounts = [...countPairs(words).values()]
+            .sort((a, b) => b.count - a.count || a.pair.join('|').localeCompare(b.pair.join('|')));
+
+        if (pairCounts.length === 0 || pairCounts[0].count < 2) break;
+
+        const best = pairCounts[0];
+        const merge = {
+            pair: [...best.pair],
+            result: best.pair[0] + best.pair[1],
+            frequency: best.count
+        };
+
+        words = words.map(w => ({ ...w, symbols: mergeSymbols(w.symbols, best.pair) }));
+        merges.push(merge);
+        learned.add(merge.result);
+
+        steps.push({
+            step: merges.length,
+            merge,
+            pairCounts: pairCounts.slice(0, topPairs).map(p => ({ pair: [...p.pair], count: p.count })),
+            vocabSize: learned.size,
+            words: words.map(w => ({ word: w.word, symbols: [...w.symbols], count: w.count }))
+        });
+    }
+
+    return {
+        merges,
+        vocabulary: ['<unk>', ...learned],
+        baseSymbols,
+        steps,
+        wordCount: parts.length
+    };
+}
+
 /**
  * Get available BPE merge rules for display
  * @returns {Array} Array of merge rules sorted by frequency
@@ -372,6 +1099,597 @@ export function buildMergeTree(bpeResult) {
     };
 }
 
+// ============================================
+// Tokenizer Comparison
+// ============================================
+
+/**
+ * Tokenize character by character against the toy vocabulary
+ * Every non-whitespace character is its own token; characters missing from
+ * the vocabulary become <unk>.
+ * @param {string} text - Input text
+ * @returns {Array<{text: string, id: number, start: number, end: number}>} Character tokens
+ */
+export function tokenizeCharacters(text) {
+    const unkId = WORD_TO_ID.get('<unk>');
+    return [...text.matchAll(/\S/gu)].map(match => {
+        const char = match[0].toLowerCase();
+        return {
+            text: char,
+            id: WORD_TO_ID.has(char) ? WORD_TO_ID.get(char) : unkId,
+            start: match.index,
+            end: match.index + match[0].length
+        };
+    });
+}
+
+/**
+ * Summarize one tokenization for comparison
+ * @param {string} text - Input text
+ * @param {Array<{id: number}>} tokens - Tokens produced by the scheme
+ * @param {number|null} unkId - ID of the unknown token (null if the scheme has none)
+ * @returns {{tokenCount: number, charsPerToken: number, unknownCount: number, unknownRate: number}} Stats
+ */
+function tokenizationStats(text, tokens, unkId) {
+    const chars = [...text].length;
+    const unknownCount = unkId === null || unkId === undefined
+        ? 0
+        : tokens.filter(token => token.id === unkId).length;
+
+    return {
+        tokenCount: tokens.length,
+        charsPerToken: tokens.length ? chars / tokens.length : 0,
+        unknownCount,
+        unknownRate: tokens.length ? unknownCount / tokens.length : 0
+    };
+}
+
+/**
+ * Run the same text through every available tokenization scheme
+ * Fewer characters per token means the same context window holds less text.
+ * @param {string} text - Input text
+ * @param {Object} options - Comparison options
+ * @param {Object[]} options.models - Loaded tokenizer models to include
+ * @returns {Array<{key: string, label: string, description: string, tokens: Array, tokenCount: number, charsPerToken: number, unknownCount: number, unknownRate: number}>} One row per scheme
+ */
+export function compareTokenizers(text, { models = [] } = {}) {
+    const unkId = WORD_TO_ID.get('<unk>');
+    const schemes = [
+        {
+            key: 'word',
+            label: 'Word-level',
+            description: 'Whole vocabulary words; unknown words fall back to characters, then <unk>.',
+            tokens: tokenize(text, { tokenizer: null }),
+            unkId
+        },
+        {
+            key: 'word-bytes',
+            label: 'Word-level + byte fallback',
+            description: 'As above, but unknown characters become UTF-8 byte tokens instead of <unk>.',
+            tokens: tokenize(text, { byteLevel: true, tokenizer: null }),
+            unkId
+        },
+        {
+            key: 'char',
+            label: 'Character',
+            description: 'One token per character, spaces dropped.',
+            tokens: tokenizeCharacters(text),
+            unkId
+        },
+        {
+            key: 'bpe',
+            label: 'Simulated BPE',
+            description: 'Each word starts as characters and is merged with the toy BPE rules.',
+            tokens: (text.match(/\S+/g) || []).flatMap(word => simulateBPE(word, { tokenizer: null }).finalTokens),
+            unkId
+        },
+        ...models.map((model, i) => ({
+            key: `model-${i}`,
+            label: model.name,
+            description: `Loaded ${model.type}${model.byteLevel ? ' (byte-level)' : ''} tokenizer, ${model.vocab.size} tokens.`,
+            tokens: tokenize(text, { tokenizer: model }),
+            unkId: model.unkId
+        }))
+    ];
+
+    return schemes.map(({ unkId: schemeUnk, ...scheme }) => ({
+        ...scheme,
+        ...tokenizationStats(text, scheme.tokens, schemeUnk)
+    }));
+}
+
+// ============================================
+// Loaded Tokenizers (tokenizer.json, vocab.json + merges.txt)
+// ============================================
+
+// GPT-2 pre-tokenizer: contractions, letter runs, digit runs, punctuation runs, whitespace
+const GPT2_PRETOKENIZE_PATTERN = new RegExp(PRETOKENIZER_PATTERNS.gpt2.regex.source, 'gu');
+
+// BERT-style pre-tokenizer: runs of letters/digits, or single punctuation characters
+const WORDPIECE_PRETOKENIZE_PATTERN = /[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu;
+
+// Byte fallback tokens used by SentencePiece-derived BPE vocabularies (e.g. Llama)
+const BYTE_FALLBACK_PATTERN = /^<0x([0-9A-Fa-f]{2})>$/;
+
+// Longest word WordPiece will try to split; longer words become the unknown token (BERT uses 100 characters)
+const MAX_WORDPIECE_CHARS = 100;
+
+// Currently loaded tokenizer (null = toy vocabulary)
+let activeTokenizer = null;
+
+/**
+ * Build a tokenizer model object from parsed vocab/merges
+ * @param {Object} spec - Parsed tokenizer description
+ * @returns {Object} Tokenizer model used by tokenize/decode/simulateBPE
+ */
+function createTokenizerModel({
+    name,
+    type,
+    vocab,
+    merges = [],
+    unkToken = null,
+    byteLevel = false,
+    metaspace = false,
+    lowercase = false,
+    continuingPrefix = '##',
+    byteFallback = false,
+    addedTokens = []
+}) {
+    const vocabMap = new Map(Object.entries(vocab).map(([token, id]) => [token, Number(id)]));
+    addedTokens.forEach(token => vocabMap.set(token.content, token.id));
+
+    const mergeMap = new Map();
+    merges.forEach((pair, rank) => {
+        const key = pair.join('|');
+        if (!mergeMap.has(key)) {
+            mergeMap.set(key, { pair, result: pair[0] + pair[1], rank, frequency: null });
+        }
+    });
+
+    return {
+        name,
+        type,
+        vocab: vocabMap,
+        idToToken: new Map([...vocabMap].map(([token, id]) => [id, token])),
+        merges,
+        mergeMap,
+        unkId: unkToken !== null && vocabMap.has(unkToken) ? vocabMap.get(unkToken) : null,
+        byteLevel,
+        metaspace,
+        lowercase,
+        continuingPrefix,
+        byteFallback,
+        addedTokens: [...addedTokens].sort((a, b) => b.content.length - a.content.length),
+        cache: new Map()
+    };
+}
+
+/**
+ * Parse a Hugging Face tokenizer.json (BPE or WordPiece models)
+ * @param {Object|string} json - tokenizer.json contents
+ * @param {string} name - Display name
+ * @returns {Object} Tokenizer model
+ */
+export function parseTokenizerJSON(json, name = 'tokenizer.json') {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    const model = data?.model;
+    if (!model || !model.vocab) {
+        throw new Error('tokenizer.json is missing model.vocab');
+    }
+
+    const type = model.type || (model.merges ? 'BPE' : 'WordPiece');
+    if (type !== 'BPE' && type !== 'WordPiece') {
+        throw new Error(`Unsupported tokenizer model type: ${type}`);
+    }
+
+    const pipeline = JSON.stringify([data.normalizer, data.pre_tokenizer, data.decoder]);
+    const byteLevel = pipeline.includes('"ByteLevel"');
+
+    return createTokenizerModel({
+        name,
+        type,
+        vocab: model.vocab,
+        merges: (model.merges || []).map(merge => (Array.isArray(merge) ? merge : merge.split(' '))),
+        unkToken: model.unk_token ?? null,
+        byteLevel,
+        metaspace: !byteLevel && (pipeline.includes('"Metaspace"') || pipeline.includes('▁')),
+        lowercase: pipeline.includes('"Lowercase"') || pipeline.includes('"lowercase":true'),
+        continuingPrefix: model.continuing_subword_prefix || '##',
+        byteFallback: Boolean(model.byte_fallback),
+        addedTokens: (data.added_tokens || []).map(token => ({
+            id: token.id,
+            content: token.content,
+            special: Boolean(token.special)
+        }))
+    });
+}
+
+/**
+ * Parse GPT-2 style vocab.json + merges.txt (always byte-level BPE)
+ * @param {Object|string} vocabJSON - vocab.json contents
+ * @param {string} mergesText - merges.txt contents
+ * @param {string} name - Display name
+ * @returns {Object} Tokenizer model
+ */
+export function parseVocabAndMerges(vocabJSON, mergesText, name = 'vocab.json + merges.txt') {
+    const vocab = typeof vocabJSON === 'string' ? JSON.parse(vocabJSON) : vocabJSON;
+    const merges = mergesText
+        .split(/\r?\n/)
+        .filter(line => line.trim() && !line.startsWith('#version'))
+        .map(line => line.split(' '));
+
+    if (merges.some(pair => pair.length !== 2)) {
+        throw new Error('merges.txt lines must contain exactly two space-separated symbols');
+    }
+
+    const endOfText = '<|endoftext|>';
+    return createTokenizerModel({
+        name,
+        type: 'BPE',
+        vocab,
+        merges,
+        byteLevel: true,
+        addedTokens: endOfText in vocab ? [{ id: vocab[endOfText], content: endOfText, special: true }] : []
+    });
+}
+
+/**
+ * Load a tokenizer from user-selected files
+ * Accepts a single tokenizer.json, or a vocab.json + merges.txt pair.
+ * @param {Iterable<{name: string, text: function(): Promise<string>}>} files - Files (e.g. from an <input type="file">)
+ * @returns {Promise<Object>} Tokenizer model
+ */
+export async function loadTokenizerFromFiles(files) {
+    const entries = await Promise.all([...files].map(async file => ({
+        name: file.name,
+        text: await file.text()
+    })));
+
+    const jsonFile = entries.find(entry => entry.name.endsWith('.json'));
+    const mergesFile = entries.find(entry => entry.name.endsWith('.txt'));
+    if (!jsonFile) {
+        throw new Error('Choose a tokenizer.json, or vocab.json together with merges.txt');
+    }
+
+    const json = JSON.parse(jsonFile.text);
+    if (json.model) {
+        return parseTokenizerJSON(json, jsonFile.name);
+    }
+    if (!mergesFile) {
+        throw new Error('vocab.json needs its merges.txt - select both files');
+    }
+    return parseVocabAndMerges(json, mergesFile.text, `${jsonFile.name} + ${mergesFile.name}`);
+}
+
+/**
+ * Load a tokenizer.json from a URL (e.g. the bundled fixture)
+ * @param {string} url - URL of a tokenizer.json file
+ * @param {string} name - Display name
+ * @returns {Promise<Object>} Tokenizer model
+ */
+export async function loadTokenizerFromURL(url, name = url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load ${url} (HTTP ${response.status})`);
+    }
+    return parseTokenizerJSON(await response.json(), name);
+}
+
+/**
+ * Make a loaded tokenizer the default for tokenize/decode/simulateBPE
+ * @param {Object|null} model - Tokenizer model, or null to restore the toy vocabulary
+ */
+export function setActiveTokenizer(model) {
+    activeTokenizer = model;
+}
+
+/**
+ * Get the currently loaded tokenizer
+ * @returns {Object|null} Tokenizer model, or null when using the toy vocabulary
+ */
+export function getActiveTokenizer() {
+    return activeTokenizer;
+}
+
+/**
+ * Split text on added/special tokens, keeping them as standalone pieces
+ * @param {Object} model - Tokenizer model
+ * @param {string} text - Input text
+ * @returns {Array<{text: string, special: Object|null, start: number}>} Segments with offsets into text
+ */
+function splitOnAddedTokens(model, text) {
+    const segments = [];
+    let buffer = '';
+    let i = 0;
+
+    while (i < text.length) {
+        const added = model.addedTokens.find(token => text.startsWith(token.content, i));
+        if (added) {
+            if (buffer) segments.push({ text: buffer, special: null, start: i - buffer.length });
+            segments.push({ text: added.content, special: added, start: i });
+            buffer = '';
+            i += added.content.length;
+        } else {
+            buffer += text[i];
+            i++;
+        }
+    }
+    if (buffer) segments.push({ text: buffer, special: null, start: i - buffer.length });
+
+    return segments;
+}
+
+/**
+ * Pre-tokenize text the way the loaded tokenizer does
+ * @param {Object} model - Tokenizer model
+ * @param {string} text - Input text
+ * start is the piece's offset in text; prefix counts leading characters the
+ * pre-tokenizer added (the metaspace "▁" in front of the first word).
+ * @returns {Array<{text: string, symbols: string[], special: Object|null, start: number, prefix: number}>} Pre-tokens with initial symbols
+ */
+function preTokenizeWithModel(model, text) {
+    const pieces = [];
+
+    splitOnAddedTokens(model, text).forEach(segment => {
+        if (segment.special) {
+            pieces.push({ text: segment.text, symbols: [segment.text], special: segment.special, start: segment.start, prefix: 0 });
+            return;
+        }
+
+        const normalized = model.lowercase ? segment.text.toLowerCase() : segment.text;
+        const push = (word, index, symbols, prefix = 0) => {
+            pieces.push({ text: word, symbols, special: null, start: segment.start + index, prefix });
+        };
+
+        if (model.type === 'WordPiece') {
+            for (const match of normalized.matchAll(WORDPIECE_PRETOKENIZE_PATTERN)) {
+                push(match[0], match.index, [...match[0]]);
+            }
+        } else if (model.byteLevel) {
+            for (const match of normalized.matchAll(GPT2_PRETOKENIZE_PATTERN)) {
+                push(match[0], match.index, textToByteSymbols(match[0]).map(b => b.symbol));
+            }
+        } else if (model.metaspace) {
+            const spaced = normalized.replace(/ /g, '▁');
+            const shift = spaced.startsWith('▁') ? 0 : 1;
+            const prefixed = shift ? '▁' + spaced : spaced;
+            for (const match of prefixed.matchAll(/▁[^▁]*|[^▁]+/g)) {
+                const prefix = shift && match.index === 0 ? 1 : 0;
+                push(match[0], match.index - shift + prefix, [...match[0]], prefix);
+            }
+        } else {
+            for (const match of normalized.matchAll(/\S+/g)) {
+                push(match[0], match.index, [...match[0]]);
+            }
+        }
+    });
+
+    return pieces;
+}
+
+/**
+ * Apply BPE merges to one pre-token by merge rank (lowest rank first, all occurrences)
+ * @param {Object} model - Tokenizer model
+ * @param {string[]} symbols - Initial symbols
+ * @returns {string[]} Merged symbols
+ */
+function bpeEncodeSymbols(model, symbols) {
+    let current = [...symbols];
+
+    while (current.length > 1) {
+        let best = null;
+        for (let i = 0; i < current.length - 1; i++) {
+            const rule = model.mergeMap.get(current[i] + '|' + current[i + 1]);
+            if (rule && (!best || rule.rank < best.rank)) {
+                best = rule;
+            }
+        }
+        if (!best) break;
+        current = mergeSymbols(current, best.pair);
+    }
+
+    return current;
+}
+
+/**
+ * Split one word with WordPiece greedy longest-match-first
+ * Used by loaded WordPiece models and by the algorithm comparison demo.
+ * If any position cannot be matched, the whole word becomes the unknown token (as in BERT).
+ * @param {string} word - Single word
+ * @param {{has: function(string): boolean}} vocab - Vocabulary pieces (e.g. a Map or Set)
+ * @param {Object} [options] - Vocabulary conventions
+ * @param {string} [options.continuingPrefix='##'] - Prefix marking a piece that continues a word
+ * @param {string} [options.unkToken='[UNK]'] - Piece returned for a word that cannot be matched
+ * @returns {{pieces: string[], steps: Array<{start: number, remaining: string, tried: string[], match: string|null}>, unknown: boolean}}
+ *     Pieces and the candidates tried at each position
+ */
+export function wordPieceSplit(word, vocab, { continuingPrefix = '##', unkToken = '[UNK]' } = {}) {
+    const chars = [...word];
+    if (chars.length > MAX_WORDPIECE_CHARS) {
+        return { pieces: [unkToken], steps: [], unknown: true };
+    }
+
+    const pieces = [];
+    const steps = [];
+    let start = 0;
+
+    while (start < chars.length) {
+        let end = chars.length;
+        let match = null;
+        const tried = [];
+
+        while (start < end) {
+            const candidate = (start > 0 ? continuingPrefix : '') + chars.slice(start, end).join('');
+            tried.push(candidate);
+            if (vocab.has(candidate)) {
+                match = candidate;
+                break;
+            }
+            end--;
+        }
+
+        steps.push({
+            start,
+            remaining: chars.slice(start).join(''),
+            tried,
+            match
+        });
+
+        if (!match) {
+            return { pieces: [unkToken], steps, unknown: true };
+        }
+
+        pieces.push(match);
+        start = end;
+    }
+
+    return { pieces, steps, unknown: false };
+}
+
+/**
+ * Look up a token, falling back to <0xNN> byte tokens or the unknown token
+ * @param {Object} model - Tokenizer model
+ * @param {string} token - Token text
+ * @returns {Array<{text: string, id: number}>} One or more tokens
+ */
+function lookupModelToken(model, token) {
+    if (model.vocab.has(token)) {
+        return [{ text: token, id: model.vocab.get(token) }];
+    }
+    if (model.byteFallback) {
+        return [...new TextEncoder().encode(token)].map(byte => {
+            const text = `<0x${byte.toString(16).toUpperCase().padStart(2, '0')}>`;
+            return { text, id: model.vocab.has(text) ? model.vocab.get(text) : model.unkId };
+        });
+    }
+    return [{ text: token, id: model.unkId }];
+}
+
+/**
+ * Character span in piece.text covered by each symbol of a pre-token
+ * Byte-level symbols count bytes, so a token holding part of a multi-byte
+ * character spans the whole character.
+ * @param {Object} model - Tokenizer model
+ * @param {Object} piece - Pre-token from preTokenizeWithModel
+ * @param {string[]} symbols - Final symbols for the piece
+ * @returns {Array<{start: number, end: number}>} Offsets relative to piece.text
+ */
+function symbolSpans(model, piece, symbols) {
+    if (model.byteLevel) {
+        const charStart = [];
+        const charEnd = [];
+        let offset = 0;
+        for (const char of piece.text) {
+            new TextEncoder().encode(char).forEach(() => {
+                charStart.push(offset);
+                charEnd.push(offset + char.length);
+            });
+            offset += char.length;
+        }
+
+        let byte = 0;
+        return symbols.map(symbol => {
+            const count = [...symbol].length;
+            const span = { start: charStart[byte], end: charEnd[byte + count - 1] };
+            byte += count;
+            return span;
+        });
+    }
+
+    let offset = 0;
+    return symbols.map((symbol, i) => {
+        const length = model.type === 'WordPiece' && i > 0
+            ? symbol.length - model.continuingPrefix.length
+            : symbol.length;
+        const span = { start: offset, end: offset + length };
+        offset += length;
+        return span;
+    });
+}
+
+/**
+ * Encode text with a loaded tokenizer
+ * @param {Object} model - Tokenizer model
+ * @param {string} text - Input text
+ * @returns {Array<{text: string, id: number, start: number, end: number}>} Tokens with real vocabulary IDs and offsets into text
+ */
+function encodeWithModel(model, text) {
+    const tokens = [];
+
+    preTokenizeWithModel(model, text).forEach(piece => {
+        const end = piece.start + piece.text.length - piece.prefix;
+
+        if (piece.special) {
+            tokens.push({ text: piece.text, id: piece.special.id, special: piece.special.special, start: piece.start, end });
+            return;
+        }
+
+        let symbols;
+        if (model.type === 'WordPiece') {
+            const split = wordPieceSplit(piece.text, model.vocab, { continuingPrefix: model.continuingPrefix });
+            if (split.unknown) {
+                tokens.push({ text: piece.text, id: model.unkId, start: piece.start, end });
+                return;
+            }
+            symbols = split.pieces;
+        } else {
+            if (!model.cache.has(piece.text)) {
+                model.cache.set(piece.text, bpeEncodeSymbols(model, piece.symbols));
+            }
+            symbols = model.cache.get(piece.text);
+        }
+
+        // Offsets of the added metaspace prefix collapse onto the piece start
+        const base = piece.start - piece.prefix;
+        const spans = symbolSpans(model, piece, symbols);
+        symbols.forEach((symbol, i) => {
+            const start = Math.max(piece.start, base + spans[i].start);
+            const spanEnd = Math.max(piece.start, base + spans[i].end);
+            lookupModelToken(model, symbol).forEach(token => {
+                tokens.push({ ...token, start, end: spanEnd });
+            });
+        });
+    });
+
+    return tokens;
+}
+
+/**
+ * Decode token IDs with a loaded tokenizer's decoding rules
+ * @param {Object} model - Tokenizer model
+ * @param {number[]} ids - Token IDs
+ * @returns {string} Decoded text
+ */
+function decodeWithModel(model, ids) {
+    const tokens = ids.map(id => model.idToToken.get(id) ?? '');
+
+    if (model.type === 'WordPiece') {
+        return tokens.reduce((text, token, i) => {
+            if (token.startsWith(model.continuingPrefix)) {
+                return text + token.slice(model.continuingPrefix.length);
+            }
+            return text + (i > 0 ? ' ' : '') + token;
+        }, '');
+    }
+
+    if (model.byteLevel) {
+        return byteSymbolsToText(tokens.join(''));
+    }
+
+    const encoder = new TextEncoder();
+    const bytes = [];
+    tokens.forEach(token => {
+        const byteMatch = token.match(BYTE_FALLBACK_PATTERN);
+        if (byteMatch) {
+            bytes.push(parseInt(byteMatch[1], 16));
+        } else {
+            bytes.push(...encoder.encode(model.metaspace ? token.replace(/▁/g, ' ') : token));
+        }
+    });
+    const text = new TextDecoder().decode(new Uint8Array(bytes));
+    return model.metaspace && text.startsWith(' ') ? text.slice(1) : text;
+}
+
 /**
  * Get color for a token based on its merge depth
  * @param {number} depth - Merge depth (0 = character, higher = more merges)
@@ -0,0 +1,53 @@
+import { bench, describe } from 'vitest';
+import { runAttentionDemo } from '../../modules/attention-demo.js';
+import {
+    fusedAttention,
+    matmulT,
+    matvec,
+    randomMatrix,
+    scaledDotProductAttention,
+    toMatrix,
+    transpose,
+    transposeMatrix
+} from '../../modules/math-utils.js';
+
+// Typed-array kernels vs nested-array math at the 128-token input cap (npm run bench)
+const seqLen = 128;
+
+describe('FFN projection', () => {
+    const X = randomMatrix(seqLen, 64, 1);
+    const W = randomMatrix(64, 256, 2);
+    const XM = toMatrix(X);
+    const WT = transposeMatrix(toMatrix(W));
+
+    bench('nested: transpose the weights for every token', () => {
+        X.map(e => matvec(transpose(W), e));
+    });
+    bench('typed: pre-transposed matmulT', () => {
+        matmulT(XM, WT);
+    });
+});
+
+describe('Causal attention head', () => {
+    const Q = randomMatrix(seqLen, 16, 3);
+    const K = randomMatrix(seqLen, 16, 4);
+    const V = randomMatrix(seqLen, 16, 5);
+    const [QM, KM, VM] = [Q, K, V].map(toMatrix);
+    const mask = Q.map((_, i) => Q.map((__, j) => j <= i));
+
+    bench('nested: scaledDotProductAttention', () => {
+        scaledDotProductAttention(Q, K, V, true);
+    });
+    bench('typed: fusedAttention', () => {
+        fusedAttention(QM, KM, VM, { mask });
+    });
+});
+
+describe('Forward pass', () => {
+    // Longer than the cap, so this measures a full 128-token pass
+    const text = Array.from({ length: 150 }, (_, i) => ['the', 'cat', 'sat', 'on', 'mat'][i % 5]).join(' ');
+
+    bench('runAttentionDemo, 128 tokens', () => {
+        runAttentionDemo(text);
+    }, { iterations: 3 });
+});
@@ -0,0 +1,122 @@
+import { getAllHeadWeights, inspectAttentionQuery, runAttentionDemo } from '../../modules/attention-demo.js';
+import { dot } from '../../modules/math-utils.js';
+import { alibiSlopes, applyRope, POSITIONAL_SCHEMES } from '../../modules/positional-encoding.js';
+
+describe('attention-demo', () => {
+    it('runs the forward pass with every positional scheme', () => {
+        const text = 'the cat sat on the mat';
+        const patterns = Object.keys(POSITIONAL_SCHEMES).map((positional) => {
+            const result = runAttentionDemo(text, { positional });
+
+            expect(result.positional).toBe(positional);
+            getAllHeadWeights(result, 0).forEach((weights) => {
+                weights.forEach((row, i) => {
+                    expect(row.reduce((acc, value) => acc + value, 0)).toBeCloseTo(1, 6);
+                    row.slice(i + 1).forEach((value) => expect(value).toBe(0));
+                });
+            });
+            return getAllHeadWeights(result, 0)[0];
+        });
+
+        // Each scheme changes what the first head attends to
+        for (let i = 1; i < patterns.length; i++) {
+            expect(patterns[i]).not.toEqual(patterns[0]);
+        }
+    });
+
+    it('runs a 100-token prompt with learned positions', () => {
+        const text = Array.from({ length: 100 }, (_, i) => (i % 2 ? 'cat' : 'the')).join(' ');
+        const result = runAttentionDemo(text, { positional: 'learned' });
+
+        expect(result.tokens).toHaveLength(100);
+        getAllHeadWeights(result, 0).forEach((weights) => {
+            expect(weights).toHaveLength(100);
+            expect(weights[99].reduce((acc, value) => acc + value, 0)).toBeCloseTo(1, 6);
+        });
+    });
+
+    it('ALiBi subtracts slope × distance from each head\'s scores', () => {
+        const result = runAttentionDemo('the cat sat on the mat', { positional: 'alibi' });
+        const slopes = alibiSlopes(result.config.numHeads);
+        const scale = Math.sqrt(result.config.headDim);
+
+        result.layerResults[0].attention.headResults.forEach(({ Q, K, scores }, h) => {
+            scores.forEach((row, i) => {
+                // Entries outside the causal mask are never computed
+                row.slice(0, i + 1).forEach((score, j) => {
+                    expect(score).toBeCloseTo(dot(Q[i], K[j]) / scale - slopes[h] * Math.abs(i - j), 6);
+                });
+                row.slice(i + 1).forEach((score) => expect(score).toBe(-Infinity));
+            });
+        });
+    });
+
+    it('RoPE rotates the projected queries and keys by position', () => {
+        const rope = runAttentionDemo('the cat sat on the mat', { positional: 'rope' });
+        const none = runAttentionDemo('the cat sat on the mat', { positional: 'none' });
+        const ropeHead = rope.layerResults[0].attention.headResults[0];
+        const noneHead = none.layerResults[0].attention.headResults[0];
+
+        // Without additive encodings both runs project the same vectors in layer 1
+        expect(ropeHead.preRotation.Q).toEqual(noneHead.Q);
+        ropeHead.K.forEach((k, pos) => {
+            // Rotated values are stored as Float32
+            applyRope(noneHead.K[pos], pos).forEach((value, d) => expect(k[d]).toBeCloseTo(value, 6));
+        });
+        expect(ropeHead.weights).not.toEqual(noneHead.weights);
+    });
+
+    it('GQA and MQA heads in a group read the same keys and values', () => {
+        const text = 'the cat sat on the mat';
+        const mha = runAttentionDemo(text, { attentionMode: 'mha' }).layerResults[0].attention.headResults;
+        const gqa = runAttentionDemo(text, { attentionMode: 'gqa' }).layerResults[0].attention.headResults;
+        const mqa = runAttentionDemo(text, { attentionMode: 'mqa' }).layerResults[0].attention.headResults;
+
+        expect(gqa.map((head) => head.kvHead)).toEqual([0, 0, 1, 1]);
+        expect(gqa[1].K).toEqual(gqa[0].K);
+        expect(gqa[1].V).toEqual(gqa[0].V);
+        expect(gqa[2].K).not.toEqual(gqa[0].K);
+        mqa.forEach((head) => expect(head.V).toEqual(mha[0].V));
+
+        // Queries are never shared
+        expect(gqa[1].Q).toEqual(mha[1].Q);
+        expect(gqa[1].weights).not.toEqual(mha[1].weights);
+    });
+
+    it('only scores entries the chosen mask allows', () => {
+        const text = 'the cat sat on the mat';
+        const sliding = runAttentionDemo(text, { mask: 'sliding', maskOptions: { window: 2 } });
+        const bidirectional = runAttentionDemo(text, { mask: 'bidirectional' });
+
+        expect(sliding.maskStats.computed).toBe(11);
+        getAllHeadWeights(sliding, 0)[0].forEach((row, i) => {
+            row.forEach((weight, j) => {
+                if (j > i || i - j >= 2) expect(weight).toBe(0);
+            });
+        });
+
+        expect(bidirectional.maskStats.computed).toBe(36);
+        expect(getAllHeadWeights(bidirectional, 0)[0][0][5]).toBeGreaterThan(0);
+    });
+
+    it('breaks one query into scaled scores, softmax weights and a weighted sum of V', () => {
+        const result = runAttentionDemo('the cat sat on the mat', { positional: 'alibi' });
+        const inspection = inspectAttentionQuery(result, 1, 2, 3);
+        const head = result.layerResults[1].attention.headResults[2];
+
+        expect(inspection.scale).toBe(4);
+        expect(inspection.keys.filter(key => key.masked).map(key => key.index)).toEqual([4, 5]);
+        expect(inspection.keys.reduce((sum, key) => sum + key.weight, 0)).toBeCloseTo(1, 6);
+
+        inspection.keys.filter(key => !key.masked).forEach(key => {
+            expect(key.scaled).toBeCloseTo(dot(head.Q[3], head.K[key.index]) / 4, 6);
+            expect(key.bias).toBeCloseTo(-alibiSlopes(4)[2] * (3 - key.index), 6);
+        });
+
+        const sum = inspection.keys.reduce(
+            (acc, key) => acc.map((value, d) => value + key.weightedV[d]),
+            new Array(16).fill(0)
+        );
+        sum.forEach((value, d) => expect(value).toBeCloseTo(inspection.output[d], 6));
+    });
+});
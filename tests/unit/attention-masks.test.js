@@ -0,0 +1,27 @@
+import { ATTENTION_MASKS, buildAttentionMask, maskStats } from '../../modules/attention-masks.js';
+
+const pattern = (mask) => mask.map((row) => row.map((allowed) => (allowed ? 1 : 0)).join(''));
+
+describe('attention-masks', () => {
+    it('builds each mask pattern', () => {
+        expect(pattern(buildAttentionMask('causal', 4))).toEqual(['1000', '1100', '1110', '1111']);
+        expect(pattern(buildAttentionMask('sliding', 5, { window: 2 }))).toEqual(['10000', '11000', '01100', '00110', '00011']);
+        expect(pattern(buildAttentionMask('dilated', 6, { window: 2 }))).toEqual(['100000', '010000', '101000', '010100', '001010', '000101']);
+        expect(pattern(buildAttentionMask('block', 6, { blockSize: 2 }))).toEqual(['100000', '110000', '011000', '011100', '010110', '010111']);
+        expect(pattern(buildAttentionMask('prefix', 4, { prefixLength: 2 }))).toEqual(['1100', '1100', '1110', '1111']);
+        expect(pattern(buildAttentionMask('bidirectional', 3))).toEqual(['111', '111', '111']);
+    });
+
+    it('lets every query see at least itself', () => {
+        Object.keys(ATTENTION_MASKS).forEach((type) => {
+            buildAttentionMask(type, 8).forEach((row, i) => expect(row[i]).toBe(true));
+        });
+        expect(() => buildAttentionMask('random', 4)).toThrow('Unknown attention mask');
+    });
+
+    it('counts computed score entries', () => {
+        expect(maskStats(buildAttentionMask('causal', 4))).toEqual({ computed: 10, total: 16, causal: 10, density: 10 / 16 });
+        expect(maskStats(buildAttentionMask('sliding', 10, { window: 3 })).computed).toBe(27);
+        expect(maskStats(buildAttentionMask('bidirectional', 10)).computed).toBe(100);
+    });
+});
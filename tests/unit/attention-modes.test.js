@@ -0,0 +1,46 @@
+import {
+    getActiveAttentionMode,
+    getKVHeadCount,
+    kvHeadForQueryHead,
+    kvHeadGroups,
+    kvMemoryStats,
+    setActiveAttentionMode
+} from '../../modules/attention-modes.js';
+
+describe('attention-modes', () => {
+    afterEach(() => setActiveAttentionMode('mha'));
+
+    it('groups consecutive query heads onto shared K/V heads', () => {
+        expect(getKVHeadCount('mha', 4)).toBe(4);
+        expect(getKVHeadCount('gqa', 4)).toBe(2);
+        expect(getKVHeadCount('mqa', 4)).toBe(1);
+
+        expect(kvHeadGroups(4, 4)).toEqual([[0], [1], [2], [3]]);
+        expect(kvHeadGroups(4, 2)).toEqual([[0, 1], [2, 3]]);
+        expect(kvHeadGroups(4, 1)).toEqual([[0, 1, 2, 3]]);
+        expect(kvHeadForQueryHead(3, 8, 2)).toBe(0);
+        expect(kvHeadForQueryHead(4, 8, 2)).toBe(1);
+    });
+
+    it('scales K/V parameters and cache size with the number of K/V heads', () => {
+        const model = { numLayers: 3, numHeads: 4, embedDim: 64, headDim: 16, seqLen: 10, bytesPerValue: 4 };
+        const mha = kvMemoryStats('mha', model);
+        const gqa = kvMemoryStats('gqa', model);
+        const mqa = kvMemoryStats('mqa', model);
+
+        expect(mha.kvParamsPerLayer).toBe(2 * 64 * 4 * 16);
+        expect(mha.cacheBytes).toBe(2 * 3 * 4 * 16 * 10 * 4);
+        expect(mha.savings).toBe(0);
+        expect(gqa.cacheBytes).toBe(mha.cacheBytes / 2);
+        expect(mqa.kvParamsPerLayer).toBe(mha.kvParamsPerLayer / 4);
+        expect(mqa.savings).toBe(0.75);
+        expect(mqa.mha).toEqual(mha.mha);
+    });
+
+    it('shares the active mode and rejects unknown modes', () => {
+        setActiveAttentionMode('gqa');
+        expect(getActiveAttentionMode()).toBe('gqa');
+        expect(() => setActiveAttentionMode('sparse')).toThrow('Unknown attention mode');
+        expect(getActiveAttentionMode()).toBe('gqa');
+    });
+});
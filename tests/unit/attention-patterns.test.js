@@ -0,0 +1,51 @@
+import { getAllHeadWeights, runAttentionDemo } from '../../modules/attention-demo.js';
+import { dominantPattern, HEAD_METRICS, headPatternMetrics } from '../../modules/attention-patterns.js';
+
+describe('attention-patterns', () => {
+    it('scores a previous-token head', () => {
+        // Every token after the first attends only to the token before it
+        const weights = [
+            [1, 0, 0],
+            [1, 0, 0],
+            [0, 1, 0]
+        ];
+        const metrics = headPatternMetrics(weights);
+
+        expect(metrics.entropy).toBe(0);
+        expect(metrics.previous).toBe(1);
+        expect(metrics.first).toBe(0.5);
+        expect(metrics.diagonal).toBe(0);
+        expect(dominantPattern(metrics)).toBe('previous');
+    });
+
+    it('scores a uniform head as diffuse', () => {
+        const weights = [
+            [1, 0, 0, 0],
+            [0.5, 0.5, 0, 0],
+            [1 / 3, 1 / 3, 1 / 3, 0],
+            [0.25, 0.25, 0.25, 0.25]
+        ];
+        const metrics = headPatternMetrics(weights);
+
+        expect(metrics.entropy).toBeCloseTo((0 + 1 + Math.log2(3) + 2) / 4, 10);
+        expect(metrics.diagonal).toBeCloseTo((0.5 + 1 / 3 + 0.25) / 3, 10);
+        expect(dominantPattern(metrics)).toBeNull();
+    });
+
+    it('annotates every head of a forward pass', () => {
+        const result = runAttentionDemo('the cat sat on the mat');
+
+        for (let l = 0; l < result.config.numLayers; l++) {
+            getAllHeadWeights(result, l).forEach((weights) => {
+                const metrics = headPatternMetrics(weights);
+                expect(Object.keys(metrics)).toEqual(Object.keys(HEAD_METRICS));
+                expect(metrics.entropy).toBeGreaterThanOrEqual(0);
+                expect(metrics.entropy).toBeLessThanOrEqual(Math.log2(weights.length));
+                ['previous', 'first', 'diagonal'].forEach((key) => {
+                    expect(metrics[key]).toBeGreaterThanOrEqual(0);
+                    expect(metrics[key]).toBeLessThanOrEqual(1);
+                });
+            });
+        }
+    });
+});
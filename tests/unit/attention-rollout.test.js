@@ -0,0 +1,69 @@
+import { runAttentionDemo } from '../../modules/attention-demo.js';
+import { attentionFlow, attentionRollout, residualAttention, toShares } from '../../modules/attention-rollout.js';
+
+describe('attention-rollout', () => {
+    // Two tokens, causal: token 1 splits its attention evenly
+    const causal = [[1, 0], [0.5, 0.5]];
+
+    it('averages the heads and mixes in the residual connection', () => {
+        const adjusted = residualAttention([
+            [[1, 0], [1, 0]],
+            [[1, 0], [0, 1]]
+        ]);
+
+        expect(adjusted).toEqual([[1, 0], [0.25, 0.75]]);
+    });
+
+    it('multiplies the layers into a rollout per layer', () => {
+        const rollout = attentionRollout([causal, causal]);
+
+        expect(rollout).toHaveLength(2);
+        expect(rollout[0]).toEqual(causal);
+        expect(rollout[1]).toEqual([[1, 0], [0.75, 0.25]]);
+    });
+
+    it('finds the maximum flow from each input token to the target', () => {
+        // Token 0 reaches the target along two paths of capacity 0.5; token 1 along one
+        const flow = attentionFlow([causal, causal], 1);
+
+        expect(flow[0]).toBeCloseTo(1, 10);
+        expect(flow[1]).toBeCloseTo(0.5, 10);
+        expect(toShares(flow)[0]).toBeCloseTo(2 / 3, 10);
+        expect(toShares([0, 0])).toEqual([0, 0]);
+    });
+
+    it('adds rollout and flow to the forward pass on request', () => {
+        const text = 'the cat sat on the mat';
+        expect(runAttentionDemo(text).rollout).toBeNull();
+
+        const { rollout, tokens, config } = runAttentionDemo(text, { rollout: true });
+        const n = tokens.length;
+
+        expect(rollout.target).toBe(n - 1);
+        expect(rollout.layers).toHaveLength(config.numLayers);
+        rollout.layers.forEach((layer) => {
+            layer.forEach((row, i) => {
+                expect(row.reduce((acc, value) => acc + value, 0)).toBeCloseTo(1, 6);
+                row.slice(i + 1).forEach((value) => expect(value).toBe(0));
+            });
+        });
+        rollout.flow.forEach((value) => {
+            expect(value).toBeGreaterThan(0);
+            expect(value).toBeLessThanOrEqual(1 + 1e-6);
+        });
+    });
+
+    it('gives no flow to tokens the mask never lets reach the target', () => {
+        // A window of 1 leaves only the residual path from each token to itself
+        const { rollout, tokens } = runAttentionDemo('the cat sat on the mat', {
+            mask: 'sliding',
+            maskOptions: { window: 1 },
+            rollout: true
+        });
+        const n = tokens.length;
+
+        expect(rollout.flow.slice(0, n - 1)).toEqual(new Array(n - 1).fill(0));
+        expect(rollout.flow[n - 1]).toBeCloseTo(1, 6);
+        expect(rollout.layers[2][n - 1][n - 1]).toBeCloseTo(1, 6);
+    });
+});
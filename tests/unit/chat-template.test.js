@@ -0,0 +1,67 @@
+import { CHAT_TEMPLATES, renderChatTemplate, tokenizeChatTemplate } from '../../modules/chat-template.js';
+import { readFileSync } from 'node:fs';
+import { decode, normalizeText, parseTokenizerJSON } from '../../modules/tokenizer.js';
+
+const messages = [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Hi!' }
+];
+
+describe('chat-template', () => {
+    it('renders ChatML with role markers and an open assistant turn', () => {
+        const { text } = renderChatTemplate(messages, 'chatml');
+
+        expect(text).toBe('<bos><|im_start|>system\nBe brief.<|im_end|>\n<|im_start|>user\nHi!<|im_end|>\n<|im_start|>assistant\n');
+    });
+
+    it('folds the system prompt into the first Llama 2 user turn', () => {
+        const { text } = renderChatTemplate(
+            [...messages, { role: 'assistant', content: 'Hello.' }],
+            'llama2',
+            { addGenerationPrompt: false }
+        );
+
+        expect(text).toBe('<bos>[INST] <<SYS>>\nBe brief.\n<</SYS>>\n\nHi! [/INST] Hello. <eos>');
+    });
+
+    it('tags control tokens and message roles after tokenizing', () => {
+        Object.keys(CHAT_TEMPLATES).forEach((template) => {
+            const result = tokenizeChatTemplate(messages, template, { byteLevel: true });
+            const controls = result.tokens.filter((token) => token.control);
+
+            expect(controls.length).toBe(result.controlCount);
+            expect(controls.length).toBeGreaterThan(2);
+            expect(result.tokens.some((token) => token.role === 'user' && !token.control)).toBe(true);
+            expect(decode(result.tokens.map((token) => token.id))).toBe(normalizeText(result.text));
+        });
+    });
+
+    it('ends a finished Llama 3 conversation with <|end_of_text|>', () => {
+        const result = tokenizeChatTemplate(messages, 'llama3', { addGenerationPrompt: false });
+        const last = result.tokens[result.tokens.length - 1];
+
+        expect(result.text.endsWith('<|eot_id|><|end_of_text|>')).toBe(true);
+        expect(last).toMatchObject({ text: '<|end_of_text|>', control: true });
+    });
+
+    it('keeps control strings whole with a loaded tokenizer', () => {
+        const json = JSON.parse(readFileSync('data/tokenizers/toy-byte-bpe.json', 'utf8'));
+        json.added_tokens.push({ id: 390, content: '<|im_start|>', special: true });
+        const tokenizer = parseTokenizerJSON(json, 'fixture');
+
+        Object.keys(CHAT_TEMPLATES).forEach((template) => {
+            const result = tokenizeChatTemplate(messages, template, { tokenizer });
+            const controlSegments = result.segments.filter((segment) => segment.control);
+
+            expect(result.controlCount).toBe(controlSegments.length);
+            expect(result.tokens.filter((token) => token.control).map((token) => token.text))
+                .toEqual(controlSegments.map((segment) => segment.text));
+        });
+
+        const chatml = tokenizeChatTemplate(messages, 'chatml', { tokenizer });
+        expect(chatml.tokens.find((token) => token.text === '<|im_start|>').id).toBe(390);
+        expect(chatml.tokens.find((token) => token.text === '<|im_end|>').id).toBeNull();
+        expect(decode(chatml.tokens.filter((token) => !token.control).map((token) => token.id), { tokenizer }))
+            .toBe(chatml.segments.filter((segment) => !segment.control).map((segment) => segment.text).join(''));
+    });
+});
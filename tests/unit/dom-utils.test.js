@@ -0,0 +1,8 @@
+import { escapeHTML } from '../../modules/dom-utils.js';
+
+describe('dom-utils', () => {
+    it('escapes markup characters in token text', () => {
+        expect(escapeHTML('<pad> & "Ġthe"')).toBe('&lt;pad&gt; &amp; &quot;Ġthe&quot;');
+        expect(escapeHTML(42)).toBe('42');
+    });
+});
@@ -0,0 +1,51 @@
+import { buildEmbeddingSpace, evaluateVectorExpression, nearestNeighbours, parseVectorExpression } from '../../modules/embeddings-demo.js';
+
+describe('embeddings-demo', () => {
+    it('projects every vocabulary entry to 2D', () => {
+        const space = buildEmbeddingSpace();
+
+        expect(space.entries.length).toBeGreaterThan(100);
+        expect(new Set(space.entries.map((entry) => entry.text)).size).toBe(space.entries.length);
+        space.entries.forEach((entry) => {
+            expect(entry.vector).toHaveLength(space.dim);
+            expect(Number.isFinite(entry.x)).toBe(true);
+            expect(Number.isFinite(entry.y)).toBe(true);
+        });
+        expect(space.explainedVariance).toHaveLength(2);
+        expect(space.explainedVariance[0]).toBeGreaterThanOrEqual(space.explainedVariance[1]);
+    });
+
+    it('ranks neighbours by cosine similarity', () => {
+        const space = buildEmbeddingSpace();
+        const cat = space.entries.find((entry) => entry.text === 'cat');
+
+        expect(nearestNeighbours(space, cat.vector, { k: 1 })[0].text).toBe('cat');
+
+        const neighbours = nearestNeighbours(space, cat.vector, { k: 5, exclude: ['cat'] });
+        expect(neighbours).toHaveLength(5);
+        expect(neighbours.map((n) => n.text)).not.toContain('cat');
+        for (let i = 1; i < neighbours.length; i++) {
+            expect(neighbours[i - 1].similarity).toBeGreaterThanOrEqual(neighbours[i].similarity);
+        }
+    });
+
+    it('parses and evaluates vector arithmetic', () => {
+        expect(parseVectorExpression('Man - woman + child')).toEqual([
+            { sign: 1, word: 'man' },
+            { sign: -1, word: 'woman' },
+            { sign: 1, word: 'child' }
+        ]);
+        expect(() => parseVectorExpression('man woman')).toThrow('Missing + or -');
+        expect(() => parseVectorExpression('man -')).toThrow();
+
+        const space = buildEmbeddingSpace();
+        const { vector, results } = evaluateVectorExpression(space, 'man - woman + child', { k: 3 });
+        const byText = (text) => space.entries.find((entry) => entry.text === text).vector;
+        const expected = byText('man').map((v, i) => v - byText('woman')[i] + byText('child')[i]);
+
+        vector.forEach((v, i) => expect(v).toBeCloseTo(expected[i], 10));
+        expect(results).toHaveLength(3);
+        expect(results.map((r) => r.text)).not.toContain('man');
+        expect(() => evaluateVectorExpression(space, 'king - man + woman')).toThrow('Not in the toy vocabulary: king');
+    });
+});
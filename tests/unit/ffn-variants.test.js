@@ -0,0 +1,76 @@
+import { ffnInspectSteps, runFFNDemo } from '../../modules/ffn-demo.js';
+import {
+    activationStats,
+    ffnHidden,
+    FFN_VARIANTS,
+    relu,
+    silu,
+    topActivatingTokens
+} from '../../modules/ffn-variants.js';
+import { gelu, toArrays, toMatrix } from '../../modules/math-utils.js';
+import { tokenize } from '../../modules/tokenizer.js';
+
+describe('ffn-variants', () => {
+    // One token with two inputs, three hidden neurons (weights stored transposed)
+    const input = toMatrix([[1, -2]]);
+    const W1T = toMatrix([[1, 0], [0, 1], [1, 1]]);
+    const WgT = toMatrix([[2, 0], [0, -1], [1, 0]]);
+
+    it('applies the activation directly or through a gate', () => {
+        const plain = toArrays(ffnHidden(input, { W1T, WgT }, 'relu'))[0];
+        expect(plain).toEqual([1, 0, 0]);
+
+        // x·W1 = [1, -2, -1], x·Wg = [2, 2, 1]
+        const gated = toArrays(ffnHidden(input, { W1T, WgT }, 'swiglu'))[0];
+        [silu(2) * 1, silu(2) * -2, silu(1) * -1].forEach((value, n) => expect(gated[n]).toBeCloseTo(value, 5));
+
+        const geglu = toArrays(ffnHidden(input, { W1T, WgT }, 'geglu'))[0];
+        expect(geglu[0]).toBeCloseTo(gelu(2), 5);
+
+        expect(relu(-3)).toBe(0);
+        expect(silu(0)).toBe(0);
+        expect(() => ffnHidden(input, { W1T, WgT }, 'tanh')).toThrow('Unknown FFN variant: tanh');
+    });
+
+    it('counts active and never-active neurons', () => {
+        const stats = activationStats([
+            [0.5, 0, -0.2],
+            [0.05, 0, 0.3]
+        ]);
+
+        expect(stats.activePerToken).toBe(1.5);
+        expect(stats.activeFraction).toBe(0.5);
+        expect(stats.deadNeurons).toBe(1);
+        expect(stats.maxAbs).toBe(0.5);
+        expect(topActivatingTokens([[0.1], [0.9], [-0.4]], 0, 2)).toEqual([
+            { position: 1, value: 0.9 },
+            { position: 0, value: 0.1 }
+        ]);
+    });
+
+    it('compares every variant on one layer of the toy model', () => {
+        const result = runFFNDemo('the cat sat on the mat', { layer: 1 });
+
+        expect(result.layer).toBe(1);
+        expect(Object.keys(result.variants)).toEqual(Object.keys(FFN_VARIANTS));
+        Object.values(result.variants).forEach(({ hidden, stats }) => {
+            expect(hidden).toHaveLength(result.tokens.length);
+            hidden.forEach((row) => expect(row).toHaveLength(result.config.ffnDim));
+            expect(stats.activePerToken).toBeGreaterThan(0);
+            expect(stats.activePerToken).toBeLessThanOrEqual(result.config.ffnDim);
+        });
+        result.variants.relu.hidden.flat().forEach((value) => expect(value).toBeGreaterThanOrEqual(0));
+    });
+
+    it('reports progress for each layer and then the variants', () => {
+        const steps = ffnInspectSteps('the cat', tokenize('the cat'));
+        const labels = [];
+        let step = steps.next();
+        while (!step.done) {
+            labels.push(`${step.value.done}/${step.value.total} ${step.value.label}`);
+            step = steps.next();
+        }
+
+        expect(labels).toEqual(['1/4 Layer 1 of 3', '2/4 Layer 2 of 3', '3/4 Layer 3 of 3', '4/4 FFN variants']);
+    });
+});
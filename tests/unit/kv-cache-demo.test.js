@@ -0,0 +1,27 @@
+import { KVCacheDemoUI } from '../../modules/kv-cache-demo.js';
+import { setActiveAttentionMode } from '../../modules/attention-modes.js';
+import { DEFAULT_MODEL_CONFIG, setModelConfig } from '../../modules/model-config.js';
+
+describe('kv-cache-demo', () => {
+    afterEach(() => {
+        setModelConfig(DEFAULT_MODEL_CONFIG);
+        setActiveAttentionMode('mha');
+    });
+
+    it('sizes the cache from the configured query heads', async () => {
+        setModelConfig({ numHeads: 8 });
+        setActiveAttentionMode('gqa');
+        document.body.innerHTML = '<div id="kv"></div>';
+        const ui = new KVCacheDemoUI('kv');
+        ui.init();
+        ui.sleep = async () => {};
+
+        await ui.generateNextToken();
+
+        // One token: keys + values of 3 dims for each of 4 K/V heads, vs 8 under MHA
+        expect(ui.container.querySelector('#cached-kv-size').textContent).toBe('24');
+        expect(ui.container.querySelector('#cached-kv-size-mha').textContent).toBe('MHA would hold 48');
+        expect(ui.container.querySelector('#savings-detail').textContent).toContain('4 K/V heads for 8 query heads');
+        expect(ui.container.querySelector('.demo-explanation').textContent).toContain('2× for GQA and 8× for MQA');
+    });
+});
@@ -0,0 +1,85 @@
+import { readFileSync } from 'node:fs';
+import { attentionRequest, runAttentionDemo } from '../../modules/attention-demo.js';
+import { getUnembedding, LENS_TOP_K, rowNorms, topPredictions } from '../../modules/logit-lens.js';
+import { matrixRow, softmax } from '../../modules/math-utils.js';
+import { getEmbedding, getVocabSize, idToToken, parseTokenizerJSON, setActiveTokenizer } from '../../modules/tokenizer.js';
+
+describe('logit-lens', () => {
+    afterEach(() => {
+        setActiveTokenizer(null);
+    });
+
+    it('ties the output projection to the input embeddings', () => {
+        const weightsT = getUnembedding();
+
+        // One row per token id, spaced, byte and control tokens included
+        expect(weightsT.rows).toBe(getVocabSize());
+        [10, weightsT.rows - 1].forEach((id) => {
+            const row = Array.from(matrixRow(weightsT, id));
+            getEmbedding(id).forEach((value, d) => expect(row[d]).toBeCloseTo(value, 6));
+        });
+    });
+
+    it('ranks predictions by softmax probability', () => {
+        const predictions = topPredictions([1, 3, 2], 2);
+
+        expect(predictions.map((p) => p.id)).toEqual([1, 2]);
+        expect(predictions[0].prob).toBeCloseTo(Math.exp(3) / (Math.exp(1) + Math.exp(2) + Math.exp(3)), 10);
+        expect(rowNorms([[3, 4], [0, 0]])).toEqual([5, 0]);
+    });
+
+    it('selects the top predictions without sorting the whole vocabulary', () => {
+        const logits = Float32Array.from({ length: 2000 }, (_, id) => Math.sin(id * 12.9898) * 8);
+        logits[1500] = logits[700] = 9;
+        const probs = softmax(Array.from(logits));
+        const expected = probs.map((prob, id) => ({ id, prob })).sort((a, b) => b.prob - a.prob).slice(0, LENS_TOP_K);
+        const predictions = topPredictions(logits);
+
+        expect(predictions.map((p) => p.id)).toEqual(expected.map((p) => p.id));
+        expect(predictions.slice(0, 2).map((p) => p.id)).toEqual([700, 1500]);
+        predictions.forEach((p, i) => expect(p.prob).toBeCloseTo(expected[i].prob, 10));
+    });
+
+    it('decodes the residual stream after every layer', () => {
+        const { logitLens, tokens, config } = runAttentionDemo('the cat sat on the mat', { logitLens: true });
+
+        expect(logitLens.stages.map((stage) => stage.label)).toEqual(['Embedding', 'Layer 1', 'Layer 2', 'Layer 3']);
+        logitLens.stages.forEach((stage) => {
+            expect(stage.predictions).toHaveLength(tokens.length);
+            stage.predictions.forEach((predictions) => {
+                expect(predictions).toHaveLength(LENS_TOP_K);
+                expect(predictions[0].prob).toBeGreaterThanOrEqual(predictions[1].prob);
+            });
+        });
+
+        // Embedding, then attention and FFN of each layer; LayerNorm leaves every residual at norm √d
+        expect(logitLens.norms).toHaveLength(1 + 2 * config.numLayers);
+        expect(logitLens.norms[0].update).toBeNull();
+        logitLens.norms.slice(1).forEach((stage) => {
+            stage.residual.forEach((norm) => expect(norm).toBeCloseTo(Math.sqrt(config.embedDim), 3));
+            stage.update.forEach((norm) => expect(norm).toBeGreaterThan(0));
+        });
+    });
+
+    it('predicts each input token from its own embedding', () => {
+        // With tied weights, e·e dominates the logits of an unmodified embedding
+        const { logitLens, tokens } = runAttentionDemo('cat sat', { positional: 'none', logitLens: true });
+        const [first, second] = logitLens.stages[0].predictions;
+
+        expect(idToToken(first[0].id)).toBe('cat');
+        // Mid-sentence words use their space-prefixed ids, which need output rows too
+        expect(second[0].id).toBe(tokens[1].id);
+        expect(idToToken(second[0].id)).toBe('Ġsat');
+    });
+
+    it('scores the loaded tokenizer vocabulary', () => {
+        setActiveTokenizer(parseTokenizerJSON(readFileSync('data/tokenizers/toy-byte-bpe.json', 'utf8'), 'fixture'));
+        const request = attentionRequest('the token', { positional: 'none', logitLens: true });
+        const { logitLens, tokens } = runAttentionDemo('the token', { positional: 'none', logitLens: true });
+
+        expect(request.options.vocabSize).toBe(getVocabSize());
+        expect(getUnembedding().rows).toBe(getVocabSize());
+        expect(idToToken(logitLens.stages[0].predictions[2][0].id)).toBe('Ġtoken');
+        expect(logitLens.stages[0].predictions[2][0].id).toBe(tokens[2].id);
+    });
+});
@@ -0,0 +1,49 @@
+import { runAttentionDemo } from '../../modules/attention-demo.js';
+import {
+    fusedAttention,
+    matmulT,
+    matvec,
+    randomMatrix,
+    scaledDotProductAttention,
+    toArrays,
+    toMatrix,
+    transpose,
+    transposeMatrix
+} from '../../modules/math-utils.js';
+
+// Timings live in tests/bench (npm run bench); these check the typed kernels agree with nested-array math
+describe('math kernels (128 tokens)', () => {
+    const seqLen = 128;
+
+    it('pre-transposed matmulT matches transposing the weights for every token', () => {
+        const X = randomMatrix(seqLen, 64, 1);
+        const W = randomMatrix(64, 256, 2);
+
+        const nested = X.map(e => matvec(transpose(W), e));
+        const typed = toArrays(matmulT(toMatrix(X), transposeMatrix(toMatrix(W))));
+
+        typed.forEach((row, i) => row.forEach((value, j) => expect(value).toBeCloseTo(nested[i][j], 4)));
+    });
+
+    it('fusedAttention matches nested-array causal attention', () => {
+        const Q = randomMatrix(seqLen, 16, 3);
+        const K = randomMatrix(seqLen, 16, 4);
+        const V = randomMatrix(seqLen, 16, 5);
+        const mask = Q.map((_, i) => Q.map((__, j) => j <= i));
+
+        const nested = scaledDotProductAttention(Q, K, V, true);
+        const typed = fusedAttention(...[Q, K, V].map(toMatrix), { mask });
+
+        toArrays(typed.weights).forEach((row, i) => row.forEach((value, j) => expect(value).toBeCloseTo(nested.weights[i][j], 5)));
+        toArrays(typed.output).forEach((row, i) => row.forEach((value, j) => expect(value).toBeCloseTo(nested.output[i][j], 4)));
+    });
+
+    it('caps longer prompts at 128 tokens for the full forward pass', () => {
+        // 150 words in, 128 tokens through every layer
+        const text = Array.from({ length: 150 }, (_, i) => ['the', 'cat', 'sat', 'on', 'mat'][i % 5]).join(' ');
+        const result = runAttentionDemo(text);
+
+        expect(result.tokens).toHaveLength(seqLen);
+        expect(result.layerResults[2].attention.headResults[0].weights[seqLen - 1]).toHaveLength(seqLen);
+    });
+});
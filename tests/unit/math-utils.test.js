@@ -1,9 +1,27 @@
 import {
     applyCausalMask,
+    cosineSimilarity,
+    fusedAttention,
+    layerNorm,
+    matmul,
+    matmulT,
+    pca,
+    randomMatrix,
+    residualLayerNorm,
     scaledDotProductAttention,
-    softmax
+    softmax,
+    toArrays,
+    toMatrix,
+    transpose,
+    transposeMatrix,
+    vadd
 } from '../../modules/math-utils.js';
 
+function expectMatrixClose(actual, expected) {
+    expect(actual).toHaveLength(expected.length);
+    actual.forEach((row, i) => row.forEach((value, j) => expect(value).toBeCloseTo(expected[i][j], 5)));
+}
+
 describe('math-utils', () => {
     it('softmax returns a normalized distribution and preserves ordering', () => {
         const input = [1, 3, 2];
@@ -61,4 +79,65 @@ describe('math-utils', () => {
         // First token cannot attend to future tokens under causal masking.
         expect(weights[0][1]).toBe(0);
     });
+
+    it('cosineSimilarity ignores magnitude', () => {
+        expect(cosineSimilarity([1, 2], [2, 4])).toBeCloseTo(1, 10);
+        expect(cosineSimilarity([1, 0], [0, 3])).toBeCloseTo(0, 10);
+        expect(cosineSimilarity([1, 1], [-1, -1])).toBeCloseTo(-1, 10);
+    });
+
+    it('pca recovers the dominant direction of the data', () => {
+        // Points spread along (1, 1) with a little noise along (1, -1)
+        const rows = [-2, -1, 0, 1, 2].map((t, i) => [t + (i % 2 ? 0.1 : -0.1), t - (i % 2 ? 0.1 : -0.1)]);
+        const { components, projected, explainedVariance } = pca(rows, 2);
+
+        expect(Math.abs(components[0][0])).toBeCloseTo(Math.SQRT1_2, 3);
+        expect(Math.abs(components[0][1])).toBeCloseTo(Math.SQRT1_2, 3);
+        expect(components[0][0] * components[0][1]).toBeGreaterThan(0);
+        expect(explainedVariance[0]).toBeGreaterThan(0.99);
+        expect(explainedVariance[0] + explainedVariance[1]).toBeCloseTo(1, 6);
+        expect(projected).toHaveLength(5);
+        expect(projected[0]).toHaveLength(2);
+    });
+
+    it('matmulT with pre-transposed weights matches matmul', () => {
+        const A = randomMatrix(5, 7, 1);
+        const B = randomMatrix(7, 3, 2);
+        const BT = transposeMatrix(toMatrix(B));
+
+        expect(toArrays(BT)).toEqual(toArrays(toMatrix(transpose(B))));
+        expectMatrixClose(toArrays(matmulT(toMatrix(A), BT)), matmul(A, B));
+        expectMatrixClose(
+            toArrays(matmulT(toMatrix(A), BT, x => Math.max(0, x))),
+            matmul(A, B).map(row => row.map(x => Math.max(0, x)))
+        );
+    });
+
+    it('fusedAttention matches scaledDotProductAttention and skips masked entries', () => {
+        const Q = randomMatrix(6, 4, 3).map(row => row.map(x => x * 10));
+        const K = randomMatrix(6, 4, 4).map(row => row.map(x => x * 10));
+        const V = randomMatrix(6, 5, 5);
+        const causal = Q.map((_, i) => Q.map((__, j) => j <= i));
+
+        const expected = scaledDotProductAttention(Q, K, V, true);
+        const { scores, weights, output } = fusedAttention(toMatrix(Q), toMatrix(K), toMatrix(V), { mask: causal });
+
+        expectMatrixClose(toArrays(weights), expected.weights);
+        expectMatrixClose(toArrays(output), expected.output);
+        expect(toArrays(scores)[0].slice(1)).toEqual([-Infinity, -Infinity, -Infinity, -Infinity, -Infinity]);
+
+        // A bias is added after scaling
+        const biased = fusedAttention(toMatrix(Q), toMatrix(K), toMatrix(V), { bias: (i, j) => (j === 0 ? 100 : 0) });
+        toArrays(biased.weights).forEach(row => expect(row[0]).toBeCloseTo(1, 5));
+    });
+
+    it('residualLayerNorm matches layerNorm of the summed rows', () => {
+        const X = randomMatrix(4, 8, 6);
+        const Y = randomMatrix(4, 8, 7);
+
+        expectMatrixClose(
+            toArrays(residualLayerNorm(toMatrix(X), toMatrix(Y))),
+            X.map((row, i) => layerNorm(vadd(row, Y[i])))
+        );
+    });
 });
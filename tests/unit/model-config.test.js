@@ -0,0 +1,99 @@
+import { runAttentionDemo } from '../../modules/attention-demo.js';
+import { runFFNDemo } from '../../modules/ffn-demo.js';
+import { runMOEDemo } from '../../modules/moe-demo.js';
+import {
+    DEFAULT_MODEL_CONFIG,
+    flopsPerToken,
+    getModelConfig,
+    onModelConfigChange,
+    parameterBreakdown,
+    resolveModelConfig,
+    setModelConfig
+} from '../../modules/model-config.js';
+import { getEmbedding } from '../../modules/tokenizer.js';
+
+describe('model-config', () => {
+    afterEach(() => {
+        setModelConfig(DEFAULT_MODEL_CONFIG);
+    });
+
+    it('validates and broadcasts the shared config', () => {
+        const seen = [];
+        const unsubscribe = onModelConfigChange((config) => seen.push(config.numHeads));
+
+        setModelConfig({ numHeads: 8 });
+        expect(getModelConfig()).toMatchObject({ numHeads: 8, embedDim: 64, headDim: 8 });
+        expect(() => setModelConfig({ embedDim: 48 })).toThrow('Unsupported embedding width: 48');
+        expect(getModelConfig().embedDim).toBe(64);
+        unsubscribe();
+        setModelConfig({ numHeads: 2 });
+
+        expect(seen).toEqual([8]);
+    });
+
+    it('counts parameters per component, dense and MoE', () => {
+        const config = resolveModelConfig(DEFAULT_MODEL_CONFIG);
+        const dense = parameterBreakdown(config, { vocabSize: 100 });
+        const params = Object.fromEntries(dense.components.map((c) => [c.key, c.params]));
+
+        expect(params).toEqual({
+            embeddings: 100 * 64,
+            attention: 3 * 4 * 64 * 64,
+            ffn: 3 * 2 * 64 * 256,
+            norms: 6 * 2 * 64
+        });
+        expect(dense.total).toBe(154624);
+        expect(dense.active).toBe(dense.total);
+
+        // GQA shrinks K and V; RMSNorm has no shift; MoE stores every expert but runs two
+        const moe = parameterBreakdown(config, { vocabSize: 100, kvHeads: 1, norm: 'rmsnorm', placement: 'pre', moe: true });
+        const moeParams = Object.fromEntries(moe.components.map((c) => [c.key, c.params]));
+        expect(moeParams.attention).toBe(3 * (2 * 64 * 64 + 2 * 64 * 16));
+        expect(moeParams.ffn).toBe(8 * params.ffn);
+        expect(moeParams.router).toBe(3 * 64 * 8);
+        expect(moeParams.norms).toBe(7 * 64);
+        expect(moe.total - moe.active).toBe(6 * params.ffn);
+    });
+
+    it('estimates forward FLOPs per token', () => {
+        const config = resolveModelConfig(DEFAULT_MODEL_CONFIG);
+        const dense = flopsPerToken(config, { vocabSize: 100, seqLen: 10 });
+        const longer = flopsPerToken(config, { vocabSize: 100, seqLen: 20 });
+        const moe = flopsPerToken(config, { vocabSize: 100, seqLen: 10, moe: true });
+
+        expect(dense.total).toBe(315392);
+        // Only attention over the context depends on its length
+        expect(longer.total - dense.total).toBe(2 * 3 * 2 * 10 * 64);
+        expect(moe.total - dense.total).toBe(2 * 3 * (2 * 64 * 256 + 64 * 8));
+    });
+
+    it('rebuilds the model at the shared size', () => {
+        const text = 'the cat sat on the mat';
+        const baseline = runAttentionDemo(text);
+        setModelConfig({ numLayers: 2, numHeads: 8, embedDim: 128, ffnDim: 512 });
+        const result = runAttentionDemo(text);
+
+        expect(result.config).toMatchObject({ numLayers: 2, numHeads: 8, embedDim: 128, headDim: 16, ffnDim: 512 });
+        expect(result.layerResults).toHaveLength(2);
+        expect(result.layerResults[0].attention.headResults).toHaveLength(8);
+        expect(result.layerResults[1].outputEmbeddings[0]).toHaveLength(128);
+        expect(result.logitLens).toBeNull();
+        expect(runFFNDemo(text, { layer: 1 }).variants.swiglu.hidden[0]).toHaveLength(512);
+
+        // Wider embeddings extend the default ones
+        expect(getEmbedding(5, 128).slice(0, 64)).toEqual(getEmbedding(5));
+
+        setModelConfig(DEFAULT_MODEL_CONFIG);
+        expect(runAttentionDemo(text).layerResults).toEqual(baseline.layerResults);
+    });
+
+    it('routes to the configured number of experts', () => {
+        setModelConfig({ numExperts: 4, embedDim: 32 });
+        const result = runMOEDemo('print("The quick brown fox")');
+
+        expect(result.config).toMatchObject({ numExperts: 4, topK: 2, embedDim: 32 });
+        expect(result.expertCounts).toHaveLength(4);
+        expect(result.expertCounts.reduce((a, b) => a + b, 0)).toBe(2 * result.tokens.length);
+        result.routingResults.forEach((r) => expect(r.routing.allProbs).toHaveLength(4));
+    });
+});
@@ -0,0 +1,48 @@
+import { attentionRequest, runAttentionDemo } from '../../modules/attention-demo.js';
+import { driveSteps, isCancelled, ModelRunner, runToCompletion } from '../../modules/model-runner.js';
+import { moeRequest, runMOEDemo } from '../../modules/moe-demo.js';
+
+function* countTo(n) {
+    for (let i = 1; i <= n; i++) {
+        yield { done: i, total: n, label: `Step ${i}` };
+    }
+    return 'finished';
+}
+
+describe('model-runner', () => {
+    it('drives step generators to completion, with or without yielding', async () => {
+        expect(runToCompletion(countTo(3))).toBe('finished');
+
+        const progress = [];
+        const outcome = await driveSteps(countTo(3), { onProgress: step => progress.push(step.done) });
+        expect(outcome).toEqual({ cancelled: false, result: 'finished' });
+        expect(progress).toEqual([1, 2, 3]);
+
+        const stopped = await driveSteps(countTo(3), { isCancelled: () => true });
+        expect(stopped).toEqual({ cancelled: true, result: null });
+    });
+
+    it('runs attention and MoE tasks with progress (main-thread fallback without Worker)', async () => {
+        const runner = new ModelRunner();
+        const text = 'the cat sat on the mat';
+        const labels = [];
+
+        const result = await runner.run('attention', attentionRequest(text, { attentionMode: 'gqa' }), {
+            onProgress: step => labels.push(step.label)
+        });
+        expect(labels).toEqual(['Starting…', 'Layer 1 of 3', 'Layer 2 of 3', 'Layer 3 of 3']);
+        expect(result).toEqual(runAttentionDemo(text, { attentionMode: 'gqa' }));
+
+        expect(await runner.run('moe', moeRequest(text))).toEqual(runMOEDemo(text));
+    });
+
+    it('cancels the previous request when a newer one starts', async () => {
+        const runner = new ModelRunner();
+        const first = runner.run('attention', attentionRequest('the cat'));
+        const second = runner.run('attention', attentionRequest('the cat sat'));
+
+        const error = await first.catch(reason => reason);
+        expect(isCancelled(error)).toBe(true);
+        expect((await second).tokens).toHaveLength(3);
+    });
+});
@@ -0,0 +1,54 @@
+import { moeRequest, runMOEDemo } from '../../modules/moe-demo.js';
+import { applyCapacity, capacityBatchSweep, expertCapacity } from '../../modules/moe-capacity.js';
+
+describe('moe-capacity', () => {
+    it('sizes expert buffers from the capacity factor', () => {
+        expect(expertCapacity(9, 8, 2, 1.25)).toBe(3);
+        expect(expertCapacity(16, 4, 2, 1)).toBe(8);
+        expect(expertCapacity(16, 4, 2, null)).toBe(Infinity);
+    });
+
+    it('fills first choices before second choices and drops the overflow', () => {
+        const assignments = [[0, 1], [0, 2], [1, 0], [0, 1]];
+        const result = applyCapacity(assignments, 3, 2);
+
+        // Tokens 0 and 1 take expert 0; token 3's first choice and token 2's second choice overflow
+        expect(result.kept).toEqual([[true, true], [true, true], [true, false], [false, false]]);
+        expect(result.processed).toEqual([2, 2, 1]);
+        expect(result.overflow).toEqual([2, 1, 0]);
+        expect(result.droppedSlots).toBe(3);
+        expect(result.skippedTokens).toEqual([3]);
+        expect(applyCapacity(assignments, 3, Infinity).droppedSlots).toBe(0);
+    });
+
+    it('drops more in smaller batches at the same factor', () => {
+        // Alternating runs of one expert: balanced overall, lopsided within short windows
+        const assignments = Array.from({ length: 32 }, (_, t) => [Math.floor(t / 4) % 2]);
+        const [small, large] = capacityBatchSweep(assignments, 2, 1, [4, 32]);
+
+        expect(small).toMatchObject({ batchSize: 4, batches: 8, capacity: 2, dropRate: 0.5, skipRate: 0.5, idleRate: 0.5, neededFactor: 2 });
+        expect(large).toMatchObject({ batchSize: 32, batches: 1, capacity: 16, dropRate: 0, skipRate: 0, idleRate: 0, neededFactor: 1 });
+        expect(capacityBatchSweep(assignments, 2, null, [4])[0]).toMatchObject({ dropRate: 0, idleRate: null });
+    });
+
+    it('routes over-capacity tokens around the experts', () => {
+        const text = 'print("hello world") if x > 3 then return x';
+        const unlimited = runMOEDemo(text);
+        const capped = runMOEDemo(text, { capacityFactor: 1 });
+
+        expect(unlimited.capacity.droppedSlots).toBe(0);
+        expect(capped.expertCounts).toEqual(unlimited.expertCounts);
+        expect(Math.max(...capped.capacity.processed)).toBeLessThanOrEqual(capped.capacity.capacity);
+        expect(capped.capacity.droppedSlots).toBe(
+            capped.routingResults.flatMap(r => r.routing.topExperts).filter(e => e.dropped).length
+        );
+        capped.capacity.skippedTokens.forEach(i => {
+            expect(capped.routingResults[i].skipped).toBe(true);
+        });
+
+        const rows = capped.batchSweep.rows;
+        expect(rows[rows.length - 1].batchSize).toBe(capped.batchSweep.corpusSize);
+        expect(rows[0].neededFactor).toBeGreaterThan(rows[rows.length - 1].neededFactor);
+        expect(() => moeRequest(text, { capacityFactor: 3 })).toThrow('Unsupported capacity factor: 3');
+    });
+});
@@ -0,0 +1,42 @@
+import { MOEDemoUI, runMOEDemo } from '../../modules/moe-demo.js';
+import { CAPACITY_FACTORS } from '../../modules/moe-capacity.js';
+
+describe('moe-demo', () => {
+    it('shows a failed routing run in the panel instead of rejecting', async () => {
+        document.body.innerHTML = '<div id="moe"></div>';
+        const ui = new MOEDemoUI('moe');
+        ui.init();
+        ui.runner = { run: async () => { throw new Error('worker crashed'); } };
+
+        await expect(ui.run()).resolves.toBeUndefined();
+        expect(ui.result).toBeNull();
+        expect(ui.container.querySelector('#moe-explanation').textContent).toBe('The routing run failed: worker crashed');
+        expect(ui.container.querySelector('#moe-progress').classList.contains('hidden')).toBe(true);
+    });
+
+    it('shows token text from a loaded tokenizer as text, not markup', () => {
+        document.body.innerHTML = '<div id="moe"></div>';
+        const ui = new MOEDemoUI('moe');
+        ui.init();
+        ui.result = runMOEDemo('hello world');
+        ui.result.routingResults[0].token.text = '<b';
+
+        ui.showRoutingDetails(0);
+
+        const heading = ui.container.querySelector('#routing-detail h4');
+        expect(heading.textContent).toBe('Routing: "<b"');
+        expect(heading.querySelector('b')).toBeNull();
+    });
+
+    it('offers no capacity limit next to the capacity factors', () => {
+        document.body.innerHTML = '<div id="moe"></div>';
+        const ui = new MOEDemoUI('moe');
+        ui.init();
+        const select = ui.container.querySelector('#moe-capacity');
+
+        expect([...select.options].map((option) => option.textContent.trim())).toEqual(['No limit', ...CAPACITY_FACTORS.map(String)]);
+        select.value = '';
+        select.dispatchEvent(new Event('change'));
+        expect(ui.capacityFactor).toBeNull();
+    });
+});
@@ -0,0 +1,102 @@
+import { moeRequest, moeRoutingSteps, runMOEDemo } from '../../modules/moe-demo.js';
+import { DEFAULT_MODEL_CONFIG } from '../../modules/model-config.js';
+import {
+    TRAINING_STEPS,
+    auxLossGradient,
+    loadBalanceStats,
+    switchAuxLoss
+} from '../../modules/moe-training.js';
+import { softmax } from '../../modules/math-utils.js';
+
+describe('moe-training', () => {
+    it('reaches an aux loss of 1 when routing is balanced', () => {
+        const probs = [
+            [0.7, 0.1, 0.1, 0.1],
+            [0.1, 0.7, 0.1, 0.1],
+            [0.1, 0.1, 0.7, 0.1],
+            [0.1, 0.1, 0.1, 0.7]
+        ];
+        const balanced = switchAuxLoss(probs, 1);
+        expect(balanced.counts).toEqual([1, 1, 1, 1]);
+        expect(balanced.loss).toBeCloseTo(1, 6);
+
+        const collapsed = switchAuxLoss(probs.map(() => [0.7, 0.1, 0.1, 0.1]), 1);
+        expect(collapsed.counts).toEqual([4, 0, 0, 0]);
+        expect(collapsed.loss).toBeCloseTo(4 * 0.7, 6);
+    });
+
+    it('matches a finite difference of the loss with routing held fixed', () => {
+        const logits = [[0.5, -0.2, 0.1], [0.3, 0.4, -0.6]];
+        const fractions = [0.5, 0.25, 0.25];
+        const loss = (z) => {
+            const probs = z.map((row) => softmax(row));
+            const meanProbs = fractions.map((_, i) => probs.reduce((sum, row) => sum + row[i], 0) / probs.length);
+            return fractions.length * fractions.reduce((sum, f, i) => sum + f * meanProbs[i], 0);
+        };
+
+        const grad = auxLossGradient(logits.map((row) => softmax(row)), fractions);
+        const eps = 1e-5;
+        logits.forEach((row, t) => {
+            row.forEach((_, j) => {
+                const plus = logits.map((r) => [...r]);
+                const minus = logits.map((r) => [...r]);
+                plus[t][j] += eps;
+                minus[t][j] -= eps;
+                expect(grad[t][j]).toBeCloseTo((loss(plus) - loss(minus)) / (2 * eps), 6);
+            });
+        });
+        // The overloaded expert's logits get pushed down
+        expect(grad.every((row) => row[0] > 0)).toBe(true);
+    });
+
+    it('measures distance from an even split', () => {
+        expect(loadBalanceStats([6, 2, 2, 2], 6, 2)).toEqual({ idealCount: 3, avgImbalance: 1.5, maxImbalance: 3 });
+    });
+
+    it('trains the router towards balanced experts', () => {
+        const result = runMOEDemo('print("hello world") if x > 3 then return x', { router: 'trained' });
+        const { history } = result.training;
+
+        expect(result.router).toBe('trained');
+        expect(history).toHaveLength(TRAINING_STEPS + 1);
+        expect(history.map((h) => h.step)).toEqual([...Array(TRAINING_STEPS + 1).keys()]);
+        expect(history[TRAINING_STEPS].avgImbalance).toBeLessThan(history[0].avgImbalance / 2);
+        expect(history[TRAINING_STEPS].loss).toBeLessThan(history[0].loss);
+        history.forEach((h) => {
+            expect(h.counts.reduce((a, b) => a + b, 0)).toBe(result.training.corpusSize * result.config.topK);
+        });
+
+        const biased = runMOEDemo('print("hello world") if x > 3 then return x');
+        expect(biased.training).toBeNull();
+        expect(result.loadBalance.avgImbalance).toBeLessThan(biased.loadBalance.avgImbalance);
+    });
+
+    it('trains once per model config and corpus', () => {
+        const text = 'the cat sat on the mat';
+        const countSteps = (request) => {
+            const steps = moeRoutingSteps(request.text, request.tokens, request.options);
+            let labels = 0;
+            let step = steps.next();
+            while (!step.done) {
+                labels++;
+                step = steps.next();
+            }
+            return { labels, result: step.value };
+        };
+
+        const first = moeRequest(text, { router: 'trained', modelConfig: { ...DEFAULT_MODEL_CONFIG, numExperts: 4 } });
+        const again = moeRequest(`${text} again`, { router: 'trained', modelConfig: first.options.modelConfig, capacityFactor: 1 });
+        expect(again.options.corpusTokens).toBe(first.options.corpusTokens);
+
+        const trained = countSteps(first);
+        const cached = countSteps(again);
+        expect(trained.labels).toBe(TRAINING_STEPS + 3);
+        expect(cached.labels).toBe(3);
+        expect(cached.result.training.history).toEqual(trained.result.training.history);
+    });
+
+    it('rejects unknown router modes', () => {
+        expect(() => moeRequest('hello', { router: 'random' })).toThrow('Unknown router mode: random');
+        expect(moeRequest('hello').options.router).toBe('biased');
+    });
+});
@@ -0,0 +1,79 @@
+import { runAttentionDemo } from '../../modules/attention-demo.js';
+import { rowNorms } from '../../modules/logit-lens.js';
+import { normalizeRows, rmsNorm, toArrays, toMatrix } from '../../modules/math-utils.js';
+import {
+    getActiveNormalization,
+    normalizationLabels,
+    onNormalizationChange,
+    residualStreamStats,
+    setActiveNormalization
+} from '../../modules/normalization.js';
+
+describe('normalization', () => {
+    afterEach(() => {
+        setActiveNormalization({ norm: 'layernorm', placement: 'post' });
+    });
+
+    it('normalizes rows with LayerNorm or RMSNorm', () => {
+        const X = [[1, 2, 3, 4], [2, 2, 2, 6]];
+
+        const rms = toArrays(normalizeRows(toMatrix(X), { rms: true }));
+        rms.forEach((row, i) => row.forEach((value, d) => expect(value).toBeCloseTo(rmsNorm(X[i])[d], 5)));
+        // RMSNorm keeps the mean: only the scale changes
+        expect(rms[0][0] / rms[0][3]).toBeCloseTo(1 / 4, 5);
+
+        const layer = toArrays(normalizeRows(toMatrix(X)));
+        layer.forEach((row) => {
+            expect(row.reduce((a, b) => a + b, 0)).toBeCloseTo(0, 5);
+        });
+    });
+
+    it('validates and broadcasts the shared choice', () => {
+        const seen = [];
+        const unsubscribe = onNormalizationChange((normalization) => seen.push(normalization));
+
+        setActiveNormalization({ norm: 'rmsnorm' });
+        expect(getActiveNormalization()).toEqual({ norm: 'rmsnorm', placement: 'post' });
+        expect(() => setActiveNormalization({ placement: 'sandwich' })).toThrow('Unknown norm placement: sandwich');
+        expect(() => setActiveNormalization({ norm: 'batchnorm' })).toThrow('Unknown normalization: batchnorm');
+        unsubscribe();
+        setActiveNormalization({ placement: 'pre' });
+
+        expect(seen).toEqual([{ norm: 'rmsnorm', placement: 'post' }]);
+        expect(normalizationLabels(getActiveNormalization())).toEqual({
+            residual: '+ Residual (RMSNorm before sublayer)',
+            output: 'final RMSNorm, to vocabulary'
+        });
+        expect(normalizationLabels({ norm: 'layernorm', placement: 'post' }).residual).toBe('+ Residual + LayerNorm');
+    });
+
+    it('keeps post-norm residuals at unit variance', () => {
+        const { layerResults, config } = runAttentionDemo('the cat sat on the mat', { normPlacement: 'post' });
+        const stages = residualStreamStats(layerResults);
+
+        expect(stages.map((stage) => stage.label)).toEqual([
+            'Embedding',
+            'L1 attention', 'L1 FFN',
+            'L2 attention', 'L2 FFN',
+            'L3 attention', 'L3 FFN'
+        ]);
+        expect(stages).toHaveLength(1 + 2 * config.numLayers);
+        stages.slice(1).forEach((stage) => {
+            expect(stage.mean).toBeCloseTo(0, 4);
+            expect(stage.variance).toBeCloseTo(1, 3);
+        });
+    });
+
+    it('lets the pre-norm residual stream grow', () => {
+        setActiveNormalization({ norm: 'rmsnorm', placement: 'pre' });
+        const { layerResults, config, norm, normPlacement } = runAttentionDemo('the cat sat on the mat');
+
+        expect([norm, normPlacement]).toEqual(['rmsnorm', 'pre']);
+        const last = layerResults[layerResults.length - 1].ffn.afterFFN;
+        rowNorms(last).forEach((value) => expect(value).toBeGreaterThan(Math.sqrt(config.embedDim)));
+
+        // Each sublayer still sees a normalized copy of the stream
+        const ffnInput = layerResults[0].ffn.input;
+        rowNorms(ffnInput).forEach((value) => expect(value).toBeCloseTo(Math.sqrt(config.embedDim), 2));
+    });
+});
@@ -0,0 +1,69 @@
+import { dot } from '../../modules/math-utils.js';
+import { getPositionalEncoding } from '../../modules/tokenizer.js';
+import {
+    alibiBias,
+    alibiSlopes,
+    applyRope,
+    encodingMatrix,
+    frequencyCurves,
+    getPositionVector,
+    MAX_LEARNED_POSITIONS,
+    POSITIONAL_SCHEMES,
+    ropeRotationPairs
+} from '../../modules/positional-encoding.js';
+
+describe('positional-encoding', () => {
+    it('adds vectors only for additive schemes', () => {
+        expect(getPositionVector('sinusoidal', 3, 8)).toEqual(getPositionalEncoding(3, 8));
+        expect(getPositionVector('learned', 3, 8)).toEqual(getPositionVector('learned', 3, 8));
+        expect(getPositionVector('learned', 3, 8)).not.toEqual(getPositionVector('learned', 4, 8));
+        expect(() => getPositionVector('learned', MAX_LEARNED_POSITIONS, 8)).toThrow();
+        expect(getPositionVector('rope', 3, 8)).toEqual(new Array(8).fill(0));
+        expect(getPositionVector('alibi', 3, 8)).toEqual(new Array(8).fill(0));
+    });
+
+    it('RoPE preserves length and makes q·k depend only on relative distance', () => {
+        const q = [0.3, -1.2, 0.8, 0.5, -0.1, 0.9];
+        const k = [1.1, 0.4, -0.6, 0.2, 0.7, -0.3];
+        const norm = (v) => Math.sqrt(dot(v, v));
+
+        expect(norm(applyRope(q, 7))).toBeCloseTo(norm(q), 10);
+        expect(applyRope(q, 0)).toEqual(q);
+        expect(dot(applyRope(q, 5), applyRope(k, 2))).toBeCloseTo(dot(applyRope(q, 13), applyRope(k, 10)), 10);
+    });
+
+    it('splits a vector into rotated 2D pairs with slower frequencies further along', () => {
+        const q = [1, 0, 0, 1, 2, 2, -1, 0];
+        const pairs = ropeRotationPairs(q, 3);
+
+        expect(pairs).toHaveLength(4);
+        expect(pairs.map((pair) => pair.before)).toEqual([[1, 0], [0, 1], [2, 2], [-1, 0]]);
+        expect(pairs.flatMap((pair) => pair.after)).toEqual(applyRope(q, 3));
+        expect(pairs[0].angle).toBe(3);
+        for (let i = 1; i < pairs.length; i++) {
+            expect(pairs[i].theta).toBeLessThan(pairs[i - 1].theta);
+        }
+    });
+
+    it('ALiBi gives each head a steeper or gentler distance penalty', () => {
+        const slopes = alibiSlopes(4);
+
+        expect(slopes).toEqual([0.25, 0.0625, 0.015625, 0.00390625]);
+        expect(alibiBias(5, 5, slopes[0])).toBeCloseTo(0, 10);
+        expect(alibiBias(5, 1, slopes[0])).toBe(-1);
+
+        const { values } = encodingMatrix('alibi', 4, { numHeads: 4, head: 0 });
+        expect(values[3]).toEqual([-0.75, -0.5, -0.25, -0]);
+    });
+
+    it('builds heatmap and curve data for every scheme', () => {
+        Object.keys(POSITIONAL_SCHEMES).forEach((scheme) => {
+            const { values } = encodingMatrix(scheme, 8, { dim: 16, headDim: 8, numHeads: 4 });
+            const curves = frequencyCurves(scheme, 8, { dim: 16, headDim: 8, numHeads: 4 });
+
+            expect(values).toHaveLength(8);
+            expect(curves.length).toBeGreaterThan(0);
+            curves.forEach((curve) => expect(curve.points).toHaveLength(8));
+        });
+    });
+});
@@ -0,0 +1,69 @@
+import {
+    TOKENIZER_ALGORITHMS,
+    runTokenizerAlgorithm,
+    runUnigram,
+    runWordPiece
+} from '../../modules/subword-tokenizers.js';
+import { parseTokenizerJSON, preTokenizeWords, tokenize } from '../../modules/tokenizer.js';
+
+describe('subword-tokenizers', () => {
+    it('WordPiece takes the longest match and marks continuations with ##', () => {
+        const result = runWordPiece('understanding');
+
+        expect(result.finalTokens.map((token) => token.text)).toEqual(['under', '##stand', '##ing']);
+        expect(result.words[0].steps[0].tried[0]).toBe('understanding');
+    });
+
+    it('WordPiece maps a word with an unmatched character to a single [UNK]', () => {
+        // "9" is a word character, so "cat9s" stays one pre-token, but no piece matches it
+        const result = runWordPiece('cat9s');
+
+        expect(result.words).toHaveLength(1);
+        expect(result.words[0].steps).toHaveLength(2);
+        expect(result.finalTokens.map((token) => token.text)).toEqual(['[UNK]']);
+    });
+
+    it('WordPiece splits words the same way in the demo and in a loaded model', () => {
+        const model = parseTokenizerJSON({
+            model: {
+                type: 'WordPiece',
+                unk_token: '[UNK]',
+                vocab: { '[UNK]': 0, un: 1, '##happi': 2, '##ness': 3, x: 4, '##x': 5 }
+            }
+        });
+        const longWord = 'x'.repeat(101);
+        const pieces = (text) => tokenize(text, { tokenizer: model }).map((token) => token.text);
+
+        expect(pieces('unhappiness')).toEqual(['un', '##happi', '##ness']);
+        expect(runWordPiece('unhappiness').finalTokens.map((token) => token.text)).toEqual(pieces('unhappiness'));
+
+        // Both give up on words over 100 characters
+        expect(tokenize(longWord, { tokenizer: model }).map((token) => token.id)).toEqual([0]);
+        expect(runWordPiece(longWord).finalTokens.map((token) => token.text)).toEqual(['[UNK]']);
+    });
+
+    it('splits words with the same pre-tokenizer as tokenize()', () => {
+        const text = 'The <bos> cat, sat';
+
+        expect(runWordPiece(text).words.map((word) => word.word)).toEqual(preTokenizeWords(text));
+        expect(runUnigram(text).words.map((word) => word.word)).toEqual(['the', 'cat', ',', 'sat']);
+    });
+
+    it('Unigram picks the highest-scoring segmentation from the lattice', () => {
+        const result = runUnigram('standing');
+        const word = result.words[0];
+
+        expect(result.finalTokens.map((token) => token.text)).toEqual(['▁stand', 'ing']);
+        expect(word.edges.filter((edge) => edge.onBestPath)).toHaveLength(2);
+        expect(word.edges.length).toBeGreaterThan(word.path.length);
+        expect(word.score).toBeCloseTo(-7.1 - 4.2, 10);
+    });
+
+    it('segments the same word differently under each algorithm', () => {
+        const texts = Object.keys(TOKENIZER_ALGORITHMS).map((algorithm) =>
+            runTokenizerAlgorithm(algorithm, 'standing').finalTokens.map((token) => token.text).join(' ')
+        );
+
+        expect(new Set(texts).size).toBe(texts.length);
+    });
+});
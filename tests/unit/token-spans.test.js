@@ -0,0 +1,39 @@
+import { tokenize } from '../../modules/tokenizer.js';
+import { buildSourceSegments, linkTokenHighlights, renderSourceText, tokensInRange } from '../../modules/token-spans.js';
+
+describe('token-spans', () => {
+    it('finds the tokens overlapping a character range', () => {
+        const text = 'The cat sat';
+        const tokens = tokenize(text);
+
+        expect(tokensInRange(tokens, 4, 7)).toEqual([1]);
+        expect(tokensInRange(tokens, 2, 5)).toEqual([0, 1]);
+        expect(tokensInRange(tokens, 5, 5)).toEqual([1]);
+    });
+
+    it('splits the source at token boundaries and leaves dropped text uncovered', () => {
+        const text = 'The cat sat';
+        const tokens = tokenize(text).slice(0, 2);
+        const segments = buildSourceSegments(text, tokens);
+
+        expect(segments.map((segment) => segment.text)).toEqual(['The', ' ', 'cat', ' sat']);
+        expect(segments.map((segment) => segment.tokenIndices)).toEqual([[0], [], [1], []]);
+    });
+
+    it('links hovered token elements to their source characters', () => {
+        const text = 'hi 👋';
+        const tokens = tokenize(text, { byteLevel: true });
+        const source = document.createElement('div');
+        const tokenEls = tokens.map(() => document.createElement('span'));
+
+        renderSourceText(source, text, tokens);
+        linkTokenHighlights(source, tokenEls, tokens);
+        tokenEls[3].dispatchEvent(new Event('mouseenter'));
+
+        expect([...source.querySelectorAll('.highlighted')].map((span) => span.textContent)).toEqual(['👋']);
+
+        source.lastElementChild.dispatchEvent(new Event('mouseenter'));
+        const linked = tokenEls.flatMap((el, i) => (el.classList.contains('linked') ? [i] : []));
+        expect(linked).toEqual([3, 4, 5, 6]);
+    });
+});
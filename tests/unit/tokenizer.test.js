@@ -1,4 +1,26 @@
-import { idToToken, simulateBPE, tokenize } from '../../modules/tokenizer.js';
+import { readFileSync } from 'node:fs';
+import {
+    byteSymbolsToText,
+    compareTokenizers,
+    decode,
+    decodeSteps,
+    getByteToUnicodeMap,
+    idToToken,
+    normalizeText,
+    parseTokenizerJSON,
+    parseVocabAndMerges,
+    roundTripText,
+    runPreTokenizer,
+    setActiveTokenizer,
+    simulateBPE,
+    tokenize,
+    trainBPE
+} from '../../modules/tokenizer.js';
+
+const fixtureTokenizer = () => parseTokenizerJSON(
+    readFileSync('data/tokenizers/toy-byte-bpe.json', 'utf8'),
+    'fixture'
+);
 
 describe('tokenizer', () => {
     it('tokenizes known words and punctuation as whole tokens', () => {
@@ -31,4 +53,271 @@ describe('tokenizer', () => {
         expect(result.finalTokens.map((token) => token.text)).toEqual(['x', 'y', 'z']);
         expect(result.totalMerges).toBe(0);
     });
+
+    it('learns the most frequent pair first when training BPE', () => {
+        const model = trainBPE('low low low lower lowest', 3);
+
+        expect(model.merges.map((merge) => merge.result)).toEqual(['lo', 'low', 'lowe']);
+        expect(model.merges[0].frequency).toBe(5);
+        expect(model.steps[0].pairCounts[0]).toEqual({ pair: ['l', 'o'], count: 5 });
+        expect(model.vocabulary).toContain('low');
+    });
+
+    it('tokenizes with learned merges and their vocabulary', () => {
+        const model = trainBPE('low low low lower lowest', 3);
+        const result = simulateBPE('lower', model);
+
+        expect(result.finalTokens.map((token) => token.text)).toEqual(['lowe', 'r']);
+        expect(result.finalTokens[0].id).toBe(model.vocabulary.indexOf('lowe'));
+    });
+
+    it('trains BPE on the same pre-tokens as tokenize()', () => {
+        const corpus = 'The ﬁne <bos> Fine';
+
+        expect(trainBPE(corpus, 0).baseSymbols).toEqual(['e', 'f', 'h', 'i', 'n', 't', 'ﬁ']);
+        expect(trainBPE(corpus, 0, { preTokenizer: { form: 'NFKC' } }).baseSymbols).toEqual(['e', 'f', 'h', 'i', 'n', 't']);
+
+        const gpt2 = trainBPE('cat cat cat', 1, { preTokenizer: { pattern: 'gpt2' } });
+        expect(gpt2.wordCount).toBe(3);
+        expect(gpt2.baseSymbols).toEqual([' ', 'a', 'c', 't']);
+    });
+
+    it('counts each learned vocabulary entry once', () => {
+        const model = trainBPE('aaa aaaa aaaaa aaaaaaa baaab abab abab', 12);
+        const last = model.steps[model.steps.length - 1];
+
+        expect(new Set(model.vocabulary).size).toBe(model.vocabulary.length);
+        expect(last.vocabSize).toBe(model.vocabulary.length - 1);
+    });
+
+    it('stops training when no pair repeats', () => {
+        const model = trainBPE('abc', 10);
+        expect(model.merges).toHaveLength(0);
+        expect(model.steps).toHaveLength(0);
+    });
+
+    it('maps every byte to a distinct printable symbol', () => {
+        const table = getByteToUnicodeMap();
+
+        expect(table).toHaveLength(256);
+        expect(new Set(table.map((entry) => entry.symbol)).size).toBe(256);
+        expect(table[0x41].symbol).toBe('A');
+        expect(table[0x20].symbol).toBe('Ġ');
+    });
+
+    it('falls back to UTF-8 byte tokens instead of <unk> in byte-level mode', () => {
+        const tokens = tokenize('@ é', { byteLevel: true });
+
+        expect(tokens.map((token) => token.text)).toEqual(['@', 'Ġ', 'Ã', '©']);
+        tokens.forEach((token) => {
+            expect(idToToken(token.id)).not.toBe('<unk>');
+        });
+        expect(byteSymbolsToText(tokens[2].text + tokens[3].text)).toBe('é');
+    });
+
+    it('merges multi-byte characters back together in byte-level BPE', () => {
+        const result = simulateBPE('café', { byteLevel: true });
+
+        expect(result.mergeSteps[0].tokens).toHaveLength(5);
+        expect(result.finalTokens.map((token) => token.decoded)).toEqual(['c', 'a', 'f', 'é']);
+        expect(result.finalTokens.every((token) => token.id !== undefined)).toBe(true);
+    });
+
+    it('gives byte-level BPE and byte fallback the same token ids', () => {
+        const fallback = tokenize('@', { byteLevel: true });
+        const bpe = simulateBPE('@ café', { byteLevel: true }).finalTokens;
+
+        expect(bpe[0]).toMatchObject({ text: '@', id: fallback[0].id });
+        expect(bpe[1].id).toBe(tokenize('a @', { byteLevel: true })[1].id);
+
+        // Merged pieces get their own ids, which decode back to text
+        const e = bpe[bpe.length - 1];
+        expect(e.decoded).toBe('é');
+        expect(idToToken(e.id)).toBe(e.text);
+        expect(decode(bpe.map((token) => token.id))).toBe('@ café');
+    });
+
+    it.each([
+        'The cat sat on the mat.',
+        '  Hello,   world!\nxyz\tok  ',
+        'the quick brown fox jumps over the lazy dog'
+    ])('round-trips %j through tokenize and decode', (text) => {
+        const ids = tokenize(text).map((token) => token.id);
+        expect(decode(ids)).toBe(normalizeText(text));
+    });
+
+    it('round-trips any text in byte-level mode', () => {
+        const text = 'Café 🙂 naïve — 日本';
+        const ids = tokenize(text, { byteLevel: true }).map((token) => token.id);
+
+        expect(decode(ids)).toBe(normalizeText(text));
+    });
+
+    it('marks leading spaces and records offsets into the original text', () => {
+        const text = '  The cat';
+        const tokens = tokenize(text);
+
+        expect(tokens[1]).toMatchObject({ text: 'cat', leadingSpace: true, start: 6, end: 9 });
+        expect(idToToken(tokens[1].id)).toBe('Ġcat');
+        tokens.forEach((token) => {
+            expect(text.slice(token.start, token.end).toLowerCase()).toBe(token.text);
+        });
+    });
+
+    it('maps every byte token of a character back to that character', () => {
+        const text = 'Hi 👋';
+        const spans = tokenize(text, { byteLevel: true }).map((token) => text.slice(token.start, token.end));
+
+        expect(spans).toEqual(['H', 'i', ' ', '👋', '👋', '👋', '👋']);
+    });
+
+    it('groups byte tokens when explaining decode', () => {
+        const ids = tokenize('é', { byteLevel: true }).map((token) => token.id);
+        const steps = decodeSteps(ids);
+
+        expect(steps).toHaveLength(1);
+        expect(steps[0].tokens).toEqual(['Ã', '©']);
+        expect(steps[0].piece).toBe('é');
+    });
+
+    it('matches special tokens as single units and keeps their case', () => {
+        const tokens = tokenize('<bos>[INST] Hi [/INST]');
+
+        expect(normalizeText('<bos>[INST] Hi [/INST]')).toBe('<bos>[INST] hi [/INST]');
+        expect(tokens.filter((token) => token.special).map((token) => token.text)).toEqual(['<bos>', '[INST]', '[/INST]']);
+        expect(idToToken(tokens[1].id)).toBe('[INST]');
+        expect(decode(tokens.map((token) => token.id))).toBe('<bos>[INST] hi [/INST]');
+    });
+
+    it('reports the output of each pre-tokenization stage', () => {
+        const { stages, pieces } = runPreTokenizer(' Ｈello 2024', { form: 'NFKC', splitDigits: true });
+        const byKey = Object.fromEntries(stages.map((stage) => [stage.key, stage]));
+
+        expect(byKey.unicode.output).toBe(' Hello 2024');
+        expect(byKey.case.output).toBe(' hello 2024');
+        expect(byKey.whitespace.output).toBe('hello 2024');
+        expect(byKey.split.output).toEqual(['hello', ' ', '2024']);
+        expect(byKey.digits.output).toEqual(['hello', ' ', '2', '0', '2', '4']);
+        expect(pieces[0]).toMatchObject({ text: 'hello', start: 1, end: 6 });
+    });
+
+    it('keeps "Hello" and "hello" apart when case folding is off', () => {
+        const folded = tokenize('Hello hello');
+        const cased = tokenize('Hello hello', { preTokenizer: { lowercase: false } });
+
+        expect(folded.map((token) => token.text)).toEqual(['hello', 'hello']);
+        expect(cased.map((token) => token.text)).toEqual(['H', 'e', 'l', 'l', 'o', 'hello']);
+    });
+
+    it.each([
+        [{ pattern: 'gpt2', whitespace: 'collapse' }],
+        [{ pattern: 'gpt4', splitDigits: true, form: 'NFC' }],
+        [{ form: 'NFKD', lowercase: false, whitespace: 'keep' }]
+    ])('round-trips with pre-tokenizer options %o', (preTokenizer) => {
+        const text = '  Hello,   wörld 12345! it\'s ﬁne  ';
+        const ids = tokenize(text, { preTokenizer, byteLevel: true }).map((token) => token.id);
+
+        expect(decode(ids)).toBe(normalizeText(text, preTokenizer));
+    });
+
+    it('compares token counts, compression and unknown rate across schemes', () => {
+        const text = 'the cat é';
+        const rows = Object.fromEntries(compareTokenizers(text).map((row) => [row.key, row]));
+
+        expect(rows.word).toMatchObject({ tokenCount: 4, unknownCount: 1 });
+        expect(rows['word-bytes']).toMatchObject({ tokenCount: 5, unknownCount: 0 });
+        expect(rows.char).toMatchObject({ tokenCount: 7, unknownCount: 1 });
+        expect(rows.word.charsPerToken).toBeCloseTo(9 / 4, 10);
+        expect(rows.char.unknownRate).toBeCloseTo(1 / 7, 10);
+    });
+
+    describe('loaded tokenizers', () => {
+        afterEach(() => {
+            setActiveTokenizer(null);
+        });
+
+        it('encodes and decodes with the bundled byte-level tokenizer.json', () => {
+            const model = fixtureTokenizer();
+            const text = 'The token attends to the café!<|endoftext|>';
+            const tokens = tokenize(text, { tokenizer: model });
+
+            expect(tokens.map((token) => token.text)).toContain('Ġtoken');
+            expect(tokens[tokens.length - 1]).toMatchObject({ text: '<|endoftext|>', special: true });
+            expect(decode(tokens.map((token) => token.id), { tokenizer: model })).toBe(text);
+        });
+
+        it('parses GPT-2 vocab.json + merges.txt', () => {
+            const vocab = { h: 0, i: 1, 'Ġ': 2, hi: 3, 'Ġhi': 4 };
+            const model = parseVocabAndMerges(vocab, '#version: 0.2\nh i\nĠ hi\n');
+            const tokens = tokenize('hi hi', { tokenizer: model });
+
+            expect(tokens).toEqual([
+                { text: 'hi', id: 3, start: 0, end: 2 },
+                { text: 'Ġhi', id: 4, start: 2, end: 5 }
+            ]);
+        });
+
+        it('parses WordPiece tokenizer.json models', () => {
+            const model = parseTokenizerJSON({
+                normalizer: { type: 'BertNormalizer', lowercase: true },
+                model: {
+                    type: 'WordPiece',
+                    unk_token: '[UNK]',
+                    continuing_subword_prefix: '##',
+                    vocab: { '[UNK]': 0, play: 1, '##ing': 2, '!': 3 }
+                }
+            });
+            const tokens = tokenize('Playing! xyz', { tokenizer: model });
+
+            expect(tokens.map((token) => token.id)).toEqual([1, 2, 3, 0]);
+            expect(tokens.map((token) => [token.start, token.end])).toEqual([[0, 4], [4, 7], [7, 8], [9, 12]]);
+            expect(decode([1, 2, 3], { tokenizer: model })).toBe('playing !');
+        });
+
+        it('expects the round trip a loaded tokenizer can actually give back', () => {
+            const wordPiece = parseTokenizerJSON({
+                normalizer: { type: 'BertNormalizer', lowercase: true },
+                model: {
+                    type: 'WordPiece',
+                    unk_token: '[UNK]',
+                    vocab: { '[UNK]': 0, play: 1, '##ing': 2, '!': 3 }
+                }
+            });
+            const roundTrip = (text, tokenizer) => decode(tokenize(text, { tokenizer }).map((token) => token.id), { tokenizer });
+
+            expect(roundTripText('Playing!', { tokenizer: wordPiece })).toBe('playing !');
+            expect(roundTrip('Playing!', wordPiece)).toBe(roundTripText('Playing!', { tokenizer: wordPiece }));
+            expect(roundTrip('Playing xyz', wordPiece)).not.toBe(roundTripText('Playing xyz', { tokenizer: wordPiece }));
+
+            const fixture = fixtureTokenizer();
+            expect(roundTripText('The café', { tokenizer: fixture })).toBe(roundTrip('The café', fixture));
+            expect(roundTripText('The café', { tokenizer: null })).toBe('the café');
+        });
+
+        it('adds loaded tokenizers to the comparison', () => {
+            const rows = compareTokenizers('The café', { models: [fixtureTokenizer()] });
+            const loaded = rows[rows.length - 1];
+
+            expect(loaded).toMatchObject({ label: 'fixture', unknownCount: 0 });
+            expect(loaded.tokenCount).toBe(loaded.tokens.length);
+        });
+
+        it('rejects unsupported model types', () => {
+            expect(() => parseTokenizerJSON({ model: { type: 'Unigram', vocab: [] } }))
+                .toThrow('Unsupported tokenizer model type: Unigram');
+        });
+
+        it('routes tokenize, idToToken and simulateBPE through the active tokenizer', () => {
+            const model = fixtureTokenizer();
+            setActiveTokenizer(model);
+
+            const tokens = tokenize('the token');
+            const result = simulateBPE('the token');
+
+            expect(tokens.map((token) => token.text)).toEqual(['t', 'he', 'Ġtoken']);
+            expect(idToToken(tokens[2].id)).toBe('Ġtoken');
+            expect(result.finalTokens.map((token) => token.id)).toEqual(tokens.map((token) => token.id));
+            expect(result.tokenizerName).toBe('fixture');
+        });
+    });
 });
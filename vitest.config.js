@@ -4,6 +4,9 @@ module.exports = defineConfig({
     test: {
         environment: 'jsdom',
         include: ['tests/unit/**/*.test.js', 'tests/dom/**/*.test.js'],
+        benchmark: {
+            include: ['tests/bench/**/*.bench.js']
+        },
         globals: true,
         clearMocks: true,
         restoreMocks: true